@@ -1,7 +1,7 @@
 /**
  * @fileoverview Módulo principal de la aplicación CMDB (CIFP Movie DataBase).
  * Contiene las clases Genero y Pelicula, así como el servicio DataService
- * para gestionar la persistencia de datos en LocalStorage.
+ * para gestionar la persistencia de datos a través de un adaptador de almacenamiento.
  * @module CMDBLogic
  */
 
@@ -9,16 +9,20 @@
  * Clase que representa un Género de película.
  * @class
  * @classdesc Representa un género cinematográfico con un identificador único y nombre.
+ * Puede colgar de otro género (p. ej. "Cyberpunk" dentro de "Ciencia Ficción").
  */
 class Genero {
     /**
      * Crea una instancia de Genero.
      * @param {number} id - Identificador único (solo lectura).
      * @param {string} nombre - Nombre del género.
+     * @param {number|null} [padre=null] - ID del género del que es subgénero (null si es principal).
      */
-    constructor(id, nombre) {
+    constructor(id, nombre, padre = null) {
         this._id = id;
         this.nombre = nombre;
+        this.padre = padre;
+        this.revision = 0; // Se incrementa con cada escritura (ver DataService._comprobarRevision)
     }
 
     /**
@@ -29,6 +33,204 @@ class Genero {
     get id() {
         return this._id;
     }
+
+    /**
+     * Comprueba el género con las reglas de validarGenero.
+     * @param {Genero[]} [generosExistentes=[]] - Géneros con los que comparar el nombre.
+     * @returns {ErrorCampo[]} Errores encontrados (vacío si es válido).
+     */
+    validar(generosExistentes = []) {
+        return validarGenero(this, generosExistentes);
+    }
+
+    /**
+     * Convierte el género en el objeto plano que se persiste.
+     * JSON.stringify lo usa automáticamente.
+     * @returns {{id: number, nombre: string, padre: (number|null), revision: number}}
+     */
+    toJSON() {
+        return { id: this.id, nombre: this.nombre, padre: this.padre, revision: this.revision };
+    }
+
+    /**
+     * Crea un Genero a partir del objeto plano persistido (ver toJSON).
+     * Los géneros guardados antes de existir los subgéneros no tienen padre.
+     * @param {{id: number, nombre: string, padre: (number|null), revision: number}} datos - Objeto persistido.
+     * @returns {Genero}
+     */
+    static fromJSON(datos) {
+        const genero = new Genero(datos.id, datos.nombre, datos.padre || null);
+        genero.revision = datos.revision || 0;
+        return genero;
+    }
+}
+
+/**
+ * Clase que representa una Persona del equipo o del reparto de las películas.
+ * @class
+ * @classdesc Representa a una persona (director, actor, guionista...) con un
+ * identificador único y nombre. Sus créditos se guardan en cada película (ver Credito).
+ */
+class Persona {
+    /**
+     * Crea una instancia de Persona.
+     * @param {number} id - Identificador único (solo lectura).
+     * @param {string} nombre - Nombre de la persona.
+     */
+    constructor(id, nombre) {
+        this._id = id;
+        this.nombre = nombre;
+        this.revision = 0; // Se incrementa con cada escritura (ver DataService._comprobarRevision)
+    }
+
+    /**
+     * Obtiene el ID de la persona.
+     * @returns {number} El identificador único de la persona.
+     * @readonly
+     */
+    get id() {
+        return this._id;
+    }
+
+    /**
+     * Comprueba la persona con las reglas de validarPersona.
+     * @returns {ErrorCampo[]} Errores encontrados (vacío si es válida).
+     */
+    validar() {
+        return validarPersona(this);
+    }
+
+    /**
+     * Convierte la persona en el objeto plano que se persiste.
+     * JSON.stringify lo usa automáticamente.
+     * @returns {{id: number, nombre: string, revision: number}}
+     */
+    toJSON() {
+        return { id: this.id, nombre: this.nombre, revision: this.revision };
+    }
+
+    /**
+     * Crea una Persona a partir del objeto plano persistido (ver toJSON).
+     * @param {{id: number, nombre: string, revision: number}} datos - Objeto persistido.
+     * @returns {Persona}
+     */
+    static fromJSON(datos) {
+        const persona = new Persona(datos.id, datos.nombre);
+        persona.revision = datos.revision || 0;
+        return persona;
+    }
+}
+
+/**
+ * Clase que representa una Lista de películas de un usuario.
+ * @class
+ * @classdesc Cada usuario tiene una lista de pendientes, una de vistas (con la
+ * fecha en que vio cada película) y las listas personales que quiera. El orden
+ * de las películas es el que elige el usuario.
+ */
+class Lista {
+    /**
+     * Crea una instancia de Lista.
+     * @param {number} id - Identificador único (solo lectura).
+     * @param {string} usuario - ID del usuario propietario.
+     * @param {string} tipo - Clave de TIPOS_LISTA.
+     * @param {string} nombre - Nombre de la lista (en las especiales, el de su tipo).
+     */
+    constructor(id, usuario, tipo, nombre) {
+        this._id = id;
+        this.usuario = usuario;
+        this.tipo = tipo;
+        this.nombre = nombre;
+        this.elementos = []; // Películas en el orden elegido (ver ElementoLista)
+    }
+
+    /**
+     * Obtiene el ID de la lista.
+     * @returns {number} El identificador único de la lista.
+     * @readonly
+     */
+    get id() {
+        return this._id;
+    }
+
+    /**
+     * Indica si la lista contiene una película.
+     * @param {number} idPelicula - ID de la película.
+     * @returns {boolean}
+     */
+    contiene(idPelicula) {
+        return this.elementos.some(e => e.pelicula === idPelicula);
+    }
+
+    /**
+     * Añade una película al final de la lista. Si ya estaba, conserva su
+     * posición y solo se actualiza la fecha en que se vio.
+     * @param {number} idPelicula - ID de la película.
+     * @param {string|null} [vista=null] - Fecha en que se vio (AAAA-MM-DD); solo en la lista de vistas.
+     */
+    anadir(idPelicula, vista = null) {
+        const elemento = this.elementos.find(e => e.pelicula === idPelicula);
+        if (elemento) {
+            elemento.vista = vista;
+            return;
+        }
+        this.elementos.push({ pelicula: idPelicula, anadida: Date.now(), vista: vista });
+    }
+
+    /**
+     * Quita una película de la lista.
+     * @param {number} idPelicula - ID de la película.
+     * @returns {boolean} false si no estaba en la lista.
+     */
+    quitar(idPelicula) {
+        const antes = this.elementos.length;
+        this.elementos = this.elementos.filter(e => e.pelicula !== idPelicula);
+        return this.elementos.length !== antes;
+    }
+
+    /**
+     * Mueve una película dentro de la lista.
+     * @param {number} idPelicula - ID de la película.
+     * @param {number} desplazamiento - Posiciones a mover (negativo hacia el principio).
+     * @returns {boolean} false si no está en la lista o ya no se puede mover más.
+     */
+    mover(idPelicula, desplazamiento) {
+        const origen = this.elementos.findIndex(e => e.pelicula === idPelicula);
+        const destino = origen + desplazamiento;
+        if (origen === -1 || destino < 0 || destino >= this.elementos.length || destino === origen) return false;
+        const [elemento] = this.elementos.splice(origen, 1);
+        this.elementos.splice(destino, 0, elemento);
+        return true;
+    }
+
+    /**
+     * Comprueba la lista con las reglas de validarLista.
+     * @param {Lista[]} [listasExistentes=[]] - Listas del mismo usuario, para detectar nombres repetidos.
+     * @returns {ErrorCampo[]} Errores encontrados (vacío si es válida).
+     */
+    validar(listasExistentes = []) {
+        return validarLista(this, listasExistentes);
+    }
+
+    /**
+     * Convierte la lista en el objeto plano que se persiste.
+     * JSON.stringify lo usa automáticamente.
+     * @returns {{id: number, usuario: string, tipo: string, nombre: string, elementos: ElementoLista[]}}
+     */
+    toJSON() {
+        return { id: this.id, usuario: this.usuario, tipo: this.tipo, nombre: this.nombre, elementos: this.elementos };
+    }
+
+    /**
+     * Crea una Lista a partir del objeto plano persistido (ver toJSON).
+     * @param {Object} datos - Objeto persistido.
+     * @returns {Lista}
+     */
+    static fromJSON(datos) {
+        const lista = new Lista(datos.id, datos.usuario, datos.tipo, datos.nombre);
+        lista.elementos = datos.elementos;
+        return lista;
+    }
 }
 
 /**
@@ -51,7 +253,17 @@ class Pelicula {
         this.fecha = fecha;
         this.popularidad = popularidad;
         this.generos = generosIds; // Array de IDs de géneros
-        this.puntuaciones = []; // Array para guardar cada voto [cite: 518]
+        this.votos = []; // Registros de voto (ver Voto), incluidos los retirados o cambiados
+        this.creditos = []; // Personas que participan (ver Credito)
+        // Datos de la ficha, opcionales (ver FICHA_VACIA)
+        this.tituloOriginal = FICHA_VACIA.tituloOriginal;
+        this.sinopsis = FICHA_VACIA.sinopsis;
+        this.duracion = FICHA_VACIA.duracion;
+        this.pais = FICHA_VACIA.pais;
+        this.idioma = FICHA_VACIA.idioma;
+        this.clasificacion = FICHA_VACIA.clasificacion;
+        this.poster = FICHA_VACIA.poster;
+        this.revision = 0; // Se incrementa con cada escritura (ver DataService._comprobarRevision)
     }
 
     /**
@@ -63,14 +275,29 @@ class Pelicula {
         return this._id;
     }
 
+    /**
+     * Votos que cuentan: como mucho uno por usuario, más los votos antiguos sin usuario.
+     * @returns {Voto[]}
+     */
+    get votosActivos() {
+        return this.votos.filter(v => v.activo);
+    }
+
+    /**
+     * Valores de los votos activos.
+     * @returns {number[]}
+     */
+    get puntuaciones() {
+        return this.votosActivos.map(v => v.valor);
+    }
+
     /**
      * Calcula la media de las puntuaciones.
      * @returns {number} Media redondeada o 0 si no hay votos.
      */
     get puntuacionMedia() {
         if (this.puntuaciones.length === 0) return 0;
-        const suma = this.puntuaciones.reduce((a, b) => a + b, 0);
-        const media = suma / this.puntuaciones.length;
+        const media = this.puntuacionMediaExacta;
         // Redondear manualmente sin Math.round (no explicado en PDFs)
         // Si la parte decimal es >= 0.5, redondeamos hacia arriba
         const parteEntera = parseInt(media);
@@ -91,123 +318,3499 @@ class Pelicula {
     }
 
     /**
-     * Añade un voto a la película.
-     * @param {number} valor - Valor entre 0 y 10.
+     * Media de las puntuaciones sin redondear.
+     * @returns {number} Media con decimales o 0 si no hay votos.
      */
-    votar(valor) {
-        this.puntuaciones.push(valor);
+    get puntuacionMediaExacta() {
+        if (this.puntuaciones.length === 0) return 0;
+        return this.puntuaciones.reduce((a, b) => a + b, 0) / this.puntuaciones.length;
     }
-}
 
-// --- GESTIÓN DE LOCALSTORAGE Y DATOS ---
+    /**
+     * Puntuación ponderada (media bayesiana): la media de la película se mezcla
+     * con la media global como si tuviera minimoVotos votos más con ese valor.
+     * Así una película con un único 10 no supera a otra con muchos votos altos.
+     * @param {number} minimoVotos - Votos a partir de los cuales la media propia pesa más que la global.
+     * @param {number} mediaGlobal - Media de referencia (ver Pelicula.mediaGlobal).
+     * @returns {number} Puntuación sin redondear.
+     */
+    puntuacionPonderada(minimoVotos, mediaGlobal) {
+        const votos = this.numeroVotos;
+        if (votos + minimoVotos === 0) return mediaGlobal;
+        return (votos * this.puntuacionMediaExacta + minimoVotos * mediaGlobal) / (votos + minimoVotos);
+    }
 
-/**
- * Servicio para gestionar la persistencia de datos (Simula una BD).
- * Se encarga de guardar y recuperar del LocalStorage.
- * @namespace DataService
- * @type {Object}
- */
-const DataService = {
     /**
-     * Inicializa los datos si no existen en LocalStorage.
-     * Crea géneros por defecto y un array vacío de películas.
-     * @method
-     * @memberof DataService
+     * Devuelve el voto activo de un usuario.
+     * @param {string} usuario - ID del usuario.
+     * @returns {Voto|null}
      */
-    inicializar: function() {
-        if (!localStorage.getItem('cmdb_generos')) {
-            const generosIniciales = [
-                new Genero(1, "Ciencia Ficción"),
-                new Genero(2, "Drama")
-            ];
-            this.guardarGeneros(generosIniciales);
-        }
+    votoDe(usuario) {
+        return this.votos.find(v => v.activo && v.usuario === usuario) || null;
+    }
 
-        if (!localStorage.getItem('cmdb_peliculas')) {
-            // Creamos 5 películas de ejemplo según el enunciado
-            const peliculasInit = [
-                new Pelicula(1, "Inception", "2010-07-16", 90, [1, 2]),
-                new Pelicula(2, "Interstellar", "2014-11-07", 95, [1, 2]),
-                new Pelicula(3, "The Matrix", "1999-03-31", 100, [1]),
-                new Pelicula(4, "El Padrino", "1972-03-14", 98, [2]),
-                new Pelicula(5, "Dune", "2021-09-17", 85, [1])
-            ];
-            // Simulamos algunos votos
-            peliculasInit[0].puntuaciones = [8, 9, 10];
-            peliculasInit[1].puntuaciones = [9, 9, 8];
-            peliculasInit[2].puntuaciones = [10, 9, 10, 8];
-            this.guardarPeliculas(peliculasInit);
+    /**
+     * Registra el voto de un usuario. Si ya había votado, su voto anterior
+     * deja de contar y se sustituye por este.
+     * Sin reseña (undefined) se conserva la del voto anterior, de modo que
+     * cambiar solo la nota no la pierde; con null el voto queda sin reseña.
+     * Una reseña igual a la anterior conserva su fecha y sus marcas de útil.
+     * @param {number} valor - Valor entero entre 1 y 10.
+     * @param {string} usuario - ID del usuario que vota.
+     * @param {{titulo: string, texto: string, spoiler: boolean}|null} [resena] - Reseña que acompaña al voto.
+     * @throws {ErrorValidacion} Si el voto o la reseña no son válidos.
+     */
+    votar(valor, usuario, resena) {
+        const errores = validarVoto(valor).concat(resena ? validarResena(resena) : []);
+        if (errores.length > 0) throw new ErrorValidacion(errores);
+        const anterior = this.votoDe(usuario);
+        const resenaAnterior = anterior ? anterior.resena || null : null;
+        let nueva = resena === undefined ? resenaAnterior : null;
+        if (resena) {
+            const igual = resenaAnterior && resenaAnterior.titulo === resena.titulo.trim() &&
+                resenaAnterior.texto === resena.texto.trim() && resenaAnterior.spoiler === resena.spoiler;
+            nueva = igual ? resenaAnterior : {
+                titulo: resena.titulo.trim(),
+                texto: resena.texto.trim(),
+                spoiler: resena.spoiler,
+                instante: Date.now(),
+                utiles: []
+            };
         }
-    },
+        if (anterior) anterior.activo = false;
+        this.votos.push({ usuario: usuario, valor: valor, instante: Date.now(), activo: true, resena: nueva });
+    }
 
     /**
-     * Recupera todos los géneros convertidos a instancias de la clase Genero.
-     * @method
-     * @memberof DataService
-     * @returns {Genero[]} Array de instancias de Genero.
+     * Votos activos que llevan reseña.
+     * @returns {Voto[]}
      */
-    getGeneros: function() {
-        const datos = JSON.parse(localStorage.getItem('cmdb_generos')) || [];
-        return datos.map(g => new Genero(g._id, g.nombre));
-    },
+    get votosConResena() {
+        return this.votosActivos.filter(v => v.resena);
+    }
 
     /**
-     * Guarda la lista de géneros en LocalStorage.
-     * @method
-     * @memberof DataService
-     * @param {Genero[]} generos - Array de géneros a guardar.
+     * Marca como útil la reseña de un usuario, o quita la marca si ya estaba.
+     * Nadie puede marcar su propia reseña.
+     * @param {string} autor - ID del usuario que escribió la reseña.
+     * @param {string} usuario - ID del usuario que la marca.
+     * @returns {boolean} true si queda marcada y false si se ha quitado la marca.
+     * @throws {Error} Si el autor no tiene reseña o es el mismo usuario.
      */
-    guardarGeneros: function(generos) {
-        localStorage.setItem('cmdb_generos', JSON.stringify(generos));
-    },
+    marcarUtil(autor, usuario) {
+        const voto = this.votoDe(autor);
+        if (!voto || !voto.resena) throw new Error("Esa reseña ya no existe.");
+        if (autor === usuario) throw new Error("No puedes marcar como útil tu propia reseña.");
+        const utiles = voto.resena.utiles;
+        const posicion = utiles.indexOf(usuario);
+        if (posicion === -1) utiles.push(usuario);
+        else utiles.splice(posicion, 1);
+        return posicion === -1;
+    }
 
     /**
-     * Recupera todas las películas convertidas a instancias de la clase Pelicula.
-     * Importante para recuperar los métodos (getters y votar).
-     * @method
-     * @memberof DataService
-     * @returns {Pelicula[]} Array de instancias de Pelicula.
+     * Retira el voto activo de un usuario (el registro se conserva inactivo).
+     * @param {string} usuario - ID del usuario.
+     * @returns {boolean} false si el usuario no tenía voto activo.
+     */
+    retirarVoto(usuario) {
+        const voto = this.votoDe(usuario);
+        if (!voto) return false;
+        voto.activo = false;
+        return true;
+    }
+
+    /**
+     * Comprueba la película con las reglas de validarPelicula.
+     * @returns {ErrorCampo[]} Errores encontrados (vacío si es válida).
+     */
+    validar() {
+        return validarPelicula(this);
+    }
+
+    /**
+     * Convierte la película en el objeto plano que se persiste.
+     * JSON.stringify lo usa automáticamente.
+     * @returns {Object} Objeto con id, titulo, fecha, popularidad, generos, votos,
+     *   creditos, los campos de la ficha (ver FICHA_VACIA) y revision.
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            titulo: this.titulo,
+            fecha: this.fecha,
+            popularidad: this.popularidad,
+            generos: this.generos,
+            votos: this.votos,
+            creditos: this.creditos,
+            tituloOriginal: this.tituloOriginal,
+            sinopsis: this.sinopsis,
+            duracion: this.duracion,
+            pais: this.pais,
+            idioma: this.idioma,
+            clasificacion: this.clasificacion,
+            poster: this.poster,
+            revision: this.revision
+        };
+    }
+
+    /**
+     * Crea una Pelicula a partir del objeto plano persistido (ver toJSON).
+     * @param {Object} datos - Objeto persistido.
+     * @returns {Pelicula}
      */
-    getPeliculas: function() {
-        const datos = JSON.parse(localStorage.getItem('cmdb_peliculas')) || [];
-        return datos.map(p => {
-            const peli = new Pelicula(p._id, p.titulo, p.fecha, p.popularidad, p.generos);
-            peli.puntuaciones = p.puntuaciones || [];
-            return peli;
+    static fromJSON(datos) {
+        const peli = new Pelicula(datos.id, datos.titulo, datos.fecha, datos.popularidad, datos.generos);
+        peli.votos = datos.votos || [];
+        peli.creditos = datos.creditos || [];
+        Object.keys(FICHA_VACIA).forEach(campo => {
+            if (datos[campo] !== undefined) peli[campo] = datos[campo];
         });
-    },
+        peli.revision = datos.revision || 0;
+        return peli;
+    }
 
     /**
-     * Guarda la lista de películas en LocalStorage.
-     * @method
-     * @memberof DataService
-     * @param {Pelicula[]} peliculas - Array de películas a guardar.
+     * Media de todos los votos activos de un conjunto de películas; es la
+     * referencia de puntuacionPonderada.
+     * @param {Pelicula[]} peliculas - Películas a considerar.
+     * @returns {number} Media sin redondear o 0 si no hay votos.
      */
-    guardarPeliculas: function(peliculas) {
-        localStorage.setItem('cmdb_peliculas', JSON.stringify(peliculas));
-    },
+    static mediaGlobal(peliculas) {
+        const votos = peliculas.flatMap(p => p.puntuaciones);
+        if (votos.length === 0) return 0;
+        return votos.reduce((a, b) => a + b, 0) / votos.length;
+    }
 
     /**
-     * Genera el siguiente ID disponible para una colección.
-     * @method
-     * @memberof DataService
-     * @param {Array} coleccion - Array de objetos con propiedad id.
-     * @returns {number} Nuevo ID (máximo ID + 1, o 1 si la colección está vacía).
+     * Crea el registro de un voto anterior a los votos por usuario, del que
+     * solo se conoce el valor. Estos votos siempre cuentan y no se pueden cambiar.
+     * @param {number} valor - Valor del voto.
+     * @returns {Voto}
      */
-    siguienteId: function(coleccion) {
-        if (coleccion.length === 0) return 1;
-        // Busca el ID máximo y suma 1 
-        const maxId = coleccion.reduce((max, item) => (item.id > max ? item.id : max), 0);
-        return maxId + 1;
+    static votoLegado(valor) {
+        return { usuario: null, valor: valor, instante: null, activo: true };
     }
+}
+
+/**
+ * Voto de un usuario a una película.
+ * @typedef {Object} Voto
+ * @property {string|null} usuario - ID del usuario (null en los votos legados, sin usuario).
+ * @property {number} valor - Valor entre 1 y 10.
+ * @property {number|null} instante - Momento del voto (null en los votos legados).
+ * @property {boolean} activo - false si el usuario lo cambió o lo retiró.
+ * @property {Resena|null} [resena] - Reseña escrita con el voto (no existe en los votos anteriores a las reseñas).
+ */
+
+/**
+ * Reseña escrita junto a un voto.
+ * @typedef {Object} Resena
+ * @property {string} titulo - Título de la reseña.
+ * @property {string} texto - Texto de la reseña.
+ * @property {boolean} spoiler - Si desvela detalles de la trama; se oculta hasta que se pide verla.
+ * @property {number} instante - Momento en que se escribió.
+ * @property {string[]} utiles - IDs de los usuarios que la han marcado como útil.
+ */
+
+// --- FICHA DE LA PELÍCULA ---
+
+/**
+ * Valores por defecto de los datos opcionales de la ficha de una película.
+ * Sus claves son también la lista de esos campos.
+ * @type {{tituloOriginal: string, sinopsis: string, duracion: (number|null), pais: string, idioma: string, clasificacion: string, poster: (string|null)}}
+ */
+const FICHA_VACIA = {
+    tituloOriginal: '',
+    sinopsis: '',
+    duracion: null, // Minutos
+    pais: '',
+    idioma: '',
+    clasificacion: '', // Clave de CLASIFICACIONES_EDAD
+    poster: null // Imagen como data URL (data:image/...)
 };
 
 /**
- * Inicializa los datos al cargar cualquier página.
- * Se ejecuta automáticamente cuando el DOM está listo.
- * @event DOMContentLoaded
+ * Calificaciones por edades admitidas, con su descripción.
+ * La cadena vacía indica que la película no está calificada.
+ * @type {Object<string, string>}
  */
-document.addEventListener('DOMContentLoaded', () => {
-    DataService.inicializar();
-});
+const CLASIFICACIONES_EDAD = {
+    '': 'Sin calificar',
+    'TP': 'Todos los públicos',
+    '7': 'No recomendada para menores de 7 años',
+    '12': 'No recomendada para menores de 12 años',
+    '16': 'No recomendada para menores de 16 años',
+    '18': 'No recomendada para menores de 18 años'
+};
+
+/**
+ * Longitud máxima del póster como data URL (unos 500 KB de imagen).
+ * @type {number}
+ */
+const LONGITUD_MAXIMA_POSTER = 700000;
+
+// --- PERSONAS Y CRÉDITOS ---
+
+/**
+ * Participación de una persona en una película.
+ * @typedef {Object} Credito
+ * @property {number} persona - ID de la persona.
+ * @property {string} rol - Clave de ROLES_CREDITO.
+ * @property {string} personaje - Nombre del personaje (solo en el reparto; vacío en el resto).
+ */
+
+/**
+ * Roles con los que una persona puede figurar en una película, con su nombre.
+ * @type {Object<string, string>}
+ */
+const ROLES_CREDITO = {
+    director: 'Dirección',
+    guionista: 'Guion',
+    actor: 'Reparto'
+};
+
+// --- LISTAS ---
+
+/**
+ * Película de una lista.
+ * @typedef {Object} ElementoLista
+ * @property {number} pelicula - ID de la película.
+ * @property {number} anadida - Momento en que se añadió (milisegundos desde 1970).
+ * @property {string|null} vista - Fecha en que se vio (AAAA-MM-DD), solo en la lista de vistas.
+ */
+
+/**
+ * Tipos de lista con su nombre. Cada usuario tiene una lista de cada tipo
+ * especial y tantas personales como quiera.
+ * @type {Object<string, string>}
+ */
+const TIPOS_LISTA = {
+    pendientes: 'Pendientes',
+    vistas: 'Vistas',
+    personal: 'Personal'
+};
+
+// --- VALIDACIÓN ---
+
+/**
+ * Error de validación asociado a un campo concreto.
+ * @typedef {Object} ErrorCampo
+ * @property {string} campo - Nombre del campo (p. ej. 'titulo' o 'nombre').
+ * @property {string} mensaje - Mensaje para el usuario.
+ */
+
+/**
+ * Error lanzado por el modelo y por DataService cuando los datos no cumplen
+ * las reglas de validación. Lleva la lista de errores por campo para que
+ * los formularios puedan mostrarlos junto a cada control.
+ * @class
+ * @extends Error
+ */
+class ErrorValidacion extends Error {
+    /**
+     * Crea un error de validación.
+     * @param {ErrorCampo[]} errores - Errores encontrados (al menos uno).
+     */
+    constructor(errores) {
+        super(errores.map(e => e.mensaje).join(' '));
+        this.name = 'ErrorValidacion';
+        this.errores = errores;
+    }
+}
+
+/**
+ * Error lanzado por DataService cuando una operación rompería la integridad
+ * referencial entre películas y géneros (p. ej. eliminar un género en uso).
+ * @class
+ * @extends Error
+ */
+class ErrorIntegridad extends Error {
+    /**
+     * Crea un error de integridad.
+     * @param {string} mensaje - Explicación para el usuario.
+     */
+    constructor(mensaje) {
+        super(mensaje);
+        this.name = 'ErrorIntegridad';
+    }
+}
+
+/**
+ * Error lanzado cuando el usuario de la sesión no tiene permiso para una acción.
+ * @class
+ * @extends Error
+ */
+class ErrorPermiso extends Error {
+    /**
+     * Crea un error de permiso.
+     * @param {string} mensaje - Explicación para el usuario.
+     */
+    constructor(mensaje) {
+        super(mensaje);
+        this.name = 'ErrorPermiso';
+    }
+}
+
+/**
+ * Error lanzado por DataService al guardar un registro que otra pestaña ha
+ * cambiado (o eliminado) desde que se leyó: su revisión ya no coincide con
+ * la guardada. Lleva la versión actual para que el formulario proponga
+ * combinar los cambios (ver fusionarCambios).
+ * @class
+ * @extends Error
+ */
+class ErrorConflicto extends Error {
+    /**
+     * Crea un error de conflicto.
+     * @param {string} mensaje - Explicación para el usuario.
+     * @param {(Pelicula|Genero|Persona|null)} actual - Versión guardada, o null si ya no existe.
+     */
+    constructor(mensaje, actual) {
+        super(mensaje);
+        this.name = 'ErrorConflicto';
+        this.actual = actual;
+    }
+}
+
+/**
+ * Devuelve una fecha en formato AAAA-MM-DD (hora local).
+ * @param {Date} fecha - Fecha a formatear.
+ * @returns {string}
+ */
+function fechaLocalISO(fecha) {
+    const mes = String(fecha.getMonth() + 1).padStart(2, '0');
+    const dia = String(fecha.getDate()).padStart(2, '0');
+    return fecha.getFullYear() + '-' + mes + '-' + dia;
+}
+
+/**
+ * Devuelve la fecha de hoy en formato AAAA-MM-DD (hora local).
+ * @returns {string}
+ */
+function fechaHoyISO() {
+    return fechaLocalISO(new Date());
+}
+
+/**
+ * Comprueba un voto: número entero entre 1 y 10.
+ * @param {number} valor - Voto a comprobar.
+ * @returns {ErrorCampo[]} Errores encontrados (vacío si es válido).
+ */
+function validarVoto(valor) {
+    if (!Number.isInteger(valor) || valor < 1 || valor > 10) {
+        return [{ campo: 'voto', mensaje: "El voto debe ser un número entero entre 1 y 10." }];
+    }
+    return [];
+}
+
+/**
+ * Comprueba una reseña: título de 1 a 100 caracteres y texto de 1 a 5000.
+ * @param {{titulo: string, texto: string, spoiler: boolean}} resena - Reseña a comprobar.
+ * @returns {ErrorCampo[]} Errores encontrados (vacío si es válida).
+ */
+function validarResena(resena) {
+    const errores = [];
+    const titulo = (resena.titulo || '').trim();
+    const texto = (resena.texto || '').trim();
+    if (titulo === '') {
+        errores.push({ campo: 'resenaTitulo', mensaje: "La reseña necesita un título." });
+    } else if (titulo.length > 100) {
+        errores.push({ campo: 'resenaTitulo', mensaje: "El título de la reseña no puede superar los 100 caracteres." });
+    }
+    if (texto === '') {
+        errores.push({ campo: 'resenaTexto', mensaje: "El texto de la reseña no puede estar vacío." });
+    } else if (texto.length > 5000) {
+        errores.push({ campo: 'resenaTexto', mensaje: "La reseña no puede superar los 5000 caracteres." });
+    }
+    if (typeof resena.spoiler !== 'boolean') {
+        errores.push({ campo: 'resenaSpoiler', mensaje: "Indica si la reseña contiene spoilers." });
+    }
+    return errores;
+}
+
+/**
+ * Comprueba los datos de una película: título de 1 a 100 caracteres,
+ * fecha entre el 01/01/1900 y hoy, popularidad entera entre 0 y 100,
+ * al menos un género y votos válidos (con sus reseñas). Los campos de la ficha son opcionales
+ * (ver validarFicha).
+ * @param {{titulo: string, fecha: string, popularidad: number, generos: Array, votos: Voto[]}} datos - Datos a comprobar.
+ * @returns {ErrorCampo[]} Errores encontrados (vacío si los datos son válidos).
+ */
+function validarPelicula(datos) {
+    const errores = [];
+    const titulo = (datos.titulo || '').trim();
 
+    if (titulo === '') {
+        errores.push({ campo: 'titulo', mensaje: "El título es obligatorio." });
+    } else if (titulo.length > 100) {
+        errores.push({ campo: 'titulo', mensaje: "El título no puede superar los 100 caracteres." });
+    }
+
+    // El formato AAAA-MM-DD permite comparar las fechas como cadenas
+    const fecha = datos.fecha || '';
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(fecha) || isNaN(new Date(fecha).getTime())) {
+        errores.push({ campo: 'fecha', mensaje: "La fecha debe tener el formato AAAA-MM-DD." });
+    } else if (fecha < '1900-01-01') {
+        errores.push({ campo: 'fecha', mensaje: "La fecha no puede ser anterior al 01/01/1900." });
+    } else if (fecha > fechaHoyISO()) {
+        errores.push({ campo: 'fecha', mensaje: "La fecha no puede ser futura." });
+    }
+
+    if (!Number.isInteger(datos.popularidad) || datos.popularidad < 0 || datos.popularidad > 100) {
+        errores.push({ campo: 'popularidad', mensaje: "La popularidad debe ser un número entero entre 0 y 100." });
+    }
+
+    if (!datos.generos || datos.generos.length === 0) {
+        errores.push({ campo: 'generos', mensaje: "Selecciona al menos un género." });
+    }
+
+    const votos = datos.votos || [];
+    if (!Array.isArray(votos) || votos.some(v => !v || typeof v !== 'object')) {
+        // Solo puede llegar así de fuera (p. ej. al servidor); el resto de comprobaciones no tendría sentido
+        errores.push({ campo: 'votos', mensaje: "Los votos deben ser una lista de registros de voto." });
+    } else {
+        if (votos.some(v => validarVoto(v.valor).length > 0)) {
+            errores.push({ campo: 'votos', mensaje: "Los votos deben ser números enteros entre 1 y 10." });
+        }
+        if (votos.some(v => v.resena && validarResena(v.resena).length > 0)) {
+            errores.push({ campo: 'votos', mensaje: "Alguna de las reseñas no es válida." });
+        }
+        const votantes = votos.filter(v => v.activo && v.usuario !== null).map(v => v.usuario);
+        if (new Set(votantes).size !== votantes.length) {
+            errores.push({ campo: 'votos', mensaje: "Cada usuario solo puede tener un voto activo por película." });
+        }
+    }
+
+    return errores.concat(validarCreditos(datos.creditos || []), validarFicha(datos));
+}
+
+/**
+ * Comprueba los créditos de una película: persona con ID entero, rol de
+ * ROLES_CREDITO, personaje de como mucho 100 caracteres (solo en el reparto)
+ * y sin créditos repetidos.
+ * @param {Credito[]} creditos - Créditos a comprobar.
+ * @returns {ErrorCampo[]} Errores encontrados (vacío si son válidos).
+ */
+function validarCreditos(creditos) {
+    const errores = [];
+    const vistos = new Set();
+    creditos.forEach(c => {
+        const personaje = c.personaje || '';
+        if (!Number.isInteger(c.persona)) {
+            errores.push({ campo: 'creditos', mensaje: "Cada crédito debe indicar una persona." });
+        } else if (!Object.prototype.hasOwnProperty.call(ROLES_CREDITO, c.rol)) {
+            errores.push({ campo: 'creditos', mensaje: "El rol de un crédito no es válido." });
+        } else if (personaje.length > 100) {
+            errores.push({ campo: 'creditos', mensaje: "El nombre del personaje no puede superar los 100 caracteres." });
+        } else if (personaje !== '' && c.rol !== 'actor') {
+            errores.push({ campo: 'creditos', mensaje: "Solo el reparto tiene personaje." });
+        } else {
+            const clave = `${c.persona}:${c.rol}:${normalizarTexto(personaje)}`;
+            if (vistos.has(clave)) {
+                errores.push({ campo: 'creditos', mensaje: "Hay créditos repetidos." });
+            }
+            vistos.add(clave);
+        }
+    });
+    return errores;
+}
+
+/**
+ * Comprueba los datos opcionales de la ficha: textos con su longitud máxima,
+ * duración entera entre 1 y 1000 minutos, una calificación de CLASIFICACIONES_EDAD
+ * y un póster que sea una imagen en data URL de como mucho LONGITUD_MAXIMA_POSTER.
+ * Los campos que no vienen se consideran vacíos.
+ * @param {Object} datos - Datos de la película.
+ * @returns {ErrorCampo[]} Errores encontrados (vacío si son válidos).
+ */
+function validarFicha(datos) {
+    const errores = [];
+    const textos = [
+        { campo: 'tituloOriginal', nombre: 'El título original', maximo: 100 },
+        { campo: 'sinopsis', nombre: 'La sinopsis', maximo: 2000 },
+        { campo: 'pais', nombre: 'El país', maximo: 60 },
+        { campo: 'idioma', nombre: 'El idioma', maximo: 60 }
+    ];
+    textos.forEach(t => {
+        const valor = datos[t.campo] === undefined ? '' : datos[t.campo];
+        if (typeof valor !== 'string') {
+            errores.push({ campo: t.campo, mensaje: `${t.nombre} debe ser un texto.` });
+        } else if (valor.length > t.maximo) {
+            errores.push({ campo: t.campo, mensaje: `${t.nombre} no puede superar los ${t.maximo} caracteres.` });
+        }
+    });
+
+    const duracion = datos.duracion === undefined ? null : datos.duracion;
+    if (duracion !== null && (!Number.isInteger(duracion) || duracion < 1 || duracion > 1000)) {
+        errores.push({ campo: 'duracion', mensaje: "La duración debe ser un número entero de minutos entre 1 y 1000." });
+    }
+
+    const clasificacion = datos.clasificacion === undefined ? '' : datos.clasificacion;
+    if (!Object.prototype.hasOwnProperty.call(CLASIFICACIONES_EDAD, clasificacion)) {
+        errores.push({ campo: 'clasificacion', mensaje: "La calificación por edades no es válida." });
+    }
+
+    const poster = datos.poster === undefined ? null : datos.poster;
+    if (poster !== null) {
+        if (typeof poster !== 'string' || !/^data:image\/[a-z0-9.+-]+;base64,[A-Za-z0-9+/]+=*$/i.test(poster)) {
+            errores.push({ campo: 'poster', mensaje: "El póster debe ser una imagen." });
+        } else if (poster.length > LONGITUD_MAXIMA_POSTER) {
+            errores.push({ campo: 'poster', mensaje: "El póster es demasiado grande (máximo 500 KB)." });
+        }
+    }
+
+    return errores;
+}
+
+/**
+ * Comprueba los datos de un género: nombre de 1 a 100 caracteres y que no
+ * exista otro género con el mismo nombre, sin distinguir mayúsculas ni acentos
+ * (ver normalizarTexto). El padre, si lo tiene, debe ser el ID de otro género;
+ * que exista y no forme un ciclo lo comprueba validarJerarquiaGenero.
+ * @param {{id: number, nombre: string, padre: (number|null)}} datos - Datos a comprobar.
+ * @param {Genero[]} [generosExistentes=[]] - Géneros con los que comparar el nombre.
+ * @returns {ErrorCampo[]} Errores encontrados (vacío si los datos son válidos).
+ */
+function validarGenero(datos, generosExistentes = []) {
+    const nombre = (datos.nombre || '').trim();
+
+    if (nombre === '') {
+        return [{ campo: 'nombre', mensaje: "El nombre no puede estar vacío." }];
+    }
+    if (nombre.length > 100) {
+        return [{ campo: 'nombre', mensaje: "El nombre no puede superar los 100 caracteres." }];
+    }
+    const normalizado = normalizarTexto(nombre);
+    if (generosExistentes.some(g => g.id !== datos.id && normalizarTexto(g.nombre) === normalizado)) {
+        return [{ campo: 'nombre', mensaje: "Este género ya existe." }];
+    }
+    if (datos.padre !== null && datos.padre !== undefined) {
+        if (!Number.isInteger(datos.padre)) {
+            return [{ campo: 'padre', mensaje: "El género padre no es válido." }];
+        }
+        if (datos.padre === datos.id) {
+            return [{ campo: 'padre', mensaje: "Un género no puede ser subgénero de sí mismo." }];
+        }
+    }
+    return [];
+}
+
+/**
+ * Comprueba la posición de un género en la jerarquía: su padre debe existir y
+ * no puede ser uno de sus propios subgéneros (se formaría un ciclo).
+ * Va aparte de validarGenero porque necesita todos los géneros.
+ * @param {{id: number, padre: (number|null)}} genero - Género con el padre que se quiere guardar.
+ * @param {Array<{id: number, padre: (number|null)}>} generos - Géneros guardados (puede incluir la versión anterior de este).
+ * @returns {ErrorCampo[]} Errores encontrados (vacío si es válido).
+ */
+function validarJerarquiaGenero(genero, generos) {
+    if (genero.padre === null || genero.padre === undefined) return [];
+    if (!generos.some(g => g.id === genero.padre && g.id !== genero.id)) {
+        return [{ campo: 'padre', mensaje: "El género padre no existe." }];
+    }
+    if (idsGeneroYDescendientes(genero.id, generos).indexOf(genero.padre) !== -1) {
+        return [{ campo: 'padre', mensaje: "Un género no puede colgar de uno de sus subgéneros." }];
+    }
+    return [];
+}
+
+/**
+ * IDs de un género y de todos sus subgéneros, a cualquier profundidad.
+ * Se usa para filtrar por un género incluyendo sus subgéneros.
+ * @param {number} id - ID del género.
+ * @param {Array<{id: number, padre: (number|null)}>} generos - Todos los géneros.
+ * @returns {number[]} El propio ID seguido de los de sus descendientes.
+ */
+function idsGeneroYDescendientes(id, generos) {
+    const ids = [id];
+    // Se recorre por niveles; comprobar los ya vistos evita bucles con datos corruptos
+    for (let i = 0; i < ids.length; i++) {
+        generos.forEach(g => {
+            if (g.padre === ids[i] && ids.indexOf(g.id) === -1) ids.push(g.id);
+        });
+    }
+    return ids;
+}
+
+/**
+ * Ordena los géneros como un árbol: cada género seguido de sus subgéneros.
+ * Los hermanos conservan el orden de la lista. Los que cuelgan de un género
+ * que ya no existe se tratan como principales.
+ * @param {Genero[]} generos - Todos los géneros.
+ * @returns {Array<{genero: Genero, nivel: number}>} Géneros en orden, con su profundidad (0 los principales).
+ */
+function generosEnArbol(generos) {
+    const ids = new Set(generos.map(g => g.id));
+    const resultado = [];
+    const visitados = new Set();
+    const visitar = (genero, nivel) => {
+        if (visitados.has(genero.id)) return;
+        visitados.add(genero.id);
+        resultado.push({ genero: genero, nivel: nivel });
+        generos.filter(g => g.padre === genero.id).forEach(hijo => visitar(hijo, nivel + 1));
+    };
+    generos.filter(g => g.padre === null || !ids.has(g.padre)).forEach(g => visitar(g, 0));
+    // Con datos corruptos (un ciclo) algún género no cuelga de ningún principal
+    generos.forEach(g => visitar(g, 0));
+    return resultado;
+}
+
+/**
+ * Comprueba los datos de una persona: nombre de 1 a 100 caracteres.
+ * Se admiten nombres repetidos, ya que puede haber personas homónimas.
+ * @param {{id: number, nombre: string}} datos - Datos a comprobar.
+ * @returns {ErrorCampo[]} Errores encontrados (vacío si los datos son válidos).
+ */
+function validarPersona(datos) {
+    const nombre = (datos.nombre || '').trim();
+    if (nombre === '') {
+        return [{ campo: 'nombre', mensaje: "El nombre no puede estar vacío." }];
+    }
+    if (nombre.length > 100) {
+        return [{ campo: 'nombre', mensaje: "El nombre no puede superar los 100 caracteres." }];
+    }
+    return [];
+}
+
+/**
+ * Comprueba una lista: tipo de TIPOS_LISTA; en las personales, nombre de
+ * 1 a 60 caracteres que no repita el de otra lista del usuario (ni el de las
+ * especiales); películas sin repetir y, solo en la de vistas, con una fecha
+ * válida que no sea futura.
+ * @param {{id: number, tipo: string, nombre: string, elementos: ElementoLista[]}} datos - Datos a comprobar.
+ * @param {Array<{id: number, nombre: string}>} [listasExistentes=[]] - Listas del mismo usuario.
+ * @returns {ErrorCampo[]} Errores encontrados (vacío si los datos son válidos).
+ */
+function validarLista(datos, listasExistentes = []) {
+    const errores = [];
+    if (!Object.prototype.hasOwnProperty.call(TIPOS_LISTA, datos.tipo)) {
+        return [{ campo: 'tipo', mensaje: "El tipo de lista no es válido." }];
+    }
+
+    if (datos.tipo === 'personal') {
+        const nombre = (datos.nombre || '').trim();
+        const clave = normalizarTexto(nombre);
+        if (nombre === '') {
+            errores.push({ campo: 'nombre', mensaje: "El nombre de la lista no puede estar vacío." });
+        } else if (nombre.length > 60) {
+            errores.push({ campo: 'nombre', mensaje: "El nombre de la lista no puede superar los 60 caracteres." });
+        } else if (Object.values(TIPOS_LISTA).some(n => normalizarTexto(n) === clave) ||
+            listasExistentes.some(l => l.id !== datos.id && normalizarTexto(l.nombre) === clave)) {
+            errores.push({ campo: 'nombre', mensaje: "Ya tienes una lista con ese nombre." });
+        }
+    }
+
+    const elementos = datos.elementos || [];
+    if (new Set(elementos.map(e => e.pelicula)).size !== elementos.length) {
+        errores.push({ campo: 'elementos', mensaje: "Una película no puede estar dos veces en la misma lista." });
+    }
+    elementos.forEach(e => {
+        if (datos.tipo !== 'vistas') {
+            if (e.vista !== null) errores.push({ campo: 'vista', mensaje: "Solo la lista de vistas guarda la fecha en que se vio." });
+        } else if (!/^\d{4}-\d{2}-\d{2}$/.test(e.vista || '') || isNaN(new Date(e.vista).getTime())) {
+            errores.push({ campo: 'vista', mensaje: "La fecha en que se vio debe tener el formato AAAA-MM-DD." });
+        } else if (e.vista > fechaHoyISO()) {
+            errores.push({ campo: 'vista', mensaje: "La fecha en que se vio no puede ser futura." });
+        }
+    });
+    return errores;
+}
+
+// --- DUPLICADOS ---
+
+/**
+ * Normaliza un texto para compararlo: quita acentos y mayúsculas y reduce
+ * signos de puntuación y espacios repetidos a un único espacio.
+ * Así "The Matrix", "the  matrix" y "The Mátrix!" se consideran iguales.
+ * @param {string} texto - Texto a normalizar.
+ * @returns {string} Texto normalizado.
+ */
+function normalizarTexto(texto) {
+    return (texto || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Indica si dos películas parecen la misma: mismo título normalizado y
+ * año de estreno igual o con una diferencia de como mucho margenAnios.
+ * @param {{titulo: string, fecha: string}} a - Primera película.
+ * @param {{titulo: string, fecha: string}} b - Segunda película.
+ * @param {number} [margenAnios=1] - Diferencia máxima de años.
+ * @returns {boolean}
+ */
+function sonPosiblesDuplicados(a, b, margenAnios = 1) {
+    if (normalizarTexto(a.titulo) !== normalizarTexto(b.titulo)) return false;
+    return Math.abs(parseInt(a.fecha) - parseInt(b.fecha)) <= margenAnios;
+}
+
+/**
+ * Busca en una lista las películas que parecen duplicados de otra.
+ * @param {{id: (number|undefined), titulo: string, fecha: string}} datos - Película a comprobar.
+ * @param {Pelicula[]} peliculas - Películas con las que comparar.
+ * @returns {Pelicula[]} Posibles duplicados (sin incluir la propia película).
+ */
+function buscarDuplicados(datos, peliculas) {
+    return peliculas.filter(p => p.id !== datos.id && sonPosiblesDuplicados(datos, p));
+}
+
+/**
+ * Agrupa todas las películas que parecen duplicadas entre sí.
+ * Dos películas van en el mismo grupo si son posibles duplicados directamente
+ * o a través de otra película del grupo.
+ * @param {Pelicula[]} peliculas - Lista completa de películas.
+ * @returns {Pelicula[][]} Grupos con dos o más películas, ordenadas por ID.
+ */
+function agruparDuplicados(peliculas) {
+    const porTitulo = new Map();
+    peliculas.forEach(p => {
+        const clave = normalizarTexto(p.titulo);
+        if (!porTitulo.has(clave)) porTitulo.set(clave, []);
+        porTitulo.get(clave).push(p);
+    });
+
+    const grupos = [];
+    porTitulo.forEach(mismoTitulo => {
+        // Ordenadas por fecha, cada película se une al grupo de la anterior si están cerca
+        mismoTitulo.sort((a, b) => a.fecha.localeCompare(b.fecha));
+        let grupo = [];
+        mismoTitulo.forEach(p => {
+            if (grupo.length > 0 && !sonPosiblesDuplicados(grupo[grupo.length - 1], p)) {
+                if (grupo.length > 1) grupos.push(grupo);
+                grupo = [];
+            }
+            grupo.push(p);
+        });
+        if (grupo.length > 1) grupos.push(grupo);
+    });
+
+    return grupos.map(g => g.sort((a, b) => a.id - b.id));
+}
+
+// --- RECOMENDACIONES ---
+
+/**
+ * Peso de cada criterio en similitudPeliculas. Suman 1, así que la similitud va de 0 a 1.
+ * @type {{generos: number, anio: number, popularidad: number}}
+ */
+const PESOS_SIMILITUD = { generos: 0.6, anio: 0.25, popularidad: 0.15 };
+
+/**
+ * Diferencia de años a partir de la cual la cercanía de estreno ya no suma.
+ * @type {number}
+ */
+const ANIOS_SIMILITUD = 20;
+
+/**
+ * Parecido de una película candidata con otra de referencia, de 0 a 1:
+ * géneros en común (coeficiente de Jaccard), cercanía del año de estreno
+ * y popularidad de la candidata (ver PESOS_SIMILITUD).
+ * Si no comparten ningún género la similitud es 0.
+ * @param {Pelicula} referencia - Película con la que comparar.
+ * @param {Pelicula} candidata - Película que se puntúa.
+ * @returns {number}
+ */
+function similitudPeliculas(referencia, candidata) {
+    const comunes = candidata.generos.filter(id => referencia.generos.includes(id)).length;
+    if (comunes === 0) return 0;
+    const total = new Set(referencia.generos.concat(candidata.generos)).size;
+    const distancia = Math.abs(parseInt(referencia.fecha) - parseInt(candidata.fecha));
+    return PESOS_SIMILITUD.generos * comunes / total +
+        PESOS_SIMILITUD.anio * Math.max(0, 1 - distancia / ANIOS_SIMILITUD) +
+        PESOS_SIMILITUD.popularidad * candidata.popularidad / 100;
+}
+
+/**
+ * Películas más parecidas a una dada (ver similitudPeliculas).
+ * @param {Pelicula} pelicula - Película de referencia.
+ * @param {Pelicula[]} peliculas - Catálogo donde buscar.
+ * @param {number} [n=5] - Número máximo de resultados.
+ * @returns {Array<{pelicula: Pelicula, similitud: number}>} De más a menos
+ *   parecida; a igual similitud, por ID, para que el resultado sea siempre el mismo.
+ */
+function peliculasSimilares(pelicula, peliculas, n = 5) {
+    return peliculas
+        .filter(p => p.id !== pelicula.id)
+        .map(p => ({ pelicula: p, similitud: similitudPeliculas(pelicula, p) }))
+        .filter(r => r.similitud > 0)
+        .sort((a, b) => b.similitud - a.similitud || a.pelicula.id - b.pelicula.id)
+        .slice(0, n);
+}
+
+/**
+ * Recomendaciones para un usuario a partir de sus votos activos. Cada voto
+ * pesa de -1 (un 1) a +1 (un 10), de modo que las películas parecidas a las
+ * que le gustaron suben y las parecidas a las que no le gustaron bajan.
+ * Sin votos, o si nada se parece a lo votado, se recomiendan las más populares.
+ * Nunca se recomiendan películas que el usuario ya ha votado.
+ * @param {string} usuario - ID del usuario.
+ * @param {Pelicula[]} peliculas - Catálogo completo.
+ * @param {number} [n=10] - Número máximo de resultados.
+ * @returns {Array<{pelicula: Pelicula, puntuacion: number, motivo: string}>}
+ *   De mayor a menor puntuación; a igual puntuación, por ID.
+ */
+function recomendarPara(usuario, peliculas, n = 10) {
+    const votadas = peliculas
+        .filter(p => p.votoDe(usuario))
+        .map(p => ({ pelicula: p, voto: p.votoDe(usuario).valor, peso: (p.votoDe(usuario).valor - 5.5) / 4.5 }));
+    const candidatas = peliculas.filter(p => !p.votoDe(usuario));
+
+    const recomendaciones = candidatas.map(candidata => {
+        let afinidad = 0;
+        let mejor = null;
+        votadas.forEach(v => {
+            const aporte = v.peso * similitudPeliculas(v.pelicula, candidata);
+            afinidad += aporte;
+            if (aporte > 0 && (mejor === null || aporte > mejor.aporte)) mejor = { aporte, votada: v };
+        });
+        if (votadas.length > 0) afinidad = afinidad / votadas.length;
+        if (mejor === null) {
+            // Nada parecido a lo que le gustó: cuenta la popularidad, y las que se parecen a lo que no le gustó bajan
+            return { pelicula: candidata, porVotos: false, puntuacion: candidata.popularidad / 100 + afinidad, motivo: 'Popular en el catálogo' };
+        }
+        return {
+            pelicula: candidata,
+            porVotos: true,
+            puntuacion: afinidad,
+            motivo: `Porque votaste ${mejor.votada.voto} a "${mejor.votada.pelicula.titulo}"`
+        };
+    });
+
+    // Primero las que se apoyan en los votos del usuario y después las populares
+    return recomendaciones
+        .sort((a, b) => b.porVotos - a.porVotos || b.puntuacion - a.puntuacion || a.pelicula.id - b.pelicula.id)
+        .map(r => ({ pelicula: r.pelicula, puntuacion: r.puntuacion, motivo: r.motivo }))
+        .slice(0, n);
+}
+
+// --- CUENTAS Y PERMISOS ---
+
+/**
+ * Cuenta de usuario tal y como se guarda (sin la contraseña en claro).
+ * @typedef {Object} Usuario
+ * @property {string} id - Identificador único ('u-...').
+ * @property {string} nombre - Nombre con el que inicia sesión.
+ * @property {string} rol - Clave de ROLES.
+ * @property {string} sal - Sal aleatoria en hexadecimal.
+ * @property {string} hash - PBKDF2-SHA256 de la contraseña con la sal, en hexadecimal.
+ * @property {number} creado - Momento del registro (milisegundos desde 1970).
+ */
+
+/**
+ * Roles de usuario y su nombre para mostrar.
+ * @type {Object<string, string>}
+ */
+const ROLES = {
+    espectador: 'Espectador',
+    editor: 'Editor',
+    administrador: 'Administrador'
+};
+
+/**
+ * Acciones que permite cada rol. Sin sesión iniciada se aplican las del
+ * espectador, salvo con servidor, que no acepta cambios sin sesión.
+ * El servidor comprueba los mismos permisos (ver servidor/servidor.js).
+ * - votar: votar películas, marcar reseñas útiles y gestionar las listas propias.
+ * - editar: añadir y modificar películas y géneros, importar, restaurar y deshacer.
+ * - eliminar: eliminar, fusionar y purgar.
+ * - administrar: cambiar el rol de otros usuarios y los ajustes del catálogo
+ *   (votos mínimos del ranking y días de retención de la papelera).
+ * @type {Object<string, string[]>}
+ */
+const PERMISOS_ROL = {
+    espectador: ['votar'],
+    editor: ['votar', 'editar'],
+    administrador: ['votar', 'editar', 'eliminar', 'administrar']
+};
+
+/**
+ * Comprueba el nombre y la contraseña de una cuenta nueva: nombre de 3 a 30
+ * letras, números, puntos, guiones o guiones bajos, y contraseña de al menos 8 caracteres.
+ * @param {string} nombre - Nombre de usuario.
+ * @param {string} clave - Contraseña.
+ * @returns {ErrorCampo[]} Errores encontrados (vacío si son válidos).
+ */
+function validarCuenta(nombre, clave) {
+    const errores = [];
+    if (!/^[\p{L}\p{N}._-]{3,30}$/u.test(nombre || '')) {
+        errores.push({ campo: 'usuario', mensaje: "El nombre debe tener de 3 a 30 letras, números, puntos o guiones." });
+    }
+    if ((clave || '').length < 8) {
+        errores.push({ campo: 'clave', mensaje: "La contraseña debe tener al menos 8 caracteres." });
+    }
+    return errores;
+}
+
+/**
+ * Convierte bytes en texto hexadecimal.
+ * @param {ArrayBuffer|Uint8Array} bytes - Bytes a convertir.
+ * @returns {string}
+ */
+function aHexadecimal(bytes) {
+    return Array.from(new Uint8Array(bytes)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Calcula el hash de una contraseña con PBKDF2-SHA256 (Web Crypto).
+ * @param {string} clave - Contraseña en claro.
+ * @param {string} sal - Sal en hexadecimal.
+ * @returns {Promise<string>} Hash en hexadecimal.
+ */
+async function hashClave(clave, sal) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(clave), 'PBKDF2', false, ['deriveBits']);
+    const bytesSal = new Uint8Array(sal.match(/../g).map(h => parseInt(h, 16)));
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: bytesSal, iterations: 100000 }, material, 256);
+    return aHexadecimal(bits);
+}
+
+// --- ESQUEMA Y MIGRACIONES ---
+
+/**
+ * Lista ordenada de migraciones del esquema persistido.
+ * La migración de la posición i convierte los datos de la versión i a la i + 1,
+ * por lo que la versión actual del esquema es la longitud de esta lista.
+ * Nunca se deben modificar ni reordenar las migraciones existentes: para
+ * cambiar el modelo se añade una nueva al final.
+ * @type {Array<function(AdaptadorAlmacenamiento): Promise<void>>}
+ */
+const MIGRACIONES = [
+    /**
+     * v0 → v1: los registros dejan de guardar el campo privado '_id' y pasan
+     * a usar 'id'; las películas sin 'puntuaciones' reciben un array vacío.
+     */
+    async function(almacenamiento) {
+        const generos = await almacenamiento.leerTodos('generos');
+        await almacenamiento.reemplazar('generos', generos.map(g => ({
+            clave: g._id,
+            valor: { id: g._id, nombre: g.nombre }
+        })));
+
+        const peliculas = await almacenamiento.leerTodos('peliculas');
+        await almacenamiento.reemplazar('peliculas', peliculas.map(p => ({
+            clave: p._id,
+            valor: {
+                id: p._id,
+                titulo: p.titulo,
+                fecha: p.fecha,
+                popularidad: p.popularidad,
+                generos: p.generos || [],
+                puntuaciones: p.puntuaciones || []
+            }
+        })));
+    },
+
+    /**
+     * v1 → v2: los votos pasan de números sueltos ('puntuaciones') a registros
+     * por usuario ('votos'). Los votos existentes no tienen usuario y se
+     * conservan como votos legados (ver Pelicula.votoLegado), también los de
+     * las películas que están en la papelera. El historial de deshacer se
+     * vacía porque guarda registros en el formato anterior.
+     */
+    async function(almacenamiento) {
+        const convertir = p => {
+            const datos = Object.assign({}, p, {
+                votos: (p.puntuaciones || []).map(valor => ({ usuario: null, valor: valor, instante: null, activo: true }))
+            });
+            delete datos.puntuaciones;
+            return datos;
+        };
+
+        const peliculas = await almacenamiento.leerTodos('peliculas');
+        const papelera = await almacenamiento.leerTodos('papelera');
+        const operaciones = peliculas.map(p => ({ tipo: 'escribir', coleccion: 'peliculas', clave: p.id, valor: convertir(p) }));
+        papelera.filter(e => e.tipo === 'pelicula').forEach(e => {
+            operaciones.push({ tipo: 'escribir', coleccion: 'papelera', clave: e.clave, valor: Object.assign({}, e, { datos: convertir(e.datos) }) });
+        });
+        await almacenamiento.lote(operaciones);
+        await almacenamiento.escribirMeta('cmdb_historial', null);
+    },
+
+    /**
+     * v2 → v3: las películas tienen ficha (título original, sinopsis, duración,
+     * país, idioma, calificación por edades y póster). Las existentes, también
+     * las de la papelera, reciben los valores vacíos de FICHA_VACIA. El historial
+     * de deshacer se vacía porque guarda registros sin esos campos.
+     */
+    async function(almacenamiento) {
+        const completar = p => Object.assign({}, FICHA_VACIA, p);
+
+        const peliculas = await almacenamiento.leerTodos('peliculas');
+        const papelera = await almacenamiento.leerTodos('papelera');
+        const operaciones = peliculas.map(p => ({ tipo: 'escribir', coleccion: 'peliculas', clave: p.id, valor: completar(p) }));
+        papelera.filter(e => e.tipo === 'pelicula').forEach(e => {
+            operaciones.push({ tipo: 'escribir', coleccion: 'papelera', clave: e.clave, valor: Object.assign({}, e, { datos: completar(e.datos) }) });
+        });
+        await almacenamiento.lote(operaciones);
+        await almacenamiento.escribirMeta('cmdb_historial', null);
+    },
+
+    /**
+     * v3 → v4: las películas tienen créditos (personas de la colección
+     * 'personas' con su rol). Las existentes, también las de la papelera,
+     * empiezan sin créditos. El historial de deshacer se vacía.
+     */
+    async function(almacenamiento) {
+        const completar = p => Object.assign({}, p, { creditos: p.creditos || [] });
+
+        const peliculas = await almacenamiento.leerTodos('peliculas');
+        const papelera = await almacenamiento.leerTodos('papelera');
+        const operaciones = peliculas.map(p => ({ tipo: 'escribir', coleccion: 'peliculas', clave: p.id, valor: completar(p) }));
+        papelera.filter(e => e.tipo === 'pelicula').forEach(e => {
+            operaciones.push({ tipo: 'escribir', coleccion: 'papelera', clave: e.clave, valor: Object.assign({}, e, { datos: completar(e.datos) }) });
+        });
+        await almacenamiento.lote(operaciones);
+        await almacenamiento.escribirMeta('cmdb_historial', null);
+    },
+
+    /**
+     * v4 → v5: películas, géneros y personas llevan una revisión (ver
+     * DataService._comprobarRevision) y los géneros pueden colgar de otro
+     * ('padre'). Los existentes, también los de la papelera, reciben la
+     * revisión 0 y los géneros quedan como principales. El historial se
+     * conserva: deshacer no compara la revisión y un 'padre' ausente equivale a null.
+     */
+    async function(almacenamiento) {
+        const completar = (tipo, r) => Object.assign({}, r, tipo === 'genero' ? { padre: r.padre || null } : {}, { revision: r.revision || 0 });
+        const colecciones = { pelicula: 'peliculas', genero: 'generos', persona: 'personas' };
+
+        const operaciones = [];
+        for (const tipo of Object.keys(colecciones)) {
+            const registros = await almacenamiento.leerTodos(colecciones[tipo]);
+            registros.forEach(r => operaciones.push({ tipo: 'escribir', coleccion: colecciones[tipo], clave: r.id, valor: completar(tipo, r) }));
+        }
+        const papelera = await almacenamiento.leerTodos('papelera');
+        papelera.filter(e => e.tipo in colecciones).forEach(e => {
+            operaciones.push({ tipo: 'escribir', coleccion: 'papelera', clave: e.clave, valor: Object.assign({}, e, { datos: completar(e.tipo, e.datos) }) });
+        });
+        await almacenamiento.lote(operaciones);
+    }
+];
+
+/**
+ * Versión actual del esquema de datos persistidos.
+ * @type {number}
+ */
+const VERSION_ESQUEMA = MIGRACIONES.length;
+
+// --- GESTIÓN DEL ALMACENAMIENTO Y DATOS ---
+
+/**
+ * Elemento eliminado que se guarda en la papelera.
+ * @typedef {Object} EntradaPapelera
+ * @property {string} clave - Clave única de la entrada ('<tipo>:<id>:<eliminado>').
+ * @property {string} tipo - 'pelicula', 'genero' o 'persona'.
+ * @property {number} eliminado - Momento de la eliminación (milisegundos desde 1970).
+ * @property {Object} datos - Registro tal y como estaba guardado (ver toJSON).
+ */
+
+/**
+ * Cambio de un registro dentro de una operación del historial.
+ * @typedef {Object} CambioHistorial
+ * @property {string} coleccion - Colección del registro.
+ * @property {(number|string)} clave - Clave del registro.
+ * @property {Object|null} antes - Registro antes de la operación (null si no existía).
+ * @property {Object|null} despues - Registro después de la operación (null si se borró).
+ */
+
+/**
+ * Operación reversible del historial de deshacer/rehacer.
+ * @typedef {Object} OperacionHistorial
+ * @property {string} descripcion - Texto para el usuario, p. ej. 'Editar película "Dune"'.
+ * @property {number} instante - Momento en que se hizo (milisegundos desde 1970).
+ * @property {CambioHistorial[]} cambios - Registros que modificó.
+ */
+
+/**
+ * Entrada del registro de auditoría: un cambio en una película, un género o una persona.
+ * @typedef {Object} EntradaAuditoria
+ * @property {string} clave - Clave única de la entrada.
+ * @property {number} instante - Momento del cambio (milisegundos desde 1970).
+ * @property {string} editor - Nombre de quien hizo el cambio (ver getNombreEditor).
+ * @property {string} entidad - 'pelicula', 'genero' o 'persona'.
+ * @property {number} id - ID del registro cambiado.
+ * @property {string} nombre - Título o nombre del registro, para mostrarlo aunque ya no exista.
+ * @property {string} accion - Una de las claves de ACCIONES_AUDITORIA.
+ * @property {Object<string, {antes: *, despues: *}>} cambios - Campos que cambiaron.
+ */
+
+/**
+ * Acciones que se apuntan en la auditoría, con su nombre para el usuario.
+ * @type {Object<string, string>}
+ */
+const ACCIONES_AUDITORIA = {
+    crear: 'Crear',
+    modificar: 'Modificar',
+    votar: 'Votar',
+    retirarVoto: 'Retirar voto',
+    marcarUtil: 'Marcar reseña útil',
+    eliminar: 'Eliminar',
+    restaurar: 'Restaurar',
+    purgar: 'Purgar',
+    fusionar: 'Fusionar',
+    importar: 'Importar',
+    reemplazar: 'Reemplazar',
+    deshacer: 'Deshacer',
+    rehacer: 'Rehacer'
+};
+
+/**
+ * Colecciones cuyos cambios se auditan y la entidad a la que corresponden.
+ * Sus registros llevan además un número de revisión (ver DataService._comprobarRevision).
+ * @type {Object<string, string>}
+ */
+const ENTIDADES_AUDITADAS = {
+    peliculas: 'pelicula',
+    generos: 'genero',
+    personas: 'persona'
+};
+
+/**
+ * Nombre para mostrar de cada tipo de registro (entidades de la auditoría
+ * y tipos de la papelera).
+ * @type {Object<string, string>}
+ */
+const NOMBRES_ENTIDAD = {
+    pelicula: 'Película',
+    genero: 'Género',
+    persona: 'Persona'
+};
+
+/**
+ * Compara dos versiones de un registro campo a campo.
+ * @param {Object|null} antes - Registro antes del cambio (null si no existía).
+ * @param {Object|null} despues - Registro después del cambio (null si se borró).
+ * @returns {Object<string, {antes: *, despues: *}>} Campos distintos con sus dos valores
+ *     (null en el lado donde el registro no existe).
+ */
+function diferenciasRegistro(antes, despues) {
+    const diferencias = {};
+    // La revisión cambia en cada escritura y no es un dato del registro
+    const campos = Object.keys(Object.assign({}, antes, despues)).filter(campo => campo !== 'revision');
+    campos.forEach(campo => {
+        const valorAntes = antes && campo in antes ? antes[campo] : null;
+        const valorDespues = despues && campo in despues ? despues[campo] : null;
+        if (JSON.stringify(valorAntes) !== JSON.stringify(valorDespues)) {
+            diferencias[campo] = { antes: valorAntes, despues: valorDespues };
+        }
+    });
+    return diferencias;
+}
+
+/**
+ * Indica si dos versiones de un registro tienen los mismos datos, sin tener en
+ * cuenta la revisión.
+ * @param {Object|null} a - Una versión (null si el registro no existe).
+ * @param {Object|null} b - La otra versión.
+ * @returns {boolean}
+ */
+function mismoContenido(a, b) {
+    if (a === null || b === null) return a === b;
+    return Object.keys(diferenciasRegistro(a, b)).length === 0;
+}
+
+/**
+ * Combina campo a campo dos versiones de un registro que parten de la misma
+ * base: la propia (lo que se iba a guardar) y la ajena (lo que otra pestaña
+ * guardó entretanto). Los campos que solo cambió una de las dos se toman de
+ * ella; los que cambiaron ambas de forma distinta son conflictos y se
+ * resuelven con la versión propia.
+ * @param {Object} base - Registro tal y como se leyó (forma persistida).
+ * @param {Object} propio - Registro con los cambios propios.
+ * @param {Object} ajeno - Registro guardado actualmente.
+ * @returns {{resultado: Object, ajenos: string[], conflictos: string[]}} Registro
+ *   combinado (con la revisión de la versión ajena), campos que solo cambió la
+ *   otra pestaña y campos que cambiaron ambas.
+ */
+function fusionarCambios(base, propio, ajeno) {
+    const cambiosPropios = diferenciasRegistro(base, propio);
+    const cambiosAjenos = diferenciasRegistro(base, ajeno);
+    const resultado = Object.assign({}, ajeno);
+    const ajenos = [];
+    const conflictos = [];
+
+    Object.keys(cambiosPropios).forEach(campo => {
+        resultado[campo] = cambiosPropios[campo].despues;
+        if (campo in cambiosAjenos && JSON.stringify(cambiosAjenos[campo].despues) !== JSON.stringify(cambiosPropios[campo].despues)) {
+            conflictos.push(campo);
+        }
+    });
+    Object.keys(cambiosAjenos).forEach(campo => {
+        if (!(campo in cambiosPropios)) ajenos.push(campo);
+    });
+    return { resultado: resultado, ajenos: ajenos, conflictos: conflictos };
+}
+
+/**
+ * Nombre del BroadcastChannel (o de la clave de LocalStorage) por el que las
+ * pestañas se avisan de los cambios.
+ * @type {string}
+ */
+const CANAL_CAMBIOS = 'cmdb_cambios';
+
+/**
+ * Servicio para gestionar la persistencia de datos (Simula una BD).
+ * Delega en un adaptador de almacenamiento (IndexedDB por defecto, ver almacenamiento.js).
+ * Todas las operaciones de lectura y escritura son asíncronas y devuelven una Promise.
+ * @namespace DataService
+ * @type {Object}
+ */
+const DataService = {
+    /**
+     * Adaptador de almacenamiento en uso (null hasta la inicialización).
+     * @type {AdaptadorAlmacenamiento|null}
+     * @memberof DataService
+     */
+    almacenamiento: null,
+
+    /**
+     * Promesa de la inicialización en curso o terminada.
+     * @type {Promise<void>|null}
+     * @private
+     */
+    _inicializacion: null,
+
+    /**
+     * Número máximo de operaciones que se pueden deshacer.
+     * @type {number}
+     * @memberof DataService
+     */
+    limiteHistorial: 50,
+
+    /**
+     * Canal por el que se avisa a las demás pestañas de cada cambio
+     * (false si el navegador no tiene BroadcastChannel y se usa LocalStorage;
+     * null hasta la inicialización).
+     * @type {BroadcastChannel|false|null}
+     * @private
+     */
+    _canal: null,
+
+    /**
+     * Cambia el adaptador de almacenamiento (por ejemplo, AlmacenamientoMemoria en pruebas).
+     * Debe llamarse antes de inicializar; obliga a repetir la inicialización.
+     * @method
+     * @memberof DataService
+     * @param {AdaptadorAlmacenamiento} adaptador - Adaptador a utilizar.
+     */
+    usarAlmacenamiento: function(adaptador) {
+        this.almacenamiento = adaptador;
+        this._inicializacion = null;
+    },
+
+    /**
+     * Inicializa el almacenamiento y los datos la primera vez que se llama.
+     * Las llamadas posteriores devuelven la misma promesa, por lo que los
+     * controladores pueden esperarla sin repetir el trabajo.
+     * @method
+     * @memberof DataService
+     * @returns {Promise<void>} Se resuelve cuando los datos están listos.
+     */
+    inicializar: function() {
+        if (!this._inicializacion) {
+            this._inicializacion = this._prepararDatos();
+        }
+        return this._inicializacion;
+    },
+
+    /**
+     * Abre el almacenamiento y, si está vacío, importa los datos que versiones
+     * anteriores guardaban en LocalStorage o crea los datos de ejemplo.
+     * @method
+     * @memberof DataService
+     * @private
+     * @returns {Promise<void>}
+     */
+    _prepararDatos: async function() {
+        if (!this.almacenamiento) {
+            this.almacenamiento = crearAlmacenamientoPorDefecto();
+        }
+        try {
+            await this.almacenamiento.abrir();
+        } catch (error) {
+            // IndexedDB puede no estar disponible (p. ej. navegación privada)
+            console.error('No se pudo abrir el almacenamiento, se usará LocalStorage.', error);
+            this.almacenamiento = new AlmacenamientoLocal();
+            await this.almacenamiento.abrir();
+        }
+        await this.sincronizar();
+
+        if (!(await this.almacenamiento.leerMeta('cmdb_inicializado'))) {
+            // Los datos importados conservan su versión antigua y se migran a continuación
+            if (!(await this._importarDatosLocalStorage())) {
+                await this._crearDatosEjemplo();
+                await this.almacenamiento.escribirMeta('cmdb_schema_version', VERSION_ESQUEMA);
+            }
+            await this.almacenamiento.escribirMeta('cmdb_inicializado', true);
+        }
+
+        await this._migrar();
+        // Con servidor, purgar necesita una sesión que pueda eliminar
+        if (await this._permite('eliminar')) await this._purgarCaducados();
+        this._escucharCambios();
+    },
+
+    // --- SINCRONIZACIÓN ENTRE PESTAÑAS ---
+
+    /**
+     * Empieza a escuchar los cambios hechos en otras pestañas: cada aviso se
+     * convierte en un evento 'datoscambiados' en document, con
+     * detail = {colecciones, externo: true}, para que la página recargue.
+     * Se usa BroadcastChannel y, si no existe, el evento 'storage' de LocalStorage.
+     * Si el almacenamiento tiene cola sin conexión, también se envía al volver la conexión.
+     * @method
+     * @memberof DataService
+     * @private
+     */
+    _escucharCambios: function() {
+        if (this._canal !== null) return;
+        if (typeof this.almacenamiento.sincronizar === 'function') {
+            window.addEventListener('online', () => this.sincronizar());
+        }
+        const avisar = colecciones => document.dispatchEvent(new CustomEvent('datoscambiados', {
+            detail: { colecciones: colecciones, externo: true }
+        }));
+
+        if (typeof BroadcastChannel === 'function') {
+            this._canal = new BroadcastChannel(CANAL_CAMBIOS);
+            this._canal.addEventListener('message', e => avisar(e.data.colecciones));
+            return;
+        }
+        this._canal = false;
+        window.addEventListener('storage', e => {
+            if (e.key === CANAL_CAMBIOS && e.newValue) avisar(JSON.parse(e.newValue).colecciones);
+        });
+    },
+
+    // --- CAMBIOS SIN CONEXIÓN ---
+
+    /**
+     * Envía al servidor los cambios hechos sin conexión, si el almacenamiento
+     * los admite (ver AlmacenamientoRemoto#sincronizar). Se llama al abrir la
+     * página y cada vez que vuelve la conexión. Si se ha enviado o descartado
+     * algo se lanzan en document el evento 'pendientesenviados' (detail =
+     * ResultadoSincronizacion) y 'datoscambiados', porque la copia local se
+     * ha actualizado con lo que hay en el servidor.
+     * Entre pestañas se usa un cerrojo para no enviar dos veces la misma cola.
+     * @method
+     * @memberof DataService
+     * @returns {Promise<ResultadoSincronizacion|null>} Resultado, o null si el almacenamiento no tiene cola.
+     */
+    sincronizar: async function() {
+        if (typeof this.almacenamiento.sincronizar !== 'function') return null;
+        const enviar = () => this.almacenamiento.sincronizar();
+        const resultado = typeof navigator !== 'undefined' && navigator.locks
+            ? await navigator.locks.request(CANAL_CAMBIOS, enviar)
+            : await enviar();
+
+        if (resultado.enviados > 0 || resultado.conflictos.length > 0) {
+            document.dispatchEvent(new CustomEvent('pendientesenviados', { detail: resultado }));
+            const colecciones = ['peliculas', 'generos', 'personas', 'papelera', 'listas', 'auditoria'];
+            document.dispatchEvent(new CustomEvent('datoscambiados', { detail: { colecciones: colecciones, externo: true } }));
+        }
+        return resultado;
+    },
+
+    /**
+     * Número de cambios hechos sin conexión que esperan a enviarse (0 si el
+     * almacenamiento no trabaja con servidor).
+     * @method
+     * @memberof DataService
+     * @returns {Promise<number>}
+     */
+    contarPendientes: async function() {
+        await this.inicializar();
+        if (typeof this.almacenamiento.contarPendientes !== 'function') return 0;
+        return this.almacenamiento.contarPendientes();
+    },
+
+    /**
+     * Avisa a las demás pestañas de que han cambiado unas colecciones.
+     * La pestaña que hace el cambio no recibe el aviso.
+     * @method
+     * @memberof DataService
+     * @private
+     * @param {string[]} colecciones - Colecciones modificadas.
+     */
+    _avisarCambio: function(colecciones) {
+        const aviso = { colecciones: [...new Set(colecciones)] };
+        if (this._canal) {
+            this._canal.postMessage(aviso);
+        } else if (this._canal === false) {
+            // El evento 'storage' solo salta si el valor cambia
+            aviso.instante = Date.now() + Math.random();
+            localStorage.setItem(CANAL_CAMBIOS, JSON.stringify(aviso));
+        }
+    },
+
+    /**
+     * Comprueba que un registro no ha cambiado desde que se leyó, comparando su
+     * revisión con la guardada. Cada escritura incrementa la revisión (ver
+     * _ejecutar), así que una pestaña con una copia antigua no puede pisar los
+     * cambios de otra.
+     * @method
+     * @memberof DataService
+     * @private
+     * @param {Object|null} guardado - Registro almacenado (null si no existe).
+     * @param {(Pelicula|Genero|Persona)} entidad - Registro que se quiere guardar.
+     * @param {{fromJSON: function(Object): Object}} clase - Clase del registro, para devolver la versión actual.
+     * @throws {ErrorConflicto} Si otra pestaña lo ha modificado o eliminado.
+     */
+    _comprobarRevision: function(guardado, entidad, clase) {
+        if (guardado === null) {
+            if (entidad.revision > 0) {
+                throw new ErrorConflicto("El registro se ha eliminado en otra pestaña mientras lo editabas.", null);
+            }
+            return;
+        }
+        if ((guardado.revision || 0) !== entidad.revision) {
+            throw new ErrorConflicto("El registro se ha modificado en otra pestaña mientras lo editabas.", clase.fromJSON(guardado));
+        }
+    },
+
+    /**
+     * Crea los géneros, personas y películas de ejemplo en la versión actual del esquema.
+     * @method
+     * @memberof DataService
+     * @private
+     * @returns {Promise<void>}
+     */
+    _crearDatosEjemplo: async function() {
+        const generosIniciales = [
+            new Genero(1, "Ciencia Ficción"),
+            new Genero(2, "Drama")
+        ];
+        await this.almacenamiento.reemplazar('generos', generosIniciales.map(g => ({ clave: g.id, valor: g })));
+
+        // Creamos 5 películas de ejemplo según el enunciado
+        const peliculasInit = [
+            new Pelicula(1, "Inception", "2010-07-16", 90, [1, 2]),
+            new Pelicula(2, "Interstellar", "2014-11-07", 95, [1, 2]),
+            new Pelicula(3, "The Matrix", "1999-03-31", 100, [1]),
+            new Pelicula(4, "El Padrino", "1972-03-14", 98, [2]),
+            new Pelicula(5, "Dune", "2021-09-17", 85, [1])
+        ];
+        // Simulamos algunos votos
+        peliculasInit[0].votos = [8, 9, 10].map(Pelicula.votoLegado);
+        peliculasInit[1].votos = [9, 9, 8].map(Pelicula.votoLegado);
+        peliculasInit[2].votos = [10, 9, 10, 8].map(Pelicula.votoLegado);
+
+        const personasIniciales = [
+            new Persona(1, "Christopher Nolan"),
+            new Persona(2, "Keanu Reeves"),
+            new Persona(3, "Francis Ford Coppola"),
+            new Persona(4, "Denis Villeneuve")
+        ];
+        await this.almacenamiento.reemplazar('personas', personasIniciales.map(p => ({ clave: p.id, valor: p })));
+        peliculasInit[0].creditos = [{ persona: 1, rol: 'director', personaje: '' }, { persona: 1, rol: 'guionista', personaje: '' }];
+        peliculasInit[1].creditos = [{ persona: 1, rol: 'director', personaje: '' }];
+        peliculasInit[2].creditos = [{ persona: 2, rol: 'actor', personaje: 'Neo' }];
+        peliculasInit[3].creditos = [{ persona: 3, rol: 'director', personaje: '' }, { persona: 3, rol: 'guionista', personaje: '' }];
+        peliculasInit[4].creditos = [{ persona: 4, rol: 'director', personaje: '' }];
+        await this.almacenamiento.reemplazar('peliculas', peliculasInit.map(p => ({ clave: p.id, valor: p })));
+    },
+
+    /**
+     * Ejecuta en orden las migraciones pendientes desde la versión guardada en
+     * 'cmdb_schema_version' hasta VERSION_ESQUEMA. Los datos sin versión se
+     * consideran de la versión 0. La versión se guarda tras cada paso para no
+     * repetir migraciones si la página se cierra a mitad.
+     * @method
+     * @memberof DataService
+     * @private
+     * @returns {Promise<void>}
+     */
+    _migrar: async function() {
+        let version = (await this.almacenamiento.leerMeta('cmdb_schema_version')) || 0;
+        if (version > VERSION_ESQUEMA) {
+            throw new Error(`Los datos guardados (esquema v${version}) son de una versión más reciente de la aplicación (v${VERSION_ESQUEMA}).`);
+        }
+        while (version < VERSION_ESQUEMA) {
+            await MIGRACIONES[version](this.almacenamiento);
+            version++;
+            await this.almacenamiento.escribirMeta('cmdb_schema_version', version);
+        }
+    },
+
+    /**
+     * Copia al almacenamiento actual los arrays 'cmdb_generos' y 'cmdb_peliculas'
+     * que las versiones anteriores guardaban en LocalStorage, y los elimina.
+     * @method
+     * @memberof DataService
+     * @private
+     * @returns {Promise<boolean>} true si había datos que importar.
+     */
+    _importarDatosLocalStorage: async function() {
+        if (typeof localStorage === 'undefined') return false;
+        const generos = JSON.parse(localStorage.getItem('cmdb_generos'));
+        const peliculas = JSON.parse(localStorage.getItem('cmdb_peliculas'));
+        if (!generos && !peliculas) return false;
+
+        await this.almacenamiento.reemplazar('generos', (generos || []).map(g => ({ clave: g._id, valor: g })));
+        await this.almacenamiento.reemplazar('peliculas', (peliculas || []).map(p => ({ clave: p._id, valor: p })));
+        localStorage.removeItem('cmdb_generos');
+        localStorage.removeItem('cmdb_peliculas');
+        return true;
+    },
+
+    /**
+     * Lanza un ErrorValidacion si hay errores. Todas las escrituras pasan por
+     * aquí, de modo que las reglas se aplican sea cual sea quien guarda.
+     * @method
+     * @memberof DataService
+     * @private
+     * @param {ErrorCampo[]} errores - Errores devueltos por una validación.
+     * @param {string} [contexto] - Nombre del elemento, para los guardados en lote.
+     * @throws {ErrorValidacion}
+     */
+    _comprobar: function(errores, contexto) {
+        if (errores.length === 0) return;
+        if (contexto !== undefined) {
+            errores = errores.map(e => ({ campo: e.campo, mensaje: `${contexto}: ${e.mensaje}` }));
+        }
+        throw new ErrorValidacion(errores);
+    },
+
+    /**
+     * Recupera todos los géneros convertidos a instancias de la clase Genero.
+     * @method
+     * @memberof DataService
+     * @returns {Promise<Genero[]>} Array de instancias de Genero.
+     */
+    getGeneros: async function() {
+        await this.inicializar();
+        const datos = await this.almacenamiento.leerTodos('generos');
+        return datos.map(g => Genero.fromJSON(g));
+    },
+
+    /**
+     * Guarda la lista completa de géneros, sustituyendo la anterior.
+     * No se apunta en el historial de deshacer.
+     * @method
+     * @memberof DataService
+     * @param {Genero[]} generos - Array de géneros a guardar.
+     * @returns {Promise<void>}
+     * @throws {ErrorValidacion} Si algún género no es válido o hay nombres repetidos.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'editar'.
+     */
+    guardarGeneros: async function(generos) {
+        await this.exigirPermiso('editar');
+        generos.forEach(g => this._comprobar(g.validar(generos).concat(validarJerarquiaGenero(g, generos)), g.nombre));
+        await this._reemplazar('generos', generos);
+    },
+
+    /**
+     * Crea o actualiza un único género sin reescribir el resto.
+     * @method
+     * @memberof DataService
+     * @param {Genero} genero - Género a guardar.
+     * @returns {Promise<void>}
+     * @throws {ErrorValidacion} Si el género no es válido o su nombre ya existe.
+     * @throws {ErrorConflicto} Si otra pestaña lo ha cambiado desde que se leyó.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'editar'.
+     */
+    guardarGenero: async function(genero) {
+        await this.exigirPermiso('editar');
+        const generos = await this.getGeneros();
+        this._comprobar(genero.validar(generos).concat(validarJerarquiaGenero(genero, generos)));
+        this._comprobarRevision(await this.almacenamiento.leer('generos', genero.id), genero, Genero);
+        const existe = generos.some(g => g.id === genero.id);
+        await this._ejecutar(existe ? 'modificar' : 'crear', `${existe ? 'Editar' : 'Añadir'} género "${genero.nombre}"`, [
+            { tipo: 'escribir', coleccion: 'generos', clave: genero.id, valor: genero }
+        ]);
+    },
+
+    /**
+     * Devuelve las películas que tienen asignado un género.
+     * @method
+     * @memberof DataService
+     * @param {number} id - ID del género.
+     * @returns {Promise<Pelicula[]>}
+     */
+    peliculasConGenero: async function(id) {
+        const peliculas = await this.getPeliculas();
+        return peliculas.filter(p => p.generos.indexOf(id) !== -1);
+    },
+
+    /**
+     * Cambia el género del que cuelga un género (o lo deja como principal).
+     * @method
+     * @memberof DataService
+     * @param {number} id - ID del género a mover.
+     * @param {number|null} padre - ID del nuevo padre, o null para dejarlo como principal.
+     * @param {number} revision - Revisión del género cuando se leyó (la del árbol que ve el usuario).
+     * @returns {Promise<Genero>} El género movido.
+     * @throws {ErrorValidacion} Si el padre no existe o es uno de sus subgéneros.
+     * @throws {ErrorConflicto} Si otra pestaña lo ha cambiado desde que se leyó.
+     * @throws {Error} Si el género no existe.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'editar'.
+     */
+    moverGenero: async function(id, padre, revision) {
+        await this.exigirPermiso('editar');
+        this._comprobarRevision(await this.almacenamiento.leer('generos', id), { revision: revision }, Genero);
+        const generos = await this.getGeneros();
+        const genero = generos.find(g => g.id === id);
+        if (!genero) throw new Error(`Género con ID ${id} no encontrado.`);
+        if (genero.padre === padre) return genero;
+        genero.padre = padre;
+        this._comprobar(genero.validar(generos).concat(validarJerarquiaGenero(genero, generos)));
+
+        const destino = generos.find(g => g.id === padre);
+        const descripcion = destino
+            ? `Mover género "${genero.nombre}" dentro de "${destino.nombre}"`
+            : `Convertir "${genero.nombre}" en género principal`;
+        await this._ejecutar('modificar', descripcion, [
+            { tipo: 'escribir', coleccion: 'generos', clave: genero.id, valor: genero }
+        ]);
+        return genero;
+    },
+
+    /**
+     * Devuelve los subgéneros directos de un género.
+     * @method
+     * @memberof DataService
+     * @param {number} id - ID del género.
+     * @returns {Promise<Genero[]>}
+     */
+    subgenerosDe: async function(id) {
+        const generos = await this.getGeneros();
+        return generos.filter(g => g.padre === id);
+    },
+
+    /**
+     * Mueve un género a la papelera. No se permite si tiene subgéneros (se
+     * quedarían colgando de un género que no existe). Si hay películas que lo
+     * usan hay que indicar qué hacer con ellas: pasarlas a otro género o
+     * quitárselo, esto último solo si ninguna se queda sin géneros (como exige
+     * validarPelicula). Las películas y el género se guardan en una sola
+     * operación, que se deshace de una vez.
+     * @method
+     * @memberof DataService
+     * @param {number} id - ID del género a eliminar.
+     * @param {{modo: string, destino: (number|undefined)}} [peliculas] - Qué hacer con
+     *   sus películas: {modo: 'reasignar', destino: ID del otro género} o {modo: 'quitar'}.
+     * @returns {Promise<void>}
+     * @throws {ErrorIntegridad} Si tiene subgéneros, si hay películas y no se indica qué
+     *   hacer con ellas, o si al quitárselo alguna se quedaría sin géneros.
+     * @throws {ErrorValidacion} Si el género al que se pasan las películas no es válido.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'eliminar'.
+     */
+    eliminarGenero: async function(id, peliculas) {
+        await this.exigirPermiso('eliminar');
+        const subgeneros = await this.subgenerosDe(id);
+        if (subgeneros.length > 0) {
+            throw new ErrorIntegridad("No se puede eliminar el género: tiene subgéneros (" +
+                subgeneros.map(g => `"${g.nombre}"`).join(', ') + "). Muévalos a otro género o elimínelos primero.");
+        }
+
+        const afectadas = await this.peliculasConGenero(id);
+        let detalle = '';
+        if (afectadas.length > 0) {
+            if (!peliculas) {
+                throw new ErrorIntegridad("No se puede eliminar el género: hay películas asociadas a él. Elimine primero el género de las películas.");
+            }
+            const numero = `${afectadas.length} ${afectadas.length === 1 ? 'película' : 'películas'}`;
+            if (peliculas.modo === 'reasignar') {
+                const destino = (await this.getGeneros()).find(g => g.id === peliculas.destino);
+                if (!destino || destino.id === id) {
+                    this._comprobar([{ campo: 'destino', mensaje: "Elige el género al que pasar las películas." }]);
+                }
+                afectadas.forEach(p => {
+                    // Si ya tenía el género destino no se repite
+                    p.generos = p.generos.map(g => (g === id ? destino.id : g)).filter((g, i, lista) => lista.indexOf(g) === i);
+                });
+                detalle = ` y pasar ${numero} a "${destino.nombre}"`;
+            } else if (peliculas.modo === 'quitar') {
+                const sinGenero = afectadas.filter(p => p.generos.length === 1);
+                if (sinGenero.length > 0) {
+                    throw new ErrorIntegridad("No se puede quitar el género: " + sinGenero.map(p => `"${p.titulo}"`).join(', ') +
+                        (sinGenero.length === 1 ? " se quedaría" : " se quedarían") + " sin ningún género. Páselas a otro género.");
+                }
+                afectadas.forEach(p => { p.generos = p.generos.filter(g => g !== id); });
+                detalle = ` y quitarlo de ${numero}`;
+            } else {
+                throw new Error(`Modo no válido para las películas del género: ${peliculas.modo}.`);
+            }
+        }
+
+        const operaciones = afectadas.map(p => ({ tipo: 'escribir', coleccion: 'peliculas', clave: p.id, valor: p }));
+        await this._moverAPapelera('genero', 'generos', id, datos => `Eliminar género "${datos.nombre}"${detalle}`, operaciones);
+    },
+
+    /**
+     * Recupera todas las personas convertidas a instancias de la clase Persona,
+     * ordenadas por nombre.
+     * @method
+     * @memberof DataService
+     * @returns {Promise<Persona[]>} Array de instancias de Persona.
+     */
+    getPersonas: async function() {
+        await this.inicializar();
+        const datos = await this.almacenamiento.leerTodos('personas');
+        return datos.map(p => Persona.fromJSON(p)).sort((a, b) => a.nombre.localeCompare(b.nombre));
+    },
+
+    /**
+     * Recupera una única persona por su ID.
+     * @method
+     * @memberof DataService
+     * @param {number} id - ID de la persona.
+     * @returns {Promise<Persona|null>} La persona o null si no existe.
+     */
+    getPersona: async function(id) {
+        await this.inicializar();
+        const datos = await this.almacenamiento.leer('personas', id);
+        return datos ? Persona.fromJSON(datos) : null;
+    },
+
+    /**
+     * Crea o actualiza una única persona.
+     * @method
+     * @memberof DataService
+     * @param {Persona} persona - Persona a guardar.
+     * @returns {Promise<void>}
+     * @throws {ErrorValidacion} Si la persona no es válida.
+     * @throws {ErrorConflicto} Si otra pestaña la ha cambiado desde que se leyó.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'editar'.
+     */
+    guardarPersona: async function(persona) {
+        await this.exigirPermiso('editar');
+        this._comprobar(persona.validar());
+        const guardada = await this.almacenamiento.leer('personas', persona.id);
+        this._comprobarRevision(guardada, persona, Persona);
+        const existe = guardada !== null;
+        await this._ejecutar(existe ? 'modificar' : 'crear', `${existe ? 'Editar' : 'Añadir'} persona "${persona.nombre}"`, [
+            { tipo: 'escribir', coleccion: 'personas', clave: persona.id, valor: persona }
+        ]);
+    },
+
+    /**
+     * Devuelve las películas en las que figura una persona, con cualquier rol.
+     * @method
+     * @memberof DataService
+     * @param {number} id - ID de la persona.
+     * @returns {Promise<Pelicula[]>}
+     */
+    peliculasConPersona: async function(id) {
+        const peliculas = await this.getPeliculas();
+        return peliculas.filter(p => p.creditos.some(c => c.persona === id));
+    },
+
+    /**
+     * Filmografía de una persona: sus películas agrupadas por rol (en el orden
+     * de ROLES_CREDITO) y, dentro de cada rol, de la más reciente a la más antigua.
+     * Los roles en los que no figura no aparecen.
+     * @method
+     * @memberof DataService
+     * @param {number} id - ID de la persona.
+     * @returns {Promise<Array<{rol: string, peliculas: Array<{pelicula: Pelicula, personaje: string}>}>>}
+     */
+    getFilmografia: async function(id) {
+        const peliculas = await this.peliculasConPersona(id);
+        return Object.keys(ROLES_CREDITO)
+            .map(rol => ({
+                rol: rol,
+                peliculas: peliculas
+                    .flatMap(p => p.creditos
+                        .filter(c => c.persona === id && c.rol === rol)
+                        .map(c => ({ pelicula: p, personaje: c.personaje })))
+                    .sort((a, b) => b.pelicula.fecha.localeCompare(a.pelicula.fecha))
+            }))
+            .filter(grupo => grupo.peliculas.length > 0);
+    },
+
+    /**
+     * Mueve una persona a la papelera. Solo se permite si no figura en ninguna
+     * película, igual que con los géneros.
+     * @method
+     * @memberof DataService
+     * @param {number} id - ID de la persona a eliminar.
+     * @returns {Promise<void>}
+     * @throws {ErrorIntegridad} Si hay películas en las que figura.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'eliminar'.
+     */
+    eliminarPersona: async function(id) {
+        await this.exigirPermiso('eliminar');
+        if ((await this.peliculasConPersona(id)).length > 0) {
+            throw new ErrorIntegridad("No se puede eliminar la persona: figura en los créditos de alguna película. Quítela primero de esos créditos.");
+        }
+        await this._moverAPapelera('persona', 'personas', id, datos => `Eliminar persona "${datos.nombre}"`);
+    },
+
+    /**
+     * Recupera todas las películas convertidas a instancias de la clase Pelicula.
+     * @method
+     * @memberof DataService
+     * @returns {Promise<Pelicula[]>} Array de instancias de Pelicula.
+     */
+    getPeliculas: async function() {
+        await this.inicializar();
+        const datos = await this.almacenamiento.leerTodos('peliculas');
+        return datos.map(p => Pelicula.fromJSON(p));
+    },
+
+    /**
+     * Recupera una única película por su ID.
+     * @method
+     * @memberof DataService
+     * @param {number} id - ID de la película.
+     * @returns {Promise<Pelicula|null>} La película o null si no existe.
+     */
+    getPelicula: async function(id) {
+        await this.inicializar();
+        const datos = await this.almacenamiento.leer('peliculas', id);
+        return datos ? Pelicula.fromJSON(datos) : null;
+    },
+
+    /**
+     * Guarda la lista completa de películas, sustituyendo la anterior.
+     * Para cambios en una sola película es preferible guardarPelicula.
+     * No se apunta en el historial de deshacer.
+     * @method
+     * @memberof DataService
+     * @param {Pelicula[]} peliculas - Array de películas a guardar.
+     * @returns {Promise<void>}
+     * @throws {ErrorValidacion} Si alguna película no es válida.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'editar'.
+     */
+    guardarPeliculas: async function(peliculas) {
+        await this.exigirPermiso('editar');
+        peliculas.forEach(p => this._comprobar(p.validar(), p.titulo));
+        await this._reemplazar('peliculas', peliculas);
+    },
+
+    /**
+     * Sustituye una colección completa y apunta en la auditoría los registros
+     * creados, modificados o borrados respecto a la anterior.
+     * @method
+     * @memberof DataService
+     * @private
+     * @param {string} coleccion - 'peliculas' o 'generos'.
+     * @param {Array<(Pelicula|Genero)>} elementos - Nuevo contenido.
+     * @returns {Promise<void>}
+     * @throws {ErrorConflicto} Si otra pestaña ha cambiado alguno de los elementos desde que se leyó.
+     * @throws {ErrorPermiso} Si quita elementos y la sesión no tiene el permiso 'eliminar'.
+     */
+    _reemplazar: async function(coleccion, elementos) {
+        const anteriores = new Map((await this.almacenamiento.leerTodos(coleccion)).map(r => [r.id, r]));
+        const clase = { peliculas: Pelicula, generos: Genero }[coleccion];
+        elementos.forEach(el => this._comprobarRevision(anteriores.get(el.id) || null, el, clase));
+        const cambios = elementos.map(el => {
+            const antes = anteriores.get(el.id) || null;
+            el.revision = (antes ? antes.revision || 0 : 0) + 1;
+            anteriores.delete(el.id);
+            return { coleccion: coleccion, clave: el.id, antes: antes, despues: JSON.parse(JSON.stringify(el)) };
+        });
+        anteriores.forEach((antes, id) => cambios.push({ coleccion: coleccion, clave: id, antes: antes, despues: null }));
+        if (anteriores.size > 0) await this.exigirPermiso('eliminar');
+
+        const auditoria = await this._entradasAuditoria('reemplazar', cambios);
+        await this.almacenamiento.reemplazar(coleccion, elementos.map(el => ({ clave: el.id, valor: el })));
+        if (auditoria.length > 0) await this.almacenamiento.lote(auditoria);
+        this._avisarCambio([coleccion]);
+    },
+
+    /**
+     * Crea o actualiza una única película sin reescribir el resto.
+     * @method
+     * @memberof DataService
+     * @param {Pelicula} pelicula - Película a guardar.
+     * @returns {Promise<void>}
+     * @throws {ErrorValidacion} Si la película no es válida.
+     * @throws {ErrorIntegridad} Si algún crédito es de una persona que no existe.
+     * @throws {ErrorConflicto} Si otra pestaña la ha cambiado desde que se leyó.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'editar'.
+     */
+    guardarPelicula: async function(pelicula) {
+        await this.exigirPermiso('editar');
+        this._comprobar(pelicula.validar());
+        await this._comprobarPersonas(pelicula);
+        const guardada = await this.almacenamiento.leer('peliculas', pelicula.id);
+        this._comprobarRevision(guardada, pelicula, Pelicula);
+        const existe = guardada !== null;
+        await this._ejecutar(existe ? 'modificar' : 'crear', `${existe ? 'Editar' : 'Añadir'} película "${pelicula.titulo}"`, [
+            { tipo: 'escribir', coleccion: 'peliculas', clave: pelicula.id, valor: pelicula }
+        ]);
+    },
+
+    /**
+     * Comprueba que todas las personas de los créditos de una película existen
+     * (otra pestaña puede haber eliminado alguna mientras se editaba).
+     * @method
+     * @memberof DataService
+     * @private
+     * @param {Pelicula} pelicula - Película a comprobar.
+     * @returns {Promise<void>}
+     * @throws {ErrorIntegridad} Si alguna persona no existe.
+     */
+    _comprobarPersonas: async function(pelicula) {
+        for (const credito of pelicula.creditos) {
+            if ((await this.almacenamiento.leer('personas', credito.persona)) === null) {
+                throw new ErrorIntegridad("Alguna de las personas de los créditos ya no existe. Recargue la página y revise los créditos.");
+            }
+        }
+    },
+
+    /**
+     * Registra el voto del usuario actual a una película y la guarda.
+     * Si ya la había votado, el nuevo voto sustituye al anterior.
+     * La reseña es opcional (ver Pelicula#votar).
+     * @method
+     * @memberof DataService
+     * @param {number} id - ID de la película.
+     * @param {number} valor - Valor entero entre 1 y 10.
+     * @param {{titulo: string, texto: string, spoiler: boolean}|null} [resena] - Reseña del voto;
+     *   sin indicar se conserva la anterior y con null se quita.
+     * @returns {Promise<Pelicula>} La película con el voto registrado.
+     * @throws {ErrorValidacion} Si el voto o la reseña no son válidos.
+     * @throws {Error} Si la película no existe.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'votar'.
+     */
+    votarPelicula: async function(id, valor, resena) {
+        await this.exigirPermiso('votar');
+        const pelicula = await this.getPelicula(id);
+        if (!pelicula) throw new Error(`Película con ID ${id} no encontrada.`);
+        const usuario = await this._usuarioActual();
+        const descripcion = pelicula.votoDe(usuario) ? `Cambiar voto a ${valor} en "${pelicula.titulo}"` : `Votar ${valor} a "${pelicula.titulo}"`;
+        pelicula.votar(valor, usuario, resena);
+
+        if (typeof this.almacenamiento.votar === 'function') {
+            return this._votosEnAlmacenamiento('votar', descripcion, id,
+                () => this.almacenamiento.votar(id, { valor: valor, resena: resena }, pelicula.toJSON()));
+        }
+        await this._ejecutar('votar', descripcion, [
+            { tipo: 'escribir', coleccion: 'peliculas', clave: pelicula.id, valor: pelicula }
+        ]);
+        return pelicula;
+    },
+
+    /**
+     * Retira el voto del usuario actual a una película.
+     * @method
+     * @memberof DataService
+     * @param {number} id - ID de la película.
+     * @returns {Promise<Pelicula>} La película sin el voto.
+     * @throws {Error} Si la película no existe o el usuario no la había votado.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'votar'.
+     */
+    retirarVoto: async function(id) {
+        await this.exigirPermiso('votar');
+        const pelicula = await this.getPelicula(id);
+        if (!pelicula) throw new Error(`Película con ID ${id} no encontrada.`);
+        if (!pelicula.retirarVoto(await this._usuarioActual())) {
+            throw new Error(`No has votado "${pelicula.titulo}".`);
+        }
+        const descripcion = `Retirar voto de "${pelicula.titulo}"`;
+        if (typeof this.almacenamiento.retirarVoto === 'function') {
+            return this._votosEnAlmacenamiento('retirarVoto', descripcion, id,
+                () => this.almacenamiento.retirarVoto(id, pelicula.toJSON()));
+        }
+        await this._ejecutar('retirarVoto', descripcion, [
+            { tipo: 'escribir', coleccion: 'peliculas', clave: pelicula.id, valor: pelicula }
+        ]);
+        return pelicula;
+    },
+
+    /**
+     * Aplica un cambio en los votos de una película con el propio
+     * almacenamiento (con servidor, ver AlmacenamientoRemoto#votar), que lo
+     * hace sobre su versión por si otro usuario ha votado entretanto, y lo
+     * apunta en la auditoría y el historial como _ejecutar.
+     * @method
+     * @memberof DataService
+     * @private
+     * @param {string} accion - Acción para la auditoría (ver ACCIONES_AUDITORIA).
+     * @param {string} descripcion - Descripción de la operación para el usuario.
+     * @param {number} id - ID de la película.
+     * @param {function(): Promise<Object>} enviar - Aplica el cambio y devuelve la película resultante (forma persistida).
+     * @returns {Promise<Pelicula>} La película resultante.
+     */
+    _votosEnAlmacenamiento: async function(accion, descripcion, id, enviar) {
+        const antes = await this.almacenamiento.leer('peliculas', id);
+        const despues = await enviar();
+        const cambios = [{ coleccion: 'peliculas', clave: id, antes: antes, despues: despues }];
+        const auditoria = await this._entradasAuditoria(accion, cambios);
+        if (auditoria.length > 0) await this.almacenamiento.lote(auditoria);
+        await this._apuntarEnHistorial(descripcion, cambios);
+        this._avisarCambio(['peliculas']);
+        return Pelicula.fromJSON(despues);
+    },
+
+    /**
+     * Reseñas de una película con el nombre de su autor (el de su cuenta, o
+     * "Anónimo" si votó sin iniciar sesión), ordenadas por las más recientes
+     * o por la nota del voto. Los empates se deshacen por fecha.
+     * @method
+     * @memberof DataService
+     * @param {number} id - ID de la película.
+     * @param {'recientes'|'valoracion'} [orden='recientes'] - Criterio de orden.
+     * @returns {Promise<Array<{autor: string, nombre: string, valor: number, resena: Resena}>>}
+     */
+    getResenas: async function(id, orden = 'recientes') {
+        const pelicula = await this.getPelicula(id);
+        if (!pelicula) return [];
+        const nombres = new Map((await this.almacenamiento.leerTodos('usuarios')).map(u => [u.id, u.nombre]));
+        return pelicula.votosConResena
+            .map(v => ({ autor: v.usuario, nombre: nombres.get(v.usuario) || 'Anónimo', valor: v.valor, resena: v.resena }))
+            .sort((a, b) => (orden === 'valoracion' ? b.valor - a.valor : 0) || b.resena.instante - a.resena.instante);
+    },
+
+    /**
+     * Marca como útil (o desmarca) la reseña de otro usuario en nombre del usuario actual.
+     * @method
+     * @memberof DataService
+     * @param {number} id - ID de la película.
+     * @param {string} autor - ID del usuario que escribió la reseña.
+     * @returns {Promise<boolean>} true si queda marcada y false si se ha quitado la marca.
+     * @throws {Error} Si la película o la reseña no existen o la reseña es propia.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'votar'.
+     */
+    marcarResenaUtil: async function(id, autor) {
+        await this.exigirPermiso('votar');
+        const pelicula = await this.getPelicula(id);
+        if (!pelicula) throw new Error(`Película con ID ${id} no encontrada.`);
+        const marcada = pelicula.marcarUtil(autor, await this._usuarioActual());
+        const descripcion = `${marcada ? 'Marcar' : 'Desmarcar'} como útil la reseña "${pelicula.votoDe(autor).resena.titulo}"`;
+        if (typeof this.almacenamiento.marcarUtil === 'function') {
+            await this._votosEnAlmacenamiento('marcarUtil', descripcion, id,
+                () => this.almacenamiento.marcarUtil(id, autor, pelicula.toJSON()));
+            return marcada;
+        }
+        await this._ejecutar('marcarUtil', descripcion, [
+            { tipo: 'escribir', coleccion: 'peliculas', clave: pelicula.id, valor: pelicula }
+        ]);
+        return marcada;
+    },
+
+    /**
+     * ID del usuario que vota: el de la cuenta con la sesión iniciada o,
+     * sin sesión, uno propio de este navegador.
+     * @method
+     * @memberof DataService
+     * @returns {Promise<string>}
+     */
+    getUsuarioActual: async function() {
+        await this.inicializar();
+        return this._usuarioActual();
+    },
+
+    /**
+     * Lee el ID del usuario actual; el local se genera la primera vez.
+     * @method
+     * @memberof DataService
+     * @private
+     * @returns {Promise<string>}
+     */
+    _usuarioActual: async function() {
+        const sesion = await this._sesion();
+        if (sesion) return sesion.id;
+        let usuario = await this.almacenamiento.leerMeta('cmdb_usuario');
+        if (!usuario) {
+            usuario = 'local-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+            await this.almacenamiento.escribirMeta('cmdb_usuario', usuario);
+        }
+        return usuario;
+    },
+
+    /**
+     * Películas más parecidas a una del catálogo (ver peliculasSimilares).
+     * @method
+     * @memberof DataService
+     * @param {number} id - ID de la película de referencia.
+     * @param {number} [n=5] - Número máximo de resultados.
+     * @returns {Promise<Array<{pelicula: Pelicula, similitud: number}>>} Vacío si la película no existe.
+     */
+    getSimilares: async function(id, n = 5) {
+        const peliculas = await this.getPeliculas();
+        const pelicula = peliculas.find(p => p.id === id);
+        return pelicula ? peliculasSimilares(pelicula, peliculas, n) : [];
+    },
+
+    /**
+     * Recomendaciones para el usuario actual según sus votos (ver recomendarPara).
+     * @method
+     * @memberof DataService
+     * @param {number} [n=10] - Número máximo de resultados.
+     * @returns {Promise<Array<{pelicula: Pelicula, puntuacion: number, motivo: string}>>}
+     */
+    getRecomendaciones: async function(n = 10) {
+        const peliculas = await this.getPeliculas();
+        return recomendarPara(await this._usuarioActual(), peliculas, n);
+    },
+
+    /**
+     * Mueve una película (con todos sus votos) a la papelera.
+     * @method
+     * @memberof DataService
+     * @param {number} id - ID de la película a eliminar.
+     * @returns {Promise<void>}
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'eliminar'.
+     */
+    eliminarPelicula: async function(id) {
+        await this.exigirPermiso('eliminar');
+        await this._moverAPapelera('pelicula', 'peliculas', id, datos => `Eliminar película "${datos.titulo}"`);
+    },
+
+    // --- LISTAS ---
+
+    /**
+     * Devuelve las listas del usuario actual: primero Pendientes y Vistas,
+     * que se crean la primera vez que se piden, y después las personales por nombre.
+     * Si la sesión no puede gestionar listas (con servidor y sin sesión),
+     * Pendientes y Vistas se devuelven vacías sin guardarlas.
+     * @method
+     * @memberof DataService
+     * @returns {Promise<Lista[]>}
+     */
+    getListas: async function() {
+        await this.inicializar();
+        const usuario = await this._usuarioActual();
+        const todas = (await this.almacenamiento.leerTodos('listas')).map(l => Lista.fromJSON(l));
+        const propias = todas.filter(l => l.usuario === usuario);
+
+        const nuevas = [];
+        ['pendientes', 'vistas'].forEach(tipo => {
+            if (propias.some(l => l.tipo === tipo)) return;
+            const lista = new Lista(this.siguienteId(todas.concat(nuevas)), usuario, tipo, TIPOS_LISTA[tipo]);
+            nuevas.push(lista);
+            propias.push(lista);
+        });
+        if (nuevas.length > 0 && (await this._permite('votar'))) {
+            await this.almacenamiento.lote(nuevas.map(l => ({ tipo: 'escribir', coleccion: 'listas', clave: l.id, valor: l })));
+        }
+
+        const orden = Object.keys(TIPOS_LISTA);
+        return propias.sort((a, b) => orden.indexOf(a.tipo) - orden.indexOf(b.tipo) || a.nombre.localeCompare(b.nombre));
+    },
+
+    /**
+     * Recupera una lista del usuario actual.
+     * @method
+     * @memberof DataService
+     * @param {number} id - ID de la lista.
+     * @returns {Promise<Lista|null>} La lista, o null si no existe o es de otro usuario.
+     */
+    getLista: async function(id) {
+        const listas = await this.getListas();
+        return listas.find(l => l.id === id) || null;
+    },
+
+    /**
+     * Guarda una lista del usuario actual como una operación del historial.
+     * Las listas no se apuntan en la auditoría, que solo recoge el catálogo.
+     * @method
+     * @memberof DataService
+     * @private
+     * @param {Lista} lista - Lista a guardar.
+     * @param {string} descripcion - Descripción para el historial.
+     * @returns {Promise<Lista>} La lista guardada.
+     * @throws {ErrorValidacion} Si la lista no es válida.
+     */
+    _guardarLista: async function(lista, descripcion) {
+        const listas = await this.getListas();
+        this._comprobar(lista.validar(listas));
+        const existe = listas.some(l => l.id === lista.id);
+        await this._ejecutar(existe ? 'modificar' : 'crear', descripcion, [
+            { tipo: 'escribir', coleccion: 'listas', clave: lista.id, valor: lista }
+        ]);
+        return lista;
+    },
+
+    /**
+     * Lee una lista del usuario actual o lanza un error si no existe.
+     * @method
+     * @memberof DataService
+     * @private
+     * @param {number} id - ID de la lista.
+     * @returns {Promise<Lista>}
+     * @throws {Error} Si la lista no existe o es de otro usuario.
+     */
+    _listaPropia: async function(id) {
+        const lista = await this.getLista(id);
+        if (!lista) throw new Error("La lista ya no existe.");
+        return lista;
+    },
+
+    /**
+     * Crea una lista personal vacía para el usuario actual.
+     * @method
+     * @memberof DataService
+     * @param {string} nombre - Nombre de la lista.
+     * @returns {Promise<Lista>} La lista creada.
+     * @throws {ErrorValidacion} Si el nombre no es válido o ya existe.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'votar'.
+     */
+    crearLista: async function(nombre) {
+        await this.exigirPermiso('votar');
+        await this.getListas();
+        const todas = await this.almacenamiento.leerTodos('listas');
+        const lista = new Lista(this.siguienteId(todas), await this._usuarioActual(), 'personal', nombre.trim());
+        return this._guardarLista(lista, `Crear lista "${lista.nombre}"`);
+    },
+
+    /**
+     * Cambia el nombre de una lista personal.
+     * @method
+     * @memberof DataService
+     * @param {number} id - ID de la lista.
+     * @param {string} nombre - Nuevo nombre.
+     * @returns {Promise<Lista>}
+     * @throws {ErrorValidacion} Si el nombre no es válido o ya existe.
+     * @throws {Error} Si la lista no existe o no es personal.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'votar'.
+     */
+    renombrarLista: async function(id, nombre) {
+        await this.exigirPermiso('votar');
+        const lista = await this._listaPropia(id);
+        if (lista.tipo !== 'personal') throw new Error(`La lista ${lista.nombre} no se puede renombrar.`);
+        const anterior = lista.nombre;
+        lista.nombre = nombre.trim();
+        return this._guardarLista(lista, `Renombrar lista "${anterior}" a "${lista.nombre}"`);
+    },
+
+    /**
+     * Elimina una lista personal (las películas no se tocan). Se puede deshacer.
+     * @method
+     * @memberof DataService
+     * @param {number} id - ID de la lista.
+     * @returns {Promise<void>}
+     * @throws {Error} Si la lista no existe o no es personal.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'votar'.
+     */
+    eliminarLista: async function(id) {
+        await this.exigirPermiso('votar');
+        const lista = await this._listaPropia(id);
+        if (lista.tipo !== 'personal') throw new Error(`La lista ${lista.nombre} no se puede eliminar.`);
+        await this._ejecutar('eliminar', `Eliminar lista "${lista.nombre}"`, [
+            { tipo: 'borrar', coleccion: 'listas', clave: id }
+        ]);
+    },
+
+    /**
+     * Añade una película al final de una lista (ver Lista#anadir).
+     * Para la lista de vistas es preferible marcarVista, que además la quita de pendientes.
+     * @method
+     * @memberof DataService
+     * @param {number} idLista - ID de la lista.
+     * @param {number} idPelicula - ID de la película.
+     * @returns {Promise<Lista>}
+     * @throws {Error} Si la lista o la película no existen.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'votar'.
+     */
+    anadirALista: async function(idLista, idPelicula) {
+        await this.exigirPermiso('votar');
+        const lista = await this._listaPropia(idLista);
+        if (lista.tipo === 'vistas') return this.marcarVista(idPelicula);
+        const pelicula = await this.getPelicula(idPelicula);
+        if (!pelicula) throw new Error(`Película con ID ${idPelicula} no encontrada.`);
+        lista.anadir(idPelicula);
+        return this._guardarLista(lista, `Añadir "${pelicula.titulo}" a la lista "${lista.nombre}"`);
+    },
+
+    /**
+     * Quita una película de una lista.
+     * @method
+     * @memberof DataService
+     * @param {number} idLista - ID de la lista.
+     * @param {number} idPelicula - ID de la película.
+     * @returns {Promise<Lista>}
+     * @throws {Error} Si la lista no existe.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'votar'.
+     */
+    quitarDeLista: async function(idLista, idPelicula) {
+        await this.exigirPermiso('votar');
+        const lista = await this._listaPropia(idLista);
+        if (!lista.quitar(idPelicula)) return lista;
+        const pelicula = await this.getPelicula(idPelicula);
+        const titulo = pelicula ? pelicula.titulo : `#${idPelicula}`;
+        return this._guardarLista(lista, `Quitar "${titulo}" de la lista "${lista.nombre}"`);
+    },
+
+    /**
+     * Cambia la posición de una película dentro de una lista.
+     * @method
+     * @memberof DataService
+     * @param {number} idLista - ID de la lista.
+     * @param {number} idPelicula - ID de la película.
+     * @param {number} desplazamiento - Posiciones a mover (negativo hacia el principio).
+     * @returns {Promise<Lista>}
+     * @throws {Error} Si la lista no existe.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'votar'.
+     */
+    moverEnLista: async function(idLista, idPelicula, desplazamiento) {
+        await this.exigirPermiso('votar');
+        const lista = await this._listaPropia(idLista);
+        if (!lista.mover(idPelicula, desplazamiento)) return lista;
+        return this._guardarLista(lista, `Reordenar la lista "${lista.nombre}"`);
+    },
+
+    /**
+     * Marca una película como vista en una fecha: la añade a la lista de vistas
+     * (o le cambia la fecha si ya estaba) y la quita de pendientes, todo en una
+     * sola operación.
+     * @method
+     * @memberof DataService
+     * @param {number} idPelicula - ID de la película.
+     * @param {string} [fecha] - Fecha en que se vio (AAAA-MM-DD); por defecto hoy.
+     * @returns {Promise<Lista>} La lista de vistas.
+     * @throws {ErrorValidacion} Si la fecha no es válida.
+     * @throws {Error} Si la película no existe.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'votar'.
+     */
+    marcarVista: async function(idPelicula, fecha = fechaHoyISO()) {
+        await this.exigirPermiso('votar');
+        const pelicula = await this.getPelicula(idPelicula);
+        if (!pelicula) throw new Error(`Película con ID ${idPelicula} no encontrada.`);
+        const listas = await this.getListas();
+        const vistas = listas.find(l => l.tipo === 'vistas');
+        const pendientes = listas.find(l => l.tipo === 'pendientes');
+        vistas.anadir(idPelicula, fecha);
+        this._comprobar(vistas.validar(listas));
+
+        const operaciones = [{ tipo: 'escribir', coleccion: 'listas', clave: vistas.id, valor: vistas }];
+        if (pendientes.quitar(idPelicula)) {
+            operaciones.push({ tipo: 'escribir', coleccion: 'listas', clave: pendientes.id, valor: pendientes });
+        }
+        await this._ejecutar('modificar', `Marcar "${pelicula.titulo}" como vista`, operaciones);
+        return vistas;
+    },
+
+    /**
+     * Importa listas compartidas desde otra instalación (ver Intercambio.leerListas).
+     * Las películas se buscan por título y año de estreno, ya que los IDs no
+     * coinciden entre instalaciones; las que no están en el catálogo se omiten.
+     * Pendientes y Vistas se añaden a las del usuario; cada lista personal se
+     * crea como nueva, con un número detrás si su nombre ya existe.
+     * Todo queda como una sola operación del historial.
+     * @method
+     * @memberof DataService
+     * @param {ListaCompartida[]} compartidas - Listas leídas del archivo.
+     * @returns {Promise<{listas: number, peliculas: number, noEncontradas: string[]}>} Resumen de lo importado.
+     * @throws {ErrorValidacion} Si alguna lista resultante no es válida.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'votar'.
+     */
+    importarListas: async function(compartidas) {
+        await this.exigirPermiso('votar');
+        const listas = await this.getListas();
+        const peliculas = await this.getPeliculas();
+        const todas = (await this.almacenamiento.leerTodos('listas')).map(l => Lista.fromJSON(l));
+        const usuario = await this._usuarioActual();
+        const cambiadas = new Map();
+        const noEncontradas = [];
+        let anadidas = 0;
+
+        compartidas.forEach(compartida => {
+            let lista = listas.find(l => l.tipo === compartida.tipo && l.tipo !== 'personal');
+            if (!lista) {
+                let nombre = compartida.nombre.trim();
+                for (let n = 2; listas.some(l => normalizarTexto(l.nombre) === normalizarTexto(nombre)); n++) {
+                    nombre = `${compartida.nombre.trim()} (${n})`;
+                }
+                lista = new Lista(this.siguienteId(todas), usuario, 'personal', nombre);
+                todas.push(lista);
+                listas.push(lista);
+            }
+            compartida.peliculas.forEach(p => {
+                const pelicula = peliculas.find(q => sonPosiblesDuplicados(q, p, 0));
+                if (!pelicula) {
+                    noEncontradas.push(`${p.titulo} (${p.fecha.substring(0, 4)})`);
+                    return;
+                }
+                if (lista.contiene(pelicula.id)) return;
+                lista.anadir(pelicula.id, lista.tipo === 'vistas' ? p.vista || fechaHoyISO() : null);
+                anadidas++;
+            });
+            this._comprobar(lista.validar(listas), lista.nombre);
+            cambiadas.set(lista.id, lista);
+        });
+
+        const operaciones = [...cambiadas.values()].map(l => ({ tipo: 'escribir', coleccion: 'listas', clave: l.id, valor: l }));
+        await this._ejecutar('importar', `Importar ${compartidas.length} listas`, operaciones);
+        return { listas: compartidas.length, peliculas: anadidas, noEncontradas: noEncontradas };
+    },
+
+    // --- HISTORIAL (DESHACER / REHACER) ---
+
+    /**
+     * Aplica un lote de operaciones y lo apunta en el historial como una sola
+     * operación reversible. Guarda cómo estaba cada registro antes y cómo queda
+     * después, de modo que deshacer y rehacer solo tienen que reescribirlos.
+     * Cualquier operación nueva vacía la lista de rehacer.
+     * Las entradas de auditoría se guardan en el mismo lote que los datos.
+     * Los registros del catálogo que se escriben suben de revisión, y al
+     * terminar se avisa a las demás pestañas.
+     * @method
+     * @memberof DataService
+     * @private
+     * @param {string} accion - Acción para la auditoría (ver ACCIONES_AUDITORIA).
+     * @param {string} descripcion - Descripción de la operación para el usuario.
+     * @param {OperacionLote[]} operaciones - Escrituras y borrados a aplicar.
+     * @returns {Promise<void>}
+     */
+    _ejecutar: async function(accion, descripcion, operaciones) {
+        const cambios = [];
+        for (const op of operaciones) {
+            const antes = await this.almacenamiento.leer(op.coleccion, op.clave);
+            if (op.tipo === 'escribir' && op.coleccion in ENTIDADES_AUDITADAS) {
+                op.valor.revision = (antes ? antes.revision || 0 : 0) + 1;
+            }
+            cambios.push({
+                coleccion: op.coleccion,
+                clave: op.clave,
+                antes: antes,
+                // Se guarda la forma persistida (toJSON) para poder compararla después
+                despues: op.tipo === 'escribir' ? JSON.parse(JSON.stringify(op.valor)) : null
+            });
+        }
+        await this.almacenamiento.lote(operaciones.concat(await this._entradasAuditoria(accion, cambios)));
+        await this._apuntarEnHistorial(descripcion, cambios);
+        this._avisarCambio(operaciones.map(op => op.coleccion));
+    },
+
+    /**
+     * Añade una operación ya aplicada a la lista de deshacer y vacía la de rehacer.
+     * @method
+     * @memberof DataService
+     * @private
+     * @param {string} descripcion - Descripción de la operación para el usuario.
+     * @param {CambioHistorial[]} cambios - Registros antes y después.
+     * @returns {Promise<void>}
+     */
+    _apuntarEnHistorial: async function(descripcion, cambios) {
+        const historial = await this._leerHistorial();
+        historial.deshacer.push({ descripcion: descripcion, instante: Date.now(), cambios: cambios });
+        if (historial.deshacer.length > this.limiteHistorial) {
+            historial.deshacer.splice(0, historial.deshacer.length - this.limiteHistorial);
+        }
+        historial.rehacer = [];
+        await this._guardarHistorial(historial);
+    },
+
+    /**
+     * Lee el historial persistido. Se guarda junto a los datos para que siga
+     * disponible al cambiar de página.
+     * @method
+     * @memberof DataService
+     * @private
+     * @returns {Promise<{deshacer: OperacionHistorial[], rehacer: OperacionHistorial[]}>}
+     */
+    _leerHistorial: async function() {
+        return (await this.almacenamiento.leerMeta('cmdb_historial')) || { deshacer: [], rehacer: [] };
+    },
+
+    /**
+     * Guarda el historial y avisa a la página con el evento 'historialcambiado'.
+     * @method
+     * @memberof DataService
+     * @private
+     * @param {{deshacer: OperacionHistorial[], rehacer: OperacionHistorial[]}} historial
+     * @returns {Promise<void>}
+     */
+    _guardarHistorial: async function(historial) {
+        await this.almacenamiento.escribirMeta('cmdb_historial', historial);
+        document.dispatchEvent(new CustomEvent('historialcambiado'));
+    },
+
+    /**
+     * Descripciones de las operaciones que se pueden deshacer y rehacer.
+     * La última de cada lista es la siguiente que se aplicaría.
+     * @method
+     * @memberof DataService
+     * @returns {Promise<{deshacer: string[], rehacer: string[]}>}
+     */
+    getHistorial: async function() {
+        await this.inicializar();
+        const historial = await this._leerHistorial();
+        return {
+            deshacer: historial.deshacer.map(op => op.descripcion),
+            rehacer: historial.rehacer.map(op => op.descripcion)
+        };
+    },
+
+    /**
+     * Deshace la última operación.
+     * @method
+     * @memberof DataService
+     * @returns {Promise<string|null>} Descripción de lo deshecho, o null si no había nada.
+     * @throws {ErrorIntegridad} Si los datos han cambiado desde entonces por otra vía.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'editar', o 'eliminar' si
+     *   la operación quita registros del catálogo (p. ej. deshacer la creación de una película).
+     */
+    deshacer: async function() {
+        await this.exigirPermiso('editar');
+        return this._moverEnHistorial('deshacer', 'rehacer', 'despues', 'antes');
+    },
+
+    /**
+     * Vuelve a aplicar la última operación deshecha.
+     * @method
+     * @memberof DataService
+     * @returns {Promise<string|null>} Descripción de lo rehecho, o null si no había nada.
+     * @throws {ErrorIntegridad} Si los datos han cambiado desde entonces por otra vía.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'editar', o 'eliminar' si
+     *   la operación quita registros del catálogo (p. ej. rehacer una eliminación).
+     */
+    rehacer: async function() {
+        await this.exigirPermiso('editar');
+        return this._moverEnHistorial('rehacer', 'deshacer', 'antes', 'despues');
+    },
+
+    /**
+     * Saca la última operación de una lista del historial, deja sus registros
+     * como estaban en el estado 'destino' y la pasa a la otra lista.
+     * Antes comprueba que los registros siguen como los dejó la operación: si
+     * algo los ha cambiado fuera del historial (una fusión, una importación,
+     * la purga de la papelera...) la operación se descarta en lugar de pisar
+     * esos cambios. La comprobación ignora la revisión, y los registros que se
+     * reescriben reciben una revisión nueva, mayor que cualquiera de las que han tenido.
+     * @method
+     * @memberof DataService
+     * @private
+     * @param {string} origen - 'deshacer' o 'rehacer'.
+     * @param {string} destino - La otra lista.
+     * @param {string} esperado - Estado en que deben estar los registros ('antes' o 'despues').
+     * @param {string} nuevo - Estado en que se dejan.
+     * @returns {Promise<string|null>}
+     * @throws {ErrorIntegridad}
+     */
+    _moverEnHistorial: async function(origen, destino, esperado, nuevo) {
+        const historial = await this._leerHistorial();
+        const operacion = historial[origen][historial[origen].length - 1];
+        if (!operacion) return null;
+        // Dejar de tener un registro del catálogo es eliminarlo (p. ej. deshacer su creación)
+        if (operacion.cambios.some(cambio => cambio.coleccion in ENTIDADES_AUDITADAS && cambio[esperado] !== null && cambio[nuevo] === null)) {
+            await this.exigirPermiso('eliminar');
+        }
+        historial[origen].pop();
+
+        const actuales = [];
+        for (const cambio of operacion.cambios) {
+            const actual = await this.almacenamiento.leer(cambio.coleccion, cambio.clave);
+            if (!mismoContenido(actual, cambio[esperado])) {
+                await this._guardarHistorial(historial);
+                throw new ErrorIntegridad(`No se puede ${origen} la última operación (${operacion.descripcion}) porque los datos han cambiado desde entonces.`);
+            }
+            actuales.push(actual);
+        }
+
+        const operaciones = operacion.cambios.map((cambio, i) => {
+            if (cambio[nuevo] === null) return { tipo: 'borrar', coleccion: cambio.coleccion, clave: cambio.clave };
+            let valor = cambio[nuevo];
+            if (cambio.coleccion in ENTIDADES_AUDITADAS) {
+                // Nunca se vuelve a una revisión ya usada: una pestaña con una copia
+                // de entonces pasaría _comprobarRevision y pisaría este cambio
+                const revisiones = [actuales[i], cambio.antes, cambio.despues].map(r => (r ? r.revision || 0 : 0));
+                valor = Object.assign({}, valor, { revision: Math.max(...revisiones) + 1 });
+            }
+            return { tipo: 'escribir', coleccion: cambio.coleccion, clave: cambio.clave, valor: valor };
+        });
+        const aplicados = operacion.cambios.map(cambio => ({
+            coleccion: cambio.coleccion, clave: cambio.clave, antes: cambio[esperado], despues: cambio[nuevo]
+        }));
+        await this.almacenamiento.lote(operaciones.concat(await this._entradasAuditoria(origen, aplicados)));
+        historial[destino].push(operacion);
+        await this._guardarHistorial(historial);
+        this._avisarCambio(operacion.cambios.map(cambio => cambio.coleccion));
+        return operacion.descripcion;
+    },
+
+    // --- AUDITORÍA ---
+
+    /**
+     * Prepara las escrituras de auditoría de un conjunto de cambios. Solo se
+     * apuntan películas y géneros (no la papelera ni el historial) y se
+     * descartan los cambios que no modifican ningún campo. Al eliminar, los
+     * registros que siguen existiendo (p. ej. las películas a las que se quita
+     * el género eliminado) se apuntan como modificados.
+     * @method
+     * @memberof DataService
+     * @private
+     * @param {string} accion - Acción realizada (ver ACCIONES_AUDITORIA).
+     * @param {CambioHistorial[]} cambios - Registros antes y después.
+     * @param {string} [editor] - Quién lo hizo; por defecto el nombre del perfil.
+     * @returns {Promise<OperacionLote[]>}
+     */
+    _entradasAuditoria: async function(accion, cambios, editor) {
+        if (editor === undefined) editor = await this._nombreEditor();
+        const instante = Date.now();
+        const operaciones = [];
+        cambios.forEach(cambio => {
+            const entidad = ENTIDADES_AUDITADAS[cambio.coleccion];
+            if (!entidad) return;
+            const diferencias = diferenciasRegistro(cambio.antes, cambio.despues);
+            if (Object.keys(diferencias).length === 0) return;
+            const registro = cambio.despues || cambio.antes;
+            const accionCambio = accion === 'eliminar' && cambio.antes && cambio.despues ? 'modificar' : accion;
+            // El sufijo aleatorio evita pisar entradas de la misma milésima (p. ej. desde otra pestaña)
+            const clave = `${instante}:${operaciones.length}:${Math.random().toString(36).slice(2, 8)}`;
+            operaciones.push({
+                tipo: 'escribir',
+                coleccion: 'auditoria',
+                clave: clave,
+                valor: {
+                    clave: clave,
+                    instante: instante,
+                    editor: editor,
+                    entidad: entidad,
+                    id: registro.id,
+                    nombre: entidad === 'pelicula' ? registro.titulo : registro.nombre,
+                    accion: accionCambio,
+                    cambios: diferencias
+                }
+            });
+        });
+        return operaciones;
+    },
+
+    /**
+     * Consulta el registro de auditoría, de lo más reciente a lo más antiguo.
+     * @method
+     * @memberof DataService
+     * @param {Object} [filtro={}] - Condiciones; las que se omiten no filtran.
+     * @param {string} [filtro.entidad] - 'pelicula', 'genero' o 'persona'.
+     * @param {string} [filtro.accion] - Clave de ACCIONES_AUDITORIA.
+     * @param {number} [filtro.id] - ID del registro (requiere entidad).
+     * @param {string} [filtro.desde] - Primer día incluido (AAAA-MM-DD, hora local).
+     * @param {string} [filtro.hasta] - Último día incluido (AAAA-MM-DD, hora local).
+     * @returns {Promise<EntradaAuditoria[]>}
+     */
+    getAuditoria: async function(filtro = {}) {
+        await this.inicializar();
+        const entradas = await this.almacenamiento.leerTodos('auditoria');
+        return entradas.filter(e => {
+            if (filtro.entidad && e.entidad !== filtro.entidad) return false;
+            if (filtro.accion && e.accion !== filtro.accion) return false;
+            if (filtro.id !== undefined && filtro.id !== null && e.id !== filtro.id) return false;
+            const dia = fechaLocalISO(new Date(e.instante));
+            if (filtro.desde && dia < filtro.desde) return false;
+            if (filtro.hasta && dia > filtro.hasta) return false;
+            return true;
+        }).sort((a, b) => b.instante - a.instante);
+    },
+
+    /**
+     * Nombre con el que se firman los cambios en la auditoría.
+     * @method
+     * @memberof DataService
+     * @returns {Promise<string>} El nombre guardado o 'Anónimo'.
+     */
+    getNombreEditor: async function() {
+        await this.inicializar();
+        return this._nombreEditor();
+    },
+
+    /**
+     * Guarda el nombre del perfil local con el que se firman los cambios.
+     * @method
+     * @memberof DataService
+     * @param {string} nombre - Nombre de 1 a 50 caracteres.
+     * @returns {Promise<void>}
+     * @throws {ErrorValidacion} Si el nombre está vacío o es demasiado largo.
+     */
+    setNombreEditor: async function(nombre) {
+        await this.inicializar();
+        nombre = (nombre || '').trim();
+        if (nombre === '' || nombre.length > 50) {
+            throw new ErrorValidacion([{ campo: 'editor', mensaje: "El nombre debe tener entre 1 y 50 caracteres." }]);
+        }
+        await this.almacenamiento.escribirMeta('cmdb_editor', nombre);
+    },
+
+    /**
+     * Lee el nombre del editor sin esperar a la inicialización.
+     * @method
+     * @memberof DataService
+     * @private
+     * @returns {Promise<string>}
+     */
+    _nombreEditor: async function() {
+        const sesion = await this._sesion();
+        if (sesion) return sesion.nombre;
+        return (await this.almacenamiento.leerMeta('cmdb_editor')) || 'Anónimo';
+    },
+
+    // --- CUENTAS Y SESIÓN ---
+
+    /**
+     * Crea una cuenta e inicia sesión con ella. La primera cuenta que se crea
+     * es de administrador; las demás empiezan como espectador. Si el
+     * almacenamiento gestiona sus propias cuentas (un servidor) se crea en él.
+     * @method
+     * @memberof DataService
+     * @param {string} nombre - Nombre de usuario.
+     * @param {string} clave - Contraseña en claro (solo se guarda su hash).
+     * @returns {Promise<{id: string, nombre: string, rol: string}>} La sesión iniciada.
+     * @throws {ErrorValidacion} Si los datos no son válidos o el nombre ya existe.
+     */
+    registrarUsuario: async function(nombre, clave) {
+        await this.inicializar();
+        nombre = (nombre || '').trim();
+        this._comprobar(validarCuenta(nombre, clave));
+        const usuarios = await this.almacenamiento.leerTodos('usuarios');
+        if (usuarios.some(u => u.nombre.toLowerCase() === nombre.toLowerCase())) {
+            throw new ErrorValidacion([{ campo: 'usuario', mensaje: "Ese nombre de usuario ya existe." }]);
+        }
+        if (typeof this.almacenamiento.registrarUsuario === 'function') {
+            // Con servidor la cuenta se crea allí: las contraseñas no salen de él
+            return this._abrirSesion(await this._cuentaEnAlmacenamiento(() => this.almacenamiento.registrarUsuario(nombre, clave)));
+        }
+
+        const sal = aHexadecimal(crypto.getRandomValues(new Uint8Array(16)));
+        const usuario = {
+            id: 'u-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+            nombre: nombre,
+            rol: usuarios.length === 0 ? 'administrador' : 'espectador',
+            sal: sal,
+            hash: await hashClave(clave, sal),
+            creado: Date.now()
+        };
+        await this.almacenamiento.escribir('usuarios', usuario.id, usuario);
+        return this._abrirSesion(usuario);
+    },
+
+    /**
+     * Inicia sesión comprobando la contraseña (en el servidor, si el
+     * almacenamiento gestiona sus propias cuentas).
+     * @method
+     * @memberof DataService
+     * @param {string} nombre - Nombre de usuario (sin distinguir mayúsculas).
+     * @param {string} clave - Contraseña en claro.
+     * @returns {Promise<{id: string, nombre: string, rol: string}>} La sesión iniciada.
+     * @throws {ErrorValidacion} Si el usuario no existe o la contraseña no coincide.
+     */
+    iniciarSesion: async function(nombre, clave) {
+        await this.inicializar();
+        nombre = (nombre || '').trim();
+        if (typeof this.almacenamiento.iniciarSesion === 'function') {
+            return this._abrirSesion(await this._cuentaEnAlmacenamiento(() => this.almacenamiento.iniciarSesion(nombre, clave || '')));
+        }
+        const usuario = (await this.almacenamiento.leerTodos('usuarios')).find(u => u.nombre.toLowerCase() === nombre.toLowerCase());
+        // El mismo mensaje en ambos casos para no revelar qué usuarios existen
+        if (!usuario || (await hashClave(clave || '', usuario.sal)) !== usuario.hash) {
+            throw new ErrorValidacion([{ campo: 'clave', mensaje: "Usuario o contraseña incorrectos." }]);
+        }
+        return this._abrirSesion(usuario);
+    },
+
+    /**
+     * Cierra la sesión actual.
+     * @method
+     * @memberof DataService
+     * @returns {Promise<void>}
+     */
+    cerrarSesion: async function() {
+        await this.inicializar();
+        if (typeof this.almacenamiento.cerrarSesion === 'function') await this.almacenamiento.cerrarSesion();
+        await this.almacenamiento.escribirMeta('cmdb_sesion', null);
+        document.dispatchEvent(new CustomEvent('sesioncambiada'));
+    },
+
+    /**
+     * Guarda la sesión y avisa a la página con el evento 'sesioncambiada'.
+     * @method
+     * @memberof DataService
+     * @private
+     * @param {Usuario} usuario - Usuario que inicia sesión.
+     * @returns {Promise<{id: string, nombre: string, rol: string}>}
+     */
+    _abrirSesion: async function(usuario) {
+        await this.almacenamiento.escribirMeta('cmdb_sesion', usuario.id);
+        document.dispatchEvent(new CustomEvent('sesioncambiada'));
+        return { id: usuario.id, nombre: usuario.nombre, rol: usuario.rol };
+    },
+
+    /**
+     * Usuario con la sesión iniciada.
+     * @method
+     * @memberof DataService
+     * @returns {Promise<{id: string, nombre: string, rol: string}|null>} null si no hay sesión.
+     */
+    getSesion: async function() {
+        await this.inicializar();
+        return this._sesion();
+    },
+
+    /**
+     * Lee la sesión sin esperar a la inicialización.
+     * @method
+     * @memberof DataService
+     * @private
+     * @returns {Promise<{id: string, nombre: string, rol: string}|null>}
+     */
+    _sesion: async function() {
+        const id = await this.almacenamiento.leerMeta('cmdb_sesion');
+        const usuario = id ? await this.almacenamiento.leer('usuarios', id) : null;
+        return usuario ? { id: usuario.id, nombre: usuario.nombre, rol: usuario.rol } : null;
+    },
+
+    /**
+     * Lista las cuentas, sin sus datos de contraseña.
+     * @method
+     * @memberof DataService
+     * @returns {Promise<Array<{id: string, nombre: string, rol: string, creado: number}>>}
+     */
+    getUsuarios: async function() {
+        await this.inicializar();
+        const usuarios = await this.almacenamiento.leerTodos('usuarios');
+        return usuarios
+            .map(u => ({ id: u.id, nombre: u.nombre, rol: u.rol, creado: u.creado }))
+            .sort((a, b) => a.creado - b.creado);
+    },
+
+    /**
+     * Cambia el rol de una cuenta. Solo un administrador puede hacerlo y
+     * siempre debe quedar al menos un administrador.
+     * @method
+     * @memberof DataService
+     * @param {string} id - ID del usuario.
+     * @param {string} rol - Clave de ROLES.
+     * @returns {Promise<void>}
+     * @throws {ErrorPermiso} Si la sesión no es de administrador.
+     * @throws {ErrorIntegridad} Si se quitaría el último administrador.
+     */
+    cambiarRol: async function(id, rol) {
+        await this.exigirPermiso('administrar');
+        if (!ROLES[rol]) throw new Error(`Rol desconocido: ${rol}.`);
+        const usuarios = await this.almacenamiento.leerTodos('usuarios');
+        const usuario = usuarios.find(u => u.id === id);
+        if (!usuario) throw new Error("No se encontró el usuario.");
+        const administradores = usuarios.filter(u => u.rol === 'administrador');
+        if (usuario.rol === 'administrador' && rol !== 'administrador' && administradores.length === 1) {
+            throw new ErrorIntegridad("Debe quedar al menos un administrador.");
+        }
+        if (typeof this.almacenamiento.cambiarRol === 'function') {
+            await this._cuentaEnAlmacenamiento(() => this.almacenamiento.cambiarRol(id, rol));
+        } else {
+            usuario.rol = rol;
+            await this.almacenamiento.escribir('usuarios', usuario.id, usuario);
+        }
+        document.dispatchEvent(new CustomEvent('sesioncambiada'));
+    },
+
+    /**
+     * Ejecuta una operación de cuentas que resuelve el propio almacenamiento
+     * (con servidor, ver AlmacenamientoRemoto) y convierte sus rechazos en los
+     * errores de DataService, para que las páginas los traten igual que en local.
+     * @method
+     * @memberof DataService
+     * @private
+     * @param {function(): Promise<*>} operacion - Llamada al almacenamiento.
+     * @returns {Promise<*>} Lo que devuelva la operación.
+     * @throws {ErrorValidacion|ErrorPermiso|ErrorIntegridad}
+     */
+    _cuentaEnAlmacenamiento: async function(operacion) {
+        try {
+            return await operacion();
+        } catch (error) {
+            if (error.errores) throw new ErrorValidacion(error.errores);
+            if (error.estado === 401 || error.estado === 403) throw new ErrorPermiso(error.message);
+            if (error.estado === 409) throw new ErrorIntegridad(error.message);
+            throw error;
+        }
+    },
+
+    /**
+     * Indica si la sesión actual permite una acción (ver PERMISOS_ROL).
+     * Sin sesión se aplican los permisos del espectador, salvo con servidor.
+     * @method
+     * @memberof DataService
+     * @param {string} permiso - 'votar', 'editar', 'eliminar' o 'administrar'.
+     * @returns {Promise<boolean>}
+     */
+    puede: async function(permiso) {
+        await this.inicializar();
+        return this._permite(permiso);
+    },
+
+    /**
+     * Como puede, pero sin esperar a la inicialización. Con servidor (un
+     * almacenamiento que gestiona las cuentas) no se permite nada sin sesión,
+     * porque el servidor rechaza los cambios que no llevan su token.
+     * @method
+     * @memberof DataService
+     * @private
+     * @param {string} permiso - 'votar', 'editar', 'eliminar' o 'administrar'.
+     * @returns {Promise<boolean>}
+     */
+    _permite: async function(permiso) {
+        const sesion = await this._sesion();
+        if (!sesion && typeof this.almacenamiento.registrarUsuario === 'function') return false;
+        return PERMISOS_ROL[sesion ? sesion.rol : 'espectador'].indexOf(permiso) !== -1;
+    },
+
+    /**
+     * Lanza un ErrorPermiso si la sesión actual no permite una acción.
+     * La llaman al empezar todos los métodos que modifican el catálogo, de
+     * modo que la comprobación no depende de la página desde la que se usen.
+     * @method
+     * @memberof DataService
+     * @param {string} permiso - 'votar', 'editar', 'eliminar' o 'administrar'.
+     * @returns {Promise<void>}
+     * @throws {ErrorPermiso}
+     */
+    exigirPermiso: async function(permiso) {
+        if (await this.puede(permiso)) return;
+        const roles = Object.keys(PERMISOS_ROL)
+            .filter(rol => PERMISOS_ROL[rol].indexOf(permiso) !== -1)
+            .map(rol => ROLES[rol].toLowerCase());
+        throw new ErrorPermiso(`No tienes permiso para hacer esto. Inicia sesión como ${roles.join(' o ')}.`);
+    },
+
+    // --- PAPELERA ---
+
+    /**
+     * Mueve un registro a la colección 'papelera' en una sola operación.
+     * @method
+     * @memberof DataService
+     * @private
+     * @param {string} tipo - 'pelicula', 'genero' o 'persona'.
+     * @param {string} coleccion - Colección de origen.
+     * @param {number} id - ID del registro.
+     * @param {function(Object): string} describir - Descripción para el historial a partir del registro.
+     * @param {OperacionLote[]} [otras=[]] - Escrituras que se aplican en la misma operación
+     *   (p. ej. las películas que dejan de usar un género).
+     * @returns {Promise<void>}
+     */
+    _moverAPapelera: async function(tipo, coleccion, id, describir, otras = []) {
+        const datos = await this.almacenamiento.leer(coleccion, id);
+        if (!datos) return;
+        const eliminado = Date.now();
+        // La marca de tiempo evita pisar una entrada anterior con el mismo ID
+        const clave = `${tipo}:${id}:${eliminado}`;
+        await this._ejecutar('eliminar', describir(datos), otras.concat([
+            { tipo: 'escribir', coleccion: 'papelera', clave: clave, valor: { clave: clave, tipo: tipo, eliminado: eliminado, datos: datos } },
+            { tipo: 'borrar', coleccion: coleccion, clave: id }
+        ]));
+    },
+
+    /**
+     * Devuelve el contenido de la papelera, de lo más reciente a lo más antiguo.
+     * @method
+     * @memberof DataService
+     * @returns {Promise<EntradaPapelera[]>}
+     */
+    getPapelera: async function() {
+        await this.inicializar();
+        const entradas = await this.almacenamiento.leerTodos('papelera');
+        return entradas.sort((a, b) => b.eliminado - a.eliminado);
+    },
+
+    /**
+     * Restaura un elemento de la papelera.
+     * @method
+     * @memberof DataService
+     * @param {string} clave - Clave de la entrada en la papelera.
+     * @returns {Promise<(Pelicula|Genero|Persona)>} El elemento restaurado (su ID puede cambiar si ya estaba ocupado).
+     * @throws {ErrorIntegridad|ErrorValidacion} Si restaurarlo dejaría datos inconsistentes.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'editar'.
+     */
+    restaurarDePapelera: async function(clave) {
+        await this.exigirPermiso('editar');
+        const entrada = await this.almacenamiento.leer('papelera', clave);
+        if (!entrada) throw new Error("El elemento ya no está en la papelera.");
+        if (entrada.tipo === 'genero') return this._restaurarGenero(entrada);
+        if (entrada.tipo === 'persona') return this._restaurarPersona(entrada);
+        return this._restaurarPelicula(entrada);
+    },
+
+    /**
+     * Restaura un género. Si su nombre ya lo usa otro género se rechaza (igual que
+     * al crear uno). Si su ID lo ha ocupado un género nuevo, recibe otro ID y las
+     * películas de la papelera que lo usaban (eliminadas antes que él) se actualizan.
+     * Si su género padre ya no existe, vuelve como género principal.
+     * @method
+     * @memberof DataService
+     * @private
+     * @param {EntradaPapelera} entrada - Entrada de la papelera.
+     * @returns {Promise<Genero>}
+     */
+    _restaurarGenero: async function(entrada) {
+        const generos = await this.getGeneros();
+        const original = Genero.fromJSON(entrada.datos);
+        const operaciones = [];
+        let genero = original;
+
+        if (generos.some(g => g.id === original.id)) {
+            genero = new Genero(this.siguienteId(generos), original.nombre, original.padre);
+            const papelera = await this.almacenamiento.leerTodos('papelera');
+            papelera.forEach(e => {
+                if (e.tipo !== 'pelicula' || e.eliminado > entrada.eliminado) return;
+                if (e.datos.generos.indexOf(original.id) === -1) return;
+                e.datos.generos = e.datos.generos.map(id => (id === original.id ? genero.id : id));
+                operaciones.push({ tipo: 'escribir', coleccion: 'papelera', clave: e.clave, valor: e });
+            });
+        }
+        if (!generos.some(g => g.id === genero.padre)) genero.padre = null;
+        this._comprobar(genero.validar(generos));
+
+        operaciones.push({ tipo: 'escribir', coleccion: 'generos', clave: genero.id, valor: genero });
+        operaciones.push({ tipo: 'borrar', coleccion: 'papelera', clave: entrada.clave });
+        await this._ejecutar('restaurar', `Restaurar género "${genero.nombre}"`, operaciones);
+        return genero;
+    },
+
+    /**
+     * Restaura una persona. Si su ID lo ha ocupado una persona nueva, recibe otro
+     * ID y los créditos de las películas de la papelera que la citaban
+     * (eliminadas antes que ella) se actualizan.
+     * @method
+     * @memberof DataService
+     * @private
+     * @param {EntradaPapelera} entrada - Entrada de la papelera.
+     * @returns {Promise<Persona>}
+     */
+    _restaurarPersona: async function(entrada) {
+        const personas = await this.getPersonas();
+        const original = Persona.fromJSON(entrada.datos);
+        const operaciones = [];
+        let persona = original;
+
+        if (personas.some(p => p.id === original.id)) {
+            persona = new Persona(this.siguienteId(personas), original.nombre);
+            const papelera = await this.almacenamiento.leerTodos('papelera');
+            papelera.forEach(e => {
+                if (e.tipo !== 'pelicula' || e.eliminado > entrada.eliminado) return;
+                if (!e.datos.creditos.some(c => c.persona === original.id)) return;
+                e.datos.creditos = e.datos.creditos.map(c => (c.persona === original.id ? Object.assign({}, c, { persona: persona.id }) : c));
+                operaciones.push({ tipo: 'escribir', coleccion: 'papelera', clave: e.clave, valor: e });
+            });
+        }
+        this._comprobar(persona.validar());
+
+        operaciones.push({ tipo: 'escribir', coleccion: 'personas', clave: persona.id, valor: persona });
+        operaciones.push({ tipo: 'borrar', coleccion: 'papelera', clave: entrada.clave });
+        await this._ejecutar('restaurar', `Restaurar persona "${persona.nombre}"`, operaciones);
+        return persona;
+    },
+
+    /**
+     * Restaura una película con sus votos. Solo conserva los géneros y los
+     * créditos cuyas personas siguen existiendo; si alguno está en la papelera
+     * hay que restaurarlo antes.
+     * Si su ID lo ha ocupado una película nueva, recibe otro ID.
+     * @method
+     * @memberof DataService
+     * @private
+     * @param {EntradaPapelera} entrada - Entrada de la papelera.
+     * @returns {Promise<Pelicula>}
+     * @throws {ErrorIntegridad} Si usa géneros o personas que están en la papelera, o ya no le queda ningún género.
+     */
+    _restaurarPelicula: async function(entrada) {
+        const peliculas = await this.getPeliculas();
+        const generos = await this.getGeneros();
+        const personas = await this.getPersonas();
+        const papelera = await this.almacenamiento.leerTodos('papelera');
+        const datos = entrada.datos;
+
+        const existentes = datos.generos.filter(id => generos.some(g => g.id === id));
+        const enPapelera = papelera.filter(e => e.tipo === 'genero' && existentes.indexOf(e.datos.id) === -1 && datos.generos.indexOf(e.datos.id) !== -1);
+        if (enPapelera.length > 0) {
+            throw new ErrorIntegridad("La película usa géneros que están en la papelera: " +
+                enPapelera.map(e => e.datos.nombre).join(', ') + ". Restáuralos primero.");
+        }
+        if (existentes.length === 0) {
+            throw new ErrorIntegridad("Ninguno de los géneros de la película existe ya, por lo que no se puede restaurar.");
+        }
+
+        const creditos = datos.creditos.filter(c => personas.some(p => p.id === c.persona));
+        const personasEnPapelera = papelera.filter(e => e.tipo === 'persona' &&
+            !personas.some(p => p.id === e.datos.id) && datos.creditos.some(c => c.persona === e.datos.id));
+        if (personasEnPapelera.length > 0) {
+            throw new ErrorIntegridad("En los créditos de la película figuran personas que están en la papelera: " +
+                personasEnPapelera.map(e => e.datos.nombre).join(', ') + ". Restáuralas primero.");
+        }
+
+        const id = peliculas.some(p => p.id === datos.id) ? this.siguienteId(peliculas) : datos.id;
+        const pelicula = Pelicula.fromJSON(Object.assign({}, datos, { id: id, generos: existentes, creditos: creditos }));
+        this._comprobar(pelicula.validar());
+
+        await this._ejecutar('restaurar', `Restaurar película "${pelicula.titulo}"`, [
+            { tipo: 'escribir', coleccion: 'peliculas', clave: pelicula.id, valor: pelicula },
+            { tipo: 'borrar', coleccion: 'papelera', clave: entrada.clave }
+        ]);
+        return pelicula;
+    },
+
+    /**
+     * Elimina definitivamente un elemento de la papelera.
+     * @method
+     * @memberof DataService
+     * @param {string} clave - Clave de la entrada en la papelera.
+     * @returns {Promise<void>}
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'eliminar'.
+     */
+    purgarDePapelera: async function(clave) {
+        await this.exigirPermiso('eliminar');
+        const entrada = await this.almacenamiento.leer('papelera', clave);
+        if (!entrada) return;
+        await this._purgar([entrada]);
+    },
+
+    /**
+     * Elimina definitivamente todo el contenido de la papelera.
+     * @method
+     * @memberof DataService
+     * @returns {Promise<void>}
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'eliminar'.
+     */
+    vaciarPapelera: async function() {
+        await this.exigirPermiso('eliminar');
+        await this._purgar(await this.almacenamiento.leerTodos('papelera'));
+    },
+
+    /**
+     * Borra entradas de la papelera y apunta en la auditoría cada elemento purgado.
+     * @method
+     * @memberof DataService
+     * @private
+     * @param {EntradaPapelera[]} entradas - Entradas a borrar.
+     * @param {string} [editor] - Quién purga; por defecto el nombre del perfil.
+     * @returns {Promise<void>}
+     */
+    _purgar: async function(entradas, editor) {
+        if (entradas.length === 0) return;
+        const cambios = entradas.map(e => ({
+            coleccion: { pelicula: 'peliculas', genero: 'generos', persona: 'personas' }[e.tipo],
+            clave: e.datos.id,
+            antes: e.datos,
+            despues: null
+        }));
+        const operaciones = entradas.map(e => ({ tipo: 'borrar', coleccion: 'papelera', clave: e.clave }));
+        await this.almacenamiento.lote(operaciones.concat(await this._entradasAuditoria('purgar', cambios, editor)));
+        this._avisarCambio(['papelera']);
+    },
+
+    /**
+     * Días que se conservan los elementos en la papelera antes de purgarlos.
+     * @method
+     * @memberof DataService
+     * @returns {Promise<number>} Días de retención (30 por defecto).
+     */
+    getDiasRetencion: async function() {
+        await this.inicializar();
+        return this._diasRetencion();
+    },
+
+    /**
+     * Cambia los días de retención de la papelera y purga lo que ya haya caducado.
+     * @method
+     * @memberof DataService
+     * @param {number} dias - Número entero de días, al menos 1.
+     * @returns {Promise<void>}
+     * @throws {ErrorValidacion} Si el número de días no es válido.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'administrar'.
+     */
+    setDiasRetencion: async function(dias) {
+        await this.exigirPermiso('administrar');
+        if (!Number.isInteger(dias) || dias < 1) {
+            throw new ErrorValidacion([{ campo: 'dias', mensaje: "Los días de retención deben ser un número entero mayor que 0." }]);
+        }
+        await this.almacenamiento.escribirMeta('cmdb_dias_retencion', dias);
+        await this._purgarCaducados();
+    },
+
+    /**
+     * Votos mínimos de la puntuación ponderada (ver Pelicula#puntuacionPonderada).
+     * @method
+     * @memberof DataService
+     * @returns {Promise<number>} Votos mínimos (3 por defecto).
+     */
+    getVotosMinimos: async function() {
+        await this.inicializar();
+        const minimo = await this.almacenamiento.leerMeta('cmdb_votos_minimos');
+        return minimo === null || minimo === undefined ? 3 : minimo;
+    },
+
+    /**
+     * Cambia los votos mínimos de la puntuación ponderada.
+     * @method
+     * @memberof DataService
+     * @param {number} minimo - Número entero de votos, 0 o más (0 = media sin ponderar).
+     * @returns {Promise<void>}
+     * @throws {ErrorValidacion} Si el número no es válido.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'administrar'.
+     */
+    setVotosMinimos: async function(minimo) {
+        await this.exigirPermiso('administrar');
+        if (!Number.isInteger(minimo) || minimo < 0) {
+            throw new ErrorValidacion([{ campo: 'votosMinimos', mensaje: "Los votos mínimos deben ser un número entero igual o mayor que 0." }]);
+        }
+        await this.almacenamiento.escribirMeta('cmdb_votos_minimos', minimo);
+    },
+
+    /**
+     * Ranking de películas por puntuación ponderada. La media global se calcula
+     * con todo el catálogo, aunque se filtre por género o década.
+     * @method
+     * @memberof DataService
+     * @param {{genero: (number|null), decada: (number|null)}} [filtros={}] - Género
+     *   (incluye las películas que lo tienen entre los suyos, directamente o por
+     *   alguno de sus subgéneros) y década (p. ej. 1990).
+     * @returns {Promise<{mediaGlobal: number, votosMinimos: number, filas: Array<{pelicula: Pelicula, ponderada: number}>}>}
+     *   Filas de mayor a menor puntuación; los empates se deshacen por número de votos y título.
+     */
+    getRanking: async function(filtros = {}) {
+        const peliculas = await this.getPeliculas();
+        const votosMinimos = await this.getVotosMinimos();
+        const mediaGlobal = Pelicula.mediaGlobal(peliculas);
+        const idsGenero = filtros.genero === undefined || filtros.genero === null
+            ? null
+            : idsGeneroYDescendientes(filtros.genero, await this.getGeneros());
+        const filas = peliculas
+            .filter(p => idsGenero === null || p.generos.some(id => idsGenero.includes(id)))
+            .filter(p => filtros.decada === undefined || filtros.decada === null ||
+                Math.floor(parseInt(p.fecha.substring(0, 4)) / 10) * 10 === filtros.decada)
+            .map(p => ({ pelicula: p, ponderada: p.puntuacionPonderada(votosMinimos, mediaGlobal) }))
+            .sort((a, b) => b.ponderada - a.ponderada ||
+                b.pelicula.numeroVotos - a.pelicula.numeroVotos ||
+                a.pelicula.titulo.localeCompare(b.pelicula.titulo));
+        return { mediaGlobal, votosMinimos, filas };
+    },
+
+    /**
+     * Lee los días de retención sin esperar a la inicialización.
+     * @method
+     * @memberof DataService
+     * @private
+     * @returns {Promise<number>}
+     */
+    _diasRetencion: async function() {
+        return (await this.almacenamiento.leerMeta('cmdb_dias_retencion')) || 30;
+    },
+
+    /**
+     * Purga los elementos de la papelera que superan los días de retención.
+     * Se ejecuta al inicializar, por lo que basta con abrir cualquier página
+     * (con servidor, con una sesión que pueda eliminar).
+     * @method
+     * @memberof DataService
+     * @private
+     * @returns {Promise<number>} Número de elementos purgados.
+     */
+    _purgarCaducados: async function() {
+        const limite = Date.now() - (await this._diasRetencion()) * 24 * 60 * 60 * 1000;
+        const caducados = (await this.almacenamiento.leerTodos('papelera')).filter(e => e.eliminado < limite);
+        await this._purgar(caducados, 'Purga automática');
+        return caducados.length;
+    },
+
+    /**
+     * Añade al catálogo un conjunto de películas cuyos géneros y personas de
+     * los créditos vienen por nombre.
+     * Se validan igual que cualquier otro guardado; si alguna no es válida
+     * no se guarda nada. Los géneros y las personas que no existen se crean.
+     * Los géneros del archivo (si es una copia en JSON) se crean antes que las
+     * películas y conservan el género del que cuelgan, traduciendo su ID del
+     * archivo al local; los que ya existen mantienen su sitio en el árbol.
+     * Las películas reciben IDs nuevos para no pisar las existentes.
+     * Todo queda como una sola operación del historial.
+     * @method
+     * @memberof DataService
+     * @param {Array<{titulo: string, fecha: string, popularidad: number, generos: string[], votos: Voto[], creditos: CreditoImportacion[]}>} filas - Películas a añadir.
+     * @param {GeneroImportacion[]} [generosArchivo=[]] - Géneros del archivo (ver Intercambio.leerGenerosJSON).
+     * @returns {Promise<{peliculas: number, generosCreados: string[], personasCreadas: string[]}>} Resumen de lo importado.
+     * @throws {ErrorValidacion} Si alguna película, género o persona nueva no es válida.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'editar'.
+     */
+    importarPeliculas: async function(filas, generosArchivo = []) {
+        await this.exigirPermiso('editar');
+        const generos = await this.getGeneros();
+        const personas = await this.getPersonas();
+        const peliculas = await this.getPeliculas();
+        // Los nombres se comparan normalizados, igual que en validarGenero
+        const idPorNombre = new Map(generos.map(g => [normalizarTexto(g.nombre), g.id]));
+        // Con personas homónimas se usa la de menor ID
+        const personaPorNombre = new Map();
+        personas.slice().sort((a, b) => a.id - b.id).forEach(p => {
+            if (!personaPorNombre.has(normalizarTexto(p.nombre))) personaPorNombre.set(normalizarTexto(p.nombre), p.id);
+        });
+        const generosCreados = [];
+        const personasCreadas = [];
+        const operaciones = [];
+        let siguienteGenero = this.siguienteId(generos);
+        let siguientePersona = this.siguienteId(personas);
+        let siguientePelicula = this.siguienteId(peliculas);
+        // Devuelve el ID local de un género por nombre, creándolo si no existe
+        const idGenero = (nombre, padre) => {
+            const clave = normalizarTexto(nombre);
+            if (!idPorNombre.has(clave)) {
+                const genero = new Genero(siguienteGenero++, nombre, padre);
+                this._comprobar(genero.validar(generos).concat(validarJerarquiaGenero(genero, generos)), nombre);
+                generos.push(genero);
+                idPorNombre.set(clave, genero.id);
+                generosCreados.push(nombre);
+                operaciones.push({ tipo: 'escribir', coleccion: 'generos', clave: genero.id, valor: genero });
+            }
+            return idPorNombre.get(clave);
+        };
+
+        // En orden de árbol, para que el padre de cada género ya tenga su ID local
+        const idLocal = new Map();
+        generosEnArbol(generosArchivo).forEach(({ genero }) => {
+            const padre = idLocal.has(genero.padre) ? idLocal.get(genero.padre) : null;
+            idLocal.set(genero.id, idGenero(genero.nombre, padre));
+        });
+
+        filas.forEach(fila => {
+            const ids = [];
+            fila.generos.forEach(nombre => {
+                const id = idGenero(nombre, null);
+                if (ids.indexOf(id) === -1) ids.push(id);
+            });
+            const pelicula = new Pelicula(siguientePelicula++, fila.titulo.trim(), fila.fecha, fila.popularidad, ids);
+            pelicula.votos = fila.votos || [];
+            pelicula.creditos = (fila.creditos || []).map(c => {
+                const clave = normalizarTexto(c.nombre);
+                if (!personaPorNombre.has(clave)) {
+                    const persona = new Persona(siguientePersona++, c.nombre.trim());
+                    this._comprobar(persona.validar(), c.nombre);
+                    personaPorNombre.set(clave, persona.id);
+                    personasCreadas.push(persona.nombre);
+                    operaciones.push({ tipo: 'escribir', coleccion: 'personas', clave: persona.id, valor: persona });
+                }
+                return { persona: personaPorNombre.get(clave), rol: c.rol, personaje: c.personaje || '' };
+            });
+            Object.keys(FICHA_VACIA).forEach(campo => {
+                if (fila[campo] !== undefined) pelicula[campo] = fila[campo];
+            });
+            this._comprobar(pelicula.validar(), pelicula.titulo);
+            operaciones.push({ tipo: 'escribir', coleccion: 'peliculas', clave: pelicula.id, valor: pelicula });
+        });
+
+        await this._ejecutar('importar', `Importar ${filas.length} películas`, operaciones);
+        return { peliculas: filas.length, generosCreados: generosCreados, personasCreadas: personasCreadas };
+    },
+
+    /**
+     * Fusiona dos películas en una. La película que se conserva mantiene su
+     * título, fecha, popularidad y ficha (los datos de ficha vacíos se completan
+     * con los de la otra); recibe la unión de los géneros y créditos de ambas y
+     * todos los votos de la otra, que se elimina definitivamente (sus datos ya
+     * quedan en la conservada). Si un usuario votó las dos, solo cuenta su
+     * voto más reciente. Las listas que contenían la absorbida pasan a
+     * contener la conservada. Se guarda en una sola operación.
+     * @method
+     * @memberof DataService
+     * @param {number} idConservar - ID de la película que se conserva.
+     * @param {number} idAbsorber - ID de la película que se fusiona y desaparece.
+     * @returns {Promise<Pelicula>} La película resultante.
+     * @throws {Error} Si los IDs son iguales o alguna película no existe.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'eliminar'.
+     */
+    fusionarPeliculas: async function(idConservar, idAbsorber) {
+        await this.exigirPermiso('eliminar');
+        if (idConservar === idAbsorber) throw new Error("No se puede fusionar una película consigo misma.");
+        const peliculas = await this.getPeliculas();
+        const conservar = peliculas.find(p => p.id === idConservar);
+        const absorber = peliculas.find(p => p.id === idAbsorber);
+        if (!conservar || !absorber) throw new Error("No se encontraron las películas a fusionar.");
+
+        absorber.generos.forEach(id => {
+            if (conservar.generos.indexOf(id) === -1) conservar.generos.push(id);
+        });
+        absorber.creditos.forEach(credito => {
+            const repetido = conservar.creditos.some(c => c.persona === credito.persona && c.rol === credito.rol &&
+                normalizarTexto(c.personaje) === normalizarTexto(credito.personaje));
+            if (!repetido) conservar.creditos.push(credito);
+        });
+        // Los datos de la ficha que falten se toman de la película absorbida
+        Object.keys(FICHA_VACIA).forEach(campo => {
+            if (conservar[campo] === FICHA_VACIA[campo]) conservar[campo] = absorber[campo];
+        });
+        absorber.votos.forEach(voto => {
+            const propio = voto.activo && voto.usuario !== null ? conservar.votoDe(voto.usuario) : null;
+            if (propio) {
+                if (propio.instante >= voto.instante) voto.activo = false;
+                else propio.activo = false;
+            }
+            conservar.votos.push(voto);
+        });
+        this._comprobar(conservar.validar());
+
+        const operaciones = [
+            { tipo: 'escribir', coleccion: 'peliculas', clave: conservar.id, valor: conservar },
+            { tipo: 'borrar', coleccion: 'peliculas', clave: idAbsorber }
+        ];
+        // En las listas de todos los usuarios la película absorbida pasa a ser la conservada
+        const listas = (await this.almacenamiento.leerTodos('listas')).map(l => Lista.fromJSON(l));
+        listas.filter(l => l.contiene(idAbsorber)).forEach(lista => {
+            // Si la lista ya tenía las dos, se queda la que estaba antes
+            lista.elementos = lista.elementos
+                .map(e => (e.pelicula === idAbsorber ? Object.assign({}, e, { pelicula: idConservar }) : e))
+                .filter((e, i, elementos) => elementos.findIndex(o => o.pelicula === e.pelicula) === i);
+            operaciones.push({ tipo: 'escribir', coleccion: 'listas', clave: lista.id, valor: lista });
+        });
+
+        await this._ejecutar('fusionar', `Fusionar "${absorber.titulo}" en "${conservar.titulo}"`, operaciones);
+        return conservar;
+    },
+
+    /**
+     * Fusiona dos géneros: todas las películas del género absorbido pasan al
+     * que se conserva (sin repetirlo si ya lo tenían), sus subgéneros pasan a
+     * colgar del que se conserva y el absorbido se elimina definitivamente.
+     * Todo se guarda en una sola operación.
+     * @method
+     * @memberof DataService
+     * @param {number} idConservar - ID del género que se conserva.
+     * @param {number} idAbsorber - ID del género que se fusiona y desaparece.
+     * @returns {Promise<number>} Número de películas reasignadas.
+     * @throws {Error} Si los IDs son iguales, algún género no existe o el que se
+     *   conserva es un subgénero del absorbido.
+     * @throws {ErrorPermiso} Si la sesión no tiene el permiso 'eliminar'.
+     */
+    fusionarGeneros: async function(idConservar, idAbsorber) {
+        await this.exigirPermiso('eliminar');
+        if (idConservar === idAbsorber) throw new Error("No se puede fusionar un género consigo mismo.");
+        const generos = await this.getGeneros();
+        const conservar = generos.find(g => g.id === idConservar);
+        const absorber = generos.find(g => g.id === idAbsorber);
+        if (!conservar || !absorber) throw new Error("No se encontraron los géneros a fusionar.");
+        if (idsGeneroYDescendientes(idAbsorber, generos).indexOf(idConservar) !== -1) {
+            throw new Error(`No se puede fusionar "${absorber.nombre}" en uno de sus subgéneros.`);
+        }
+
+        const afectadas = await this.peliculasConGenero(idAbsorber);
+        const operaciones = afectadas.map(p => {
+            p.generos = p.generos.filter(id => id !== idAbsorber);
+            if (p.generos.indexOf(idConservar) === -1) p.generos.push(idConservar);
+            this._comprobar(p.validar(), p.titulo);
+            return { tipo: 'escribir', coleccion: 'peliculas', clave: p.id, valor: p };
+        });
+        generos.filter(g => g.padre === idAbsorber).forEach(g => {
+            g.padre = idConservar;
+            operaciones.push({ tipo: 'escribir', coleccion: 'generos', clave: g.id, valor: g });
+        });
+        operaciones.push({ tipo: 'borrar', coleccion: 'generos', clave: idAbsorber });
+
+        await this._ejecutar('fusionar', `Fusionar género "${absorber.nombre}" en "${conservar.nombre}"`, operaciones);
+        return afectadas.length;
+    },
+
+    /**
+     * Genera el siguiente ID disponible para una colección.
+     * @method
+     * @memberof DataService
+     * @param {Array} coleccion - Array de objetos con propiedad id.
+     * @returns {number} Nuevo ID (máximo ID + 1, o 1 si la colección está vacía).
+     */
+    siguienteId: function(coleccion) {
+        if (coleccion.length === 0) return 1;
+        // Busca el ID máximo y suma 1 
+        const maxId = coleccion.reduce((max, item) => (item.id > max ? item.id : max), 0);
+        return maxId + 1;
+    }
+};
+
+/**
+ * Inicializa los datos al cargar cualquier página.
+ * Se ejecuta automáticamente cuando el DOM está listo; los controladores
+ * esperan a la misma promesa mediante DataService.inicializar().
+ * @event DOMContentLoaded
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    DataService.inicializar();
+});
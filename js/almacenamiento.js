@@ -0,0 +1,953 @@
+/**
+ * @fileoverview Adaptadores de almacenamiento de la aplicación CMDB.
+ * Define la interfaz común que usa DataService para persistir sus colecciones
+ * y cuatro implementaciones: IndexedDB (uso real), LocalStorage, memoria
+ * (pruebas) y un servidor HTTP compartido (ver servidor/servidor.js).
+ * @module almacenamiento
+ */
+
+/**
+ * Interfaz que cumplen todos los adaptadores de almacenamiento.
+ * Los datos se agrupan en colecciones (por ejemplo 'peliculas' o 'generos')
+ * formadas por objetos planos identificados por una clave.
+ * Todas las operaciones son asíncronas y devuelven una Promise.
+ * @typedef {Object} AdaptadorAlmacenamiento
+ * @property {function(): Promise<void>} abrir - Prepara el almacenamiento para su uso.
+ * @property {function(string): Promise<Object[]>} leerTodos - Devuelve todos los registros de una colección.
+ * @property {function(string, (number|string)): Promise<Object|null>} leer - Devuelve un registro o null si no existe.
+ * @property {function(string, (number|string), Object): Promise<void>} escribir - Crea o sustituye un registro.
+ * @property {function(string, (number|string)): Promise<void>} borrar - Elimina un registro.
+ * @property {function(string, EntradaAlmacenamiento[]): Promise<void>} reemplazar - Sustituye la colección completa.
+ * @property {function(OperacionLote[]): Promise<void>} lote - Aplica varias escrituras y borrados de una vez.
+ * @property {function(string): Promise<*>} leerMeta - Lee un valor de metadatos (null si no existe).
+ * @property {function(string, *): Promise<void>} escribirMeta - Guarda un valor de metadatos.
+ * @property {function(number, VotoRemoto, Object): Promise<Object>} [votar] - Opcional: aplica un voto
+ *   en el propio almacenamiento y devuelve la película resultante (ver AlmacenamientoRemoto#votar).
+ * @property {function(number, Object): Promise<Object>} [retirarVoto] - Opcional: como votar, pero
+ *   retira el voto de la sesión (ver AlmacenamientoRemoto#retirarVoto).
+ * @property {function(number, string, Object): Promise<Object>} [marcarUtil] - Opcional: como votar,
+ *   pero marca o desmarca como útil una reseña (ver AlmacenamientoRemoto#marcarUtil).
+ * @property {function(): Promise<ResultadoSincronizacion>} [sincronizar] - Opcional: envía los
+ *   cambios hechos sin conexión (ver AlmacenamientoRemoto#sincronizar).
+ * @property {function(): Promise<number>} [contarPendientes] - Opcional: cambios aún sin enviar.
+ * @property {function(string, string): Promise<Object>} [registrarUsuario] - Opcional: crea la
+ *   cuenta e inicia sesión en el propio almacenamiento (ver AlmacenamientoRemoto#registrarUsuario).
+ * @property {function(string, string): Promise<Object>} [iniciarSesion] - Opcional: comprueba la
+ *   contraseña en el propio almacenamiento y devuelve la cuenta, sin sus credenciales.
+ * @property {function(): Promise<void>} [cerrarSesion] - Opcional: cierra la sesión abierta con iniciarSesion.
+ * @property {function(string, string): Promise<void>} [cambiarRol] - Opcional: cambia el rol de
+ *   una cuenta en el propio almacenamiento.
+ */
+
+/**
+ * Par clave/valor usado para reemplazar una colección completa.
+ * @typedef {Object} EntradaAlmacenamiento
+ * @property {(number|string)} clave - Clave del registro dentro de la colección.
+ * @property {Object} valor - Registro a guardar.
+ */
+
+/**
+ * Operación de un lote: escribir o borrar un registro de una colección.
+ * Un lote se aplica entero o no se aplica (en IndexedDB es una sola transacción).
+ * @typedef {Object} OperacionLote
+ * @property {string} tipo - 'escribir' o 'borrar'.
+ * @property {string} coleccion - Nombre de la colección.
+ * @property {(number|string)} clave - Clave del registro.
+ * @property {Object} [valor] - Registro a guardar (solo para 'escribir').
+ */
+
+/**
+ * Copia profunda de un valor tal y como quedaría al serializarlo.
+ * Evita que quien llama comparta referencias con lo almacenado.
+ * @param {*} valor - Valor a copiar.
+ * @returns {*} Copia independiente del valor.
+ */
+function clonarRegistro(valor) {
+    return valor === undefined ? null : JSON.parse(JSON.stringify(valor));
+}
+
+/**
+ * Almacenamiento en memoria. Los datos se pierden al recargar la página,
+ * por lo que está pensado para pruebas y para entornos sin persistencia.
+ * @class
+ * @implements {AdaptadorAlmacenamiento}
+ */
+class AlmacenamientoMemoria {
+    /**
+     * Crea un almacenamiento en memoria vacío.
+     */
+    constructor() {
+        this._colecciones = new Map();
+        this._meta = new Map();
+    }
+
+    /**
+     * Devuelve (creándolo si hace falta) el mapa de una colección.
+     * @param {string} coleccion - Nombre de la colección.
+     * @returns {Map} Mapa clave → registro.
+     */
+    _coleccion(coleccion) {
+        if (!this._colecciones.has(coleccion)) {
+            this._colecciones.set(coleccion, new Map());
+        }
+        return this._colecciones.get(coleccion);
+    }
+
+    async abrir() {}
+
+    async leerTodos(coleccion) {
+        return [...this._coleccion(coleccion).values()].map(clonarRegistro);
+    }
+
+    async leer(coleccion, clave) {
+        return clonarRegistro(this._coleccion(coleccion).get(clave));
+    }
+
+    async escribir(coleccion, clave, valor) {
+        this._coleccion(coleccion).set(clave, clonarRegistro(valor));
+    }
+
+    async borrar(coleccion, clave) {
+        this._coleccion(coleccion).delete(clave);
+    }
+
+    async reemplazar(coleccion, entradas) {
+        const mapa = new Map();
+        entradas.forEach(e => mapa.set(e.clave, clonarRegistro(e.valor)));
+        this._colecciones.set(coleccion, mapa);
+    }
+
+    async lote(operaciones) {
+        // Se clonan antes de aplicar nada para que un valor no serializable no deje el lote a medias
+        const valores = operaciones.map(op => (op.tipo === 'escribir' ? clonarRegistro(op.valor) : null));
+        operaciones.forEach((op, i) => {
+            if (op.tipo === 'escribir') {
+                this._coleccion(op.coleccion).set(op.clave, valores[i]);
+            } else {
+                this._coleccion(op.coleccion).delete(op.clave);
+            }
+        });
+    }
+
+    async leerMeta(clave) {
+        return this._meta.has(clave) ? clonarRegistro(this._meta.get(clave)) : null;
+    }
+
+    async escribirMeta(clave, valor) {
+        this._meta.set(clave, clonarRegistro(valor));
+    }
+}
+
+/**
+ * Almacenamiento sobre LocalStorage.
+ * Cada colección se guarda como un objeto JSON (clave → registro) bajo
+ * la clave 'cmdb:<coleccion>'; los metadatos se guardan con su propio nombre.
+ * Sigue teniendo el límite de tamaño de LocalStorage, por lo que solo se usa
+ * cuando el navegador no ofrece IndexedDB.
+ * @class
+ * @implements {AdaptadorAlmacenamiento}
+ */
+class AlmacenamientoLocal {
+    /**
+     * Crea un almacenamiento sobre LocalStorage.
+     * @param {Storage} [storage=localStorage] - Objeto Storage a utilizar.
+     */
+    constructor(storage = localStorage) {
+        this._storage = storage;
+    }
+
+    /**
+     * Lee el objeto JSON completo de una colección.
+     * @param {string} coleccion - Nombre de la colección.
+     * @returns {Object} Objeto clave → registro.
+     */
+    _leerColeccion(coleccion) {
+        return JSON.parse(this._storage.getItem('cmdb:' + coleccion)) || {};
+    }
+
+    /**
+     * Escribe el objeto JSON completo de una colección.
+     * @param {string} coleccion - Nombre de la colección.
+     * @param {Object} datos - Objeto clave → registro.
+     */
+    _escribirColeccion(coleccion, datos) {
+        this._storage.setItem('cmdb:' + coleccion, JSON.stringify(datos));
+    }
+
+    async abrir() {}
+
+    async leerTodos(coleccion) {
+        return Object.values(this._leerColeccion(coleccion));
+    }
+
+    async leer(coleccion, clave) {
+        const registro = this._leerColeccion(coleccion)[clave];
+        return registro === undefined ? null : registro;
+    }
+
+    async escribir(coleccion, clave, valor) {
+        const datos = this._leerColeccion(coleccion);
+        datos[clave] = valor;
+        this._escribirColeccion(coleccion, datos);
+    }
+
+    async borrar(coleccion, clave) {
+        const datos = this._leerColeccion(coleccion);
+        delete datos[clave];
+        this._escribirColeccion(coleccion, datos);
+    }
+
+    async reemplazar(coleccion, entradas) {
+        const datos = {};
+        entradas.forEach(e => { datos[e.clave] = e.valor; });
+        this._escribirColeccion(coleccion, datos);
+    }
+
+    async lote(operaciones) {
+        // Se aplican en memoria y cada colección afectada se escribe una sola vez
+        const colecciones = new Map();
+        operaciones.forEach(op => {
+            if (!colecciones.has(op.coleccion)) {
+                colecciones.set(op.coleccion, this._leerColeccion(op.coleccion));
+            }
+            const datos = colecciones.get(op.coleccion);
+            if (op.tipo === 'escribir') {
+                datos[op.clave] = op.valor;
+            } else {
+                delete datos[op.clave];
+            }
+        });
+        colecciones.forEach((datos, coleccion) => this._escribirColeccion(coleccion, datos));
+    }
+
+    async leerMeta(clave) {
+        return JSON.parse(this._storage.getItem(clave));
+    }
+
+    async escribirMeta(clave, valor) {
+        this._storage.setItem(clave, JSON.stringify(valor));
+    }
+}
+
+/**
+ * Almacenamiento sobre IndexedDB. Es el adaptador por defecto.
+ * Todos los registros viven en un único almacén 'registros' con claves
+ * compuestas [coleccion, clave], de modo que se pueden añadir colecciones
+ * nuevas sin cambiar la versión de la base de datos.
+ * @class
+ * @implements {AdaptadorAlmacenamiento}
+ */
+class AlmacenamientoIndexedDB {
+    /**
+     * Crea un almacenamiento sobre IndexedDB.
+     * @param {string} [nombreBD='cmdb'] - Nombre de la base de datos.
+     */
+    constructor(nombreBD = 'cmdb') {
+        this.nombreBD = nombreBD;
+        this._bd = null;
+        this._apertura = null;
+    }
+
+    /**
+     * Abre (y crea la primera vez) la base de datos.
+     * Las llamadas repetidas devuelven la misma promesa.
+     * @returns {Promise<void>}
+     */
+    abrir() {
+        if (!this._apertura) {
+            this._apertura = new Promise((resolve, reject) => {
+                const peticion = indexedDB.open(this.nombreBD, 1);
+                peticion.onupgradeneeded = () => {
+                    const bd = peticion.result;
+                    bd.createObjectStore('registros');
+                    bd.createObjectStore('meta');
+                };
+                peticion.onsuccess = () => {
+                    this._bd = peticion.result;
+                    resolve();
+                };
+                peticion.onerror = () => {
+                    this._apertura = null;
+                    reject(peticion.error);
+                };
+            });
+        }
+        return this._apertura;
+    }
+
+    /**
+     * Ejecuta una operación dentro de una transacción y espera a que termine.
+     * @param {string} almacen - Nombre del almacén ('registros' o 'meta').
+     * @param {IDBTransactionMode} modo - 'readonly' o 'readwrite'.
+     * @param {function(IDBObjectStore): (IDBRequest|void)} operacion - Operación a ejecutar.
+     * @returns {Promise<*>} Resultado de la petición devuelta por la operación.
+     */
+    async _transaccion(almacen, modo, operacion) {
+        await this.abrir();
+        return new Promise((resolve, reject) => {
+            const tx = this._bd.transaction(almacen, modo);
+            const peticion = operacion(tx.objectStore(almacen));
+            tx.oncomplete = () => resolve(peticion ? peticion.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Rango de claves que abarca todos los registros de una colección.
+     * Un array vacío es mayor que cualquier número o cadena, por eso sirve de cota superior.
+     * @param {string} coleccion - Nombre de la colección.
+     * @returns {IDBKeyRange}
+     */
+    _rango(coleccion) {
+        return IDBKeyRange.bound([coleccion], [coleccion, []]);
+    }
+
+    leerTodos(coleccion) {
+        return this._transaccion('registros', 'readonly', store => store.getAll(this._rango(coleccion)));
+    }
+
+    async leer(coleccion, clave) {
+        const registro = await this._transaccion('registros', 'readonly', store => store.get([coleccion, clave]));
+        return registro === undefined ? null : registro;
+    }
+
+    async escribir(coleccion, clave, valor) {
+        await this._transaccion('registros', 'readwrite', store => {
+            store.put(clonarRegistro(valor), [coleccion, clave]);
+        });
+    }
+
+    async borrar(coleccion, clave) {
+        await this._transaccion('registros', 'readwrite', store => {
+            store.delete([coleccion, clave]);
+        });
+    }
+
+    async reemplazar(coleccion, entradas) {
+        await this._transaccion('registros', 'readwrite', store => {
+            store.delete(this._rango(coleccion));
+            entradas.forEach(e => store.put(clonarRegistro(e.valor), [coleccion, e.clave]));
+        });
+    }
+
+    async lote(operaciones) {
+        await this._transaccion('registros', 'readwrite', store => {
+            operaciones.forEach(op => {
+                if (op.tipo === 'escribir') {
+                    store.put(clonarRegistro(op.valor), [op.coleccion, op.clave]);
+                } else {
+                    store.delete([op.coleccion, op.clave]);
+                }
+            });
+        });
+    }
+
+    async leerMeta(clave) {
+        const valor = await this._transaccion('meta', 'readonly', store => store.get(clave));
+        return valor === undefined ? null : valor;
+    }
+
+    async escribirMeta(clave, valor) {
+        await this._transaccion('meta', 'readwrite', store => {
+            store.put(clonarRegistro(valor), clave);
+        });
+    }
+}
+
+/**
+ * Voto que se envía al servidor (cuerpo de POST /api/peliculas/{id}/votos).
+ * No lleva quién vota: el servidor lo toma de la sesión del token.
+ * @typedef {Object} VotoRemoto
+ * @property {number} valor - Valor del voto (1-10).
+ * @property {(Resena|null|undefined)} resena - Reseña, como en Pelicula#votar.
+ */
+
+/**
+ * Cambio hecho sin conexión que espera en la cola para enviarse al servidor.
+ * @typedef {Object} CambioPendiente
+ * @property {string} tipo - 'lote', 'reemplazar', 'meta', 'votar', 'retirarVoto' o 'marcarUtil'.
+ * @property {OperacionLote[]} [operaciones] - Operaciones del lote.
+ * @property {{coleccion: string, clave: (number|string), revision: (number|null)}[]} [esperadas] -
+ *   Revisión que tenía en la copia cada registro versionado del lote (null si no existía).
+ * @property {string} [coleccion] - Colección a reemplazar.
+ * @property {EntradaAlmacenamiento[]} [entradas] - Contenido de la colección a reemplazar.
+ * @property {string} [clave] - Clave del metadato.
+ * @property {*} [valor] - Valor del metadato.
+ * @property {number} [id] - ID de la película votada.
+ * @property {VotoRemoto} [voto] - Voto a enviar.
+ * @property {string} [autor] - Autor de la reseña que se marca como útil.
+ */
+
+/**
+ * Cambio de la cola que no se ha aplicado porque otro usuario había cambiado
+ * el mismo registro en el servidor, o porque el servidor lo ha rechazado.
+ * @typedef {Object} ConflictoSincronizacion
+ * @property {string} coleccion - Colección del registro.
+ * @property {(number|string)} clave - Clave del registro.
+ * @property {string} nombre - Título o nombre del registro, para mostrarlo.
+ * @property {string} mensaje - Qué ha pasado.
+ */
+
+/**
+ * Resultado de enviar la cola de cambios pendientes.
+ * @typedef {Object} ResultadoSincronizacion
+ * @property {number} enviados - Cambios aplicados en el servidor.
+ * @property {ConflictoSincronizacion[]} conflictos - Cambios descartados.
+ * @property {number} pendientes - Cambios que siguen en la cola porque se ha vuelto a perder la conexión.
+ */
+
+/**
+ * Metadatos que cada navegador guarda para sí aunque el catálogo esté en un
+ * servidor: la sesión, el usuario anónimo, el nombre de editor y el historial
+ * de deshacer son de quien usa el navegador, no del equipo.
+ * @type {string[]}
+ */
+const META_LOCALES = ['cmdb_sesion', 'cmdb_usuario', 'cmdb_editor', 'cmdb_historial'];
+
+/**
+ * Clave de LocalStorage con la dirección del servidor compartido
+ * (si no existe, los datos se guardan en el navegador).
+ * @type {string}
+ */
+const CLAVE_SERVIDOR = 'cmdb_servidor';
+
+/**
+ * Metadato de la copia local con la cola de cambios pendientes de enviar.
+ * @type {string}
+ */
+const CLAVE_PENDIENTES = 'cmdb_pendientes';
+
+/**
+ * Metadato local con el token de la sesión abierta en el servidor.
+ * @type {string}
+ */
+const CLAVE_TOKEN = 'cmdb_token';
+
+/**
+ * Error que indica que el servidor no responde (sin red o apagado), a
+ * diferencia de los errores que devuelve el propio servidor.
+ * @class
+ * @extends Error
+ */
+class ErrorSinConexion extends Error {
+    /**
+     * Crea un error de conexión.
+     * @param {string} mensaje - Descripción del error.
+     */
+    constructor(mensaje) {
+        super(mensaje);
+        this.name = 'ErrorSinConexion';
+    }
+}
+
+/**
+ * Almacenamiento en un servidor HTTP compartido, para que todo el equipo
+ * trabaje sobre el mismo catálogo. Cada operación es una petición JSON al
+ * contrato descrito en servidor/servidor.js; los metadatos de META_LOCALES
+ * se guardan en el navegador. Las cuentas se crean y se comprueban en el
+ * servidor, que nunca envía los datos de las contraseñas.
+ *
+ * Para poder trabajar sin conexión se guarda una copia del catálogo en el
+ * navegador. Sin conexión se lee de la copia y los cambios se aplican en ella
+ * y se apuntan en una cola (CLAVE_PENDIENTES) que sincronizar() envía al
+ * volver la conexión. Cada cambio de la cola lleva la revisión que tenían los
+ * registros al hacerlo; si en el servidor ya no coincide, otro usuario los ha
+ * cambiado entretanto y el cambio se descarta como conflicto.
+ * @class
+ * @implements {AdaptadorAlmacenamiento}
+ */
+class AlmacenamientoRemoto {
+    /**
+     * Crea un almacenamiento sobre un servidor.
+     * @param {string} url - Dirección del servidor (p. ej. http://localhost:8080).
+     * @param {AdaptadorAlmacenamiento} [local] - Dónde guardar los metadatos locales.
+     * @param {AdaptadorAlmacenamiento} [copia] - Dónde guardar la copia para trabajar
+     *   sin conexión; por defecto una base de datos IndexedDB propia de cada servidor.
+     */
+    constructor(url, local = new AlmacenamientoLocal(), copia = null) {
+        this.url = url.replace(/\/+$/, '');
+        this._local = local;
+        this._copia = copia || (typeof indexedDB !== 'undefined'
+            ? new AlmacenamientoIndexedDB('cmdb ' + this.url)
+            : new AlmacenamientoMemoria());
+        /**
+         * Si la última petición llegó al servidor.
+         * @type {boolean}
+         */
+        this.enLinea = true;
+    }
+
+    /**
+     * Hace una petición a la API y devuelve el cuerpo de la respuesta.
+     * @param {string} metodo - Método HTTP.
+     * @param {string} ruta - Ruta bajo /api (p. ej. '/peliculas/3').
+     * @param {*} [cuerpo] - Cuerpo a enviar como JSON.
+     * @returns {Promise<*>} Cuerpo de la respuesta (null si no tiene o es un 404).
+     * @throws {ErrorSinConexion} Si el servidor no responde.
+     * @throws {Error} Si el servidor devuelve un error. El Error lleva el código
+     *   HTTP en 'estado' y, en los errores de validación, la lista en 'errores'.
+     */
+    async _peticion(metodo, ruta, cuerpo) {
+        const cabeceras = cuerpo === undefined ? {} : { 'Content-Type': 'application/json' };
+        const token = await this._local.leerMeta(CLAVE_TOKEN);
+        if (token) cabeceras.Authorization = 'Bearer ' + token;
+        let respuesta;
+        try {
+            respuesta = await fetch(this.url + '/api' + ruta, {
+                method: metodo,
+                headers: cabeceras,
+                body: cuerpo === undefined ? undefined : JSON.stringify(cuerpo)
+            });
+        } catch (error) {
+            this.enLinea = false;
+            throw new ErrorSinConexion(`No se pudo conectar con el servidor ${this.url}.`);
+        }
+        this.enLinea = true;
+        if (respuesta.status === 404) return null;
+        const texto = await respuesta.text();
+        const datos = texto ? JSON.parse(texto) : null;
+        if (!respuesta.ok) {
+            const error = new Error(datos && datos.error ? datos.error : `El servidor respondió ${respuesta.status}.`);
+            error.estado = respuesta.status;
+            if (datos && datos.errores) error.errores = datos.errores;
+            throw error;
+        }
+        return datos;
+    }
+
+    /**
+     * Ruta de un registro, con la colección y la clave codificadas.
+     * @param {string} coleccion - Nombre de la colección.
+     * @param {(number|string)} [clave] - Clave del registro.
+     * @returns {string}
+     */
+    _ruta(coleccion, clave) {
+        return '/' + encodeURIComponent(coleccion) + (clave === undefined ? '' : '/' + encodeURIComponent(clave));
+    }
+
+    /**
+     * Comprueba que el servidor responde. Si no responde pero hay una copia de
+     * una visita anterior, se sigue trabajando sin conexión.
+     * @returns {Promise<void>}
+     * @throws {ErrorSinConexion} Si no se puede conectar y no hay copia.
+     */
+    async abrir() {
+        await this._local.abrir();
+        await this._copia.abrir();
+        try {
+            await this._peticion('GET', '/meta/cmdb_schema_version');
+        } catch (error) {
+            if (!(error instanceof ErrorSinConexion) || !(await this._copia.leerMeta('cmdb_inicializado'))) throw error;
+        }
+    }
+
+    /**
+     * Cola de cambios pendientes de enviar.
+     * @returns {Promise<CambioPendiente[]>}
+     */
+    async _pendientes() {
+        return (await this._copia.leerMeta(CLAVE_PENDIENTES)) || [];
+    }
+
+    /**
+     * Guarda la cola de cambios pendientes y avisa a la página con el evento
+     * 'pendientescambiados' (detail = {pendientes}).
+     * @param {CambioPendiente[]} pendientes - Cola completa.
+     * @returns {Promise<void>}
+     */
+    async _guardarPendientes(pendientes) {
+        await this._copia.escribirMeta(CLAVE_PENDIENTES, pendientes);
+        if (typeof document !== 'undefined') {
+            document.dispatchEvent(new CustomEvent('pendientescambiados', { detail: { pendientes: pendientes.length } }));
+        }
+    }
+
+    /**
+     * Número de cambios hechos sin conexión que aún no se han enviado.
+     * @returns {Promise<number>}
+     */
+    async contarPendientes() {
+        return (await this._pendientes()).length;
+    }
+
+    /**
+     * Si se puede ir al servidor: hay conexión y no quedan cambios por enviar
+     * (si quedan, el servidor aún no los tiene y hay que leer de la copia).
+     * @returns {Promise<boolean>}
+     */
+    async _usarServidor() {
+        return this.enLinea && (await this._pendientes()).length === 0;
+    }
+
+    /**
+     * Lee del servidor o, sin conexión, de la copia.
+     * @param {string} ruta - Ruta de la lectura en la API.
+     * @param {function(): Promise<*>} leerCopia - Lectura equivalente en la copia.
+     * @returns {Promise<*>}
+     */
+    async _consultar(ruta, leerCopia) {
+        if (await this._usarServidor()) {
+            try {
+                return await this._peticion('GET', ruta);
+            } catch (error) {
+                if (!(error instanceof ErrorSinConexion)) throw error;
+            }
+        }
+        return leerCopia();
+    }
+
+    /**
+     * Envía un cambio al servidor y lo aplica en la copia o, sin conexión,
+     * lo aplica en la copia y lo deja en la cola.
+     * @param {CambioPendiente} pendiente - Cambio, tal y como se guardaría en la cola.
+     * @param {function(): Promise<void>} enviar - Petición que aplica el cambio en el servidor.
+     * @param {function(): Promise<void>} aplicarEnCopia - Aplica el cambio en la copia.
+     * @returns {Promise<void>}
+     */
+    async _cambiar(pendiente, enviar, aplicarEnCopia) {
+        if (await this._usarServidor()) {
+            try {
+                await enviar();
+                await aplicarEnCopia();
+                return;
+            } catch (error) {
+                if (!(error instanceof ErrorSinConexion)) throw error;
+            }
+        }
+        if (pendiente.tipo === 'lote') pendiente.esperadas = await this._revisionesEnCopia(pendiente.operaciones);
+        await aplicarEnCopia();
+        await this._guardarPendientes((await this._pendientes()).concat([pendiente]));
+    }
+
+    /**
+     * Revisión que tienen en la copia los registros versionados (los que
+     * tienen campo revision) que toca un lote.
+     * @param {OperacionLote[]} operaciones - Operaciones del lote.
+     * @returns {Promise<{coleccion: string, clave: (number|string), revision: (number|null)}[]>}
+     */
+    async _revisionesEnCopia(operaciones) {
+        const esperadas = [];
+        for (const op of operaciones) {
+            const registro = await this._copia.leer(op.coleccion, op.clave);
+            const versionado = (registro && 'revision' in registro) || (op.valor && typeof op.valor.revision === 'number');
+            if (versionado) {
+                esperadas.push({ coleccion: op.coleccion, clave: op.clave, revision: registro ? registro.revision || 0 : null });
+            }
+        }
+        return esperadas;
+    }
+
+    leerTodos(coleccion) {
+        return this._consultar(this._ruta(coleccion), () => this._copia.leerTodos(coleccion));
+    }
+
+    leer(coleccion, clave) {
+        return this._consultar(this._ruta(coleccion, clave), () => this._copia.leer(coleccion, clave));
+    }
+
+    async escribir(coleccion, clave, valor) {
+        await this._cambiar(
+            { tipo: 'lote', operaciones: [{ tipo: 'escribir', coleccion: coleccion, clave: clave, valor: clonarRegistro(valor) }] },
+            () => this._peticion('PUT', this._ruta(coleccion, clave), valor),
+            () => this._copia.escribir(coleccion, clave, valor)
+        );
+    }
+
+    async borrar(coleccion, clave) {
+        await this._cambiar(
+            { tipo: 'lote', operaciones: [{ tipo: 'borrar', coleccion: coleccion, clave: clave }] },
+            () => this._peticion('DELETE', this._ruta(coleccion, clave)),
+            () => this._copia.borrar(coleccion, clave)
+        );
+    }
+
+    async reemplazar(coleccion, entradas) {
+        await this._cambiar(
+            { tipo: 'reemplazar', coleccion: coleccion, entradas: clonarRegistro(entradas) },
+            () => this._peticion('PUT', this._ruta(coleccion), entradas),
+            () => this._copia.reemplazar(coleccion, entradas)
+        );
+    }
+
+    async lote(operaciones) {
+        await this._cambiar(
+            { tipo: 'lote', operaciones: clonarRegistro(operaciones) },
+            () => this._peticion('POST', '/lote', operaciones),
+            () => this._copia.lote(operaciones)
+        );
+    }
+
+    async leerMeta(clave) {
+        if (META_LOCALES.indexOf(clave) !== -1) return this._local.leerMeta(clave);
+        const respuesta = await this._consultar('/meta/' + encodeURIComponent(clave), async () => {
+            const valor = await this._copia.leerMeta(clave);
+            return valor === null ? null : { valor: valor };
+        });
+        return respuesta === null ? null : respuesta.valor;
+    }
+
+    async escribirMeta(clave, valor) {
+        if (META_LOCALES.indexOf(clave) !== -1) return this._local.escribirMeta(clave, valor);
+        await this._cambiar(
+            { tipo: 'meta', clave: clave, valor: clonarRegistro(valor) },
+            () => this._peticion('PUT', '/meta/' + encodeURIComponent(clave), { valor: valor }),
+            () => this._copia.escribirMeta(clave, valor)
+        );
+    }
+
+    /**
+     * Aplica el voto de la cuenta de la sesión en el servidor, sobre la versión
+     * de la película que tenga en ese momento, para que no se pierdan votos simultáneos. Sin
+     * conexión se guarda la versión provisional y el voto queda en la cola.
+     * @param {number} id - ID de la película.
+     * @param {VotoRemoto} voto - Voto a aplicar.
+     * @param {Object} provisional - Película con el voto ya aplicado sobre la
+     *   versión leída (forma persistida), para usarla sin conexión.
+     * @returns {Promise<Object>} Película resultante (forma persistida).
+     * @throws {Error} Si la película no existe o el voto no es válido.
+     */
+    votar(id, voto, provisional) {
+        return this._cambiarVotos({ tipo: 'votar', id: id, voto: clonarRegistro(voto) }, provisional);
+    }
+
+    /**
+     * Retira en el servidor el voto de la cuenta de la sesión, como votar.
+     * @param {number} id - ID de la película.
+     * @param {Object} provisional - Película sin el voto (forma persistida), para usarla sin conexión.
+     * @returns {Promise<Object>} Película resultante (forma persistida).
+     * @throws {Error} Si la película no existe o la cuenta no la había votado.
+     */
+    retirarVoto(id, provisional) {
+        return this._cambiarVotos({ tipo: 'retirarVoto', id: id }, provisional);
+    }
+
+    /**
+     * Marca o desmarca como útil una reseña en nombre de la cuenta de la
+     * sesión, como votar.
+     * @param {number} id - ID de la película.
+     * @param {string} autor - ID del usuario que escribió la reseña.
+     * @param {Object} provisional - Película con la marca ya cambiada (forma persistida), para usarla sin conexión.
+     * @returns {Promise<Object>} Película resultante (forma persistida).
+     * @throws {Error} Si la película o la reseña no existen o la reseña es propia.
+     */
+    marcarUtil(id, autor, provisional) {
+        return this._cambiarVotos({ tipo: 'marcarUtil', id: id, autor: autor }, provisional);
+    }
+
+    /**
+     * Envía un cambio en los votos de una película o, sin conexión, guarda la
+     * versión provisional en la copia y deja el cambio en la cola.
+     * @param {CambioPendiente} pendiente - Cambio de tipo 'votar', 'retirarVoto' o 'marcarUtil'.
+     * @param {Object} provisional - Película con el cambio aplicado sobre la versión leída.
+     * @returns {Promise<Object>} Película resultante (forma persistida).
+     */
+    async _cambiarVotos(pendiente, provisional) {
+        let pelicula = null;
+        await this._cambiar(
+            pendiente,
+            async () => {
+                pelicula = await this._enviarVotos(pendiente);
+                if (pelicula === null) throw new Error(`Película con ID ${pendiente.id} no encontrada.`);
+            },
+            async () => {
+                if (pelicula === null) pelicula = Object.assign(clonarRegistro(provisional), { revision: (provisional.revision || 0) + 1 });
+                await this._copia.escribir('peliculas', pendiente.id, pelicula);
+            }
+        );
+        return pelicula;
+    }
+
+    /**
+     * Petición que aplica en el servidor un cambio en los votos de una película.
+     * @param {CambioPendiente} pendiente - Cambio de tipo 'votar', 'retirarVoto' o 'marcarUtil'.
+     * @returns {Promise<Object|null>} Película resultante, o null si ya no existe.
+     */
+    _enviarVotos(pendiente) {
+        const ruta = this._ruta('peliculas', pendiente.id) + '/votos';
+        if (pendiente.tipo === 'retirarVoto') return this._peticion('DELETE', ruta);
+        if (pendiente.tipo === 'marcarUtil') return this._peticion('POST', ruta + '/' + encodeURIComponent(pendiente.autor) + '/util');
+        return this._peticion('POST', ruta, pendiente.voto);
+    }
+
+    /**
+     * Crea una cuenta en el servidor, que guarda la contraseña y decide el rol,
+     * e inicia sesión con ella. Necesita conexión.
+     * @param {string} nombre - Nombre de usuario.
+     * @param {string} clave - Contraseña en claro.
+     * @returns {Promise<{id: string, nombre: string, rol: string, creado: number}>} La cuenta, sin credenciales.
+     * @throws {ErrorSinConexion} Si el servidor no responde.
+     * @throws {Error} Si el servidor la rechaza (con la lista en 'errores').
+     */
+    async registrarUsuario(nombre, clave) {
+        return this._guardarSesion(await this._peticion('POST', '/usuarios', { nombre: nombre, clave: clave }));
+    }
+
+    /**
+     * Inicia sesión en el servidor, que comprueba la contraseña. Necesita conexión.
+     * @param {string} nombre - Nombre de usuario.
+     * @param {string} clave - Contraseña en claro.
+     * @returns {Promise<{id: string, nombre: string, rol: string, creado: number}>} La cuenta, sin credenciales.
+     * @throws {ErrorSinConexion} Si el servidor no responde.
+     * @throws {Error} Si el usuario o la contraseña no son correctos (con la lista en 'errores').
+     */
+    async iniciarSesion(nombre, clave) {
+        return this._guardarSesion(await this._peticion('POST', '/sesiones', { nombre: nombre, clave: clave }));
+    }
+
+    /**
+     * Guarda el token de una sesión recién abierta y la cuenta en la copia,
+     * para que la sesión siga siendo válida sin conexión.
+     * @param {{usuario: Object, token: string}} sesion - Respuesta del servidor.
+     * @returns {Promise<Object>} La cuenta.
+     */
+    async _guardarSesion(sesion) {
+        await this._local.escribirMeta(CLAVE_TOKEN, sesion.token);
+        await this._copia.escribir('usuarios', sesion.usuario.id, sesion.usuario);
+        return sesion.usuario;
+    }
+
+    /**
+     * Cierra la sesión en el servidor y olvida el token. Sin conexión solo se olvida.
+     * @returns {Promise<void>}
+     */
+    async cerrarSesion() {
+        try {
+            await this._peticion('DELETE', '/sesiones');
+        } catch (error) {
+            if (!(error instanceof ErrorSinConexion)) throw error;
+        }
+        await this._local.escribirMeta(CLAVE_TOKEN, null);
+    }
+
+    /**
+     * Cambia el rol de una cuenta. El servidor solo lo acepta con la sesión
+     * de un administrador. Necesita conexión.
+     * @param {string} id - ID del usuario.
+     * @param {string} rol - Clave de ROLES.
+     * @returns {Promise<void>}
+     * @throws {ErrorSinConexion} Si el servidor no responde.
+     * @throws {Error} Si el servidor lo rechaza (con el código HTTP en 'estado').
+     */
+    async cambiarRol(id, rol) {
+        const usuario = await this._peticion('PUT', this._ruta('usuarios', id) + '/rol', { rol: rol });
+        if (usuario === null) throw new Error("No se encontró el usuario.");
+        await this._copia.escribir('usuarios', id, usuario);
+    }
+
+    /**
+     * Envía la cola de cambios hechos sin conexión, en orden, y actualiza la
+     * copia con lo que hay en el servidor. Los cambios sobre registros que
+     * otro usuario ha modificado entretanto se descartan y se informan como
+     * conflictos. Si se vuelve a perder la conexión, lo que falta se queda en la cola.
+     * @returns {Promise<ResultadoSincronizacion>}
+     */
+    async sincronizar() {
+        const resultado = { enviados: 0, conflictos: [], pendientes: 0 };
+        let pendientes = await this._pendientes();
+        try {
+            while (pendientes.length > 0) {
+                const conflicto = await this._reenviar(pendientes[0]);
+                if (conflicto) {
+                    resultado.conflictos.push(conflicto);
+                } else {
+                    resultado.enviados++;
+                }
+                // Se vuelve a leer por si otra pestaña ha añadido cambios entretanto
+                pendientes = (await this._pendientes()).slice(1);
+                await this._guardarPendientes(pendientes);
+            }
+            await this._descargarCopia();
+        } catch (error) {
+            if (!(error instanceof ErrorSinConexion)) throw error;
+            resultado.pendientes = pendientes.length;
+        }
+        return resultado;
+    }
+
+    /**
+     * Envía un cambio de la cola al servidor.
+     * @param {CambioPendiente} pendiente - Cambio a enviar.
+     * @returns {Promise<ConflictoSincronizacion|null>} El conflicto si no se ha aplicado.
+     * @throws {ErrorSinConexion} Si se pierde la conexión.
+     */
+    async _reenviar(pendiente) {
+        const conflicto = (coleccion, clave, registro, mensaje) => ({
+            coleccion: coleccion,
+            clave: clave,
+            nombre: registro ? registro.titulo || registro.nombre || String(clave) : String(clave),
+            mensaje: mensaje
+        });
+
+        if (pendiente.tipo === 'lote') {
+            for (const esperada of pendiente.esperadas || []) {
+                const actual = await this._peticion('GET', this._ruta(esperada.coleccion, esperada.clave));
+                if ((actual ? actual.revision || 0 : null) !== esperada.revision) {
+                    const op = pendiente.operaciones.find(o => o.coleccion === esperada.coleccion && o.clave === esperada.clave);
+                    return conflicto(esperada.coleccion, esperada.clave, actual || op.valor, actual === null
+                        ? 'Otro usuario lo ha eliminado mientras no había conexión.'
+                        : 'Otro usuario lo ha modificado mientras no había conexión.');
+                }
+            }
+        }
+
+        const envios = {
+            lote: () => this._peticion('POST', '/lote', pendiente.operaciones),
+            reemplazar: () => this._peticion('PUT', this._ruta(pendiente.coleccion), pendiente.entradas),
+            meta: () => this._peticion('PUT', '/meta/' + encodeURIComponent(pendiente.clave), { valor: pendiente.valor }),
+            votar: () => this._enviarVotos(pendiente),
+            retirarVoto: () => this._enviarVotos(pendiente),
+            marcarUtil: () => this._enviarVotos(pendiente)
+        };
+        try {
+            const respuesta = await envios[pendiente.tipo]();
+            // Solo los cambios de votos llevan el ID de la película
+            if (pendiente.id !== undefined && respuesta === null) {
+                return conflicto('peliculas', pendiente.id, null, 'La película ya no existe.');
+            }
+        } catch (error) {
+            if (error instanceof ErrorSinConexion) throw error;
+            // El servidor lo rechaza (p. ej. no pasa la validación): reintentarlo no serviría de nada
+            const op = pendiente.operaciones ? pendiente.operaciones[0] : null;
+            return op
+                ? conflicto(op.coleccion, op.clave, op.valor, error.message)
+                : conflicto(pendiente.coleccion || 'peliculas', pendiente.clave || pendiente.id, null, error.message);
+        }
+        return null;
+    }
+
+    /**
+     * Sustituye la copia local por el contenido actual del servidor.
+     * Las claves que son el ID del registro recuperan su tipo numérico, como
+     * las guarda DataService.
+     * @returns {Promise<void>}
+     * @throws {ErrorSinConexion} Si el servidor no responde.
+     */
+    async _descargarCopia() {
+        const datos = await this._peticion('GET', '');
+        for (const coleccion of Object.keys(datos.colecciones)) {
+            const entradas = Object.entries(datos.colecciones[coleccion]).map(([clave, valor]) => ({
+                clave: valor && valor.id !== undefined && String(valor.id) === clave ? valor.id : clave,
+                valor: valor
+            }));
+            await this._copia.reemplazar(coleccion, entradas);
+        }
+        for (const clave of Object.keys(datos.meta)) {
+            await this._copia.escribirMeta(clave, datos.meta[clave]);
+        }
+    }
+}
+
+/**
+ * Elige el adaptador: el servidor compartido si se ha configurado uno (ver
+ * CLAVE_SERVIDOR) y, si no, el mejor disponible en el navegador:
+ * IndexedDB, si no LocalStorage y, como último recurso, memoria.
+ * @returns {AdaptadorAlmacenamiento} Adaptador sin abrir.
+ */
+function crearAlmacenamientoPorDefecto() {
+    const servidor = typeof localStorage !== 'undefined' ? localStorage.getItem(CLAVE_SERVIDOR) : null;
+    if (servidor) return new AlmacenamientoRemoto(servidor);
+    if (typeof indexedDB !== 'undefined') return new AlmacenamientoIndexedDB();
+    if (typeof localStorage !== 'undefined') return new AlmacenamientoLocal();
+    return new AlmacenamientoMemoria();
+}
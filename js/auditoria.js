@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Controlador para la página de Auditoría.
+ * Muestra quién cambió qué y cuándo, con filtros por entidad, acción y fechas,
+ * y permite elegir el nombre con el que se firman los cambios.
+ * @module auditoria
+ */
+
+/**
+ * Controlador para la página de Auditoría.
+ * Se ejecuta cuando el DOM está completamente cargado.
+ * @event DOMContentLoaded
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+
+    /**
+     * Referencias a elementos del DOM.
+     * @type {HTMLTableElement}
+     */
+    const tablaAuditoria = document.getElementById('tablaAuditoria');
+    /**
+     * @type {HTMLFormElement}
+     */
+    const formEditor = document.getElementById('formEditor');
+    /**
+     * @type {HTMLInputElement}
+     */
+    const inputEditor = document.getElementById('nombreEditor');
+    /**
+     * @type {HTMLFormElement}
+     */
+    const formFiltros = document.getElementById('filtrosAuditoria');
+    /**
+     * @type {HTMLSelectElement}
+     */
+    const selectEntidad = document.getElementById('filtroEntidad');
+    /**
+     * @type {HTMLSelectElement}
+     */
+    const selectAccion = document.getElementById('filtroAccion');
+    /**
+     * @type {HTMLInputElement}
+     */
+    const inputDesde = document.getElementById('filtroDesde');
+    /**
+     * @type {HTMLInputElement}
+     */
+    const inputHasta = document.getElementById('filtroHasta');
+    /**
+     * @type {HTMLButtonElement}
+     */
+    const btnLimpiar = document.getElementById('btnLimpiarFiltros');
+
+    /**
+     * Películas, géneros y personas actuales por ID, para los enlaces y los
+     * nombres de género y de persona.
+     * @type {Map<number, Pelicula>}
+     */
+    let mapaPeliculas = new Map();
+    /**
+     * @type {Map<number, string>}
+     */
+    let mapaGeneros = new Map();
+    /**
+     * @type {Map<number, string>}
+     */
+    let mapaPersonas = new Map();
+
+    /**
+     * Rellena el desplegable de acciones.
+     */
+    function cargarAcciones() {
+        selectAccion.innerHTML = '<option value="">Todas</option>';
+        Object.keys(ACCIONES_AUDITORIA).forEach(accion => {
+            const opcion = document.createElement('option');
+            opcion.value = accion;
+            opcion.textContent = ACCIONES_AUDITORIA[accion];
+            selectAccion.appendChild(opcion);
+        });
+    }
+
+    /**
+     * Formatea un instante como DD/MM/AAAA HH:MM:SS.
+     * @param {number} instante - Milisegundos desde 1970.
+     * @returns {string}
+     */
+    function formatearInstante(instante) {
+        const f = new Date(instante);
+        const dos = n => String(n).padStart(2, '0');
+        return `${dos(f.getDate())}/${dos(f.getMonth() + 1)}/${f.getFullYear()} ` +
+            `${dos(f.getHours())}:${dos(f.getMinutes())}:${dos(f.getSeconds())}`;
+    }
+
+    /**
+     * Texto de un valor de un campo; los géneros y las personas de los créditos
+     * se muestran por nombre.
+     * @param {string} campo - Nombre del campo.
+     * @param {*} valor - Valor guardado.
+     * @returns {string}
+     */
+    function formatearValor(campo, valor) {
+        if (valor === null) return '—';
+        if (campo === 'poster') return '(imagen)';
+        if (campo === 'generos') {
+            return valor.map(id => mapaGeneros.get(id) || `#${id}`).join(', ');
+        }
+        if (campo === 'creditos') {
+            return valor.map(c => `${mapaPersonas.get(c.persona) || '#' + c.persona} (${ROLES_CREDITO[c.rol]}` +
+                (c.personaje ? `: ${c.personaje})` : ')')).join(', ');
+        }
+        if (campo === 'votos') {
+            // Solo cuentan los votos activos; así se ve qué valor cambió
+            return valor.filter(v => v.activo).map(v => v.valor +
+                (v.resena ? ` «${v.resena.titulo}» (útil para ${v.resena.utiles.length})` : '')).join(', ');
+        }
+        if (Array.isArray(valor)) return valor.join(', ');
+        return String(valor);
+    }
+
+    /**
+     * Describe los campos cambiados de una entrada, uno por línea.
+     * @param {EntradaAuditoria} entrada - Entrada de auditoría.
+     * @returns {string}
+     */
+    function describirCambios(entrada) {
+        return Object.keys(entrada.cambios).filter(campo => campo !== 'id').map(campo => {
+            const cambio = entrada.cambios[campo];
+            return `${campo}: ${formatearValor(campo, cambio.antes)} → ${formatearValor(campo, cambio.despues)}`;
+        }).join('\n');
+    }
+
+    /**
+     * Celda con el nombre del registro, enlazada si todavía existe:
+     * una película a su ficha, un género al listado filtrado por él y una
+     * persona a su filmografía.
+     * @param {EntradaAuditoria} entrada - Entrada de auditoría.
+     * @returns {HTMLTableCellElement}
+     */
+    function crearCeldaRegistro(entrada) {
+        const td = document.createElement('td');
+        let href = null;
+        if (entrada.entidad === 'pelicula' && mapaPeliculas.has(entrada.id)) {
+            href = 'pelicula.html?id=' + entrada.id;
+        } else if (entrada.entidad === 'genero' && mapaGeneros.has(entrada.id)) {
+            href = 'listado.html?generos=' + entrada.id;
+        } else if (entrada.entidad === 'persona' && mapaPersonas.has(entrada.id)) {
+            href = 'persona.html?id=' + entrada.id;
+        }
+        const texto = `${entrada.nombre} (ID ${entrada.id})`;
+        if (href) {
+            const enlace = document.createElement('a');
+            enlace.href = href;
+            enlace.textContent = texto;
+            td.appendChild(enlace);
+        } else {
+            td.textContent = texto;
+        }
+        return td;
+    }
+
+    /**
+     * Recarga los datos y pinta las entradas que cumplen los filtros.
+     * @returns {Promise<void>}
+     */
+    async function pintarAuditoria() {
+        mapaPeliculas = new Map((await DataService.getPeliculas()).map(p => [p.id, p]));
+        mapaGeneros = new Map((await DataService.getGeneros()).map(g => [g.id, g.nombre]));
+        mapaPersonas = new Map((await DataService.getPersonas()).map(p => [p.id, p.nombre]));
+        const entradas = await DataService.getAuditoria({
+            entidad: selectEntidad.value,
+            accion: selectAccion.value,
+            desde: inputDesde.value,
+            hasta: inputHasta.value
+        });
+
+        if (entradas.length === 0) {
+            tablaAuditoria.innerHTML = '<tr><td>No hay cambios que cumplan los filtros.</td></tr>';
+            return;
+        }
+
+        tablaAuditoria.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Fecha</th>
+                    <th>Editor</th>
+                    <th>Entidad</th>
+                    <th>Registro</th>
+                    <th>Acción</th>
+                    <th>Cambios</th>
+                </tr>
+            </thead>
+        `;
+        const tbody = document.createElement('tbody');
+
+        entradas.forEach(entrada => {
+            const tr = document.createElement('tr');
+            [
+                formatearInstante(entrada.instante),
+                entrada.editor,
+                NOMBRES_ENTIDAD[entrada.entidad]
+            ].forEach(texto => {
+                const td = document.createElement('td');
+                td.textContent = texto;
+                tr.appendChild(td);
+            });
+            tr.appendChild(crearCeldaRegistro(entrada));
+
+            const tdAccion = document.createElement('td');
+            tdAccion.textContent = ACCIONES_AUDITORIA[entrada.accion] || entrada.accion;
+            tr.appendChild(tdAccion);
+
+            const tdCambios = document.createElement('td');
+            tdCambios.textContent = describirCambios(entrada);
+            tdCambios.style.whiteSpace = 'pre-line';
+            tdCambios.style.textAlign = 'left';
+            tr.appendChild(tdCambios);
+
+            tbody.appendChild(tr);
+        });
+
+        tablaAuditoria.appendChild(tbody);
+    }
+
+    /**
+     * Guarda el nombre del editor.
+     * @param {Event} e - Evento del formulario.
+     * @returns {Promise<void>}
+     */
+    async function guardarEditor(e) {
+        e.preventDefault();
+        try {
+            await DataService.setNombreEditor(inputEditor.value);
+        } catch (error) {
+            if (error instanceof ErrorValidacion) {
+                Interfaz.mostrarErrores(formEditor, error.errores);
+                return;
+            }
+            throw error;
+        }
+        Interfaz.limpiarErrores(formEditor);
+        alert("Nombre guardado. Los próximos cambios se firmarán como " + inputEditor.value.trim() + ".");
+    }
+
+    // --- INICIALIZACIÓN ---
+
+    formEditor.addEventListener('submit', guardarEditor);
+    formFiltros.addEventListener('input', pintarAuditoria);
+    formFiltros.addEventListener('submit', e => e.preventDefault());
+    btnLimpiar.addEventListener('click', () => {
+        formFiltros.reset();
+        pintarAuditoria();
+    });
+
+    cargarAcciones();
+    await DataService.inicializar();
+    inputEditor.value = await DataService.getNombreEditor();
+    await pintarAuditoria();
+
+    document.addEventListener('datoscambiados', pintarAuditoria);
+});
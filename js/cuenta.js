@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Controlador para la página Mi cuenta.
+ * Permite registrarse, iniciar y cerrar sesión y, a los administradores,
+ * cambiar el rol de los demás usuarios.
+ * @module cuenta
+ */
+
+/**
+ * Controlador para la página Mi cuenta.
+ * Se ejecuta cuando el DOM está completamente cargado.
+ * @event DOMContentLoaded
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+
+    /**
+     * Referencias a elementos del DOM.
+     * @type {HTMLElement}
+     */
+    const bloqueSesion = document.getElementById('bloqueSesion');
+    /**
+     * @type {HTMLElement}
+     */
+    const textoSesion = document.getElementById('textoSesion');
+    /**
+     * @type {HTMLButtonElement}
+     */
+    const btnCerrarSesion = document.getElementById('btnCerrarSesion');
+    /**
+     * @type {HTMLElement}
+     */
+    const bloqueAcceso = document.getElementById('bloqueAcceso');
+    /**
+     * @type {HTMLFormElement}
+     */
+    const formLogin = document.getElementById('formLogin');
+    /**
+     * @type {HTMLFormElement}
+     */
+    const formRegistro = document.getElementById('formRegistro');
+    /**
+     * @type {HTMLElement}
+     */
+    const bloqueUsuarios = document.getElementById('bloqueUsuarios');
+    /**
+     * @type {HTMLTableElement}
+     */
+    const tablaUsuarios = document.getElementById('tablaUsuarios');
+
+    /**
+     * Muestra el bloque que corresponde a la sesión actual: los formularios
+     * de acceso si no hay sesión, y la gestión de usuarios si es de administrador.
+     * @returns {Promise<void>}
+     */
+    async function pintarPagina() {
+        const sesion = await DataService.getSesion();
+        bloqueSesion.style.display = sesion ? 'block' : 'none';
+        bloqueAcceso.style.display = sesion ? 'none' : 'block';
+        if (sesion) {
+            textoSesion.textContent = `Has iniciado sesión como ${sesion.nombre} (${ROLES[sesion.rol]}).`;
+        }
+
+        if (await DataService.puede('administrar')) {
+            bloqueUsuarios.style.display = 'block';
+            await pintarUsuarios(sesion);
+        } else {
+            bloqueUsuarios.style.display = 'none';
+        }
+    }
+
+    /**
+     * Pinta la tabla de usuarios con un desplegable para cambiar el rol de cada uno.
+     * @param {{id: string, nombre: string, rol: string}} sesion - Sesión actual.
+     * @returns {Promise<void>}
+     */
+    async function pintarUsuarios(sesion) {
+        const usuarios = await DataService.getUsuarios();
+        tablaUsuarios.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Usuario</th>
+                    <th>Alta</th>
+                    <th>Rol</th>
+                </tr>
+            </thead>
+        `;
+        const tbody = document.createElement('tbody');
+
+        usuarios.forEach(usuario => {
+            const tr = document.createElement('tr');
+            const tdNombre = document.createElement('td');
+            tdNombre.textContent = usuario.id === sesion.id ? `${usuario.nombre} (tú)` : usuario.nombre;
+            const tdAlta = document.createElement('td');
+            tdAlta.textContent = new Date(usuario.creado).toLocaleDateString();
+
+            const tdRol = document.createElement('td');
+            const select = document.createElement('select');
+            Object.keys(ROLES).forEach(rol => {
+                const opcion = document.createElement('option');
+                opcion.value = rol;
+                opcion.textContent = ROLES[rol];
+                select.appendChild(opcion);
+            });
+            select.value = usuario.rol;
+            select.addEventListener('change', () => cambiarRol(usuario, select));
+            tdRol.appendChild(select);
+
+            tr.appendChild(tdNombre);
+            tr.appendChild(tdAlta);
+            tr.appendChild(tdRol);
+            tbody.appendChild(tr);
+        });
+
+        tablaUsuarios.appendChild(tbody);
+    }
+
+    /**
+     * Cambia el rol de un usuario; si no se puede, el desplegable vuelve al rol anterior.
+     * @param {{id: string, nombre: string, rol: string}} usuario - Usuario a cambiar.
+     * @param {HTMLSelectElement} select - Desplegable con el rol elegido.
+     * @returns {Promise<void>}
+     */
+    async function cambiarRol(usuario, select) {
+        if (!(await Interfaz.permitido('administrar'))) {
+            select.value = usuario.rol;
+            return;
+        }
+        try {
+            await DataService.cambiarRol(usuario.id, select.value);
+        } catch (error) {
+            if (error instanceof ErrorIntegridad || error instanceof ErrorPermiso) {
+                alert(error.message);
+                select.value = usuario.rol;
+                return;
+            }
+            throw error;
+        }
+        await pintarPagina();
+    }
+
+    /**
+     * Inicia sesión con los datos del formulario.
+     * @param {Event} e - Evento del formulario.
+     * @returns {Promise<void>}
+     */
+    async function entrar(e) {
+        e.preventDefault();
+        try {
+            await DataService.iniciarSesion(
+                document.getElementById('loginUsuario').value,
+                document.getElementById('loginClave').value
+            );
+        } catch (error) {
+            if (error instanceof ErrorValidacion) {
+                Interfaz.mostrarErrores(formLogin, error.errores);
+                return;
+            }
+            throw error;
+        }
+        formLogin.reset();
+        Interfaz.limpiarErrores(formLogin);
+        await pintarPagina();
+    }
+
+    /**
+     * Crea una cuenta con los datos del formulario e inicia sesión con ella.
+     * @param {Event} e - Evento del formulario.
+     * @returns {Promise<void>}
+     */
+    async function registrarse(e) {
+        e.preventDefault();
+        let sesion;
+        try {
+            sesion = await DataService.registrarUsuario(
+                document.getElementById('registroUsuario').value,
+                document.getElementById('registroClave').value
+            );
+        } catch (error) {
+            if (error instanceof ErrorValidacion) {
+                Interfaz.mostrarErrores(formRegistro, error.errores);
+                return;
+            }
+            throw error;
+        }
+        formRegistro.reset();
+        Interfaz.limpiarErrores(formRegistro);
+        await pintarPagina();
+        alert(`Cuenta creada. Tu rol es ${ROLES[sesion.rol]}.`);
+    }
+
+    // --- INICIALIZACIÓN ---
+
+    formLogin.addEventListener('submit', entrar);
+    formRegistro.addEventListener('submit', registrarse);
+    btnCerrarSesion.addEventListener('click', async () => {
+        await DataService.cerrarSesion();
+        await pintarPagina();
+    });
+
+    await DataService.inicializar();
+    await pintarPagina();
+});
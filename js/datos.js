@@ -0,0 +1,258 @@
+/**
+ * @fileoverview Controlador para la página de Importar / Exportar.
+ * Descarga el catálogo en CSV o JSON y guía la importación de un archivo:
+ * primero se analiza y se muestra un informe por fila, y solo se guardan
+ * las películas válidas cuando el usuario lo confirma. También permite
+ * conectar este navegador a un servidor compartido (ver servidor/servidor.js).
+ * @module datos
+ */
+
+/**
+ * Controlador para la página de Importar / Exportar.
+ * Se ejecuta cuando el DOM está completamente cargado.
+ * @event DOMContentLoaded
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+
+    /**
+     * Referencias a elementos del DOM.
+     * @type {HTMLButtonElement}
+     */
+    const btnExportarCSV = document.getElementById('btnExportarCSV');
+    /**
+     * @type {HTMLButtonElement}
+     */
+    const btnExportarJSON = document.getElementById('btnExportarJSON');
+    /**
+     * @type {HTMLFormElement}
+     */
+    const formImportar = document.getElementById('formImportar');
+    /**
+     * @type {HTMLInputElement}
+     */
+    const inputArchivo = document.getElementById('archivoImportar');
+    /**
+     * @type {HTMLElement}
+     */
+    const contenedorInforme = document.getElementById('informeImportacion');
+    /**
+     * @type {HTMLElement}
+     */
+    const resumen = document.getElementById('resumenImportacion');
+    /**
+     * @type {HTMLTableElement}
+     */
+    const tablaInforme = document.getElementById('tablaImportacion');
+    /**
+     * @type {HTMLButtonElement}
+     */
+    const btnConfirmar = document.getElementById('btnConfirmarImportacion');
+    /**
+     * @type {HTMLButtonElement}
+     */
+    const btnCancelar = document.getElementById('btnCancelarImportacion');
+    /**
+     * @type {HTMLFormElement}
+     */
+    const formServidor = document.getElementById('formServidor');
+    /**
+     * @type {HTMLInputElement}
+     */
+    const inputServidor = document.getElementById('urlServidor');
+    /**
+     * @type {HTMLElement}
+     */
+    const estadoServidor = document.getElementById('estadoServidor');
+
+    /**
+     * Resultado del último análisis, pendiente de confirmar (null si no hay ninguno).
+     * @type {{filas: FilaImportacion[], generosNuevos: string[]}|null}
+     */
+    let analisisPendiente = null;
+
+    /**
+     * Exporta el catálogo en el formato indicado.
+     * @param {string} formato - 'csv' o 'json'.
+     * @returns {Promise<void>}
+     */
+    async function exportar(formato) {
+        const peliculas = await DataService.getPeliculas();
+        const generos = await DataService.getGeneros();
+        const personas = await DataService.getPersonas();
+        const fecha = fechaHoyISO();
+
+        if (formato === 'csv') {
+            Interfaz.descargar(Intercambio.exportarCSV(peliculas, generos), `cmdb-${fecha}.csv`, 'text/csv;charset=utf-8');
+        } else {
+            Interfaz.descargar(Intercambio.exportarJSON(peliculas, generos, personas), `cmdb-${fecha}.json`, 'application/json');
+        }
+    }
+
+    /**
+     * Lee y analiza el archivo elegido y muestra el informe por fila.
+     * No guarda nada hasta que se confirma.
+     * @param {Event} e - Evento del formulario.
+     * @returns {Promise<void>}
+     */
+    async function analizarArchivo(e) {
+        e.preventDefault();
+        if (!(await Interfaz.permitido('editar'))) return;
+        const archivo = inputArchivo.files[0];
+        if (!archivo) {
+            alert("Selecciona un archivo CSV o JSON.");
+            return;
+        }
+
+        try {
+            const texto = await archivo.text();
+            analisisPendiente = Intercambio.analizar(texto, archivo.name, await DataService.getGeneros());
+        } catch (error) {
+            analisisPendiente = null;
+            contenedorInforme.style.display = 'none';
+            alert("No se pudo leer el archivo: " + error.message);
+            return;
+        }
+        pintarInforme();
+    }
+
+    /**
+     * Pinta el resumen y la tabla con el estado de cada fila del análisis.
+     */
+    function pintarInforme() {
+        const filas = analisisPendiente.filas;
+        const validas = filas.filter(f => f.errores.length === 0).length;
+
+        let texto = `${filas.length} filas leídas: ${validas} válidas y ${filas.length - validas} con errores.`;
+        if (analisisPendiente.generosNuevos.length > 0) {
+            texto += ' Se crearán los géneros: ' + analisisPendiente.generosNuevos.join(', ') + '.';
+        }
+        resumen.textContent = texto;
+
+        tablaInforme.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Fila</th>
+                    <th>Título</th>
+                    <th>Fecha</th>
+                    <th>Popularidad</th>
+                    <th>Géneros</th>
+                    <th>Estado</th>
+                </tr>
+            </thead>
+        `;
+        const tbody = document.createElement('tbody');
+        filas.forEach(fila => {
+            const tr = document.createElement('tr');
+            const celdas = [
+                fila.numero,
+                fila.datos.titulo,
+                fila.datos.fecha,
+                isNaN(fila.datos.popularidad) ? '' : fila.datos.popularidad,
+                fila.datos.generos.join(', '),
+                fila.errores.length === 0 ? 'OK' : fila.errores.join(' ')
+            ];
+            celdas.forEach(valor => {
+                const td = document.createElement('td');
+                td.textContent = valor;
+                tr.appendChild(td);
+            });
+            if (fila.errores.length > 0) tr.className = 'filaError';
+            tbody.appendChild(tr);
+        });
+        tablaInforme.appendChild(tbody);
+
+        btnConfirmar.textContent = `Importar ${validas} películas válidas`;
+        btnConfirmar.disabled = validas === 0;
+        contenedorInforme.style.display = 'block';
+    }
+
+    /**
+     * Guarda las filas válidas del análisis pendiente. Las filas con errores se descartan.
+     * @returns {Promise<void>}
+     */
+    async function confirmarImportacion() {
+        if (!analisisPendiente) return;
+        if (!(await Interfaz.permitido('editar'))) return;
+        const validas = analisisPendiente.filas.filter(f => f.errores.length === 0).map(f => f.datos);
+        const resultado = await DataService.importarPeliculas(validas, analisisPendiente.generos);
+        cancelarImportacion();
+
+        let mensaje = `Se han importado ${resultado.peliculas} películas.`;
+        if (resultado.generosCreados.length > 0) {
+            mensaje += ' Géneros creados: ' + resultado.generosCreados.join(', ') + '.';
+        }
+        if (resultado.personasCreadas.length > 0) {
+            mensaje += ' Personas creadas: ' + resultado.personasCreadas.join(', ') + '.';
+        }
+        alert(mensaje);
+    }
+
+    /**
+     * Descarta el análisis pendiente y oculta el informe.
+     */
+    function cancelarImportacion() {
+        analisisPendiente = null;
+        formImportar.reset();
+        tablaInforme.innerHTML = '';
+        contenedorInforme.style.display = 'none';
+    }
+
+    /**
+     * Muestra dónde se guardan los datos: en el servidor compartido o en este navegador.
+     */
+    function pintarServidor() {
+        const servidor = localStorage.getItem(CLAVE_SERVIDOR);
+        inputServidor.value = servidor || '';
+        estadoServidor.textContent = servidor
+            ? `Conectado al servidor ${servidor}: el catálogo es compartido.`
+            : 'Los datos se guardan solo en este navegador.';
+    }
+
+    /**
+     * Comprueba que el servidor del formulario responde y, si es así, recarga
+     * la página para trabajar con sus datos.
+     * @param {Event} e - Evento del formulario.
+     * @returns {Promise<void>}
+     */
+    async function conectarServidor(e) {
+        e.preventDefault();
+        const url = inputServidor.value.trim();
+        if (!/^https?:\/\/\S+$/.test(url)) {
+            Interfaz.mostrarErrores(formServidor, [{ campo: 'servidor', mensaje: 'Escribe una dirección http:// o https://.' }]);
+            return;
+        }
+        const remoto = new AlmacenamientoRemoto(url);
+        try {
+            await remoto.abrir();
+            // Con la copia de una visita anterior abrir() no falla aunque el servidor no responda
+            if (!remoto.enLinea) throw new ErrorSinConexion(`No se pudo conectar con el servidor ${remoto.url}.`);
+        } catch (error) {
+            Interfaz.mostrarErrores(formServidor, [{ campo: 'servidor', mensaje: error.message }]);
+            return;
+        }
+        localStorage.setItem(CLAVE_SERVIDOR, url);
+        window.location.reload();
+    }
+
+    /**
+     * Deja de usar el servidor y vuelve a los datos de este navegador.
+     */
+    function desconectarServidor() {
+        if (!localStorage.getItem(CLAVE_SERVIDOR)) return;
+        localStorage.removeItem(CLAVE_SERVIDOR);
+        window.location.reload();
+    }
+
+    // --- INICIALIZACIÓN ---
+
+    btnExportarCSV.addEventListener('click', () => exportar('csv'));
+    btnExportarJSON.addEventListener('click', () => exportar('json'));
+    formImportar.addEventListener('submit', analizarArchivo);
+    btnConfirmar.addEventListener('click', confirmarImportacion);
+    btnCancelar.addEventListener('click', cancelarImportacion);
+    formServidor.addEventListener('submit', conectarServidor);
+    document.getElementById('btnDesconectarServidor').addEventListener('click', desconectarServidor);
+    pintarServidor();
+
+    await DataService.inicializar();
+});
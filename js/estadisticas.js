@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Controlador para la página de Estadísticas.
+ * Calcula los agregados del catálogo con Metricas y los pinta con Graficos.
+ * Se vuelve a pintar cuando cambian los datos (deshacer, rehacer...).
+ * @module estadisticas
+ */
+
+/**
+ * Controlador para la página de Estadísticas.
+ * Se ejecuta cuando el DOM está completamente cargado.
+ * @event DOMContentLoaded
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+
+    /**
+     * Referencias a elementos del DOM.
+     * @type {HTMLInputElement}
+     */
+    const inputTop = document.getElementById('tamTop');
+    /**
+     * @type {HTMLElement}
+     */
+    const resumen = document.getElementById('resumenEstadisticas');
+    /**
+     * @type {HTMLElement}
+     */
+    const listasTop = document.getElementById('listasTop');
+
+    /**
+     * Rankings que se muestran: criterio de Metricas.top y título de la lista.
+     * @type {Array<{criterio: string, titulo: string}>}
+     */
+    const RANKINGS = [
+        { criterio: 'media', titulo: 'Mejor valoradas' },
+        { criterio: 'votos', titulo: 'Más votadas' },
+        { criterio: 'popularidad', titulo: 'Más populares' }
+    ];
+
+    /**
+     * Sustituye el contenido de un contenedor por un gráfico, o por un aviso si no hay datos.
+     * @param {string} id - ID del contenedor.
+     * @param {boolean} hayDatos - Si hay algo que pintar.
+     * @param {function(): SVGSVGElement} construir - Crea el gráfico.
+     */
+    function pintarGrafico(id, hayDatos, construir) {
+        const contenedor = document.getElementById(id);
+        contenedor.innerHTML = '';
+        if (!hayDatos) {
+            contenedor.textContent = 'Sin datos.';
+            return;
+        }
+        contenedor.appendChild(construir());
+    }
+
+    /**
+     * Pinta las listas de las mejores películas según cada criterio.
+     * @param {Pelicula[]} peliculas - Películas del catálogo.
+     */
+    function pintarTop(peliculas) {
+        const n = parseInt(inputTop.value) || 5;
+        listasTop.innerHTML = '';
+
+        RANKINGS.forEach(ranking => {
+            const titulo = document.createElement('h5');
+            titulo.textContent = ranking.titulo;
+            listasTop.appendChild(titulo);
+
+            const filas = Metricas.top(peliculas, ranking.criterio, n);
+            if (filas.length === 0) {
+                listasTop.appendChild(document.createTextNode('Sin datos.'));
+                return;
+            }
+            const lista = document.createElement('ol');
+            filas.forEach(fila => {
+                const li = document.createElement('li');
+                const enlace = document.createElement('a');
+                enlace.href = 'pelicula.html?id=' + fila.pelicula.id;
+                enlace.textContent = fila.pelicula.titulo;
+                li.appendChild(enlace);
+                li.appendChild(document.createTextNode(` (${Graficos.formatear(fila.valor)})`));
+                lista.appendChild(li);
+            });
+            listasTop.appendChild(lista);
+        });
+    }
+
+    /**
+     * Recarga los datos y vuelve a pintar todos los gráficos.
+     * @returns {Promise<void>}
+     */
+    async function pintarEstadisticas() {
+        const peliculas = await DataService.getPeliculas();
+        const generos = await DataService.getGeneros();
+
+        const votos = peliculas.flatMap(p => p.puntuaciones);
+        const mediaGlobal = Metricas.media(votos);
+        resumen.textContent = `${peliculas.length} películas, ${generos.length} géneros y ${votos.length} votos` +
+            (mediaGlobal === null ? '.' : `; puntuación media global ${mediaGlobal.toFixed(2)}.`);
+
+        const porGenero = Metricas.peliculasPorGenero(peliculas, generos);
+        pintarGrafico('graficoPeliculasGenero', porGenero.length > 0,
+            () => Graficos.barrasHorizontales(porGenero, 'Películas por género'));
+
+        const mediaGenero = Metricas.mediaPorGenero(peliculas, generos);
+        pintarGrafico('graficoMediaGenero', mediaGenero.length > 0,
+            () => Graficos.barrasHorizontales(mediaGenero, 'Puntuación media por género', 10));
+
+        const decadas = Metricas.estrenosPorDecada(peliculas);
+        pintarGrafico('graficoDecadas', decadas.length > 0,
+            () => Graficos.columnas(decadas, 'Estrenos por década'));
+
+        pintarGrafico('graficoVotos', votos.length > 0,
+            () => Graficos.columnas(Metricas.distribucionVotos(peliculas), 'Número de votos de cada valor'));
+
+        const puntos = Metricas.popularidadFrenteAMedia(peliculas).map(p => ({
+            x: p.x,
+            y: p.y,
+            texto: `${p.pelicula.titulo}: popularidad ${p.x}, media ${p.y.toFixed(2)}`
+        }));
+        pintarGrafico('graficoDispersion', puntos.length > 0,
+            () => Graficos.dispersion(puntos, { x: [0, 100], y: [0, 10] },
+                { x: 'Popularidad', y: 'Puntuación media' }, 'Popularidad frente a puntuación media'));
+
+        pintarTop(peliculas);
+    }
+
+    // --- INICIALIZACIÓN ---
+
+    document.getElementById('formTop').addEventListener('submit', e => e.preventDefault());
+    inputTop.addEventListener('input', pintarEstadisticas);
+
+    await DataService.inicializar();
+    await pintarEstadisticas();
+
+    document.addEventListener('datoscambiados', pintarEstadisticas);
+});
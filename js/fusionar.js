@@ -0,0 +1,250 @@
+/**
+ * @fileoverview Controlador para la página de Duplicados.
+ * Muestra las películas que parecen repetidas y permite fusionar dos películas
+ * (uniendo géneros y votos) o dos géneros (reasignando sus películas).
+ * @module fusionar
+ */
+
+/**
+ * Controlador para la página de Duplicados.
+ * Se ejecuta cuando el DOM está completamente cargado.
+ * @event DOMContentLoaded
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+
+    /**
+     * Referencias a elementos del DOM.
+     * @type {HTMLElement}
+     */
+    const listaDuplicados = document.getElementById('listaDuplicados');
+    /**
+     * @type {HTMLFormElement}
+     */
+    const formPeliculas = document.getElementById('formFusionarPeliculas');
+    /**
+     * @type {HTMLSelectElement}
+     */
+    const selectPeliculaConservar = document.getElementById('peliculaConservar');
+    /**
+     * @type {HTMLSelectElement}
+     */
+    const selectPeliculaAbsorber = document.getElementById('peliculaAbsorber');
+    /**
+     * @type {HTMLElement}
+     */
+    const vistaPreviaPeliculas = document.getElementById('vistaPreviaPeliculas');
+    /**
+     * @type {HTMLFormElement}
+     */
+    const formGeneros = document.getElementById('formFusionarGeneros');
+    /**
+     * @type {HTMLSelectElement}
+     */
+    const selectGeneroConservar = document.getElementById('generoConservar');
+    /**
+     * @type {HTMLSelectElement}
+     */
+    const selectGeneroAbsorber = document.getElementById('generoAbsorber');
+    /**
+     * @type {HTMLElement}
+     */
+    const vistaPreviaGeneros = document.getElementById('vistaPreviaGeneros');
+
+    /**
+     * Copia en memoria de películas y géneros, recargada tras cada fusión.
+     * @type {Pelicula[]}
+     */
+    let peliculas = [];
+    /**
+     * @type {Genero[]}
+     */
+    let generos = [];
+
+    /**
+     * Rellena un desplegable con opciones.
+     * @param {HTMLSelectElement} select - Desplegable a rellenar.
+     * @param {Array<{id: number}>} elementos - Elementos a mostrar.
+     * @param {function(Object): string} texto - Texto de cada opción.
+     */
+    function rellenarSelect(select, elementos, texto) {
+        const valorAnterior = select.value;
+        select.innerHTML = '';
+        elementos.forEach(el => {
+            const opcion = document.createElement('option');
+            opcion.value = el.id;
+            opcion.textContent = texto(el);
+            select.appendChild(opcion);
+        });
+        if (elementos.some(el => String(el.id) === valorAnterior)) {
+            select.value = valorAnterior;
+        }
+    }
+
+    /**
+     * Nombres de una lista de IDs de género.
+     * @param {number[]} ids - IDs de género.
+     * @returns {string}
+     */
+    function nombresGeneros(ids) {
+        return ids.map(id => {
+            const genero = generos.find(g => g.id === id);
+            return genero ? genero.nombre : 'Desconocido';
+        }).join(', ');
+    }
+
+    /**
+     * Pinta los grupos de posibles duplicados con un botón para preparar su fusión.
+     */
+    function pintarDuplicados() {
+        const grupos = agruparDuplicados(peliculas);
+        listaDuplicados.innerHTML = '';
+
+        if (grupos.length === 0) {
+            listaDuplicados.innerHTML = '<li>No se han encontrado películas duplicadas.</li>';
+            return;
+        }
+
+        grupos.forEach(grupo => {
+            const li = document.createElement('li');
+            li.style.marginBottom = "10px";
+            const descripcion = grupo.map(p => `${p.titulo} (ID ${p.id}, ${p.fecha}, ${p.numeroVotos} votos)`).join(' / ');
+            li.appendChild(document.createTextNode(descripcion + ' '));
+
+            const btnSeleccionar = document.createElement('button');
+            btnSeleccionar.type = 'button';
+            btnSeleccionar.innerHTML = "Seleccionar";
+            btnSeleccionar.setAttribute('class', 'button-33');
+            btnSeleccionar.style.fontSize = "12px";
+            btnSeleccionar.style.padding = "2px 10px";
+            // Se conserva la más antigua (menor ID) y se fusiona la siguiente
+            btnSeleccionar.addEventListener('click', () => {
+                selectPeliculaConservar.value = grupo[0].id;
+                selectPeliculaAbsorber.value = grupo[1].id;
+                pintarVistaPreviaPeliculas();
+            });
+
+            li.appendChild(btnSeleccionar);
+            listaDuplicados.appendChild(li);
+        });
+    }
+
+    /**
+     * Describe cómo quedará la película si se fusionan las seleccionadas.
+     */
+    function pintarVistaPreviaPeliculas() {
+        const conservar = peliculas.find(p => p.id === parseInt(selectPeliculaConservar.value));
+        const absorber = peliculas.find(p => p.id === parseInt(selectPeliculaAbsorber.value));
+        if (!conservar || !absorber || conservar === absorber) {
+            vistaPreviaPeliculas.textContent = 'Elige dos películas distintas.';
+            return;
+        }
+        const generosUnion = conservar.generos.slice();
+        absorber.generos.forEach(id => {
+            if (generosUnion.indexOf(id) === -1) generosUnion.push(id);
+        });
+        vistaPreviaPeliculas.textContent = `Resultado: "${conservar.titulo}" (${conservar.fecha}) con géneros ` +
+            `${nombresGeneros(generosUnion)} y ${conservar.numeroVotos + absorber.numeroVotos} votos. ` +
+            `"${absorber.titulo}" (ID ${absorber.id}) se eliminará.`;
+    }
+
+    /**
+     * Describe qué ocurrirá si se fusionan los géneros seleccionados.
+     */
+    function pintarVistaPreviaGeneros() {
+        const idConservar = parseInt(selectGeneroConservar.value);
+        const idAbsorber = parseInt(selectGeneroAbsorber.value);
+        if (isNaN(idConservar) || idConservar === idAbsorber) {
+            vistaPreviaGeneros.textContent = 'Elige dos géneros distintos.';
+            return;
+        }
+        if (idsGeneroYDescendientes(idAbsorber, generos).indexOf(idConservar) !== -1) {
+            vistaPreviaGeneros.textContent = `"${nombresGeneros([idConservar])}" es un subgénero de "${nombresGeneros([idAbsorber])}": ` +
+                'elige un género que no cuelgue de él.';
+            return;
+        }
+        const afectadas = peliculas.filter(p => p.generos.indexOf(idAbsorber) !== -1).length;
+        const subgeneros = generos.filter(g => g.padre === idAbsorber).length;
+        vistaPreviaGeneros.textContent = `${afectadas} películas` +
+            (subgeneros > 0 ? ` y ${subgeneros} ${subgeneros === 1 ? 'subgénero' : 'subgéneros'}` : '') +
+            ` pasarán de "${nombresGeneros([idAbsorber])}" a "${nombresGeneros([idConservar])}" y "${nombresGeneros([idAbsorber])}" se eliminará.`;
+    }
+
+    /**
+     * Recarga los datos y repinta toda la página.
+     * @returns {Promise<void>}
+     */
+    async function pintarPagina() {
+        peliculas = await DataService.getPeliculas();
+        generos = await DataService.getGeneros();
+
+        const texto = p => `${p.titulo} (ID ${p.id}, ${p.fecha})`;
+        rellenarSelect(selectPeliculaConservar, peliculas, texto);
+        rellenarSelect(selectPeliculaAbsorber, peliculas, texto);
+        rellenarSelect(selectGeneroConservar, generos, g => g.nombre);
+        rellenarSelect(selectGeneroAbsorber, generos, g => g.nombre);
+
+        pintarDuplicados();
+        pintarVistaPreviaPeliculas();
+        pintarVistaPreviaGeneros();
+    }
+
+    /**
+     * Fusiona las dos películas seleccionadas tras pedir confirmación.
+     * @param {Event} e - Evento del formulario.
+     * @returns {Promise<void>}
+     */
+    async function fusionarPeliculas(e) {
+        e.preventDefault();
+        if (!(await Interfaz.permitido('eliminar'))) return;
+        const idConservar = parseInt(selectPeliculaConservar.value);
+        const idAbsorber = parseInt(selectPeliculaAbsorber.value);
+        if (isNaN(idConservar) || idConservar === idAbsorber) {
+            alert("Elige dos películas distintas.");
+            return;
+        }
+        if (!confirm(vistaPreviaPeliculas.textContent + "\n\n¿Fusionar?")) return;
+
+        const resultado = await DataService.fusionarPeliculas(idConservar, idAbsorber);
+        await pintarPagina();
+        alert(`Películas fusionadas en "${resultado.titulo}".`);
+    }
+
+    /**
+     * Fusiona los dos géneros seleccionados tras pedir confirmación.
+     * @param {Event} e - Evento del formulario.
+     * @returns {Promise<void>}
+     */
+    async function fusionarGeneros(e) {
+        e.preventDefault();
+        if (!(await Interfaz.permitido('eliminar'))) return;
+        const idConservar = parseInt(selectGeneroConservar.value);
+        const idAbsorber = parseInt(selectGeneroAbsorber.value);
+        if (isNaN(idConservar) || idConservar === idAbsorber) {
+            alert("Elige dos géneros distintos.");
+            return;
+        }
+        if (idsGeneroYDescendientes(idAbsorber, generos).indexOf(idConservar) !== -1) {
+            alert("No se puede fusionar un género en uno de sus subgéneros.");
+            return;
+        }
+        if (!confirm(vistaPreviaGeneros.textContent + "\n\n¿Fusionar?")) return;
+
+        const reasignadas = await DataService.fusionarGeneros(idConservar, idAbsorber);
+        await pintarPagina();
+        alert(`Géneros fusionados. Películas reasignadas: ${reasignadas}.`);
+    }
+
+    // --- INICIALIZACIÓN ---
+
+    selectPeliculaConservar.addEventListener('change', pintarVistaPreviaPeliculas);
+    selectPeliculaAbsorber.addEventListener('change', pintarVistaPreviaPeliculas);
+    selectGeneroConservar.addEventListener('change', pintarVistaPreviaGeneros);
+    selectGeneroAbsorber.addEventListener('change', pintarVistaPreviaGeneros);
+    formPeliculas.addEventListener('submit', fusionarPeliculas);
+    formGeneros.addEventListener('submit', fusionarGeneros);
+
+    await DataService.inicializar();
+    await pintarPagina();
+
+    document.addEventListener('datoscambiados', pintarPagina);
+});
@@ -1,6 +1,9 @@
 /**
  * @fileoverview Controlador para la gestión de géneros.
  * Maneja el listado, alta y baja de géneros interactuando con el DOM y DataService.
+ * Los géneros se muestran como un árbol; arrastrando uno sobre otro se
+ * convierte en su subgénero. Al eliminar un género en uso se ofrece pasar sus
+ * películas a otro género o quitárselo.
  * @module generos
  */
 
@@ -9,7 +12,7 @@
  * Se ejecuta cuando el DOM está completamente cargado.
  * @event DOMContentLoaded
  */
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     
     /**
      * Referencias a elementos del DOM.
@@ -24,10 +27,46 @@ document.addEventListener('DOMContentLoaded', () => {
      * @type {HTMLInputElement}
      */
     const inputId = document.getElementById('idGenero');
+    /**
+     * @type {HTMLSelectElement}
+     */
+    const selectPadre = document.getElementById('padreGenero');
     /**
      * @type {HTMLElement}
      */
     const listaGeneros = document.getElementById('listaGenerosPagina');
+    /**
+     * @type {HTMLElement}
+     */
+    const zonaRaiz = document.getElementById('raizGeneros');
+    /**
+     * @type {HTMLFormElement}
+     */
+    const formEliminar = document.getElementById('formEliminarGenero');
+    /**
+     * @type {HTMLElement}
+     */
+    const resumenEliminar = document.getElementById('resumenEliminarGenero');
+    /**
+     * @type {HTMLElement}
+     */
+    const listaAfectadas = document.getElementById('peliculasEliminarGenero');
+    /**
+     * @type {HTMLSelectElement}
+     */
+    const selectDestino = document.getElementById('destinoGenero');
+    /**
+     * @type {HTMLInputElement}
+     */
+    const radioReasignar = document.getElementById('modoReasignar');
+    /**
+     * @type {HTMLInputElement}
+     */
+    const radioQuitar = document.getElementById('modoQuitar');
+    /**
+     * @type {HTMLElement}
+     */
+    const avisoQuitar = document.getElementById('avisoQuitarGenero');
     /**
      * @type {HTMLButtonElement}
      */
@@ -42,21 +81,106 @@ document.addEventListener('DOMContentLoaded', () => {
      * @type {number|null}
      */
     let generoEditando = null;
+    /**
+     * Género en edición tal y como estaba guardado al empezar; su revisión
+     * permite detectar si otra pestaña lo ha modificado entretanto.
+     * @type {Genero|null}
+     */
+    let generoOriginal = null;
+    /**
+     * ID del género cuya eliminación se está confirmando (null si no hay ninguna).
+     * @type {number|null}
+     */
+    let generoEliminando = null;
+    /**
+     * Géneros del árbol pintado, por ID. Al arrastrar uno se mueve sobre esta
+     * versión, para detectar si otra pestaña lo ha cambiado entretanto.
+     * @type {Map<number, Genero>}
+     */
+    let generosPintados = new Map();
+    /**
+     * Permisos de la sesión, para mostrar solo los botones que se pueden usar.
+     * @type {{editar: boolean, eliminar: boolean}}
+     */
+    let permisos = { editar: false, eliminar: false };
 
     /**
-     * Renderiza la lista de géneros en el HTML.
-     * Limpia la lista actual y la reconstruye desde el LocalStorage.
+     * Rellena el desplegable "Subgénero de" con el árbol de géneros. Al editar
+     * se omiten el propio género y sus subgéneros, que no pueden ser su padre.
+     * Conserva la opción elegida si sigue disponible.
+     * @param {Genero[]} generos - Lista completa de géneros.
      */
-    function pintarGeneros() {
-        const generos = DataService.getGeneros();
+    function cargarSelectorPadre(generos) {
+        const elegido = selectPadre.value;
+        const excluidos = generoEditando === null ? [] : idsGeneroYDescendientes(generoEditando, generos);
+        selectPadre.innerHTML = '';
+        const ninguno = document.createElement('option');
+        ninguno.value = '';
+        ninguno.textContent = 'Ninguno (género principal)';
+        selectPadre.appendChild(ninguno);
+        generosEnArbol(generos).forEach(({ genero, nivel }) => {
+            if (excluidos.indexOf(genero.id) !== -1) return;
+            const opcion = document.createElement('option');
+            opcion.value = genero.id;
+            opcion.textContent = '— '.repeat(nivel) + genero.nombre;
+            selectPadre.appendChild(opcion);
+        });
+        selectPadre.value = elegido;
+        if (selectPadre.value !== elegido) selectPadre.value = '';
+    }
+
+    /**
+     * Padre elegido en el formulario.
+     * @returns {number|null}
+     */
+    function padreElegido() {
+        return selectPadre.value === '' ? null : parseInt(selectPadre.value);
+    }
+
+    /**
+     * Permite soltar géneros arrastrados sobre un elemento de la página.
+     * @param {HTMLElement} elemento - Donde se puede soltar.
+     * @param {number|null} padre - Padre que recibe el género soltado (null para dejarlo como principal).
+     */
+    function aceptarArrastre(elemento, padre) {
+        elemento.addEventListener('dragover', (e) => {
+            // Los elementos anidados también son destino: gana el más interno
+            e.preventDefault();
+            e.stopPropagation();
+            elemento.classList.add('destinoArrastre');
+        });
+        elemento.addEventListener('dragleave', () => elemento.classList.remove('destinoArrastre'));
+        elemento.addEventListener('drop', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            elemento.classList.remove('destinoArrastre');
+            const id = parseInt(e.dataTransfer.getData('text/plain'));
+            if (!isNaN(id)) moverGenero(id, padre);
+        });
+    }
+
+    /**
+     * Renderiza el árbol de géneros en el HTML: los subgéneros van en una
+     * lista anidada dentro de su género.
+     * Limpia la lista actual y la reconstruye desde el almacenamiento.
+     * @returns {Promise<void>}
+     */
+    async function pintarGeneros() {
+        const generos = await DataService.getGeneros();
+        generosPintados = new Map(generos.map(g => [g.id, g]));
+        cargarSelectorPadre(generos);
         
         // Limpiamos la lista actual (innerHTML = "")
         listaGeneros.innerHTML = '';
+        /** @type {Map<number, HTMLLIElement>} */
+        const elementos = new Map();
 
-        generos.forEach(genero => {
+        generosEnArbol(generos).forEach(({ genero, nivel }) => {
             // Creamos el elemento li
             const li = document.createElement('li');
             li.style.marginBottom = "10px"; // Un poco de estilo inline para separar
+            li.dataset.id = genero.id;
+            elementos.set(genero.id, li);
             
             // Texto del género: ID - Nombre
             const texto = document.createTextNode(`ID: ${genero.id} - ${genero.nombre} `);
@@ -80,18 +204,88 @@ document.addEventListener('DOMContentLoaded', () => {
             btnBorrar.style.padding = "2px 10px";
             btnBorrar.addEventListener('click', () => borrarGenero(genero.id));
 
-            li.appendChild(btnModificar);
-            li.appendChild(btnBorrar);
-            listaGeneros.appendChild(li);
+            if (permisos.editar) li.appendChild(btnModificar);
+            if (permisos.eliminar) li.appendChild(btnBorrar);
+
+            if (permisos.editar) {
+                li.draggable = true;
+                li.addEventListener('dragstart', (e) => {
+                    // Sin esto el género padre, que también es arrastrable, sustituiría el ID
+                    e.stopPropagation();
+                    e.dataTransfer.setData('text/plain', String(genero.id));
+                    e.dataTransfer.effectAllowed = 'move';
+                });
+                aceptarArrastre(li, genero.id);
+            }
+
+            // Los principales van a la lista de la página; los subgéneros, a la de su padre
+            const padre = nivel === 0 ? null : elementos.get(genero.padre);
+            if (padre === null) {
+                listaGeneros.appendChild(li);
+                return;
+            }
+            let sublista = padre.querySelector(':scope > ul');
+            if (!sublista) {
+                sublista = document.createElement('ul');
+                sublista.style.marginTop = "10px";
+                padre.appendChild(sublista);
+            }
+            sublista.appendChild(li);
         });
     }
 
+    /**
+     * Mueve un género dentro de otro (o a la raíz) tras soltarlo en el árbol.
+     * Los ciclos los rechaza DataService.moverGenero.
+     * @param {number} id - ID del género arrastrado.
+     * @param {number|null} padre - ID del nuevo padre, o null para dejarlo como principal.
+     * @returns {Promise<void>}
+     */
+    async function moverGenero(id, padre) {
+        if (id === padre) return;
+        if (!(await Interfaz.permitido('editar'))) return;
+        const base = generosPintados.get(id);
+        if (!base) return;
+        try {
+            await DataService.moverGenero(id, padre, base.revision);
+        } catch (error) {
+            if (error instanceof ErrorValidacion) {
+                alert("No se puede mover el género: " + error.message);
+                return;
+            }
+            if (error instanceof ErrorConflicto) {
+                await resolverConflictoAlMover(error, base, padre);
+                return;
+            }
+            throw error;
+        }
+        await pintarGeneros();
+    }
+
+    /**
+     * Resuelve el conflicto de un arrastre cuando otra pestaña ha cambiado el
+     * género desde que se pintó el árbol: propone combinar los cambios (ver
+     * Interfaz.resolverConflicto) y, si se acepta, lo mueve sobre la versión actual.
+     * @param {ErrorConflicto} error - Conflicto devuelto por DataService.moverGenero.
+     * @param {Genero} base - Género tal y como estaba en el árbol.
+     * @param {number|null} padre - Padre sobre el que se soltó.
+     * @returns {Promise<void>}
+     */
+    async function resolverConflictoAlMover(error, base, padre) {
+        const propio = Object.assign(base.toJSON(), { padre: padre });
+        const combinado = Interfaz.resolverConflicto(error, base.toJSON(), propio);
+        await pintarGeneros();
+        if (combinado !== null) await moverGenero(base.id, combinado.padre);
+    }
+
     /**
      * Maneja el evento de agregar o modificar un género.
      * @param {Event} e - Evento del formulario.
+     * @returns {Promise<void>}
      */
-    function agregarGenero(e) {
+    async function agregarGenero(e) {
         e.preventDefault();
+        if (!(await Interfaz.permitido('editar'))) return;
 
         // Eliminar espacios al inicio y final manualmente (sin trim)
         let nombre = inputNombre.value;
@@ -104,141 +298,255 @@ document.addEventListener('DOMContentLoaded', () => {
             nombre = nombre.substring(0, nombre.length - 1);
         }
 
-        // Validaciones según PDF
-        if (nombre === "") {
-            alert("El nombre no puede estar vacío.");
-            return;
-        }
+        const generos = await DataService.getGeneros();
 
-        if (nombre.length > 100) {
-            alert("El nombre no puede superar los 100 caracteres.");
-            return;
-        }
-
-        const generos = DataService.getGeneros();
-
-        // Si estamos editando
-        if (generoEditando !== null) {
-            const genero = generos.find(g => g.id === generoEditando);
-            if (genero) {
-                // Comprobar si el nuevo nombre ya existe (excepto el actual)
-                // Comparación exacta sin toLowerCase (no explicado en PDFs)
-                let existe = false;
-                for (let i = 0; i < generos.length; i++) {
-                    if (generos[i].id !== generoEditando && generos[i].nombre === nombre) {
-                        existe = true;
-                        break;
+        // Las validaciones (nombre vacío, longitud y duplicados) las aplica
+        // DataService al guardar; aquí solo mostramos sus errores junto al campo.
+        try {
+            // Si estamos editando
+            if (generoEditando !== null) {
+                const genero = Genero.fromJSON(generoOriginal.toJSON());
+                genero.nombre = nombre;
+                genero.padre = padreElegido();
+                try {
+                    await DataService.guardarGenero(genero);
+                } catch (error) {
+                    if (error instanceof ErrorConflicto) {
+                        await resolverConflicto(error, genero);
+                        return;
                     }
+                    throw error;
                 }
-                if (existe) {
-                    alert("Este género ya existe.");
-                    return;
-                }
-                genero.nombre = nombre;
-                DataService.guardarGeneros(generos);
                 cancelarEdicion();
-                pintarGeneros();
+                await pintarGeneros();
                 alert("Género modificado correctamente.");
+                return;
             }
-            return;
-        }
 
-        // Si estamos agregando
-        // Comprobar si ya existe (comparación exacta)
-        let existe = false;
-        for (let i = 0; i < generos.length; i++) {
-            if (generos[i].nombre === nombre) {
-                existe = true;
-                break;
+            // Si estamos agregando
+            // Generar ID autoincremental
+            const nuevoId = DataService.siguienteId(generos);
+
+            // Crear instancia y guardar
+            const nuevoGenero = new Genero(nuevoId, nombre, padreElegido());
+            await DataService.guardarGenero(nuevoGenero);
+        } catch (error) {
+            if (error instanceof ErrorValidacion) {
+                Interfaz.mostrarErrores(form, error.errores);
+                return;
             }
-        }
-        if (existe) {
-            alert("Este género ya existe.");
-            return;
+            if (error instanceof ErrorConflicto) {
+                // Otra pestaña ha guardado un género nuevo con el mismo ID
+                alert("Otra pestaña acaba de añadir un género. Vuelve a pulsar Agregar.");
+                return;
+            }
+            throw error;
         }
 
-        // Generar ID autoincremental
-        const nuevoId = DataService.siguienteId(generos);
-
-        // Crear instancia y guardar
-        const nuevoGenero = new Genero(nuevoId, nombre);
-        generos.push(nuevoGenero);
-        DataService.guardarGeneros(generos);
-
         // Limpiar input y repintar
         inputNombre.value = '';
         inputId.value = '';
-        pintarGeneros();
+        selectPadre.value = '';
+        Interfaz.limpiarErrores(form);
+        await pintarGeneros();
     }
 
     /**
      * Inicia la edición de un género.
      * @param {number} id - ID del género a editar.
+     * @returns {Promise<void>}
      */
-    function editarGenero(id) {
-        const generos = DataService.getGeneros();
+    async function editarGenero(id) {
+        if (!(await Interfaz.permitido('editar'))) return;
+        const generos = await DataService.getGeneros();
         const genero = generos.find(g => g.id === id);
         
         if (genero) {
             generoEditando = id;
+            generoOriginal = genero;
+            cargarSelectorPadre(generos);
             inputId.value = genero.id;
             inputNombre.value = genero.nombre;
+            selectPadre.value = genero.padre === null ? '' : String(genero.padre);
             btnSubmit.value = "Modificar";
             btnCancelar.style.display = "inline-block";
             inputNombre.focus();
         }
     }
 
+    /**
+     * Ofrece combinar el nombre del formulario con los cambios que otra pestaña
+     * ha guardado entretanto (ver Interfaz.resolverConflicto). Si se acepta se
+     * vuelve a enviar el formulario; si no, se carga la versión actual.
+     * @param {ErrorConflicto} error - Error devuelto al guardar.
+     * @param {Genero} genero - Género que se intentaba guardar.
+     * @returns {Promise<void>}
+     */
+    async function resolverConflicto(error, genero) {
+        const combinado = Interfaz.resolverConflicto(error, generoOriginal.toJSON(), genero.toJSON());
+        if (error.actual === null) {
+            cancelarEdicion();
+            await pintarGeneros();
+            return;
+        }
+        generoOriginal = error.actual;
+        inputNombre.value = combinado === null ? error.actual.nombre : combinado.nombre;
+        const padre = combinado === null ? error.actual.padre : combinado.padre;
+        await pintarGeneros();
+        selectPadre.value = padre === null ? '' : String(padre);
+        if (combinado !== null) form.requestSubmit();
+    }
+
     /**
      * Cancela la edición y restaura el formulario al modo agregar.
      */
     function cancelarEdicion() {
         generoEditando = null;
+        generoOriginal = null;
         inputId.value = '';
         inputNombre.value = '';
+        selectPadre.value = '';
         btnSubmit.value = "Agregar";
         btnCancelar.style.display = "none";
+        Interfaz.limpiarErrores(form);
+        // Vuelven a ofrecerse como padre el género que se editaba y sus subgéneros
+        DataService.getGeneros().then(cargarSelectorPadre);
     }
 
     /**
-     * Elimina un género si no está siendo usado por ninguna película.
+     * Mueve un género a la papelera si no está siendo usado por ninguna película
+     * ni tiene subgéneros.
+     * La comprobación de integridad referencial la hace DataService.eliminarGenero.
      * @param {number} id - ID del género a eliminar.
+     * @returns {Promise<void>}
      */
-    function borrarGenero(id) {
-        // Validación de integridad referencial 
-        const peliculas = DataService.getPeliculas();
-        
-        // Buscamos si alguna película tiene este ID en su array de 'generos'
-        // Recordamos que en Pelicula guardamos un array de IDs (ej: [1, 2])
-        // Usar indexOf en lugar de includes (explicado en PDF Unidad 3)
-        let estaEnUso = false;
-        for (let i = 0; i < peliculas.length; i++) {
-            let encontrado = false;
-            for (let j = 0; j < peliculas[i].generos.length; j++) {
-                if (peliculas[i].generos[j] === id) {
-                    encontrado = true;
-                    break;
-                }
-            }
-            if (encontrado) {
-                estaEnUso = true;
-                break;
+    async function borrarGenero(id) {
+        if (!(await Interfaz.permitido('eliminar'))) return;
+        // Avisamos antes de pedir confirmación si el género tiene subgéneros o está en uso
+        const subgeneros = await DataService.subgenerosDe(id);
+        if (subgeneros.length > 0) {
+            alert("No se puede eliminar el género: tiene subgéneros (" +
+                subgeneros.map(g => `"${g.nombre}"`).join(', ') + "). Muévalos a otro género o elimínelos primero.");
+            return;
+        }
+        const enUso = await DataService.peliculasConGenero(id);
+        if (enUso.length > 0) {
+            await mostrarDialogoEliminar(id, enUso);
+            return;
+        }
+
+        if (!confirm("¿Mover el género a la papelera?")) return;
+        try {
+            await DataService.eliminarGenero(id);
+        } catch (error) {
+            if (error instanceof ErrorIntegridad) {
+                alert(error.message);
+                return;
             }
+            throw error;
         }
+        if (generoEditando === id) cancelarEdicion();
+        await pintarGeneros();
+    }
 
-        if (estaEnUso) {
-            alert("No se puede eliminar el género: hay películas asociadas a él. Elimine primero el género de las películas.");
+    /**
+     * Muestra el diálogo para eliminar un género en uso: qué películas lo
+     * usan y si se pasan a otro género o se les quita. Quitarlo no se ofrece
+     * si alguna película se quedaría sin géneros.
+     * @param {number} id - ID del género a eliminar.
+     * @param {Pelicula[]} enUso - Películas que lo usan.
+     * @returns {Promise<void>}
+     */
+    async function mostrarDialogoEliminar(id, enUso) {
+        const generos = await DataService.getGeneros();
+        const genero = generos.find(g => g.id === id);
+        if (!genero) return;
+        generoEliminando = id;
+        Interfaz.limpiarErrores(formEliminar);
+
+        resumenEliminar.textContent = `El género "${genero.nombre}" lo ` + (enUso.length === 1
+            ? 'usa 1 película. ¿Qué hacemos con ella?'
+            : `usan ${enUso.length} películas. ¿Qué hacemos con ellas?`);
+        listaAfectadas.innerHTML = '';
+        enUso.forEach(peli => {
+            const li = document.createElement('li');
+            const enlace = document.createElement('a');
+            enlace.href = 'pelicula.html?id=' + peli.id;
+            enlace.textContent = peli.titulo;
+            li.appendChild(enlace);
+            listaAfectadas.appendChild(li);
+        });
+
+        selectDestino.innerHTML = '';
+        generosEnArbol(generos).forEach(({ genero: otro, nivel }) => {
+            if (otro.id === id) return;
+            const opcion = document.createElement('option');
+            opcion.value = otro.id;
+            opcion.textContent = '— '.repeat(nivel) + otro.nombre;
+            selectDestino.appendChild(opcion);
+        });
+        radioReasignar.disabled = selectDestino.options.length === 0;
+
+        // Como en validarPelicula, cada película necesita al menos un género
+        const soloEste = enUso.filter(p => p.generos.length === 1);
+        radioQuitar.disabled = soloEste.length > 0;
+        avisoQuitar.textContent = soloEste.length > 0
+            ? "(no disponible: " + soloEste.map(p => `"${p.titulo}"`).join(', ') +
+                (soloEste.length === 1 ? " solo tiene" : " solo tienen") + " este género)"
+            : '';
+        radioReasignar.checked = !radioReasignar.disabled;
+        radioQuitar.checked = radioReasignar.disabled && !radioQuitar.disabled;
+
+        formEliminar.style.display = 'block';
+    }
+
+    /**
+     * Cierra el diálogo de eliminación sin hacer nada.
+     */
+    function cerrarDialogoEliminar() {
+        generoEliminando = null;
+        formEliminar.style.display = 'none';
+        Interfaz.limpiarErrores(formEliminar);
+    }
+
+    /**
+     * Elimina el género del diálogo, pasando sus películas a otro género o
+     * quitándoselo según lo elegido, todo en una sola operación.
+     * @param {Event} e - Evento del formulario.
+     * @returns {Promise<void>}
+     */
+    async function confirmarEliminacion(e) {
+        e.preventDefault();
+        if (generoEliminando === null || !(await Interfaz.permitido('eliminar'))) return;
+        const id = generoEliminando;
+        let peliculas;
+        if (radioReasignar.checked) {
+            peliculas = { modo: 'reasignar', destino: parseInt(selectDestino.value) };
+        } else if (radioQuitar.checked) {
+            peliculas = { modo: 'quitar' };
+        } else {
+            alert("No se puede eliminar el género: no hay otro género al que pasar sus películas y alguna se quedaría sin géneros.");
             return;
         }
 
-        // Usamos alert en lugar de confirm (explicado en PDF Unidad 2)
-        alert("Eliminando género");
-        let generos = DataService.getGeneros();
-        // Filtramos para quitar el que coincide con el ID
-        generos = generos.filter(g => g.id !== id);
-        
-        DataService.guardarGeneros(generos);
-        pintarGeneros();
+        try {
+            await DataService.eliminarGenero(id, peliculas);
+        } catch (error) {
+            if (error instanceof ErrorValidacion) {
+                Interfaz.mostrarErrores(formEliminar, error.errores);
+                return;
+            }
+            if (error instanceof ErrorIntegridad) {
+                // Otra pestaña ha cambiado las películas entretanto: se vuelve a mostrar
+                alert(error.message);
+                await borrarGenero(id);
+                return;
+            }
+            throw error;
+        }
+        cerrarDialogoEliminar();
+        if (generoEditando === id) cancelarEdicion();
+        await pintarGeneros();
     }
 
     // --- Inicialización ---
@@ -256,7 +564,29 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     /**
-     * Pinta la lista inicial de géneros al cargar la página.
+     * Event listeners del diálogo de eliminación de un género en uso.
+     */
+    formEliminar.addEventListener('submit', confirmarEliminacion);
+    document.getElementById('btnCancelarEliminarGenero').addEventListener('click', cerrarDialogoEliminar);
+
+    /**
+     * Soltar un género en la zona de ayuda lo deja como género principal.
+     */
+    aceptarArrastre(zonaRaiz, null);
+
+    /**
+     * Pinta la lista inicial de géneros al cargar la página, una vez listos los datos.
+     */
+    await DataService.inicializar();
+    permisos = { editar: await DataService.puede('editar'), eliminar: await DataService.puede('eliminar') };
+    if (!permisos.editar) {
+        btnSubmit.disabled = true;
+        btnSubmit.title = "Necesitas una cuenta de editor o administrador.";
+    }
+    await pintarGeneros();
+
+    /**
+     * Repinta la lista tras deshacer, rehacer o un cambio en otra pestaña.
      */
-    pintarGeneros();
+    document.addEventListener('datoscambiados', pintarGeneros);
 });
\ No newline at end of file
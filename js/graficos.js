@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Gráficos SVG sencillos para las páginas de la CMDB.
+ * Cada función recibe los datos ya calculados (ver Metricas) y devuelve un
+ * elemento <svg> listo para insertar; no consulta el almacenamiento.
+ * @module graficos
+ */
+
+/**
+ * Funciones que construyen gráficos de barras y de dispersión en SVG.
+ * @namespace Graficos
+ * @type {Object}
+ */
+const Graficos = {
+    /**
+     * Espacio de nombres de los elementos SVG.
+     * @type {string}
+     * @memberof Graficos
+     */
+    NS: 'http://www.w3.org/2000/svg',
+
+    /**
+     * Color de las barras y los puntos (el mismo gris que los botones).
+     * @type {string}
+     * @memberof Graficos
+     */
+    COLOR: '#999999',
+
+    /**
+     * Crea un elemento SVG con sus atributos.
+     * @method
+     * @memberof Graficos
+     * @param {string} etiqueta - Nombre del elemento ('rect', 'text'...).
+     * @param {Object<string, (string|number)>} atributos - Atributos a asignar.
+     * @param {string} [texto] - Contenido de texto.
+     * @returns {SVGElement}
+     */
+    crear: function(etiqueta, atributos, texto) {
+        const el = document.createElementNS(this.NS, etiqueta);
+        Object.keys(atributos).forEach(nombre => el.setAttribute(nombre, atributos[nombre]));
+        if (texto !== undefined) el.textContent = texto;
+        return el;
+    },
+
+    /**
+     * Crea el <svg> raíz con un viewBox, de modo que el gráfico se adapte al ancho disponible.
+     * @method
+     * @memberof Graficos
+     * @param {number} ancho - Ancho lógico.
+     * @param {number} alto - Alto lógico.
+     * @param {string} descripcion - Texto alternativo del gráfico.
+     * @returns {SVGSVGElement}
+     */
+    lienzo: function(ancho, alto, descripcion) {
+        const svg = this.crear('svg', {
+            viewBox: `0 0 ${ancho} ${alto}`,
+            width: '100%',
+            role: 'img',
+            'aria-label': descripcion
+        });
+        svg.style.maxWidth = ancho + 'px';
+        return svg;
+    },
+
+    /**
+     * Formatea un valor para las etiquetas: enteros tal cual y decimales con uno.
+     * @method
+     * @memberof Graficos
+     * @param {number} valor - Valor a formatear.
+     * @returns {string}
+     */
+    formatear: function(valor) {
+        return Number.isInteger(valor) ? String(valor) : valor.toFixed(1);
+    },
+
+    /**
+     * Gráfico de barras horizontales, una fila por dato, con el valor al final de cada barra.
+     * @method
+     * @memberof Graficos
+     * @param {DatoSerie[]} serie - Datos en el orden en que se pintan.
+     * @param {string} descripcion - Texto alternativo del gráfico.
+     * @param {number} [maximo] - Valor que ocupa todo el ancho (por defecto, el mayor de la serie).
+     * @returns {SVGSVGElement}
+     */
+    barrasHorizontales: function(serie, descripcion, maximo) {
+        const ancho = 500, alto = 24, margenIzq = 140, margenDer = 40;
+        const tope = maximo || Math.max(1, ...serie.map(d => d.valor));
+        const svg = this.lienzo(ancho, Math.max(1, serie.length) * alto, descripcion);
+
+        serie.forEach((dato, i) => {
+            const y = i * alto;
+            const largo = (ancho - margenIzq - margenDer) * dato.valor / tope;
+            svg.appendChild(this.crear('text', { x: margenIzq - 6, y: y + 16, 'text-anchor': 'end', 'font-size': 12 }, dato.etiqueta));
+            const barra = this.crear('rect', { x: margenIzq, y: y + 4, width: largo, height: alto - 8, fill: this.COLOR });
+            barra.appendChild(this.crear('title', {}, `${dato.etiqueta}: ${this.formatear(dato.valor)}`));
+            svg.appendChild(barra);
+            svg.appendChild(this.crear('text', { x: margenIzq + largo + 4, y: y + 16, 'font-size': 12 }, this.formatear(dato.valor)));
+        });
+        return svg;
+    },
+
+    /**
+     * Gráfico de columnas verticales con la etiqueta debajo y el valor encima de cada columna.
+     * @method
+     * @memberof Graficos
+     * @param {DatoSerie[]} serie - Datos en el orden en que se pintan.
+     * @param {string} descripcion - Texto alternativo del gráfico.
+     * @returns {SVGSVGElement}
+     */
+    columnas: function(serie, descripcion) {
+        const ancho = 500, alto = 220, margenInf = 24, margenSup = 18;
+        const tope = Math.max(1, ...serie.map(d => d.valor));
+        const paso = ancho / Math.max(1, serie.length);
+        const svg = this.lienzo(ancho, alto, descripcion);
+
+        serie.forEach((dato, i) => {
+            const x = i * paso;
+            const altura = (alto - margenInf - margenSup) * dato.valor / tope;
+            const y = alto - margenInf - altura;
+            const columna = this.crear('rect', { x: x + paso * 0.15, y, width: paso * 0.7, height: altura, fill: this.COLOR });
+            columna.appendChild(this.crear('title', {}, `${dato.etiqueta}: ${this.formatear(dato.valor)}`));
+            svg.appendChild(columna);
+            svg.appendChild(this.crear('text', { x: x + paso / 2, y: y - 4, 'text-anchor': 'middle', 'font-size': 11 }, this.formatear(dato.valor)));
+            svg.appendChild(this.crear('text', { x: x + paso / 2, y: alto - 8, 'text-anchor': 'middle', 'font-size': 11 }, dato.etiqueta));
+        });
+        return svg;
+    },
+
+    /**
+     * Gráfico de dispersión con ejes y marcas cada cuarto del rango.
+     * Cada punto lleva un <title> con su texto, visible al pasar el ratón.
+     * @method
+     * @memberof Graficos
+     * @param {Array<{x: number, y: number, texto: string}>} puntos - Puntos a pintar.
+     * @param {{x: [number, number], y: [number, number]}} rangos - Mínimo y máximo de cada eje.
+     * @param {{x: string, y: string}} titulos - Nombre de cada eje.
+     * @param {string} descripcion - Texto alternativo del gráfico.
+     * @returns {SVGSVGElement}
+     */
+    dispersion: function(puntos, rangos, titulos, descripcion) {
+        const ancho = 500, alto = 300, margen = 40;
+        const svg = this.lienzo(ancho, alto, descripcion);
+        const escalaX = v => margen + (ancho - 2 * margen) * (v - rangos.x[0]) / (rangos.x[1] - rangos.x[0]);
+        const escalaY = v => alto - margen - (alto - 2 * margen) * (v - rangos.y[0]) / (rangos.y[1] - rangos.y[0]);
+
+        svg.appendChild(this.crear('line', { x1: margen, y1: alto - margen, x2: ancho - margen, y2: alto - margen, stroke: 'black' }));
+        svg.appendChild(this.crear('line', { x1: margen, y1: margen, x2: margen, y2: alto - margen, stroke: 'black' }));
+        for (let i = 0; i <= 4; i++) {
+            const vx = rangos.x[0] + (rangos.x[1] - rangos.x[0]) * i / 4;
+            const vy = rangos.y[0] + (rangos.y[1] - rangos.y[0]) * i / 4;
+            svg.appendChild(this.crear('text', { x: escalaX(vx), y: alto - margen + 14, 'text-anchor': 'middle', 'font-size': 10 }, this.formatear(vx)));
+            svg.appendChild(this.crear('text', { x: margen - 4, y: escalaY(vy) + 4, 'text-anchor': 'end', 'font-size': 10 }, this.formatear(vy)));
+        }
+        svg.appendChild(this.crear('text', { x: ancho / 2, y: alto - 6, 'text-anchor': 'middle', 'font-size': 12 }, titulos.x));
+        svg.appendChild(this.crear('text', { x: 12, y: alto / 2, 'text-anchor': 'middle', 'font-size': 12, transform: `rotate(-90 12 ${alto / 2})` }, titulos.y));
+
+        puntos.forEach(p => {
+            const punto = this.crear('circle', { cx: escalaX(p.x), cy: escalaY(p.y), r: 5, fill: this.COLOR, stroke: 'black', 'fill-opacity': 0.7 });
+            punto.appendChild(this.crear('title', {}, p.texto));
+            svg.appendChild(punto);
+        });
+        return svg;
+    }
+};
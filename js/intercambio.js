@@ -0,0 +1,455 @@
+/**
+ * @fileoverview Conversión del catálogo CMDB a CSV y JSON y lectura de esos
+ * mismos formatos para importar películas, y de las listas de los usuarios
+ * para compartirlas.
+ * No accede al DOM ni al almacenamiento: trabaja con textos y con instancias
+ * de Pelicula, Genero y Persona, por lo que puede usarse desde cualquier página.
+ * @module intercambio
+ */
+
+/**
+ * Fila de importación ya normalizada, con los géneros por nombre.
+ * @typedef {Object} FilaImportacion
+ * @property {number} numero - Número de fila en el archivo (1 = primera película).
+ * @property {{titulo: string, fecha: string, popularidad: number, generos: string[], votos: Voto[], creditos: CreditoImportacion[]}} datos - Datos de la película, más los de la ficha (ver FICHA_VACIA).
+ * @property {string[]} errores - Errores de validación (vacío si la fila es válida).
+ */
+
+/**
+ * Género de un JSON exportado, con los IDs del archivo (no tienen por qué
+ * coincidir con los locales).
+ * @typedef {Object} GeneroImportacion
+ * @property {number} id - ID del género en el archivo.
+ * @property {string} nombre - Nombre del género.
+ * @property {(number|null)} padre - ID en el archivo del género del que cuelga (null si es principal).
+ */
+
+/**
+ * Crédito de una fila de importación, con la persona por nombre.
+ * @typedef {Object} CreditoImportacion
+ * @property {string} nombre - Nombre de la persona.
+ * @property {string} rol - Clave de ROLES_CREDITO.
+ * @property {string} personaje - Nombre del personaje (vacío si no es del reparto).
+ */
+
+/**
+ * Lista de películas tal y como se comparte entre instalaciones: las
+ * películas van por título y fecha, ya que los IDs no coinciden.
+ * @typedef {Object} ListaCompartida
+ * @property {string} tipo - Clave de TIPOS_LISTA.
+ * @property {string} nombre - Nombre de la lista.
+ * @property {Array<{titulo: string, fecha: string, vista: (string|null)}>} peliculas - Películas en orden.
+ */
+
+/**
+ * Utilidades de exportación e importación del catálogo.
+ * @namespace Intercambio
+ * @type {Object}
+ */
+const Intercambio = {
+    /**
+     * Columnas del CSV exportado, en orden.
+     * Al importar solo son obligatorias titulo, fecha, popularidad y generos.
+     * @type {string[]}
+     * @memberof Intercambio
+     */
+    COLUMNAS_CSV: ['titulo', 'fecha', 'popularidad', 'generos', 'puntuacion_media', 'numero_votos',
+        'titulo_original', 'duracion', 'pais', 'idioma', 'clasificacion', 'sinopsis'],
+
+    /**
+     * Columnas opcionales del CSV con datos de la ficha y el campo de Pelicula
+     * que les corresponde. El póster no se exporta a CSV.
+     * @type {Object<string, string>}
+     * @memberof Intercambio
+     */
+    COLUMNAS_FICHA: {
+        titulo_original: 'tituloOriginal',
+        duracion: 'duracion',
+        pais: 'pais',
+        idioma: 'idioma',
+        clasificacion: 'clasificacion',
+        sinopsis: 'sinopsis'
+    },
+
+    /**
+     * Separador de los nombres de género dentro de la celda 'generos'.
+     * @type {string}
+     * @memberof Intercambio
+     */
+    SEPARADOR_GENEROS: '|',
+
+    /**
+     * Escapa un valor para escribirlo en una celda CSV.
+     * Se entrecomilla si contiene comas, comillas o saltos de línea.
+     * @method
+     * @memberof Intercambio
+     * @param {*} valor - Valor de la celda.
+     * @returns {string}
+     */
+    escaparCeldaCSV: function(valor) {
+        const texto = String(valor);
+        if (/[",\r\n]/.test(texto)) {
+            return '"' + texto.replace(/"/g, '""') + '"';
+        }
+        return texto;
+    },
+
+    /**
+     * Genera un CSV con una fila por película y los géneros por nombre.
+     * @method
+     * @memberof Intercambio
+     * @param {Pelicula[]} peliculas - Películas a exportar.
+     * @param {Genero[]} generos - Lista completa de géneros.
+     * @returns {string} Contenido del archivo CSV.
+     */
+    exportarCSV: function(peliculas, generos) {
+        const nombres = new Map(generos.map(g => [g.id, g.nombre]));
+        const lineas = [this.COLUMNAS_CSV.join(',')];
+        peliculas.forEach(p => {
+            const celdas = [
+                p.titulo,
+                p.fecha,
+                p.popularidad,
+                p.generos.map(id => nombres.get(id) || 'Desconocido').join(this.SEPARADOR_GENEROS),
+                p.puntuacionMedia,
+                p.numeroVotos
+            ].concat(Object.values(this.COLUMNAS_FICHA).map(campo => p[campo] === null ? '' : p[campo]));
+            lineas.push(celdas.map(c => this.escaparCeldaCSV(c)).join(','));
+        });
+        return lineas.join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Genera una copia completa del catálogo en JSON (géneros, personas,
+     * películas con sus créditos y votos con sus reseñas).
+     * @method
+     * @memberof Intercambio
+     * @param {Pelicula[]} peliculas - Películas a exportar.
+     * @param {Genero[]} generos - Lista completa de géneros.
+     * @param {Persona[]} [personas=[]] - Lista completa de personas.
+     * @returns {string} Contenido del archivo JSON.
+     */
+    exportarJSON: function(peliculas, generos, personas = []) {
+        return JSON.stringify({
+            formato: 'cmdb',
+            version: VERSION_ESQUEMA,
+            exportado: new Date().toISOString(),
+            generos: generos,
+            personas: personas,
+            peliculas: peliculas
+        }, null, 2);
+    },
+
+    /**
+     * Genera un JSON con listas de películas para compartirlas con otra
+     * instalación (ver DataService.importarListas).
+     * @method
+     * @memberof Intercambio
+     * @param {Lista[]} listas - Listas a exportar.
+     * @param {Pelicula[]} peliculas - Catálogo, para obtener el título y la fecha de cada película.
+     * @returns {string} Contenido del archivo JSON.
+     */
+    exportarListas: function(listas, peliculas) {
+        const porId = new Map(peliculas.map(p => [p.id, p]));
+        return JSON.stringify({
+            formato: 'cmdb-listas',
+            version: VERSION_ESQUEMA,
+            exportado: new Date().toISOString(),
+            listas: listas.map(l => ({
+                tipo: l.tipo,
+                nombre: l.nombre,
+                peliculas: l.elementos.filter(e => porId.has(e.pelicula)).map(e => ({
+                    titulo: porId.get(e.pelicula).titulo,
+                    fecha: porId.get(e.pelicula).fecha,
+                    vista: e.vista
+                }))
+            }))
+        }, null, 2);
+    },
+
+    /**
+     * Lee las listas de un JSON exportado con exportarListas. Las películas
+     * sin título o fecha se descartan.
+     * @method
+     * @memberof Intercambio
+     * @param {string} texto - Contenido del archivo.
+     * @returns {ListaCompartida[]}
+     * @throws {Error} Si el archivo no es un JSON de listas.
+     */
+    leerListas: function(texto) {
+        const datos = JSON.parse(texto);
+        if (!datos || datos.formato !== 'cmdb-listas' || !Array.isArray(datos.listas)) {
+            throw new Error('El archivo no contiene listas de CMDB.');
+        }
+        return datos.listas.map(l => ({
+            tipo: Object.prototype.hasOwnProperty.call(TIPOS_LISTA, l.tipo) ? l.tipo : 'personal',
+            nombre: typeof l.nombre === 'string' ? l.nombre : '',
+            peliculas: (Array.isArray(l.peliculas) ? l.peliculas : [])
+                .filter(p => p && typeof p.titulo === 'string' && typeof p.fecha === 'string')
+                .map(p => ({ titulo: p.titulo, fecha: p.fecha, vista: typeof p.vista === 'string' ? p.vista : null }))
+        }));
+    },
+
+    /**
+     * Divide un texto CSV en filas y celdas, respetando comillas dobles,
+     * comillas escapadas ("") y saltos de línea dentro de celdas entrecomilladas.
+     * @method
+     * @memberof Intercambio
+     * @param {string} texto - Contenido del archivo.
+     * @param {string} [separador=','] - Separador de celdas.
+     * @returns {string[][]} Filas no vacías con sus celdas.
+     */
+    parsearCSV: function(texto, separador = ',') {
+        const filas = [];
+        let fila = [];
+        let celda = '';
+        let entreComillas = false;
+
+        for (let i = 0; i < texto.length; i++) {
+            const c = texto[i];
+            if (entreComillas) {
+                if (c === '"' && texto[i + 1] === '"') {
+                    celda += '"';
+                    i++;
+                } else if (c === '"') {
+                    entreComillas = false;
+                } else {
+                    celda += c;
+                }
+            } else if (c === '"') {
+                entreComillas = true;
+            } else if (c === separador) {
+                fila.push(celda);
+                celda = '';
+            } else if (c === '\n' || c === '\r') {
+                if (c === '\r' && texto[i + 1] === '\n') i++;
+                fila.push(celda);
+                filas.push(fila);
+                fila = [];
+                celda = '';
+            } else {
+                celda += c;
+            }
+        }
+        fila.push(celda);
+        filas.push(fila);
+
+        return filas.filter(f => f.length > 1 || f[0].trim() !== '');
+    },
+
+    /**
+     * Lee las películas de un CSV con cabecera. Las columnas se localizan
+     * por nombre, así que su orden no importa. Acepta ',' o ';' como separador.
+     * @method
+     * @memberof Intercambio
+     * @param {string} texto - Contenido del archivo.
+     * @returns {Array<Object>} Datos de cada fila, sin validar.
+     * @throws {Error} Si falta alguna columna obligatoria.
+     */
+    leerCSV: function(texto) {
+        // Quitamos la marca BOM que añaden algunas hojas de cálculo
+        texto = texto.replace(/^\uFEFF/, '');
+        const primeraLinea = texto.split(/\r?\n/, 1)[0];
+        const separador = primeraLinea.indexOf(';') !== -1 && primeraLinea.indexOf(',') === -1 ? ';' : ',';
+        const filas = this.parsearCSV(texto, separador);
+        if (filas.length === 0) return [];
+
+        const cabecera = filas[0].map(c => c.trim().toLowerCase());
+        const obligatorias = ['titulo', 'fecha', 'popularidad', 'generos'];
+        const faltan = obligatorias.filter(col => cabecera.indexOf(col) === -1);
+        if (faltan.length > 0) {
+            throw new Error('Faltan columnas en el CSV: ' + faltan.join(', ') + '.');
+        }
+
+        const celda = (fila, col) => (fila[cabecera.indexOf(col)] || '').trim();
+        return filas.slice(1).map(fila => {
+            const ficha = {};
+            Object.keys(this.COLUMNAS_FICHA).filter(col => cabecera.indexOf(col) !== -1).forEach(col => {
+                ficha[this.COLUMNAS_FICHA[col]] = celda(fila, col);
+            });
+            return Object.assign({
+                titulo: celda(fila, 'titulo'),
+                fecha: celda(fila, 'fecha'),
+                popularidad: celda(fila, 'popularidad') === '' ? NaN : Number(celda(fila, 'popularidad')),
+                generos: this.separarGeneros(celda(fila, 'generos')),
+                votos: [],
+                creditos: []
+            }, this.leerFicha(ficha));
+        });
+    },
+
+    /**
+     * Lee las películas de un JSON exportado con exportarJSON.
+     * Los IDs de género y de persona del archivo se traducen a nombres usando
+     * sus propias listas, ya que no tienen por qué coincidir con los locales.
+     * También acepta un array de películas con los géneros ya por nombre.
+     * @method
+     * @memberof Intercambio
+     * @param {string} texto - Contenido del archivo.
+     * @returns {Array<Object>} Datos de cada película, sin validar.
+     * @throws {Error} Si el JSON no es válido o no tiene películas.
+     */
+    leerJSON: function(texto) {
+        const datos = JSON.parse(texto);
+        const peliculas = Array.isArray(datos) ? datos : datos.peliculas;
+        if (!Array.isArray(peliculas)) {
+            throw new Error('El JSON no contiene una lista de películas.');
+        }
+        const nombres = new Map((datos.generos || []).map(g => [g.id, g.nombre]));
+        const nombresPersonas = new Map((datos.personas || []).map(p => [p.id, p.nombre]));
+
+        return peliculas.map(p => Object.assign({
+            titulo: typeof p.titulo === 'string' ? p.titulo : '',
+            fecha: typeof p.fecha === 'string' ? p.fecha : '',
+            popularidad: typeof p.popularidad === 'number' ? p.popularidad : NaN,
+            generos: (p.generos || []).map(g => (typeof g === 'number' ? nombres.get(g) || '' : String(g).trim())),
+            votos: this.leerVotos(p),
+            creditos: (p.creditos || []).map(c => ({
+                nombre: typeof c.persona === 'number' ? nombresPersonas.get(c.persona) || '' : String(c.nombre || '').trim(),
+                rol: c.rol,
+                personaje: typeof c.personaje === 'string' ? c.personaje.trim() : ''
+            }))
+        }, this.leerFicha(p)));
+    },
+
+    /**
+     * Lee los géneros de un JSON exportado con exportarJSON, con el género del
+     * que cuelga cada uno, para que la importación conserve el árbol. Un array
+     * de películas sueltas no trae géneros y devuelve una lista vacía.
+     * @method
+     * @memberof Intercambio
+     * @param {string} texto - Contenido del archivo.
+     * @returns {GeneroImportacion[]} Géneros sin validar.
+     */
+    leerGenerosJSON: function(texto) {
+        const datos = JSON.parse(texto);
+        if (!datos || Array.isArray(datos) || !Array.isArray(datos.generos)) return [];
+        return datos.generos
+            .filter(g => g && Number.isInteger(g.id) && typeof g.nombre === 'string')
+            .map(g => ({ id: g.id, nombre: g.nombre.trim(), padre: Number.isInteger(g.padre) ? g.padre : null }));
+    },
+
+    /**
+     * Obtiene los datos de la ficha de una película de un archivo. Los que
+     * faltan quedan vacíos (ver FICHA_VACIA) y la duración, que en CSV llega
+     * como texto, se convierte a número.
+     * @method
+     * @memberof Intercambio
+     * @param {Object} p - Película tal y como viene en el archivo.
+     * @returns {Object} Campos de la ficha, sin validar.
+     */
+    leerFicha: function(p) {
+        const ficha = {};
+        Object.keys(FICHA_VACIA).forEach(campo => {
+            ficha[campo] = p[campo] === undefined || p[campo] === '' ? FICHA_VACIA[campo] : p[campo];
+        });
+        if (typeof ficha.duracion === 'string') ficha.duracion = Number(ficha.duracion);
+        return ficha;
+    },
+
+    /**
+     * Obtiene los votos de una película de un JSON. Los archivos actuales traen
+     * registros de voto ('votos'); los anteriores solo números ('puntuaciones'),
+     * que se importan como votos legados sin usuario.
+     * @method
+     * @memberof Intercambio
+     * @param {Object} p - Película tal y como viene en el archivo.
+     * @returns {Voto[]}
+     */
+    leerVotos: function(p) {
+        if (Array.isArray(p.votos)) {
+            return p.votos.map(v => ({
+                usuario: typeof v.usuario === 'string' ? v.usuario : null,
+                valor: v.valor,
+                instante: typeof v.instante === 'number' ? v.instante : null,
+                activo: v.activo !== false,
+                resena: this.leerResena(v.resena)
+            }));
+        }
+        return Array.isArray(p.puntuaciones) ? p.puntuaciones.map(v => Pelicula.votoLegado(v)) : [];
+    },
+
+    /**
+     * Obtiene la reseña de un voto de un JSON. Las marcas de útil solo se
+     * conservan si son una lista de IDs de usuario.
+     * @method
+     * @memberof Intercambio
+     * @param {*} r - Reseña tal y como viene en el archivo.
+     * @returns {Resena|null} Reseña sin validar, o null si el voto no tiene.
+     */
+    leerResena: function(r) {
+        if (!r || typeof r !== 'object') return null;
+        return {
+            titulo: typeof r.titulo === 'string' ? r.titulo : '',
+            texto: typeof r.texto === 'string' ? r.texto : '',
+            spoiler: r.spoiler === true,
+            instante: typeof r.instante === 'number' ? r.instante : Date.now(),
+            utiles: Array.isArray(r.utiles) ? r.utiles.filter(u => typeof u === 'string') : []
+        };
+    },
+
+    /**
+     * Separa la celda de géneros del CSV en nombres, sin vacíos ni repetidos.
+     * @method
+     * @memberof Intercambio
+     * @param {string} celda - Texto de la celda (p. ej. "Drama|Ciencia Ficción").
+     * @returns {string[]}
+     */
+    separarGeneros: function(celda) {
+        const nombres = [];
+        celda.split(this.SEPARADOR_GENEROS).forEach(n => {
+            const nombre = n.trim();
+            if (nombre !== '' && nombres.indexOf(nombre) === -1) nombres.push(nombre);
+        });
+        return nombres;
+    },
+
+    /**
+     * Lee un archivo CSV o JSON y valida cada fila antes de importar nada,
+     * con las mismas reglas que aplica DataService al guardar (validarPelicula,
+     * validarGenero para los nombres de género y validarPersona para los de
+     * las personas de los créditos). De una copia en JSON también se leen sus
+     * géneros, con su jerarquía; los que tienen un nombre no válido se descartan.
+     * @method
+     * @memberof Intercambio
+     * @param {string} texto - Contenido del archivo.
+     * @param {string} nombreArchivo - Nombre del archivo; su extensión decide el formato.
+     * @param {Genero[]} generosExistentes - Géneros actuales, para saber cuáles se crearán.
+     * @returns {{filas: FilaImportacion[], generosNuevos: string[], generos: GeneroImportacion[]}} Resultado
+     *   del análisis; 'generos' se pasa a DataService.importarPeliculas.
+     * @throws {Error} Si el archivo no se puede leer en ese formato.
+     */
+    analizar: function(texto, nombreArchivo, generosExistentes) {
+        const esJSON = /\.json$/i.test(nombreArchivo);
+        const registros = esJSON ? this.leerJSON(texto) : this.leerCSV(texto);
+        const generos = esJSON ? this.leerGenerosJSON(texto).filter(g => validarGenero({ nombre: g.nombre }).length === 0) : [];
+        const existentes = new Set(generosExistentes.map(g => normalizarTexto(g.nombre)));
+        const nuevosNormalizados = new Set();
+        const generosNuevos = [];
+        const anotarNuevo = nombre => {
+            const clave = normalizarTexto(nombre);
+            if (!existentes.has(clave) && !nuevosNormalizados.has(clave)) {
+                nuevosNormalizados.add(clave);
+                generosNuevos.push(nombre);
+            }
+        };
+        generosEnArbol(generos).forEach(({ genero }) => anotarNuevo(genero.nombre));
+
+        const filas = registros.map((datos, i) => {
+            // Para validar los créditos, cada nombre de persona distinto recibe un número
+            const personas = [...new Set(datos.creditos.map(c => normalizarTexto(c.nombre)))];
+            const creditos = datos.creditos.map(c => ({ persona: personas.indexOf(normalizarTexto(c.nombre)), rol: c.rol, personaje: c.personaje }));
+            const errores = validarPelicula(Object.assign({}, datos, { creditos: creditos })).map(e => e.mensaje);
+            datos.generos.forEach(nombre => {
+                validarGenero({ nombre: nombre }).forEach(e => errores.push('Género "' + nombre + '": ' + e.mensaje));
+            });
+            datos.creditos.forEach(c => {
+                validarPersona({ nombre: c.nombre }).forEach(e => errores.push('Persona "' + c.nombre + '": ' + e.mensaje));
+            });
+            if (errores.length === 0) datos.generos.forEach(anotarNuevo);
+            return { numero: i + 1, datos: datos, errores: errores };
+        });
+
+        return { filas: filas, generosNuevos: generosNuevos, generos: generos };
+    }
+};
@@ -0,0 +1,293 @@
+/**
+ * @fileoverview Utilidades de interfaz compartidas por los controladores de página.
+ * @module interfaz
+ */
+
+/**
+ * Funciones de apoyo para pintar información en los formularios.
+ * @namespace Interfaz
+ * @type {Object}
+ */
+const Interfaz = {
+    /**
+     * Ofrece un texto como archivo descargable.
+     * @method
+     * @memberof Interfaz
+     * @param {string} contenido - Contenido del archivo.
+     * @param {string} nombre - Nombre con el que se descarga.
+     * @param {string} tipo - Tipo MIME.
+     */
+    descargar: function(contenido, nombre, tipo) {
+        const url = URL.createObjectURL(new Blob([contenido], { type: tipo }));
+        const enlace = document.createElement('a');
+        enlace.href = url;
+        enlace.download = nombre;
+        document.body.appendChild(enlace);
+        enlace.click();
+        enlace.remove();
+        URL.revokeObjectURL(url);
+    },
+
+    /**
+     * Pregunta qué hacer cuando DataService rechaza un guardado con un
+     * ErrorConflicto: combinar los cambios propios con los de la otra pestaña
+     * (ver fusionarCambios) o descartarlos y cargar la versión actual.
+     * @method
+     * @memberof Interfaz
+     * @param {ErrorConflicto} error - Error recibido al guardar.
+     * @param {Object} base - Registro tal y como se leyó al empezar a editar (forma persistida).
+     * @param {Object} propio - Registro con los cambios del formulario (forma persistida).
+     * @returns {Object|null} Registro combinado que hay que volver a guardar, o null
+     *   si se descartan los cambios propios o el registro ya no existe.
+     */
+    resolverConflicto: function(error, base, propio) {
+        if (error.actual === null) {
+            alert(error.message + " No se pueden guardar tus cambios.");
+            return null;
+        }
+        const fusion = fusionarCambios(base, propio, JSON.parse(JSON.stringify(error.actual)));
+        let texto = error.message;
+        if (fusion.ajenos.length > 0) {
+            texto += "\nCampos cambiados en la otra pestaña: " + fusion.ajenos.join(', ') + ".";
+        }
+        if (fusion.conflictos.length > 0) {
+            texto += "\nCampos cambiados en las dos: " + fusion.conflictos.join(', ') + " (se guardará tu versión).";
+        }
+        texto += "\n\nAceptar: combinar los cambios y guardar.\nCancelar: descartar tus cambios y cargar la versión actual.";
+        return confirm(texto) ? fusion.resultado : null;
+    },
+
+    /**
+     * Muestra cada error junto al control de su campo. Los mensajes se pintan
+     * en los elementos del formulario marcados con data-error-de="<campo>";
+     * los errores sin elemento propio se muestran con alert.
+     * @method
+     * @memberof Interfaz
+     * @param {HTMLFormElement} form - Formulario donde mostrar los errores.
+     * @param {ErrorCampo[]} errores - Errores a mostrar.
+     */
+    mostrarErrores: function(form, errores) {
+        this.limpiarErrores(form);
+        const sinCampo = [];
+
+        errores.forEach(error => {
+            const destino = form.querySelector(`[data-error-de="${error.campo}"]`);
+            if (destino) {
+                // Si un campo tiene varios errores se muestran todos seguidos
+                destino.textContent = destino.textContent ? destino.textContent + ' ' + error.mensaje : error.mensaje;
+            } else {
+                sinCampo.push(error.mensaje);
+            }
+        });
+
+        const primero = form.querySelector('[data-error-de]:not(:empty)');
+        if (primero && primero.previousElementSibling && primero.previousElementSibling.focus) {
+            primero.previousElementSibling.focus();
+        }
+        if (sinCampo.length > 0) {
+            alert(sinCampo.join('\n'));
+        }
+    },
+
+    /**
+     * Borra los mensajes de error de un formulario.
+     * @method
+     * @memberof Interfaz
+     * @param {HTMLFormElement} form - Formulario a limpiar.
+     */
+    limpiarErrores: function(form) {
+        form.querySelectorAll('[data-error-de]').forEach(el => {
+            el.textContent = '';
+        });
+    },
+
+    /**
+     * Comprueba que la sesión permite una acción y, si no, lo explica con un alert.
+     * Los controladores la llaman antes de cada operación protegida para avisar
+     * sin llegar a intentarla; DataService vuelve a comprobarlo en cada método
+     * que modifica datos, de modo que ocultar un botón nunca es la única barrera.
+     * @method
+     * @memberof Interfaz
+     * @param {string} permiso - 'votar', 'editar', 'eliminar' o 'administrar' (ver PERMISOS_ROL).
+     * @returns {Promise<boolean>} true si se puede continuar.
+     */
+    permitido: async function(permiso) {
+        try {
+            await DataService.exigirPermiso(permiso);
+            return true;
+        } catch (error) {
+            if (error instanceof ErrorPermiso) {
+                alert(error.message);
+                return false;
+            }
+            throw error;
+        }
+    },
+
+    /**
+     * Muestra en la barra de navegación quién tiene la sesión iniciada, con
+     * enlaces para entrar o salir. Se actualiza con el evento 'sesioncambiada'.
+     * @method
+     * @memberof Interfaz
+     */
+    iniciarIndicadorSesion: function() {
+        const nav = document.querySelector('form.botones');
+        if (!nav) return;
+        const indicador = document.createElement('span');
+        indicador.className = 'sesion';
+        nav.appendChild(indicador);
+
+        const actualizar = async () => {
+            const sesion = await DataService.getSesion();
+            indicador.innerHTML = '';
+            const enlace = document.createElement('a');
+            enlace.href = 'cuenta.html';
+            if (sesion) {
+                indicador.appendChild(document.createTextNode(`${sesion.nombre} (${ROLES[sesion.rol]}) `));
+                enlace.textContent = 'Mi cuenta';
+                const salir = document.createElement('a');
+                salir.href = '#';
+                salir.textContent = 'Salir';
+                salir.addEventListener('click', async (e) => {
+                    e.preventDefault();
+                    await DataService.cerrarSesion();
+                    // Se recarga para que la página vuelva a aplicar los permisos
+                    location.reload();
+                });
+                indicador.appendChild(enlace);
+                indicador.appendChild(document.createTextNode(' · '));
+                indicador.appendChild(salir);
+            } else {
+                enlace.textContent = 'Iniciar sesión';
+                indicador.appendChild(enlace);
+            }
+        };
+
+        document.addEventListener('sesioncambiada', actualizar);
+        actualizar();
+    },
+
+    /**
+     * Muestra en la barra de navegación si se está sin conexión y cuántos
+     * cambios esperan a enviarse al servidor, y cuando se envían informa con un
+     * alert de los que no se han podido aplicar (ver DataService.sincronizar).
+     * @method
+     * @memberof Interfaz
+     */
+    iniciarConexion: function() {
+        const nav = document.querySelector('form.botones');
+        if (!nav) return;
+        const indicador = document.createElement('span');
+        indicador.className = 'conexion';
+        nav.appendChild(indicador);
+
+        const actualizar = async () => {
+            const pendientes = await DataService.contarPendientes();
+            const partes = [];
+            if (!navigator.onLine) partes.push("Sin conexión");
+            if (pendientes > 0) partes.push(`${pendientes} ${pendientes === 1 ? 'cambio pendiente' : 'cambios pendientes'} de enviar`);
+            indicador.textContent = partes.join(' · ');
+        };
+
+        document.addEventListener('pendientesenviados', (e) => {
+            const resultado = e.detail;
+            let texto = `Se han enviado al servidor ${resultado.enviados} ` +
+                `${resultado.enviados === 1 ? 'cambio hecho' : 'cambios hechos'} sin conexión.`;
+            if (resultado.conflictos.length > 0) {
+                texto += "\n\nNo se han aplicado estos cambios (se muestra la versión del servidor):\n" +
+                    resultado.conflictos.map(c => `- "${c.nombre}" (${c.coleccion}): ${c.mensaje}`).join('\n');
+            }
+            alert(texto);
+        });
+        document.addEventListener('pendientescambiados', actualizar);
+        document.addEventListener('datoscambiados', actualizar);
+        window.addEventListener('online', actualizar);
+        window.addEventListener('offline', actualizar);
+        actualizar();
+    },
+
+    /**
+     * Añade los botones Deshacer y Rehacer a la barra de navegación y los atajos
+     * Ctrl+Z / Ctrl+Shift+Z. Tras deshacer o rehacer se lanza el evento
+     * 'datoscambiados' en document para que el controlador de la página recargue.
+     * Los botones también se actualizan con los cambios de otras pestañas.
+     * Deshacer y rehacer requieren el permiso 'editar'.
+     * @method
+     * @memberof Interfaz
+     */
+    iniciarHistorial: function() {
+        const nav = document.querySelector('form.botones');
+        if (!nav) return;
+
+        const crearBoton = (texto) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.textContent = texto;
+            btn.setAttribute('class', 'button-33');
+            btn.disabled = true;
+            nav.appendChild(btn);
+            return btn;
+        };
+        const btnDeshacer = crearBoton("Deshacer");
+        const btnRehacer = crearBoton("Rehacer");
+
+        const actualizar = async () => {
+            const historial = await DataService.getHistorial();
+            const puedeEditar = await DataService.puede('editar');
+            const ultimo = lista => lista[lista.length - 1];
+            btnDeshacer.disabled = !puedeEditar || historial.deshacer.length === 0;
+            btnDeshacer.title = historial.deshacer.length === 0 ? "Nada que deshacer" : "Deshacer: " + ultimo(historial.deshacer);
+            btnRehacer.disabled = !puedeEditar || historial.rehacer.length === 0;
+            btnRehacer.title = historial.rehacer.length === 0 ? "Nada que rehacer" : "Rehacer: " + ultimo(historial.rehacer);
+        };
+
+        const aplicar = async (rehacer) => {
+            if (!(await this.permitido('editar'))) return;
+            let descripcion;
+            try {
+                descripcion = rehacer ? await DataService.rehacer() : await DataService.deshacer();
+            } catch (error) {
+                if (error instanceof ErrorIntegridad) {
+                    alert(error.message);
+                    return;
+                }
+                throw error;
+            }
+            if (descripcion !== null) {
+                document.dispatchEvent(new CustomEvent('datoscambiados'));
+            }
+        };
+
+        btnDeshacer.addEventListener('click', () => aplicar(false));
+        btnRehacer.addEventListener('click', () => aplicar(true));
+
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+            // En los campos de texto Ctrl+Z deshace lo escrito, como siempre
+            if (e.target.matches && e.target.matches('input, textarea')) return;
+            e.preventDefault();
+            aplicar(e.shiftKey);
+        });
+
+        document.addEventListener('historialcambiado', actualizar);
+        document.addEventListener('datoscambiados', actualizar);
+        document.addEventListener('sesioncambiada', actualizar);
+        actualizar();
+    }
+};
+
+/**
+ * Muestra los controles de deshacer/rehacer, la sesión y el estado de la
+ * conexión en cualquier página que cargue este script, y registra el service
+ * worker que permite abrir la aplicación sin conexión.
+ * @event DOMContentLoaded
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    Interfaz.iniciarHistorial();
+    Interfaz.iniciarIndicadorSesion();
+    Interfaz.iniciarConexion();
+    // Los service workers solo funcionan con la aplicación servida por http(s), no desde el disco
+    if ('serviceWorker' in navigator && location.protocol.startsWith('http')) {
+        navigator.serviceWorker.register('sw.js').catch(error => console.error('No se pudo registrar el service worker.', error));
+    }
+});
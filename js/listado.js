@@ -1,6 +1,8 @@
 /**
  * @fileoverview Controlador para la página de Listado de Películas.
- * Maneja la visualización de datos, la funcionalidad de votación y eliminación de películas.
+ * Maneja la visualización de datos, la ordenación, filtrado y paginación de la tabla,
+ * la funcionalidad de votación y eliminación de películas, y los botones para
+ * añadirlas o quitarlas de las listas del usuario.
  * @module listado
  */
 
@@ -9,32 +11,360 @@
  * Se ejecuta cuando el DOM está completamente cargado.
  * @event DOMContentLoaded
  */
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
 
     /**
      * Referencia al elemento tabla donde se mostrarán las películas.
      * @type {HTMLTableElement}
      */
     const tablaPeliculas = document.getElementById('tablaPeliculas');
+    /**
+     * Formulario con los controles de búsqueda y filtrado.
+     * @type {HTMLFormElement}
+     */
+    const formFiltros = document.getElementById('filtrosListado');
+    /**
+     * @type {HTMLInputElement}
+     */
+    const inputBusqueda = document.getElementById('buscarTitulo');
+    /**
+     * @type {HTMLSelectElement}
+     */
+    const selectGeneros = document.getElementById('filtroGeneros');
+    /**
+     * @type {HTMLInputElement}
+     */
+    const inputAnioDesde = document.getElementById('filtroAnioDesde');
+    /**
+     * @type {HTMLInputElement}
+     */
+    const inputAnioHasta = document.getElementById('filtroAnioHasta');
+    /**
+     * @type {HTMLButtonElement}
+     */
+    const btnLimpiarFiltros = document.getElementById('btnLimpiarFiltros');
+    /**
+     * Contenedor de los controles de navegación entre páginas.
+     * @type {HTMLElement}
+     */
+    const contenedorPaginacion = document.getElementById('paginacion');
+    /**
+     * @type {HTMLSelectElement}
+     */
+    const selectTamPagina = document.getElementById('tamPagina');
+
+    /**
+     * Tamaños de página que se pueden elegir.
+     * @type {number[]}
+     */
+    const TAMANOS_PAGINA = [10, 25, 50, 100];
+    /**
+     * Tamaño de página por defecto.
+     * @type {number}
+     */
+    const TAM_PAGINA_DEFECTO = 25;
+
+    /**
+     * Copia en memoria de todas las películas. Se carga una vez y se mantiene
+     * al día con cada voto o borrado, para no releer el almacenamiento al repintar.
+     * @type {Pelicula[]}
+     */
+    let peliculas = [];
+    /**
+     * Nombre de cada género indexado por su ID, para resolverlos sin recorrer la lista.
+     * @type {Map<number, string>}
+     */
+    let mapaGeneros = new Map();
+    /**
+     * Lista de géneros, para incluir los subgéneros al filtrar.
+     * @type {Genero[]}
+     */
+    let generos = [];
+    /**
+     * ID del usuario que vota, para mostrar y cambiar su propio voto.
+     * @type {string|null}
+     */
+    let usuario = null;
+    /**
+     * Permisos de la sesión, para mostrar solo los botones que se pueden usar.
+     * Cada acción se vuelve a comprobar al pulsarla (ver Interfaz.permitido).
+     * @type {{editar: boolean, eliminar: boolean}}
+     */
+    let permisos = { editar: false, eliminar: false };
+    /**
+     * Listas del usuario actual (Pendientes, Vistas y las personales).
+     * @type {Lista[]}
+     */
+    let listas = [];
+    /**
+     * Fila de la tabla de cada película de la página actual, indexada por ID.
+     * Permite actualizar una sola fila tras un voto.
+     * @type {Map<number, HTMLTableRowElement>}
+     */
+    const filasPorId = new Map();
+
+    /**
+     * Columnas por las que se puede ordenar la tabla.
+     * Cada entrada indica el texto de la cabecera y cómo obtener el valor a comparar.
+     * @type {Object<string, {titulo: string, valor: function(Pelicula): (string|number)}>}
+     */
+    const COLUMNAS_ORDENABLES = {
+        titulo: { titulo: 'Título', valor: p => p.titulo },
+        fecha: { titulo: 'Fecha de Estreno', valor: p => p.fecha },
+        popularidad: { titulo: 'Popularidad (0-100)', valor: p => p.popularidad },
+        media: { titulo: 'Puntuación Media', valor: p => p.puntuacionMediaExacta },
+        votos: { titulo: 'Votos Totales', valor: p => p.numeroVotos },
+        duracion: { titulo: 'Duración (min)', valor: p => p.duracion || 0 },
+        pais: { titulo: 'País', valor: p => p.pais },
+        idioma: { titulo: 'Idioma', valor: p => p.idioma },
+        // Se ordena de menor a mayor edad, no alfabéticamente
+        clasificacion: { titulo: 'Edad', valor: p => Object.keys(CLASIFICACIONES_EDAD).indexOf(p.clasificacion) }
+    };
+
+    /**
+     * Estado actual de ordenación, filtros y paginación. Se refleja en la URL para
+     * poder guardar o compartir una vista filtrada.
+     * @type {{orden: (string|null), dir: string, q: string, generos: number[], desde: (number|null), hasta: (number|null), pagina: number, tam: number}}
+     */
+    const estado = leerEstadoDeUrl();
+
+    /**
+     * Lee la ordenación, los filtros y la página de los parámetros de la URL
+     * (orden, dir, q, generos, desde, hasta, pagina, tam).
+     * @returns {Object} Estado inicial del listado.
+     */
+    function leerEstadoDeUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const orden = params.get('orden');
+        const desde = parseInt(params.get('desde'));
+        const hasta = parseInt(params.get('hasta'));
+        const pagina = parseInt(params.get('pagina'));
+        const tam = parseInt(params.get('tam'));
+        return {
+            orden: COLUMNAS_ORDENABLES[orden] ? orden : null,
+            dir: params.get('dir') === 'desc' ? 'desc' : 'asc',
+            q: params.get('q') || '',
+            generos: (params.get('generos') || '').split(',').map(id => parseInt(id)).filter(id => !isNaN(id)),
+            desde: isNaN(desde) ? null : desde,
+            hasta: isNaN(hasta) ? null : hasta,
+            pagina: pagina >= 1 ? pagina : 1,
+            tam: TAMANOS_PAGINA.indexOf(tam) !== -1 ? tam : TAM_PAGINA_DEFECTO
+        };
+    }
+
+    /**
+     * Escribe el estado actual en la URL sin recargar la página.
+     * Solo se incluyen los parámetros con valor para que la URL quede limpia.
+     */
+    function guardarEstadoEnUrl() {
+        const params = new URLSearchParams();
+        if (estado.orden) {
+            params.set('orden', estado.orden);
+            params.set('dir', estado.dir);
+        }
+        if (estado.q) params.set('q', estado.q);
+        if (estado.generos.length > 0) params.set('generos', estado.generos.join(','));
+        if (estado.desde !== null) params.set('desde', estado.desde);
+        if (estado.hasta !== null) params.set('hasta', estado.hasta);
+        if (estado.pagina > 1) params.set('pagina', estado.pagina);
+        if (estado.tam !== TAM_PAGINA_DEFECTO) params.set('tam', estado.tam);
+        const query = params.toString();
+        history.replaceState(null, '', query ? '?' + query : window.location.pathname);
+    }
+
+    /**
+     * Vuelca el estado en los controles del formulario de filtros.
+     */
+    function pintarControlesFiltro() {
+        inputBusqueda.value = estado.q;
+        inputAnioDesde.value = estado.desde === null ? '' : estado.desde;
+        inputAnioHasta.value = estado.hasta === null ? '' : estado.hasta;
+        selectTamPagina.value = estado.tam;
+        for (let i = 0; i < selectGeneros.options.length; i++) {
+            const opcion = selectGeneros.options[i];
+            opcion.selected = estado.generos.indexOf(parseInt(opcion.value)) !== -1;
+        }
+    }
+
+    /**
+     * Rellena el desplegable de géneros del filtro, con los subgéneros
+     * sangrados bajo su género.
+     * @param {Genero[]} generos - Lista completa de géneros.
+     */
+    function cargarFiltroGeneros(generos) {
+        selectGeneros.innerHTML = '';
+        generosEnArbol(generos).forEach(({ genero, nivel }) => {
+            const opcion = document.createElement('option');
+            opcion.value = genero.id;
+            opcion.textContent = '— '.repeat(nivel) + genero.nombre;
+            selectGeneros.appendChild(opcion);
+        });
+    }
+
+    /**
+     * Rellena el desplegable de tamaños de página.
+     */
+    function cargarTamanosPagina() {
+        TAMANOS_PAGINA.forEach(tam => {
+            const opcion = document.createElement('option');
+            opcion.value = tam;
+            opcion.textContent = tam + ' por página';
+            selectTamPagina.appendChild(opcion);
+        });
+    }
+
+    /**
+     * Actualiza el estado a partir de los controles del formulario y repinta
+     * desde la primera página.
+     */
+    function aplicarFiltros() {
+        const desde = parseInt(inputAnioDesde.value);
+        const hasta = parseInt(inputAnioHasta.value);
+        estado.q = inputBusqueda.value.trim();
+        estado.desde = isNaN(desde) ? null : desde;
+        estado.hasta = isNaN(hasta) ? null : hasta;
+        estado.generos = [];
+        for (let i = 0; i < selectGeneros.selectedOptions.length; i++) {
+            estado.generos.push(parseInt(selectGeneros.selectedOptions[i].value));
+        }
+        estado.pagina = 1;
+        guardarEstadoEnUrl();
+        pintarListado();
+    }
+
+    /**
+     * Cambia el número de películas por página y vuelve a la primera página.
+     */
+    function cambiarTamPagina() {
+        estado.tam = parseInt(selectTamPagina.value);
+        estado.pagina = 1;
+        guardarEstadoEnUrl();
+        pintarListado();
+    }
+
+    /**
+     * Muestra la página indicada del listado.
+     * @param {number} pagina - Número de página (empezando en 1).
+     */
+    function irAPagina(pagina) {
+        estado.pagina = pagina;
+        guardarEstadoEnUrl();
+        pintarListado();
+    }
+
+    /**
+     * Cambia la ordenación al pulsar una cabecera: la primera vez ordena
+     * ascendente y, si ya se ordenaba por esa columna, invierte la dirección.
+     * @param {string} campo - Clave de COLUMNAS_ORDENABLES.
+     */
+    function ordenarPor(campo) {
+        if (estado.orden === campo) {
+            estado.dir = estado.dir === 'asc' ? 'desc' : 'asc';
+        } else {
+            estado.orden = campo;
+            estado.dir = 'asc';
+        }
+        estado.pagina = 1;
+        guardarEstadoEnUrl();
+        pintarListado();
+    }
+
+    /**
+     * Aplica búsqueda, filtros y ordenación a la lista de películas.
+     * Todos los filtros se combinan: una película debe cumplirlos todos.
+     * @param {Pelicula[]} lista - Lista completa de películas.
+     * @returns {Pelicula[]} Nueva lista filtrada y ordenada.
+     */
+    function filtrarYOrdenar(lista) {
+        const texto = estado.q.toLowerCase();
+        // Un género incluye sus subgéneros: "Ciencia Ficción" también muestra las de "Cyberpunk"
+        const idsGeneros = [];
+        estado.generos.forEach(id => idsGeneros.push(...idsGeneroYDescendientes(id, generos)));
+        const resultado = lista.filter(p => {
+            if (texto && p.titulo.toLowerCase().indexOf(texto) === -1) return false;
+            // Basta con que la película tenga uno de los géneros seleccionados
+            if (idsGeneros.length > 0 && !p.generos.some(id => idsGeneros.indexOf(id) !== -1)) return false;
+            const anio = parseInt(p.fecha);
+            if (estado.desde !== null && anio < estado.desde) return false;
+            if (estado.hasta !== null && anio > estado.hasta) return false;
+            return true;
+        });
+
+        if (estado.orden) {
+            const valor = COLUMNAS_ORDENABLES[estado.orden].valor;
+            const signo = estado.dir === 'desc' ? -1 : 1;
+            resultado.sort((a, b) => {
+                const va = valor(a);
+                const vb = valor(b);
+                const comparacion = typeof va === 'string' ? va.localeCompare(vb, 'es') : va - vb;
+                return comparacion * signo;
+            });
+        }
+        return resultado;
+    }
+
+    /**
+     * Crea la cabecera de la tabla con las columnas ordenables clicables.
+     * La columna activa muestra una flecha con la dirección de la ordenación.
+     * @returns {HTMLTableSectionElement}
+     */
+    function crearCabecera() {
+        const thead = document.createElement('thead');
+        const tr = document.createElement('tr');
+        const columnas = ['poster', 'titulo', 'fecha', 'popularidad', 'generos', 'duracion', 'pais', 'idioma',
+            'clasificacion', 'media', 'votos', 'accion'];
+
+        columnas.forEach(campo => {
+            const th = document.createElement('th');
+            const columna = COLUMNAS_ORDENABLES[campo];
+            if (columna) {
+                let texto = columna.titulo;
+                if (estado.orden === campo) {
+                    texto = texto + (estado.dir === 'asc' ? ' ▲' : ' ▼');
+                }
+                th.textContent = texto;
+                th.className = 'ordenable';
+                th.title = 'Ordenar por ' + columna.titulo;
+                th.addEventListener('click', () => ordenarPor(campo));
+            } else {
+                th.textContent = { poster: 'Póster', generos: 'Géneros', accion: 'Acción' }[campo];
+            }
+            tr.appendChild(th);
+        });
+
+        thead.appendChild(tr);
+        return thead;
+    }
+
+    /**
+     * Carga en memoria las películas, el mapa de nombres de género y las listas del usuario.
+     * @returns {Promise<Genero[]>} Lista de géneros, para rellenar el filtro.
+     */
+    async function cargarDatos() {
+        peliculas = await DataService.getPeliculas();
+        generos = await DataService.getGeneros();
+        mapaGeneros = new Map(generos.map(g => [g.id, g.nombre]));
+        listas = await DataService.getListas();
+        return generos;
+    }
 
     /**
-     * Mapea los IDs de género a sus nombres.
+     * Mapea los IDs de género a sus nombres usando mapaGeneros.
      * @param {number[]} ids - Array de IDs de género.
-     * @param {Genero[]} todosGeneros - Lista completa de géneros.
      * @returns {string} Una cadena con los nombres de los géneros separados por coma.
      */
-    function obtenerNombresGeneros(ids, todosGeneros) {
+    function obtenerNombresGeneros(ids) {
         if (!ids || ids.length === 0) return 'Sin género';
         
         // Construir cadena manualmente sin join (no explicado en PDFs)
         let resultado = '';
         for (let i = 0; i < ids.length; i++) {
-            const genero = todosGeneros.find(g => g.id === ids[i]);
-            if (genero) {
+            const nombre = mapaGeneros.get(ids[i]);
+            if (nombre !== undefined) {
                 if (resultado !== '') {
                     resultado = resultado + ', ';
                 }
-                resultado = resultado + genero.nombre;
+                resultado = resultado + nombre;
             } else {
                 if (resultado !== '') {
                     resultado = resultado + ', ';
@@ -66,153 +396,381 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     /**
-     * Guarda la puntuación de una película específica y repinta la tabla.
+     * Guarda la puntuación de una película específica y repinta solo su fila.
      * @param {number} peliculaId - ID de la película a votar.
      * @param {number} voto - Valor del voto (1-10).
+     * @returns {Promise<void>}
      */
-    function votarPelicula(peliculaId, voto) {
-        const peliculas = DataService.getPeliculas();
-        
-        // Encontramos la película en la colección
-        const pelicula = peliculas.find(p => p.id === peliculaId);
-
-        if (pelicula) {
-            // Usamos el método 'votar' que definimos en la clase Pelicula (app.js)
-            pelicula.votar(voto);
-            // Guardamos la colección actualizada en LocalStorage
-            DataService.guardarPeliculas(peliculas);
-            
-            // Repintamos la tabla para ver el cambio reflejado al instante
-            pintarListado();
-            alert(`Gracias por tu voto (${voto}) para: ${pelicula.titulo}`);
+    async function votarPelicula(peliculaId, voto) {
+        if (!(await Interfaz.permitido('votar'))) return;
+        // DataService.votarPelicula usa el método 'votar' de la clase Pelicula (Logica.js),
+        // que rechaza los votos fuera de rango con un ErrorValidacion, y guarda
+        // únicamente esta película, sin reescribir la colección
+        let pelicula;
+        try {
+            pelicula = await DataService.votarPelicula(peliculaId, voto);
+        } catch (error) {
+            if (error instanceof ErrorValidacion) {
+                alert("Voto inválido. " + error.message);
+                return;
+            }
+            await avisarError(error);
+            return;
+        }
+
+        sustituirPelicula(pelicula);
+        alert(`Gracias por tu voto (${voto}) para: ${pelicula.titulo}`);
+    }
+
+    /**
+     * Retira el voto del usuario a una película y repinta solo su fila.
+     * @param {number} peliculaId - ID de la película.
+     * @returns {Promise<void>}
+     */
+    async function retirarVoto(peliculaId) {
+        if (!(await Interfaz.permitido('votar'))) return;
+        let pelicula;
+        try {
+            pelicula = await DataService.retirarVoto(peliculaId);
+        } catch (error) {
+            await avisarError(error);
+            return;
+        }
+        sustituirPelicula(pelicula);
+        alert(`Se ha retirado tu voto a: ${pelicula.titulo}`);
+    }
+
+    /**
+     * Avisa de que no se ha podido cambiar una película desde el listado (sin
+     * permiso, sin conexión, rechazada por el servidor o cambiada entretanto en
+     * otra pestaña) y vuelve a cargar los datos para mostrar los guardados.
+     * @param {Error} error - Error devuelto por DataService.
+     * @returns {Promise<void>}
+     */
+    async function avisarError(error) {
+        if (error instanceof ErrorConflicto && error.actual !== null) {
+            alert(error.message + " Se muestra la versión actual; vuelve a intentarlo.");
         } else {
-            console.error(`Película con ID ${peliculaId} no encontrada.`);
+            alert(error.message);
+        }
+        await cargarDatos();
+        pintarListado();
+    }
+
+    /**
+     * Actualiza la copia en memoria de una película y repinta solo su fila.
+     * @param {Pelicula} pelicula - Película con sus datos actuales.
+     */
+    function sustituirPelicula(pelicula) {
+        const indice = peliculas.findIndex(p => p.id === pelicula.id);
+        if (indice !== -1) peliculas[indice] = pelicula;
+        actualizarFila(pelicula);
+    }
+
+    /**
+     * Añade una película a una lista o la quita si ya estaba, y repinta solo su fila.
+     * Añadirla a Vistas la quita de Pendientes (ver DataService.marcarVista).
+     * @param {Lista} lista - Lista a cambiar.
+     * @param {Pelicula} peli - Película a añadir o quitar.
+     * @returns {Promise<void>}
+     */
+    async function alternarEnLista(lista, peli) {
+        try {
+            if (lista.contiene(peli.id)) {
+                await DataService.quitarDeLista(lista.id, peli.id);
+            } else {
+                await DataService.anadirALista(lista.id, peli.id);
+            }
+        } catch (error) {
+            await avisarError(error);
+            return;
         }
+        listas = await DataService.getListas();
+        actualizarFila(peli);
     }
 
     /**
-     * Elimina una película de la colección.
+     * Crea los controles de listas de una película: un botón para Pendientes,
+     * otro para Vistas y, si el usuario tiene listas personales, un desplegable
+     * que marca con ✓ las listas en las que ya está.
+     * @param {Pelicula} peli - Película de la fila.
+     * @returns {HTMLElement[]}
+     */
+    function crearControlesListas(peli) {
+        const controles = [];
+        listas.filter(l => l.tipo !== 'personal').forEach(lista => {
+            const dentro = lista.contiene(peli.id);
+            const boton = document.createElement('button');
+            boton.type = 'button';
+            boton.className = 'button-33';
+            boton.style.fontSize = "12px";
+            boton.style.padding = "2px 10px";
+            if (lista.tipo === 'pendientes') {
+                boton.textContent = dentro ? "Quitar de pendientes" : "Pendiente";
+            } else {
+                boton.textContent = dentro ? "✓ Vista" : "Marcar vista";
+            }
+            boton.addEventListener('click', () => alternarEnLista(lista, peli));
+            controles.push(boton);
+        });
+
+        const personales = listas.filter(l => l.tipo === 'personal');
+        if (personales.length > 0) {
+            const select = document.createElement('select');
+            select.setAttribute('aria-label', `Listas para ${peli.titulo}`);
+            select.innerHTML = '<option value="">Mis listas…</option>';
+            personales.forEach(lista => {
+                const opcion = document.createElement('option');
+                opcion.value = lista.id;
+                opcion.textContent = (lista.contiene(peli.id) ? '✓ ' : '') + lista.nombre;
+                select.appendChild(opcion);
+            });
+            select.addEventListener('change', () => {
+                const lista = personales.find(l => l.id === parseInt(select.value));
+                // El desplegable vuelve a "Mis listas…"; las marcas ✓ las pone el repintado
+                select.value = '';
+                if (lista) alternarEnLista(lista, peli);
+            });
+            controles.push(select);
+        }
+        return controles;
+    }
+
+    /**
+     * Mueve una película a la papelera (se puede restaurar desde papelera.html).
      * @param {number} peliculaId - ID de la película a eliminar.
+     * @returns {Promise<void>}
      */
-    function eliminarPelicula(peliculaId) {
-        let peliculas = DataService.getPeliculas();
+    async function eliminarPelicula(peliculaId) {
+        if (!(await Interfaz.permitido('eliminar'))) return;
+        try {
+            await DataService.eliminarPelicula(peliculaId);
+        } catch (error) {
+            await avisarError(error);
+            return;
+        }
         peliculas = peliculas.filter(p => p.id !== peliculaId);
-        DataService.guardarPeliculas(peliculas);
         pintarListado();
-        alert("Película eliminada correctamente.");
+        alert("Película movida a la papelera.");
+    }
+
+    /**
+     * Crea la fila de una película con sus celdas de información y botones de acción.
+     * @param {Pelicula} peli - Película a representar.
+     * @returns {HTMLTableRowElement}
+     */
+    function crearFila(peli) {
+        const tr = document.createElement('tr');
+        
+        // Formatear fecha a DD/MM/AAAA
+        const fechaFormateada = formatearFecha(peli.fecha);
+        
+        // Celdas de información. Los textos vienen del catálogo (y de otros
+        // usuarios con servidor), así que se crean como nodos y nunca como HTML
+        const tdPoster = document.createElement('td');
+        if (peli.poster) {
+            const img = document.createElement('img');
+            img.src = peli.poster;
+            img.alt = '';
+            img.style.maxHeight = '60px';
+            tdPoster.appendChild(img);
+        }
+        tr.appendChild(tdPoster);
+
+        const tdTitulo = document.createElement('td');
+        const enlaceTitulo = document.createElement('a');
+        enlaceTitulo.href = `pelicula.html?id=${peli.id}`;
+        enlaceTitulo.textContent = peli.titulo;
+        tdTitulo.appendChild(enlaceTitulo);
+        tr.appendChild(tdTitulo);
+
+        [
+            fechaFormateada,
+            peli.popularidad,
+            obtenerNombresGeneros(peli.generos),
+            peli.duracion === null ? '' : peli.duracion,
+            peli.pais,
+            peli.idioma
+        ].forEach(texto => {
+            const td = document.createElement('td');
+            td.textContent = texto;
+            tr.appendChild(td);
+        });
+
+        const tdClasificacion = document.createElement('td');
+        tdClasificacion.title = CLASIFICACIONES_EDAD[peli.clasificacion];
+        tdClasificacion.textContent = peli.clasificacion;
+        tr.appendChild(tdClasificacion);
+
+        const tdPuntuacion = document.createElement('td');
+        tdPuntuacion.textContent = `${peli.puntuacionMedia} / 10${peli.numeroVotos > 0 ? ` (${peli.puntuacionMediaExacta.toFixed(2)})` : ''}`;
+        tr.appendChild(tdPuntuacion);
+
+        const tdVotos = document.createElement('td');
+        tdVotos.textContent = peli.numeroVotos;
+        if (peli.votosConResena.length > 0) {
+            const enlaceResenas = document.createElement('a');
+            enlaceResenas.href = `pelicula.html?id=${peli.id}#resenas`;
+            enlaceResenas.textContent = `${peli.votosConResena.length} ${peli.votosConResena.length === 1 ? 'reseña' : 'reseñas'}`;
+            tdVotos.append(document.createElement('br'), enlaceResenas);
+        }
+        tr.appendChild(tdVotos);
+
+        // Celda de Acción (VOTAR, MODIFICAR, ELIMINAR y LISTAS)
+        const tdAccion = document.createElement('td');
+        tdAccion.style.display = 'flex';
+        tdAccion.style.gap = '5px';
+        tdAccion.style.justifyContent = 'center';
+        tdAccion.style.flexWrap = 'wrap';
+        
+        // Creamos el botón Votar; si el usuario ya votó muestra su voto
+        const miVoto = peli.votoDe(usuario);
+        const btnVotar = document.createElement('button');
+        btnVotar.innerHTML = miVoto ? `Tu voto: ${miVoto.valor}` : "Votar (1-10)";
+        btnVotar.setAttribute('class', 'button-33');
+        btnVotar.style.fontSize = "12px";
+        btnVotar.style.padding = "2px 10px";
+        
+        // Agregamos el evento de votación
+        btnVotar.addEventListener('click', () => {
+            const pregunta = miVoto
+                ? `Tu voto para ${peli.titulo} es ${miVoto.valor}. Introduce un valor del 1 al 10 para cambiarlo o deja el campo vacío para retirarlo:`
+                : `Vota por ${peli.titulo}. Introduce un valor del 1 al 10:`;
+            const respuesta = prompt(pregunta, miVoto ? String(miVoto.valor) : '');
+            // Evitamos el mensaje si el usuario cancela
+            if (respuesta === null) return;
+            if (miVoto && respuesta.trim() === '') {
+                retirarVoto(peli.id);
+                return;
+            }
+            votarPelicula(peli.id, Number(respuesta));
+        });
+
+        // Creamos el botón Modificar
+        const btnModificar = document.createElement('button');
+        btnModificar.innerHTML = "Modificar";
+        btnModificar.setAttribute('class', 'button-33');
+        btnModificar.style.fontSize = "12px";
+        btnModificar.style.padding = "2px 10px";
+        btnModificar.style.backgroundColor = "#007bff";
+        btnModificar.style.color = "white";
+        
+        // Agregamos el evento de modificación
+        btnModificar.addEventListener('click', async () => {
+            if (!(await Interfaz.permitido('editar'))) return;
+            // peliculas.js lee el ID de la URL y abre la película en modo edición
+            document.location = 'peliculas.html?edit=' + peli.id;
+        });
+
+        // Creamos el botón Eliminar
+        const btnEliminar = document.createElement('button');
+        btnEliminar.innerHTML = "Eliminar";
+        btnEliminar.setAttribute('class', 'button-33');
+        btnEliminar.style.fontSize = "12px";
+        btnEliminar.style.padding = "2px 10px";
+        btnEliminar.style.backgroundColor = "#dc3545";
+        btnEliminar.style.color = "white";
+        
+        // Agregamos el evento de eliminación
+        // Pedimos confirmación antes de mover la película a la papelera
+        btnEliminar.addEventListener('click', () => {
+            if (confirm(`¿Mover "${peli.titulo}" a la papelera? Sus votos se conservarán si la restauras.`)) {
+                eliminarPelicula(peli.id);
+            }
+        });
+
+        tdAccion.appendChild(btnVotar);
+        if (permisos.editar) tdAccion.appendChild(btnModificar);
+        if (permisos.eliminar) tdAccion.appendChild(btnEliminar);
+        crearControlesListas(peli).forEach(control => tdAccion.appendChild(control));
+        tr.appendChild(tdAccion);
+        tr.dataset.id = peli.id;
+        return tr;
+    }
+
+    /**
+     * Sustituye la fila de una película por otra con sus datos actuales,
+     * sin tocar el resto de la tabla. No hace nada si no está en la página actual.
+     * @param {Pelicula} peli - Película actualizada.
+     */
+    function actualizarFila(peli) {
+        const filaAnterior = filasPorId.get(peli.id);
+        if (!filaAnterior) return;
+        const filaNueva = crearFila(peli);
+        filaAnterior.replaceWith(filaNueva);
+        filasPorId.set(peli.id, filaNueva);
+    }
+
+    /**
+     * Crea los controles de navegación entre páginas.
+     * @param {number} total - Número de películas que cumplen los filtros.
+     * @param {number} totalPaginas - Número total de páginas.
+     */
+    function pintarPaginacion(total, totalPaginas) {
+        contenedorPaginacion.innerHTML = '';
+
+        const btnAnterior = document.createElement('button');
+        btnAnterior.type = 'button';
+        btnAnterior.textContent = '« Anterior';
+        btnAnterior.setAttribute('class', 'button-33');
+        btnAnterior.disabled = estado.pagina <= 1;
+        btnAnterior.addEventListener('click', () => irAPagina(estado.pagina - 1));
+
+        const texto = document.createElement('span');
+        texto.textContent = `Página ${estado.pagina} de ${totalPaginas} (${total} películas)`;
+
+        const btnSiguiente = document.createElement('button');
+        btnSiguiente.type = 'button';
+        btnSiguiente.textContent = 'Siguiente »';
+        btnSiguiente.setAttribute('class', 'button-33');
+        btnSiguiente.disabled = estado.pagina >= totalPaginas;
+        btnSiguiente.addEventListener('click', () => irAPagina(estado.pagina + 1));
+
+        contenedorPaginacion.appendChild(btnAnterior);
+        contenedorPaginacion.appendChild(texto);
+        contenedorPaginacion.appendChild(btnSiguiente);
     }
 
     /**
-     * Renderiza la tabla completa de películas con todas sus columnas y botones de acción.
-     * Si no hay películas, muestra un mensaje informativo.
+     * Renderiza la página actual de la tabla de películas a partir de la copia
+     * en memoria, aplicando la búsqueda, los filtros y la ordenación activos.
+     * Solo se crean las filas de la página visible.
+     * Si no hay películas (o ninguna cumple los filtros), muestra un mensaje informativo.
      * @function pintarListado
      */
     function pintarListado() {
-        const peliculas = DataService.getPeliculas();
-        const generos = DataService.getGeneros();
+        filasPorId.clear();
 
         if (peliculas.length === 0) {
             tablaPeliculas.innerHTML = '<tr><td>No hay películas registradas.</td></tr>';
+            contenedorPaginacion.innerHTML = '';
             return;
         }
 
+        const filtradas = filtrarYOrdenar(peliculas);
+
+        // Ajustamos la página por si se ha quedado fuera de rango (p. ej. tras eliminar)
+        const totalPaginas = Math.max(1, Math.ceil(filtradas.length / estado.tam));
+        if (estado.pagina > totalPaginas) {
+            estado.pagina = totalPaginas;
+            guardarEstadoEnUrl();
+        }
+        const inicio = (estado.pagina - 1) * estado.tam;
+        const visibles = filtradas.slice(inicio, inicio + estado.tam);
+
         // 1. Crear encabezado de la tabla (THEAD)
-        const thead = document.createElement('thead');
-        thead.innerHTML = `
-            <tr>
-                <th>Título</th>
-                <th>Fecha de Estreno</th>
-                <th>Popularidad (0-100)</th>
-                <th>Géneros</th>
-                <th>Puntuación Media</th>
-                <th>Votos Totales</th>
-                <th>Acción</th>
-            </tr>
-        `;
+        const thead = crearCabecera();
 
         // 2. Crear cuerpo de la tabla (TBODY)
         const tbody = document.createElement('tbody');
 
-        peliculas.forEach(peli => {
-            const tr = document.createElement('tr');
-            
-            // Formatear fecha a DD/MM/AAAA
-            const fechaFormateada = formatearFecha(peli.fecha);
-            
-            // Celdas de información
-            tr.innerHTML = `
-                <td>${peli.titulo}</td>
-                <td>${fechaFormateada}</td>
-                <td>${peli.popularidad}</td>
-                <td>${obtenerNombresGeneros(peli.generos, generos)}</td>
-                <td>${peli.puntuacionMedia} / 10</td>
-                <td>${peli.numeroVotos}</td>
-            `;
-
-            // Celda de Acción (VOTAR, MODIFICAR y ELIMINAR)
-            const tdAccion = document.createElement('td');
-            tdAccion.style.display = 'flex';
-            tdAccion.style.gap = '5px';
-            tdAccion.style.justifyContent = 'center';
-            tdAccion.style.flexWrap = 'wrap';
-            
-            // Creamos el botón Votar
-            const btnVotar = document.createElement('button');
-            btnVotar.innerHTML = "Votar (1-10)";
-            btnVotar.setAttribute('class', 'button-33');
-            btnVotar.style.fontSize = "12px";
-            btnVotar.style.padding = "2px 10px";
-            
-            // Agregamos el evento de votación
-            btnVotar.addEventListener('click', () => {
-                let voto = prompt(`Vota por ${peli.titulo}. Introduce un valor del 1 al 10:`);
-                voto = parseInt(voto);
-
-                if (voto >= 1 && voto <= 10) {
-                    votarPelicula(peli.id, voto);
-                } else if (voto !== null) { // Evitamos el mensaje si el usuario cancela
-                    alert("Voto inválido. Debe ser un número entre 1 y 10.");
-                }
-            });
-
-            // Creamos el botón Modificar
-            const btnModificar = document.createElement('button');
-            btnModificar.innerHTML = "Modificar";
-            btnModificar.setAttribute('class', 'button-33');
-            btnModificar.style.fontSize = "12px";
-            btnModificar.style.padding = "2px 10px";
-            btnModificar.style.backgroundColor = "#007bff";
-            btnModificar.style.color = "white";
-            
-            // Agregamos el evento de modificación
-            btnModificar.addEventListener('click', () => {
-                // Guardamos el ID en localStorage para que peliculas.js lo lea
-                // Usamos localStorage en lugar de sessionStorage (explicado en PDF Unidad 4)
-                localStorage.setItem('editarPeliculaId', peli.id);
-                // Redirigimos a la página de películas usando location (básico de navegación)
-                document.location = 'peliculas.html';
-            });
-
-            // Creamos el botón Eliminar
-            const btnEliminar = document.createElement('button');
-            btnEliminar.innerHTML = "Eliminar";
-            btnEliminar.setAttribute('class', 'button-33');
-            btnEliminar.style.fontSize = "12px";
-            btnEliminar.style.padding = "2px 10px";
-            btnEliminar.style.backgroundColor = "#dc3545";
-            btnEliminar.style.color = "white";
-            
-            // Agregamos el evento de eliminación
-            // Usamos alert en lugar de confirm (explicado en PDF Unidad 2)
-            btnEliminar.addEventListener('click', () => {
-                alert('Eliminando película: ' + peli.titulo);
-                eliminarPelicula(peli.id);
-            });
+        if (visibles.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="12">Ninguna película coincide con los filtros.</td></tr>';
+        }
 
-            tdAccion.appendChild(btnVotar);
-            tdAccion.appendChild(btnModificar);
-            tdAccion.appendChild(btnEliminar);
-            tr.appendChild(tdAccion);
+        visibles.forEach(peli => {
+            const tr = crearFila(peli);
+            filasPorId.set(peli.id, tr);
             tbody.appendChild(tr);
         });
 
@@ -220,10 +778,59 @@ document.addEventListener('DOMContentLoaded', () => {
         tablaPeliculas.innerHTML = '';
         tablaPeliculas.appendChild(thead);
         tablaPeliculas.appendChild(tbody);
+
+        pintarPaginacion(filtradas.length, totalPaginas);
     }
 
+    // --- INICIALIZACIÓN ---
+
+    /**
+     * Los filtros se aplican al escribir o cambiar cualquier control.
+     */
+    formFiltros.addEventListener('input', aplicarFiltros);
+    formFiltros.addEventListener('submit', e => e.preventDefault());
+
     /**
-     * Inicializa el listado al cargar la página.
+     * Cambio del número de películas por página.
      */
+    selectTamPagina.addEventListener('change', cambiarTamPagina);
+
+    /**
+     * Quita todos los filtros (la ordenación se mantiene).
+     */
+    btnLimpiarFiltros.addEventListener('click', () => {
+        formFiltros.reset();
+        aplicarFiltros();
+    });
+
+    /**
+     * Inicializa los filtros y el listado al cargar la página, una vez listos los datos.
+     */
+    await DataService.inicializar();
+    usuario = await DataService.getUsuarioActual();
+    permisos = { editar: await DataService.puede('editar'), eliminar: await DataService.puede('eliminar') };
+    cargarFiltroGeneros(await cargarDatos());
+    cargarTamanosPagina();
+    pintarControlesFiltro();
     pintarListado();
+
+    /**
+     * Tras deshacer, rehacer o un cambio en otra pestaña se recargan los datos
+     * manteniendo filtros y página.
+     */
+    document.addEventListener('datoscambiados', async () => {
+        cargarFiltroGeneros(await cargarDatos());
+        pintarControlesFiltro();
+        pintarListado();
+    });
+
+    /**
+     * Al entrar o salir cambian el voto propio, los permisos y las listas.
+     */
+    document.addEventListener('sesioncambiada', async () => {
+        usuario = await DataService.getUsuarioActual();
+        permisos = { editar: await DataService.puede('editar'), eliminar: await DataService.puede('eliminar') };
+        listas = await DataService.getListas();
+        pintarListado();
+    });
 });
\ No newline at end of file
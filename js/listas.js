@@ -0,0 +1,362 @@
+/**
+ * @fileoverview Controlador para la página Mis listas (listas.html?id=N).
+ * Muestra las películas de la lista elegida del usuario actual y permite
+ * reordenarlas, quitarlas, cambiar la fecha de las vistas, crear, renombrar y
+ * eliminar listas personales, y exportarlas o importarlas en JSON.
+ * @module listas
+ */
+
+/**
+ * Controlador para la página Mis listas.
+ * Se ejecuta cuando el DOM está completamente cargado.
+ * @event DOMContentLoaded
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+
+    /**
+     * Referencias a elementos del DOM.
+     * @type {HTMLSelectElement}
+     */
+    const selectLista = document.getElementById('selectorLista');
+    /**
+     * @type {HTMLButtonElement}
+     */
+    const btnRenombrar = document.getElementById('btnRenombrarLista');
+    /**
+     * @type {HTMLButtonElement}
+     */
+    const btnEliminar = document.getElementById('btnEliminarLista');
+    /**
+     * @type {HTMLElement}
+     */
+    const mensaje = document.getElementById('mensajeLista');
+    /**
+     * @type {HTMLTableElement}
+     */
+    const tablaLista = document.getElementById('tablaLista');
+    /**
+     * @type {HTMLFormElement}
+     */
+    const formNueva = document.getElementById('formNuevaLista');
+    /**
+     * @type {HTMLInputElement}
+     */
+    const inputNombre = document.getElementById('nombreLista');
+    /**
+     * @type {HTMLFormElement}
+     */
+    const formImportar = document.getElementById('formImportarListas');
+    /**
+     * @type {HTMLInputElement}
+     */
+    const inputArchivo = document.getElementById('archivoListas');
+    /**
+     * @type {HTMLElement}
+     */
+    const resultadoImportacion = document.getElementById('resultadoImportacion');
+
+    /**
+     * Listas del usuario actual.
+     * @type {Lista[]}
+     */
+    let listas = [];
+
+    /**
+     * Lista elegida en el desplegable.
+     * @returns {Lista|undefined}
+     */
+    function listaActual() {
+        return listas.find(l => l.id === parseInt(selectLista.value));
+    }
+
+    /**
+     * Crea un botón pequeño de la tabla.
+     * @param {string} texto - Texto del botón.
+     * @param {function(): void} accion - Función a ejecutar al pulsarlo.
+     * @param {boolean} [deshabilitado=false] - Si el botón no se puede pulsar.
+     * @returns {HTMLButtonElement}
+     */
+    function crearBoton(texto, accion, deshabilitado = false) {
+        const boton = document.createElement('button');
+        boton.type = 'button';
+        boton.textContent = texto;
+        boton.className = 'button-33';
+        boton.style.fontSize = "12px";
+        boton.style.padding = "2px 10px";
+        boton.disabled = deshabilitado;
+        boton.addEventListener('click', accion);
+        return boton;
+    }
+
+    /**
+     * Rellena el desplegable de listas, conservando la elegida si sigue existiendo.
+     * @param {string} seleccionada - ID de la lista a seleccionar.
+     */
+    function cargarSelector(seleccionada) {
+        selectLista.innerHTML = '';
+        listas.forEach(lista => {
+            const opcion = document.createElement('option');
+            opcion.value = lista.id;
+            opcion.textContent = `${lista.nombre} (${lista.elementos.length})`;
+            selectLista.appendChild(opcion);
+        });
+        selectLista.value = seleccionada;
+        if (selectLista.value !== seleccionada && listas.length > 0) {
+            selectLista.value = String(listas[0].id);
+        }
+    }
+
+    /**
+     * Pinta la tabla con las películas de la lista elegida y guarda la selección en la URL.
+     * @returns {Promise<void>}
+     */
+    async function pintarLista() {
+        const lista = listaActual();
+        tablaLista.innerHTML = '';
+        if (!lista) return;
+        history.replaceState(null, '', '?id=' + lista.id);
+
+        const personal = lista.tipo === 'personal';
+        btnRenombrar.style.display = personal ? '' : 'none';
+        btnEliminar.style.display = personal ? '' : 'none';
+
+        const porId = new Map((await DataService.getPeliculas()).map(p => [p.id, p]));
+        // Las películas en la papelera siguen en la lista, pero no se muestran
+        const elementos = lista.elementos.filter(e => porId.has(e.pelicula));
+        if (elementos.length === 0) {
+            mensaje.textContent = 'La lista está vacía.';
+            return;
+        }
+        mensaje.textContent = '';
+
+        tablaLista.innerHTML = `
+            <thead>
+                <tr>
+                    <th>#</th>
+                    <th>Título</th>
+                    <th>Año</th>
+                    <th>Añadida</th>
+                    ${lista.tipo === 'vistas' ? '<th>Vista el</th>' : ''}
+                    <th>Acción</th>
+                </tr>
+            </thead>
+        `;
+        const tbody = document.createElement('tbody');
+
+        elementos.forEach((elemento, i) => {
+            const peli = porId.get(elemento.pelicula);
+            const tr = document.createElement('tr');
+            [i + 1, null, peli.fecha.substring(0, 4), fechaLocalISO(new Date(elemento.anadida))].forEach(texto => {
+                const td = document.createElement('td');
+                if (texto === null) {
+                    const enlace = document.createElement('a');
+                    enlace.href = 'pelicula.html?id=' + peli.id;
+                    enlace.textContent = peli.titulo;
+                    td.appendChild(enlace);
+                } else {
+                    td.textContent = texto;
+                }
+                tr.appendChild(td);
+            });
+
+            if (lista.tipo === 'vistas') {
+                const td = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'date';
+                input.value = elemento.vista;
+                input.max = fechaHoyISO();
+                input.setAttribute('aria-label', `Fecha en que se vio ${peli.titulo}`);
+                input.addEventListener('change', () => cambiarFechaVista(peli.id, input.value));
+                td.appendChild(input);
+                tr.appendChild(td);
+            }
+
+            const tdAccion = document.createElement('td');
+            tdAccion.appendChild(crearBoton("▲", () => mover(peli.id, -1), i === 0));
+            tdAccion.appendChild(crearBoton("▼", () => mover(peli.id, 1), i === elementos.length - 1));
+            tdAccion.appendChild(crearBoton("Quitar", () => quitar(peli.id)));
+            tr.appendChild(tdAccion);
+            tbody.appendChild(tr);
+        });
+
+        tablaLista.appendChild(tbody);
+    }
+
+    /**
+     * Recarga las listas y vuelve a pintar el desplegable y la tabla.
+     * @param {string} seleccionada - ID de la lista a mostrar.
+     * @returns {Promise<void>}
+     */
+    async function recargar(seleccionada) {
+        listas = await DataService.getListas();
+        cargarSelector(seleccionada);
+        await pintarLista();
+    }
+
+    /**
+     * Mueve una película una posición arriba o abajo en la lista elegida.
+     * @param {number} idPelicula - ID de la película.
+     * @param {number} desplazamiento - -1 para subirla, 1 para bajarla.
+     * @returns {Promise<void>}
+     */
+    async function mover(idPelicula, desplazamiento) {
+        await DataService.moverEnLista(parseInt(selectLista.value), idPelicula, desplazamiento);
+        await recargar(selectLista.value);
+    }
+
+    /**
+     * Quita una película de la lista elegida.
+     * @param {number} idPelicula - ID de la película.
+     * @returns {Promise<void>}
+     */
+    async function quitar(idPelicula) {
+        await DataService.quitarDeLista(parseInt(selectLista.value), idPelicula);
+        await recargar(selectLista.value);
+    }
+
+    /**
+     * Cambia la fecha en que se vio una película.
+     * @param {number} idPelicula - ID de la película.
+     * @param {string} fecha - Nueva fecha (AAAA-MM-DD).
+     * @returns {Promise<void>}
+     */
+    async function cambiarFechaVista(idPelicula, fecha) {
+        try {
+            await DataService.marcarVista(idPelicula, fecha);
+        } catch (error) {
+            if (error instanceof ErrorValidacion) {
+                alert(error.message);
+            } else {
+                throw error;
+            }
+        }
+        await recargar(selectLista.value);
+    }
+
+    /**
+     * Crea una lista personal con el nombre del formulario y la muestra.
+     * @param {Event} e - Evento del formulario.
+     * @returns {Promise<void>}
+     */
+    async function crearLista(e) {
+        e.preventDefault();
+        let lista;
+        try {
+            lista = await DataService.crearLista(inputNombre.value);
+        } catch (error) {
+            if (error instanceof ErrorValidacion) {
+                Interfaz.mostrarErrores(formNueva, error.errores);
+                return;
+            }
+            throw error;
+        }
+        Interfaz.limpiarErrores(formNueva);
+        inputNombre.value = '';
+        await recargar(String(lista.id));
+    }
+
+    /**
+     * Pide un nombre nuevo para la lista elegida.
+     * @returns {Promise<void>}
+     */
+    async function renombrarLista() {
+        const lista = listaActual();
+        if (!lista) return;
+        const nombre = prompt("Nuevo nombre de la lista:", lista.nombre);
+        if (nombre === null) return;
+        try {
+            await DataService.renombrarLista(lista.id, nombre);
+        } catch (error) {
+            if (error instanceof ErrorValidacion) {
+                alert(error.message);
+                return;
+            }
+            throw error;
+        }
+        await recargar(selectLista.value);
+    }
+
+    /**
+     * Elimina la lista elegida tras confirmarlo (se puede deshacer).
+     * @returns {Promise<void>}
+     */
+    async function eliminarLista() {
+        const lista = listaActual();
+        if (!lista || !confirm(`¿Eliminar la lista "${lista.nombre}"? Las películas no se borran.`)) return;
+        await DataService.eliminarLista(lista.id);
+        await recargar('');
+    }
+
+    /**
+     * Descarga en JSON las listas indicadas.
+     * @param {Lista[]} aExportar - Listas a exportar.
+     * @param {string} nombre - Nombre del archivo sin extensión.
+     * @returns {Promise<void>}
+     */
+    async function exportar(aExportar, nombre) {
+        const peliculas = await DataService.getPeliculas();
+        Interfaz.descargar(Intercambio.exportarListas(aExportar, peliculas), `${nombre}.json`, 'application/json');
+    }
+
+    /**
+     * Importa las listas del archivo elegido y muestra el resumen.
+     * @param {Event} e - Evento del formulario.
+     * @returns {Promise<void>}
+     */
+    async function importar(e) {
+        e.preventDefault();
+        const archivo = inputArchivo.files[0];
+        if (!archivo) {
+            alert("Selecciona un archivo JSON de listas.");
+            return;
+        }
+
+        let compartidas;
+        try {
+            compartidas = Intercambio.leerListas(await archivo.text());
+        } catch (error) {
+            alert("No se pudo leer el archivo: " + error.message);
+            return;
+        }
+
+        let resultado;
+        try {
+            resultado = await DataService.importarListas(compartidas);
+        } catch (error) {
+            if (error instanceof ErrorValidacion) {
+                alert("No se pudo importar el archivo: " + error.message);
+                return;
+            }
+            throw error;
+        }
+
+        let texto = `Se han importado ${resultado.listas} ${resultado.listas === 1 ? 'lista' : 'listas'} ` +
+            `con ${resultado.peliculas} ${resultado.peliculas === 1 ? 'película' : 'películas'}.`;
+        if (resultado.noEncontradas.length > 0) {
+            texto += ' No están en el catálogo: ' + resultado.noEncontradas.join(', ') + '.';
+        }
+        resultadoImportacion.textContent = texto;
+        formImportar.reset();
+        await recargar(selectLista.value);
+    }
+
+    // --- INICIALIZACIÓN ---
+
+    document.getElementById('formSelectorLista').addEventListener('submit', e => e.preventDefault());
+    selectLista.addEventListener('change', pintarLista);
+    btnRenombrar.addEventListener('click', renombrarLista);
+    btnEliminar.addEventListener('click', eliminarLista);
+    formNueva.addEventListener('submit', crearLista);
+    formImportar.addEventListener('submit', importar);
+    document.getElementById('btnExportarLista').addEventListener('click', () => {
+        const lista = listaActual();
+        if (lista) exportar([lista], 'cmdb-lista-' + normalizarTexto(lista.nombre).replace(/\s+/g, '-'));
+    });
+    document.getElementById('btnExportarListas').addEventListener('click', () => exportar(listas, 'cmdb-listas'));
+
+    await DataService.inicializar();
+    await recargar(new URLSearchParams(window.location.search).get('id') || '');
+
+    document.addEventListener('datoscambiados', () => recargar(selectLista.value));
+    document.addEventListener('sesioncambiada', () => recargar(''));
+});
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Cálculo de estadísticas del catálogo CMDB.
+ * No accede al DOM ni al almacenamiento: recibe instancias de Pelicula y
+ * Genero y devuelve datos listos para pintar, por lo que puede usarse desde
+ * cualquier página.
+ * @module metricas
+ */
+
+/**
+ * Par etiqueta-valor de una serie, en el orden en que se debe pintar.
+ * @typedef {Object} DatoSerie
+ * @property {string} etiqueta - Texto del eje (nombre del género, década, voto...).
+ * @property {number} valor - Valor a representar.
+ */
+
+/**
+ * Funciones de agregación sobre el catálogo.
+ * @namespace Metricas
+ * @type {Object}
+ */
+const Metricas = {
+    /**
+     * Media aritmética sin redondear de una lista de números.
+     * @method
+     * @memberof Metricas
+     * @param {number[]} valores - Números a promediar.
+     * @returns {number|null} Media, o null si la lista está vacía.
+     */
+    media: function(valores) {
+        if (valores.length === 0) return null;
+        return valores.reduce((a, b) => a + b, 0) / valores.length;
+    },
+
+    /**
+     * Número de películas de cada género, de más a menos películas.
+     * Una película con varios géneros cuenta en todos ellos.
+     * @method
+     * @memberof Metricas
+     * @param {Pelicula[]} peliculas - Películas del catálogo.
+     * @param {Genero[]} generos - Géneros del catálogo.
+     * @returns {DatoSerie[]}
+     */
+    peliculasPorGenero: function(peliculas, generos) {
+        return generos
+            .map(g => ({ etiqueta: g.nombre, valor: peliculas.filter(p => p.generos.includes(g.id)).length }))
+            .sort((a, b) => b.valor - a.valor || a.etiqueta.localeCompare(b.etiqueta));
+    },
+
+    /**
+     * Puntuación media de cada género: todos los votos activos de sus películas
+     * cuentan por igual. Los géneros sin votos no aparecen.
+     * @method
+     * @memberof Metricas
+     * @param {Pelicula[]} peliculas - Películas del catálogo.
+     * @param {Genero[]} generos - Géneros del catálogo.
+     * @returns {DatoSerie[]} De mayor a menor media.
+     */
+    mediaPorGenero: function(peliculas, generos) {
+        return generos
+            .map(g => ({
+                etiqueta: g.nombre,
+                valor: this.media(peliculas.filter(p => p.generos.includes(g.id)).flatMap(p => p.puntuaciones))
+            }))
+            .filter(d => d.valor !== null)
+            .sort((a, b) => b.valor - a.valor || a.etiqueta.localeCompare(b.etiqueta));
+    },
+
+    /**
+     * Número de estrenos por década, de la más antigua a la más reciente.
+     * Las décadas intermedias sin estrenos aparecen con valor 0.
+     * @method
+     * @memberof Metricas
+     * @param {Pelicula[]} peliculas - Películas del catálogo.
+     * @returns {DatoSerie[]} Etiquetas del tipo "1990s".
+     */
+    estrenosPorDecada: function(peliculas) {
+        if (peliculas.length === 0) return [];
+        const decadas = peliculas.map(p => Math.floor(parseInt(p.fecha.substring(0, 4)) / 10) * 10);
+        const primera = Math.min(...decadas);
+        const ultima = Math.max(...decadas);
+        const serie = [];
+        for (let decada = primera; decada <= ultima; decada += 10) {
+            serie.push({ etiqueta: decada + 's', valor: decadas.filter(d => d === decada).length });
+        }
+        return serie;
+    },
+
+    /**
+     * Número de votos activos con cada valor del 1 al 10.
+     * @method
+     * @memberof Metricas
+     * @param {Pelicula[]} peliculas - Películas del catálogo.
+     * @returns {DatoSerie[]} Diez elementos, del voto 1 al 10.
+     */
+    distribucionVotos: function(peliculas) {
+        const cuentas = new Array(10).fill(0);
+        peliculas.forEach(p => p.puntuaciones.forEach(v => cuentas[v - 1]++));
+        return cuentas.map((valor, i) => ({ etiqueta: String(i + 1), valor }));
+    },
+
+    /**
+     * Puntos popularidad / puntuación media de las películas con al menos un voto.
+     * La media es la exacta, sin redondear, para que no se amontonen los puntos.
+     * @method
+     * @memberof Metricas
+     * @param {Pelicula[]} peliculas - Películas del catálogo.
+     * @returns {Array<{pelicula: Pelicula, x: number, y: number}>} x = popularidad, y = media.
+     */
+    popularidadFrenteAMedia: function(peliculas) {
+        return peliculas
+            .filter(p => p.numeroVotos > 0)
+            .map(p => ({ pelicula: p, x: p.popularidad, y: p.puntuacionMediaExacta }));
+    },
+
+    /**
+     * Las N primeras películas según un criterio. Los empates se deshacen por título.
+     * @method
+     * @memberof Metricas
+     * @param {Pelicula[]} peliculas - Películas del catálogo.
+     * @param {'popularidad'|'media'|'votos'} criterio - Campo por el que ordenar.
+     *   Con 'media' y 'votos' solo entran películas con algún voto.
+     * @param {number} n - Número máximo de películas.
+     * @returns {Array<{pelicula: Pelicula, valor: number}>}
+     */
+    top: function(peliculas, criterio, n) {
+        const valorDe = {
+            popularidad: p => p.popularidad,
+            media: p => p.puntuacionMediaExacta,
+            votos: p => p.numeroVotos
+        }[criterio];
+        return peliculas
+            .filter(p => criterio === 'popularidad' || p.numeroVotos > 0)
+            .map(p => ({ pelicula: p, valor: valorDe(p) }))
+            .sort((a, b) => b.valor - a.valor || a.pelicula.titulo.localeCompare(b.pelicula.titulo))
+            .slice(0, n);
+    }
+};
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Controlador para la página de Papelera.
+ * Lista las películas, géneros y personas eliminados y permite restaurarlos, purgarlos
+ * definitivamente y configurar cuántos días se conservan.
+ * @module papelera
+ */
+
+/**
+ * Controlador para la página de Papelera.
+ * Se ejecuta cuando el DOM está completamente cargado.
+ * @event DOMContentLoaded
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+
+    /**
+     * Referencias a elementos del DOM.
+     * @type {HTMLTableElement}
+     */
+    const tablaPapelera = document.getElementById('tablaPapelera');
+    /**
+     * @type {HTMLFormElement}
+     */
+    const formRetencion = document.getElementById('formRetencion');
+    /**
+     * @type {HTMLInputElement}
+     */
+    const inputDias = document.getElementById('diasRetencion');
+    /**
+     * @type {HTMLButtonElement}
+     */
+    const btnVaciar = document.getElementById('btnVaciarPapelera');
+
+    /**
+     * Permisos de la sesión, para mostrar solo los botones que se pueden usar.
+     * @type {{editar: boolean, eliminar: boolean}}
+     */
+    let permisos = { editar: false, eliminar: false };
+
+    /**
+     * Formatea un instante como DD/MM/AAAA HH:MM.
+     * @param {number} instante - Milisegundos desde 1970.
+     * @returns {string}
+     */
+    function formatearInstante(instante) {
+        const f = new Date(instante);
+        const dos = n => String(n).padStart(2, '0');
+        return `${dos(f.getDate())}/${dos(f.getMonth() + 1)}/${f.getFullYear()} ${dos(f.getHours())}:${dos(f.getMinutes())}`;
+    }
+
+    /**
+     * Crea un botón de acción pequeño con el estilo de la aplicación.
+     * @param {string} texto - Texto del botón.
+     * @param {string} color - Color de fondo.
+     * @param {function(): void} accion - Función a ejecutar al pulsarlo.
+     * @returns {HTMLButtonElement}
+     */
+    function crearBoton(texto, color, accion) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.innerHTML = texto;
+        btn.setAttribute('class', 'button-33');
+        btn.style.fontSize = "12px";
+        btn.style.padding = "2px 10px";
+        btn.style.backgroundColor = color;
+        btn.style.color = "white";
+        btn.addEventListener('click', accion);
+        return btn;
+    }
+
+    /**
+     * Pinta la tabla con el contenido de la papelera.
+     * @returns {Promise<void>}
+     */
+    async function pintarPapelera() {
+        const entradas = await DataService.getPapelera();
+        const dias = await DataService.getDiasRetencion();
+
+        if (entradas.length === 0) {
+            tablaPapelera.innerHTML = '<tr><td>La papelera está vacía.</td></tr>';
+            return;
+        }
+
+        tablaPapelera.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Tipo</th>
+                    <th>Nombre</th>
+                    <th>Eliminado</th>
+                    <th>Se purgará</th>
+                    <th>Acción</th>
+                </tr>
+            </thead>
+        `;
+        const tbody = document.createElement('tbody');
+
+        entradas.forEach(entrada => {
+            const tr = document.createElement('tr');
+            const esPelicula = entrada.tipo === 'pelicula';
+            const celdas = [
+                NOMBRES_ENTIDAD[entrada.tipo],
+                esPelicula ? `${entrada.datos.titulo} (${Pelicula.fromJSON(entrada.datos).numeroVotos} votos)` : entrada.datos.nombre,
+                formatearInstante(entrada.eliminado),
+                formatearInstante(entrada.eliminado + dias * 24 * 60 * 60 * 1000)
+            ];
+            celdas.forEach(texto => {
+                const td = document.createElement('td');
+                td.textContent = texto;
+                tr.appendChild(td);
+            });
+
+            const tdAccion = document.createElement('td');
+            tdAccion.style.display = 'flex';
+            tdAccion.style.gap = '5px';
+            tdAccion.style.justifyContent = 'center';
+            if (permisos.editar) tdAccion.appendChild(crearBoton("Restaurar", "#28a745", () => restaurar(entrada)));
+            if (permisos.eliminar) tdAccion.appendChild(crearBoton("Purgar", "#dc3545", () => purgar(entrada)));
+            tr.appendChild(tdAccion);
+            tbody.appendChild(tr);
+        });
+
+        tablaPapelera.appendChild(tbody);
+    }
+
+    /**
+     * Restaura un elemento. Si rompería la integridad de los datos se explica por qué no.
+     * @param {EntradaPapelera} entrada - Elemento a restaurar.
+     * @returns {Promise<void>}
+     */
+    async function restaurar(entrada) {
+        if (!(await Interfaz.permitido('editar'))) return;
+        try {
+            const restaurado = await DataService.restaurarDePapelera(entrada.clave);
+            const nombre = entrada.tipo === 'pelicula' ? restaurado.titulo : restaurado.nombre;
+            let mensaje = `"${nombre}" se ha restaurado.`;
+            if (restaurado.id !== entrada.datos.id) {
+                mensaje += ` Su ID estaba ocupado y ahora es ${restaurado.id}.`;
+            }
+            alert(mensaje);
+        } catch (error) {
+            if (error instanceof ErrorIntegridad || error instanceof ErrorValidacion) {
+                alert("No se puede restaurar: " + error.message);
+                return;
+            }
+            throw error;
+        }
+        await pintarPapelera();
+    }
+
+    /**
+     * Elimina definitivamente un elemento tras pedir confirmación.
+     * @param {EntradaPapelera} entrada - Elemento a purgar.
+     * @returns {Promise<void>}
+     */
+    async function purgar(entrada) {
+        if (!(await Interfaz.permitido('eliminar'))) return;
+        const nombre = entrada.tipo === 'pelicula' ? entrada.datos.titulo : entrada.datos.nombre;
+        if (!confirm(`¿Eliminar "${nombre}" definitivamente? No se podrá recuperar.`)) return;
+        await DataService.purgarDePapelera(entrada.clave);
+        await pintarPapelera();
+    }
+
+    /**
+     * Guarda los días de retención.
+     * @param {Event} e - Evento del formulario.
+     * @returns {Promise<void>}
+     */
+    async function guardarRetencion(e) {
+        e.preventDefault();
+        if (!(await Interfaz.permitido('administrar'))) return;
+        try {
+            await DataService.setDiasRetencion(parseInt(inputDias.value));
+        } catch (error) {
+            if (error instanceof ErrorValidacion) {
+                Interfaz.mostrarErrores(formRetencion, error.errores);
+                return;
+            }
+            throw error;
+        }
+        Interfaz.limpiarErrores(formRetencion);
+        await pintarPapelera();
+    }
+
+    // --- INICIALIZACIÓN ---
+
+    formRetencion.addEventListener('submit', guardarRetencion);
+
+    btnVaciar.addEventListener('click', async () => {
+        if (!(await Interfaz.permitido('eliminar'))) return;
+        if (!confirm("¿Vaciar la papelera? Todo su contenido se eliminará definitivamente.")) return;
+        await DataService.vaciarPapelera();
+        await pintarPapelera();
+    });
+
+    await DataService.inicializar();
+    permisos = { editar: await DataService.puede('editar'), eliminar: await DataService.puede('eliminar') };
+    btnVaciar.style.display = permisos.eliminar ? '' : 'none';
+    inputDias.value = await DataService.getDiasRetencion();
+    await pintarPapelera();
+
+    document.addEventListener('datoscambiados', pintarPapelera);
+});
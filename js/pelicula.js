@@ -0,0 +1,407 @@
+/**
+ * @fileoverview Controlador para la ficha de una película (pelicula.html?id=N).
+ * Muestra todos sus datos, los géneros enlazados al listado filtrado, los
+ * créditos enlazados a la filmografía de cada persona, el histograma de votos,
+ * el control para votar con una reseña opcional, las reseñas y las películas similares.
+ * @module pelicula
+ */
+
+/**
+ * Controlador para la ficha de una película.
+ * Se ejecuta cuando el DOM está completamente cargado.
+ * @event DOMContentLoaded
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+
+    /**
+     * Referencias a elementos del DOM.
+     * @type {HTMLElement}
+     */
+    const titulo = document.getElementById('tituloPelicula');
+    /**
+     * @type {HTMLElement}
+     */
+    const mensaje = document.getElementById('mensajePelicula');
+    /**
+     * @type {HTMLElement}
+     */
+    const detalle = document.getElementById('detallePelicula');
+    /**
+     * @type {HTMLImageElement}
+     */
+    const poster = document.getElementById('posterPelicula');
+    /**
+     * @type {HTMLTableElement}
+     */
+    const tablaDetalle = document.getElementById('tablaDetalle');
+    /**
+     * @type {HTMLElement}
+     */
+    const contenedorGeneros = document.getElementById('generosPelicula');
+    /**
+     * @type {HTMLElement}
+     */
+    const contenedorCreditos = document.getElementById('creditosPelicula');
+    /**
+     * @type {HTMLAnchorElement}
+     */
+    const enlaceEditar = document.getElementById('enlaceEditar');
+    /**
+     * @type {HTMLFormElement}
+     */
+    const formVoto = document.getElementById('formVoto');
+    /**
+     * @type {HTMLElement}
+     */
+    const textoMiVoto = document.getElementById('textoMiVoto');
+    /**
+     * @type {HTMLSelectElement}
+     */
+    const selectVoto = document.getElementById('valorVoto');
+    /**
+     * @type {HTMLButtonElement}
+     */
+    const btnRetirarVoto = document.getElementById('btnRetirarVoto');
+    /**
+     * @type {HTMLDetailsElement}
+     */
+    const bloqueResena = document.getElementById('bloqueResena');
+    /**
+     * @type {HTMLInputElement}
+     */
+    const inputTituloResena = document.getElementById('tituloResena');
+    /**
+     * @type {HTMLTextAreaElement}
+     */
+    const inputTextoResena = document.getElementById('textoResena');
+    /**
+     * @type {HTMLInputElement}
+     */
+    const checkSpoiler = document.getElementById('spoilerResena');
+    /**
+     * @type {HTMLSelectElement}
+     */
+    const selectOrdenResenas = document.getElementById('ordenResenas');
+    /**
+     * @type {HTMLElement}
+     */
+    const listaResenas = document.getElementById('listaResenas');
+    /**
+     * @type {HTMLOListElement}
+     */
+    const listaSimilares = document.getElementById('listaSimilares');
+
+    /**
+     * ID de la película, leído de la URL (NaN si no es un número).
+     * @type {number}
+     */
+    const id = parseInt(new URLSearchParams(window.location.search).get('id'));
+
+    /**
+     * ID del usuario que vota.
+     * @type {string}
+     */
+    let usuario = null;
+
+    /**
+     * Formatea una fecha AAAA-MM-DD como DD/MM/AAAA.
+     * @param {string} fecha - Fecha a formatear.
+     * @returns {string}
+     */
+    function formatearFecha(fecha) {
+        const [anio, mes, dia] = fecha.split('-');
+        return `${dia}/${mes}/${anio}`;
+    }
+
+    /**
+     * Pinta el póster y la tabla de datos de la película.
+     * @param {Pelicula} peli - Película a mostrar.
+     * @param {{mediaGlobal: number, votosMinimos: number}} ranking - Datos para la puntuación ponderada.
+     */
+    function pintarDatos(peli, ranking) {
+        const filas = [
+            ['ID', peli.id],
+            ['Título', peli.titulo],
+            ['Título original', peli.tituloOriginal],
+            ['Fecha de estreno', formatearFecha(peli.fecha)],
+            ['Duración', peli.duracion === null ? '' : `${peli.duracion} min`],
+            ['País', peli.pais],
+            ['Idioma', peli.idioma],
+            ['Calificación', peli.clasificacion ? CLASIFICACIONES_EDAD[peli.clasificacion] : ''],
+            ['Sinopsis', peli.sinopsis],
+            ['Popularidad (0-100)', peli.popularidad],
+            ['Puntuación media', peli.numeroVotos > 0
+                ? `${peli.puntuacionMedia} / 10 (${peli.puntuacionMediaExacta.toFixed(2)})` : 'Sin votos'],
+            ['Puntuación ponderada', peli.puntuacionPonderada(ranking.votosMinimos, ranking.mediaGlobal).toFixed(2)],
+            ['Votos', peli.numeroVotos]
+        ];
+        poster.src = peli.poster || '';
+        poster.style.display = peli.poster ? 'block' : 'none';
+        tablaDetalle.innerHTML = '';
+        // Los datos opcionales de la ficha que están vacíos no se muestran
+        filas.filter(([, valor]) => valor !== '').forEach(([campo, valor]) => {
+            const tr = document.createElement('tr');
+            const th = document.createElement('th');
+            th.textContent = campo;
+            const td = document.createElement('td');
+            td.textContent = valor;
+            td.style.whiteSpace = 'pre-line';
+            tr.appendChild(th);
+            tr.appendChild(td);
+            tablaDetalle.appendChild(tr);
+        });
+    }
+
+    /**
+     * Pinta un chip por género, enlazado al listado filtrado por ese género.
+     * @param {Pelicula} peli - Película a mostrar.
+     * @param {Map<number, string>} mapaGeneros - Nombres de los géneros por ID.
+     */
+    function pintarGeneros(peli, mapaGeneros) {
+        contenedorGeneros.innerHTML = '';
+        peli.generos.filter(g => mapaGeneros.has(g)).forEach(g => {
+            const chip = document.createElement('a');
+            chip.className = 'chip';
+            chip.href = 'listado.html?generos=' + g;
+            chip.textContent = mapaGeneros.get(g);
+            contenedorGeneros.appendChild(chip);
+        });
+    }
+
+    /**
+     * Pinta los créditos agrupados por rol, con cada persona enlazada a su filmografía.
+     * @param {Pelicula} peli - Película a mostrar.
+     * @param {Map<number, string>} mapaPersonas - Nombres de las personas por ID.
+     */
+    function pintarCreditos(peli, mapaPersonas) {
+        contenedorCreditos.innerHTML = '';
+        Object.keys(ROLES_CREDITO).forEach(rol => {
+            const creditos = peli.creditos.filter(c => c.rol === rol && mapaPersonas.has(c.persona));
+            if (creditos.length === 0) return;
+            const parrafo = document.createElement('p');
+            const etiqueta = document.createElement('strong');
+            etiqueta.textContent = ROLES_CREDITO[rol] + ': ';
+            parrafo.appendChild(etiqueta);
+            creditos.forEach((c, i) => {
+                if (i > 0) parrafo.appendChild(document.createTextNode(', '));
+                const enlace = document.createElement('a');
+                enlace.href = 'persona.html?id=' + c.persona;
+                enlace.textContent = mapaPersonas.get(c.persona);
+                parrafo.appendChild(enlace);
+                if (c.personaje) parrafo.appendChild(document.createTextNode(` (${c.personaje})`));
+            });
+            contenedorCreditos.appendChild(parrafo);
+        });
+    }
+
+    /**
+     * Pinta el voto del usuario (con su reseña en el formulario) y el
+     * histograma de votos de la película.
+     * @param {Pelicula} peli - Película a mostrar.
+     */
+    function pintarVotos(peli) {
+        const miVoto = peli.votoDe(usuario);
+        const miResena = miVoto ? miVoto.resena || null : null;
+        textoMiVoto.textContent = miVoto ? `Tu voto: ${miVoto.valor}` : 'Todavía no has votado.';
+        selectVoto.value = miVoto ? String(miVoto.valor) : '5';
+        btnRetirarVoto.style.display = miVoto ? 'inline-block' : 'none';
+        inputTituloResena.value = miResena ? miResena.titulo : '';
+        inputTextoResena.value = miResena ? miResena.texto : '';
+        checkSpoiler.checked = miResena ? miResena.spoiler : false;
+        bloqueResena.open = miResena !== null;
+        Interfaz.limpiarErrores(formVoto);
+
+        const contenedor = document.getElementById('graficoVotosPelicula');
+        contenedor.innerHTML = '';
+        if (peli.numeroVotos === 0) {
+            contenedor.textContent = 'Nadie ha votado esta película.';
+            return;
+        }
+        contenedor.appendChild(Graficos.columnas(Metricas.distribucionVotos([peli]), `Votos de ${peli.titulo}`));
+    }
+
+    /**
+     * Pinta las reseñas en el orden elegido. Las que contienen spoilers se
+     * muestran plegadas, y cada una tiene un botón para marcarla como útil
+     * (salvo las propias).
+     * @returns {Promise<void>}
+     */
+    async function pintarResenas() {
+        const resenas = await DataService.getResenas(id, selectOrdenResenas.value);
+        listaResenas.innerHTML = '';
+        if (resenas.length === 0) {
+            listaResenas.textContent = 'Todavía no hay reseñas.';
+            return;
+        }
+
+        resenas.forEach(r => {
+            const articulo = document.createElement('article');
+            articulo.className = 'resena';
+
+            const encabezado = document.createElement('h5');
+            encabezado.textContent = `${r.resena.titulo} — ${r.valor} / 10`;
+            articulo.appendChild(encabezado);
+
+            const autor = document.createElement('small');
+            autor.textContent = `${r.nombre}, ${formatearFecha(fechaLocalISO(new Date(r.resena.instante)))}`;
+            articulo.appendChild(autor);
+
+            const texto = document.createElement('p');
+            texto.textContent = r.resena.texto;
+            if (r.resena.spoiler) {
+                const plegable = document.createElement('details');
+                const resumen = document.createElement('summary');
+                resumen.textContent = 'Contiene spoilers: pulsa para leerla';
+                plegable.appendChild(resumen);
+                plegable.appendChild(texto);
+                articulo.appendChild(plegable);
+            } else {
+                articulo.appendChild(texto);
+            }
+
+            const utiles = r.resena.utiles.length;
+            const pie = document.createElement('div');
+            pie.textContent = `A ${utiles} ${utiles === 1 ? 'persona le ha' : 'personas les ha'} resultado útil. `;
+            if (r.autor !== usuario) {
+                const btnUtil = document.createElement('button');
+                btnUtil.type = 'button';
+                btnUtil.className = 'button-33';
+                btnUtil.textContent = r.resena.utiles.includes(usuario) ? 'Quitar "útil"' : 'Me ha resultado útil';
+                btnUtil.addEventListener('click', () => marcarUtil(r.autor));
+                pie.appendChild(btnUtil);
+            }
+            articulo.appendChild(pie);
+            listaResenas.appendChild(articulo);
+        });
+    }
+
+    /**
+     * Pinta las películas parecidas, enlazadas a su ficha.
+     * @returns {Promise<void>}
+     */
+    async function pintarSimilares() {
+        const similares = await DataService.getSimilares(id, 5);
+        listaSimilares.innerHTML = '';
+        if (similares.length === 0) {
+            listaSimilares.textContent = 'No hay películas que compartan género con esta.';
+            return;
+        }
+        similares.forEach(s => {
+            const li = document.createElement('li');
+            const enlace = document.createElement('a');
+            enlace.href = 'pelicula.html?id=' + s.pelicula.id;
+            enlace.textContent = s.pelicula.titulo;
+            li.appendChild(enlace);
+            li.appendChild(document.createTextNode(` (${s.pelicula.fecha.substring(0, 4)}) — similitud ${Math.round(s.similitud * 100)} %`));
+            listaSimilares.appendChild(li);
+        });
+    }
+
+    /**
+     * Carga la película y pinta la ficha completa, o un aviso si no existe.
+     * @returns {Promise<void>}
+     */
+    async function pintarPelicula() {
+        const peli = isNaN(id) ? null : await DataService.getPelicula(id);
+        if (!peli) {
+            titulo.textContent = 'PELÍCULA NO ENCONTRADA';
+            mensaje.innerHTML = 'No existe ninguna película con ese ID. Puede que esté en la <a href="papelera.html">papelera</a>.';
+            detalle.style.display = 'none';
+            return;
+        }
+
+        document.title = peli.titulo;
+        titulo.textContent = peli.titulo.toUpperCase();
+        mensaje.textContent = '';
+        detalle.style.display = 'block';
+
+        const generos = await DataService.getGeneros();
+        pintarDatos(peli, await DataService.getRanking());
+        pintarGeneros(peli, new Map(generos.map(g => [g.id, g.nombre])));
+        pintarCreditos(peli, new Map((await DataService.getPersonas()).map(p => [p.id, p.nombre])));
+        pintarVotos(peli);
+        await pintarResenas();
+        await pintarSimilares();
+    }
+
+    /**
+     * Lee la reseña del formulario.
+     * @returns {{titulo: string, texto: string, spoiler: boolean}|null} null si el título y el texto están vacíos.
+     */
+    function leerResena() {
+        if (inputTituloResena.value.trim() === '' && inputTextoResena.value.trim() === '') return null;
+        return { titulo: inputTituloResena.value, texto: inputTextoResena.value, spoiler: checkSpoiler.checked };
+    }
+
+    /**
+     * Registra el voto elegido en el desplegable, con la reseña del formulario.
+     * Dejar la reseña vacía quita la que hubiera.
+     * @param {Event} e - Evento del formulario.
+     * @returns {Promise<void>}
+     */
+    async function votar(e) {
+        e.preventDefault();
+        if (!(await Interfaz.permitido('votar'))) return;
+        try {
+            await DataService.votarPelicula(id, parseInt(selectVoto.value), leerResena());
+        } catch (error) {
+            if (error instanceof ErrorValidacion) {
+                bloqueResena.open = true;
+                Interfaz.mostrarErrores(formVoto, error.errores);
+                return;
+            }
+            throw error;
+        }
+        await pintarPelicula();
+    }
+
+    /**
+     * Marca o desmarca como útil la reseña de otro usuario.
+     * @param {string} autor - ID del autor de la reseña.
+     * @returns {Promise<void>}
+     */
+    async function marcarUtil(autor) {
+        if (!(await Interfaz.permitido('votar'))) return;
+        try {
+            await DataService.marcarResenaUtil(id, autor);
+        } catch (error) {
+            alert(error.message);
+        }
+        await pintarResenas();
+    }
+
+    /**
+     * Retira el voto del usuario.
+     * @returns {Promise<void>}
+     */
+    async function retirarVoto() {
+        if (!(await Interfaz.permitido('votar'))) return;
+        await DataService.retirarVoto(id);
+        await pintarPelicula();
+    }
+
+    // --- INICIALIZACIÓN ---
+
+    for (let valor = 1; valor <= 10; valor++) {
+        const opcion = document.createElement('option');
+        opcion.value = valor;
+        opcion.textContent = valor;
+        selectVoto.appendChild(opcion);
+    }
+    formVoto.addEventListener('submit', votar);
+    btnRetirarVoto.addEventListener('click', retirarVoto);
+    document.getElementById('formOrdenResenas').addEventListener('submit', e => e.preventDefault());
+    selectOrdenResenas.addEventListener('change', pintarResenas);
+    enlaceEditar.href = 'peliculas.html?edit=' + id;
+
+    await DataService.inicializar();
+    usuario = await DataService.getUsuarioActual();
+    if (!(await DataService.puede('editar'))) enlaceEditar.style.display = 'none';
+    await pintarPelicula();
+
+    document.addEventListener('datoscambiados', pintarPelicula);
+    document.addEventListener('sesioncambiada', async () => {
+        usuario = await DataService.getUsuarioActual();
+        await pintarPelicula();
+    });
+});
@@ -1,6 +1,7 @@
 /**
  * @fileoverview Controlador para la gestión de Películas.
- * Maneja el formulario de creación de películas y la carga de géneros como checkboxes.
+ * Maneja el formulario de creación de películas, la carga de géneros como checkboxes
+ * y la edición de los créditos (persona, rol y personaje).
  * @module peliculas
  */
 
@@ -9,7 +10,7 @@
  * Se ejecuta cuando el DOM está completamente cargado.
  * @event DOMContentLoaded
  */
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
 
     /**
      * Referencias a elementos del DOM.
@@ -32,6 +33,14 @@ document.addEventListener('DOMContentLoaded', () => {
      * @type {HTMLElement}
      */
     const contenedorGeneros = document.getElementById('listaGeneros');
+    /**
+     * @type {HTMLElement}
+     */
+    const contenedorCreditos = document.getElementById('listaCreditos');
+    /**
+     * @type {HTMLButtonElement}
+     */
+    const btnAnadirCredito = document.getElementById('btnAnadirCredito');
     /**
      * @type {HTMLInputElement}
      */
@@ -44,20 +53,68 @@ document.addEventListener('DOMContentLoaded', () => {
      * @type {HTMLButtonElement}
      */
     const btnCancelar = document.getElementById('btnCancelarPelicula');
+    /**
+     * Campos de texto de la ficha, por nombre de campo de Pelicula.
+     * @type {Object<string, (HTMLInputElement|HTMLTextAreaElement)>}
+     */
+    const inputsFicha = {
+        tituloOriginal: document.getElementById('tituloOriginal'),
+        pais: document.getElementById('pais'),
+        idioma: document.getElementById('idioma'),
+        sinopsis: document.getElementById('sinopsis')
+    };
+    /**
+     * @type {HTMLInputElement}
+     */
+    const inputDuracion = document.getElementById('duracion');
+    /**
+     * @type {HTMLSelectElement}
+     */
+    const selectClasificacion = document.getElementById('clasificacion');
+    /**
+     * @type {HTMLInputElement}
+     */
+    const inputPoster = document.getElementById('poster');
+    /**
+     * @type {HTMLImageElement}
+     */
+    const vistaPoster = document.getElementById('vistaPoster');
+    /**
+     * @type {HTMLButtonElement}
+     */
+    const btnQuitarPoster = document.getElementById('btnQuitarPoster');
     
     /**
      * ID de la película que se está editando (null si no se está editando).
      * @type {number|null}
      */
     let peliculaEditando = null;
+    /**
+     * Película en edición tal y como estaba guardada al cargarla en el formulario.
+     * Los cambios se aplican sobre ella, de modo que su revisión permite detectar
+     * si otra pestaña la ha modificado entretanto (ver DataService._comprobarRevision).
+     * @type {Pelicula|null}
+     */
+    let peliculaOriginal = null;
+    /**
+     * Póster elegido como data URL (null si no hay).
+     * @type {string|null}
+     */
+    let posterActual = null;
+    /**
+     * Personas que se pueden elegir en los créditos.
+     * @type {Persona[]}
+     */
+    let personas = [];
 
     /**
      * Carga los géneros disponibles como checkboxes en el formulario.
      * Si no hay géneros, muestra un mensaje informativo.
      * @function cargarGenerosFormulario
+     * @returns {Promise<void>}
      */
-    function cargarGenerosFormulario() {
-        const generos = DataService.getGeneros();
+    async function cargarGenerosFormulario() {
+        const generos = await DataService.getGeneros();
         contenedorGeneros.innerHTML = ''; // Limpiar
 
         if (generos.length === 0) {
@@ -86,14 +143,157 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    /**
+     * Rellena un desplegable de personas, conservando el valor indicado.
+     * @param {HTMLSelectElement} select - Desplegable a rellenar.
+     * @param {string} valor - ID de la persona seleccionada ('' si ninguna).
+     */
+    function rellenarPersonas(select, valor) {
+        select.innerHTML = '<option value="">— Persona —</option>';
+        personas.forEach(p => {
+            const opcion = document.createElement('option');
+            opcion.value = p.id;
+            opcion.textContent = p.nombre;
+            select.appendChild(opcion);
+        });
+        select.value = valor;
+    }
+
+    /**
+     * Carga las personas disponibles y actualiza los desplegables de los
+     * créditos ya añadidos, conservando la persona elegida si sigue existiendo.
+     * @returns {Promise<void>}
+     */
+    async function cargarPersonasFormulario() {
+        personas = await DataService.getPersonas();
+        contenedorCreditos.querySelectorAll('select.personaCredito').forEach(select => rellenarPersonas(select, select.value));
+    }
+
+    /**
+     * Añade una fila de crédito al formulario: persona, rol, personaje (solo
+     * para el reparto) y un botón para quitarla.
+     * @param {Credito} [credito] - Crédito con el que rellenar la fila.
+     */
+    function anadirFilaCredito(credito) {
+        const fila = document.createElement('div');
+        fila.className = 'filaCredito';
+
+        const selectPersona = document.createElement('select');
+        selectPersona.className = 'personaCredito';
+        rellenarPersonas(selectPersona, credito ? String(credito.persona) : '');
+
+        const selectRol = document.createElement('select');
+        selectRol.className = 'rolCredito';
+        Object.keys(ROLES_CREDITO).forEach(rol => {
+            const opcion = document.createElement('option');
+            opcion.value = rol;
+            opcion.textContent = ROLES_CREDITO[rol];
+            selectRol.appendChild(opcion);
+        });
+        selectRol.value = credito ? credito.rol : 'director';
+
+        const inputPersonaje = document.createElement('input');
+        inputPersonaje.type = 'text';
+        inputPersonaje.className = 'personajeCredito';
+        inputPersonaje.placeholder = 'Personaje';
+        inputPersonaje.maxLength = 100;
+        inputPersonaje.value = credito ? credito.personaje : '';
+        const actualizarPersonaje = () => {
+            inputPersonaje.disabled = selectRol.value !== 'actor';
+            if (inputPersonaje.disabled) inputPersonaje.value = '';
+        };
+        selectRol.addEventListener('change', actualizarPersonaje);
+        actualizarPersonaje();
+
+        const btnQuitar = document.createElement('button');
+        btnQuitar.type = 'button';
+        btnQuitar.textContent = 'Quitar';
+        btnQuitar.addEventListener('click', () => fila.remove());
+
+        fila.appendChild(selectPersona);
+        fila.appendChild(selectRol);
+        fila.appendChild(inputPersonaje);
+        fila.appendChild(btnQuitar);
+        contenedorCreditos.appendChild(fila);
+    }
+
+    /**
+     * Lee los créditos del formulario. Una fila sin persona queda con
+     * persona NaN y la validación la rechaza.
+     * @returns {Credito[]}
+     */
+    function leerCreditos() {
+        return Array.from(contenedorCreditos.querySelectorAll('.filaCredito')).map(fila => ({
+            persona: parseInt(fila.querySelector('.personaCredito').value),
+            rol: fila.querySelector('.rolCredito').value,
+            personaje: fila.querySelector('.personajeCredito').value.trim()
+        }));
+    }
+
+    /**
+     * Rellena el desplegable de calificaciones por edades.
+     */
+    function cargarClasificaciones() {
+        Object.keys(CLASIFICACIONES_EDAD).forEach(clave => {
+            const opcion = document.createElement('option');
+            opcion.value = clave;
+            opcion.textContent = clave === '' ? CLASIFICACIONES_EDAD[clave] : `${clave} - ${CLASIFICACIONES_EDAD[clave]}`;
+            selectClasificacion.appendChild(opcion);
+        });
+    }
+
+    /**
+     * Lee los datos de la ficha del formulario. La duración vacía es null;
+     * si no es un número queda NaN y la validación lo rechaza.
+     * @returns {Object} Campos de la ficha (ver FICHA_VACIA).
+     */
+    function leerFicha() {
+        const ficha = {};
+        Object.keys(inputsFicha).forEach(campo => {
+            ficha[campo] = inputsFicha[campo].value.trim();
+        });
+        ficha.duracion = inputDuracion.value === '' ? null : Number(inputDuracion.value);
+        ficha.clasificacion = selectClasificacion.value;
+        ficha.poster = posterActual;
+        return ficha;
+    }
+
+    /**
+     * Muestra (o quita) el póster elegido.
+     * @param {string|null} poster - Imagen como data URL.
+     */
+    function mostrarPoster(poster) {
+        posterActual = poster;
+        vistaPoster.src = poster || '';
+        vistaPoster.style.display = poster ? 'block' : 'none';
+        btnQuitarPoster.style.display = poster ? 'inline-block' : 'none';
+        inputPoster.value = '';
+    }
+
+    /**
+     * Lee la imagen elegida como data URL para guardarla con la película.
+     * El tamaño lo comprueba la validación al guardar.
+     */
+    function cargarPoster() {
+        const archivo = inputPoster.files[0];
+        if (!archivo) return;
+        const lector = new FileReader();
+        lector.onload = () => mostrarPoster(lector.result);
+        lector.onerror = () => alert("No se pudo leer la imagen.");
+        lector.readAsDataURL(archivo);
+    }
+
     /**
      * Maneja el evento de agregar o modificar una película.
-     * Valida todos los campos y crea o modifica la película si todo es correcto.
+     * Crea o modifica la película y, si DataService la rechaza por no ser válida,
+     * muestra los errores junto a cada campo.
      * @function agregarPelicula
      * @param {Event} e - Evento del formulario.
+     * @returns {Promise<void>}
      */
-    function agregarPelicula(e) {
+    async function agregarPelicula(e) {
         e.preventDefault();
+        if (!(await Interfaz.permitido('editar'))) return;
 
         // Eliminar espacios al inicio y final manualmente (sin trim)
         let titulo = inputNombre.value;
@@ -108,51 +308,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const fechaStr = inputFecha.value;
         const popularidad = parseInt(inputPopularidad.value);
 
-        // --- VALIDACIONES (Según PDF) ---
-        
-        // a) Validar campos obligatorios básicos
-        if (!titulo || !fechaStr || isNaN(popularidad)) {
-            alert("Por favor, rellena todos los campos.");
-            return;
-        }
-
-        // Validar longitud del título
-        if (titulo.length > 100) {
-            alert("El título no puede superar los 100 caracteres.");
-            return;
-        }
-
-        // b) Validar Fecha: Ni anterior a 1900 ni posterior a hoy 
-        const fechaIngresada = new Date(fechaStr);
-        const fechaMinima = new Date('1900-01-01');
-        const fechaHoy = new Date();
-
-        if (fechaIngresada < fechaMinima) {
-            alert("La fecha no puede ser anterior al 01/01/1900.");
-            return;
-        }
-        // Comparar solo año, mes y día (sin horas)
-        const añoIngresado = fechaIngresada.getFullYear();
-        const mesIngresado = fechaIngresada.getMonth();
-        const diaIngresado = fechaIngresada.getDate();
-        const añoHoy = fechaHoy.getFullYear();
-        const mesHoy = fechaHoy.getMonth();
-        const diaHoy = fechaHoy.getDate();
-        
-        if (añoIngresado > añoHoy || 
-            (añoIngresado === añoHoy && mesIngresado > mesHoy) ||
-            (añoIngresado === añoHoy && mesIngresado === mesHoy && diaIngresado > diaHoy)) {
-            alert("La fecha no puede ser futura.");
-            return;
-        }
-
-        // c) Validar Popularidad (0-100) 
-        if (popularidad < 0 || popularidad > 100) {
-            alert("La popularidad debe estar entre 0 y 100.");
-            return;
-        }
-
-        // d) Obtener géneros seleccionados
+        // Obtener géneros seleccionados
         const checkboxes = contenedorGeneros.querySelectorAll('input[type="checkbox"]');
         const generosSeleccionados = [];
         // Convertir NodeList a Array manualmente (sin Array.from)
@@ -162,82 +318,166 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }
 
-        if (generosSeleccionados.length === 0) {
-            alert("Selecciona al menos un género.");
-            return;
-        }
+        // Las validaciones las aplica DataService al guardar (ver validarPelicula
+        // en Logica.js); aquí solo mostramos sus errores junto a cada campo.
+        try {
+            const peliculas = await DataService.getPeliculas();
 
-        const peliculas = DataService.getPeliculas();
+            // Avisamos si ya existe una película con el mismo título y un año parecido
+            const duplicados = buscarDuplicados({ id: peliculaEditando, titulo: titulo, fecha: fechaStr }, peliculas);
+            if (duplicados.length > 0 && !confirmarDuplicado(duplicados)) {
+                return;
+            }
 
-        // Si estamos editando
-        if (peliculaEditando !== null) {
-            const pelicula = peliculas.find(p => p.id === peliculaEditando);
-            if (pelicula) {
+            // Si estamos editando
+            if (peliculaEditando !== null) {
+                const pelicula = Pelicula.fromJSON(JSON.parse(JSON.stringify(peliculaOriginal)));
                 pelicula.titulo = titulo;
                 pelicula.fecha = fechaStr;
                 pelicula.popularidad = popularidad;
                 pelicula.generos = generosSeleccionados;
-                DataService.guardarPeliculas(peliculas);
+                pelicula.creditos = leerCreditos();
+                Object.assign(pelicula, leerFicha());
+                try {
+                    await DataService.guardarPelicula(pelicula);
+                } catch (error) {
+                    if (error instanceof ErrorConflicto) {
+                        resolverConflicto(error, pelicula);
+                        return;
+                    }
+                    throw error;
+                }
                 cancelarEdicion();
                 alert("Película modificada correctamente.");
+                return;
             }
-            return;
-        }
 
-        // Si estamos agregando
-        const nuevoId = DataService.siguienteId(peliculas);
+            // Si estamos agregando
+            const nuevoId = DataService.siguienteId(peliculas);
 
-        const nuevaPelicula = new Pelicula(
-            nuevoId, 
-            titulo, 
-            fechaStr, 
-            popularidad, 
-            generosSeleccionados
-        );
+            const nuevaPelicula = new Pelicula(
+                nuevoId, 
+                titulo, 
+                fechaStr, 
+                popularidad, 
+                generosSeleccionados
+            );
+            nuevaPelicula.creditos = leerCreditos();
+            Object.assign(nuevaPelicula, leerFicha());
 
-        peliculas.push(nuevaPelicula);
-        DataService.guardarPeliculas(peliculas);
+            await DataService.guardarPelicula(nuevaPelicula);
+        } catch (error) {
+            if (error instanceof ErrorValidacion) {
+                Interfaz.mostrarErrores(form, error.errores);
+                return;
+            }
+            if (error instanceof ErrorIntegridad) {
+                alert(error.message);
+                await cargarPersonasFormulario();
+                return;
+            }
+            if (error instanceof ErrorConflicto) {
+                // Otra pestaña ha guardado una película nueva con el mismo ID
+                alert("Otra pestaña acaba de añadir una película. Vuelve a pulsar Agregar.");
+                return;
+            }
+            throw error;
+        }
 
         // Resetear formulario
         form.reset();
+        mostrarPoster(null);
+        contenedorCreditos.innerHTML = '';
         inputId.value = '';
+        Interfaz.limpiarErrores(form);
         alert("Película agregada correctamente.");
     }
 
+    /**
+     * Ofrece combinar los cambios del formulario con los que otra pestaña ha
+     * guardado entretanto (ver Interfaz.resolverConflicto). Si se aceptan, el
+     * formulario muestra la combinación y se vuelve a enviar; si no, se carga
+     * la versión actual y se descartan los cambios propios.
+     * @param {ErrorConflicto} error - Error devuelto al guardar.
+     * @param {Pelicula} pelicula - Película que se intentaba guardar.
+     */
+    function resolverConflicto(error, pelicula) {
+        const combinada = Interfaz.resolverConflicto(error, peliculaOriginal.toJSON(), pelicula.toJSON());
+        if (error.actual === null) {
+            cancelarEdicion();
+            return;
+        }
+        if (combinada === null) {
+            mostrarPelicula(error.actual);
+            return;
+        }
+        mostrarPelicula(Pelicula.fromJSON(combinada), error.actual);
+        form.requestSubmit();
+    }
+
+    /**
+     * Pregunta si se quiere guardar una película que parece duplicada.
+     * @param {Pelicula[]} duplicados - Películas existentes que se parecen a la nueva.
+     * @returns {boolean} true si el usuario quiere guardarla igualmente.
+     */
+    function confirmarDuplicado(duplicados) {
+        let lista = '';
+        duplicados.forEach(p => {
+            lista = lista + `\n - ${p.titulo} (${p.fecha})`;
+        });
+        return confirm("Puede que esta película ya exista:" + lista +
+            "\n\n¿Guardarla igualmente? (Puedes fusionar duplicados desde la página Duplicados)");
+    }
+
     /**
      * Inicia la edición de una película.
      * @param {number} id - ID de la película a editar.
+     * @returns {Promise<void>}
+     */
+    async function editarPelicula(id) {
+        const pelicula = await DataService.getPelicula(id);
+        if (pelicula) mostrarPelicula(pelicula);
+    }
+
+    /**
+     * Rellena el formulario con los datos de una película en modo edición.
+     * @param {Pelicula} pelicula - Datos a mostrar.
+     * @param {Pelicula} [original=pelicula] - Versión guardada de la que parten los cambios.
      */
-    function editarPelicula(id) {
-        const peliculas = DataService.getPeliculas();
-        const pelicula = peliculas.find(p => p.id === id);
+    function mostrarPelicula(pelicula, original = pelicula) {
+        peliculaEditando = pelicula.id;
+        peliculaOriginal = original;
+        inputId.value = pelicula.id;
+        inputNombre.value = pelicula.titulo;
+        inputFecha.value = pelicula.fecha;
+        inputPopularidad.value = pelicula.popularidad;
+        Object.keys(inputsFicha).forEach(campo => {
+            inputsFicha[campo].value = pelicula[campo];
+        });
+        inputDuracion.value = pelicula.duracion === null ? '' : pelicula.duracion;
+        selectClasificacion.value = pelicula.clasificacion;
+        mostrarPoster(pelicula.poster);
+        contenedorCreditos.innerHTML = '';
+        pelicula.creditos.forEach(anadirFilaCredito);
         
-        if (pelicula) {
-            peliculaEditando = id;
-            inputId.value = pelicula.id;
-            inputNombre.value = pelicula.titulo;
-            inputFecha.value = pelicula.fecha;
-            inputPopularidad.value = pelicula.popularidad;
-            
-            // Marcar los géneros de la película
-            const checkboxes = contenedorGeneros.querySelectorAll('input[type="checkbox"]');
-            checkboxes.forEach(cb => {
-                const valorId = parseInt(cb.value);
-                // Usar indexOf en lugar de includes (explicado en PDF Unidad 3)
-                let encontrado = false;
-                for (let i = 0; i < pelicula.generos.length; i++) {
-                    if (pelicula.generos[i] === valorId) {
-                        encontrado = true;
-                        break;
-                    }
+        // Marcar los géneros de la película
+        const checkboxes = contenedorGeneros.querySelectorAll('input[type="checkbox"]');
+        checkboxes.forEach(cb => {
+            const valorId = parseInt(cb.value);
+            // Usar indexOf en lugar de includes (explicado en PDF Unidad 3)
+            let encontrado = false;
+            for (let i = 0; i < pelicula.generos.length; i++) {
+                if (pelicula.generos[i] === valorId) {
+                    encontrado = true;
+                    break;
                 }
-                cb.checked = encontrado;
-            });
-            
-            btnSubmit.value = "Modificar";
-            btnCancelar.style.display = "inline-block";
-            inputNombre.focus();
-        }
+            }
+            cb.checked = encontrado;
+        });
+        
+        btnSubmit.value = "Modificar";
+        btnCancelar.style.display = "inline-block";
+        inputNombre.focus();
     }
 
     /**
@@ -245,10 +485,16 @@ document.addEventListener('DOMContentLoaded', () => {
      */
     function cancelarEdicion() {
         peliculaEditando = null;
+        peliculaOriginal = null;
+        // Quitamos ?edit=N para que recargar la página no vuelva a la edición
+        history.replaceState(null, '', window.location.pathname);
         inputId.value = '';
         form.reset();
+        mostrarPoster(null);
+        contenedorCreditos.innerHTML = '';
         btnSubmit.value = "Agregar";
         btnCancelar.style.display = "none";
+        Interfaz.limpiarErrores(form);
         
         // Desmarcar todos los checkboxes
         const checkboxes = contenedorGeneros.querySelectorAll('input[type="checkbox"]');
@@ -267,19 +513,54 @@ document.addEventListener('DOMContentLoaded', () => {
     btnCancelar.addEventListener('click', () => {
         cancelarEdicion();
     });
+
+    inputPoster.addEventListener('change', cargarPoster);
+    btnQuitarPoster.addEventListener('click', () => mostrarPoster(null));
+    btnAnadirCredito.addEventListener('click', () => anadirFilaCredito());
+    cargarClasificaciones();
     
     /**
-     * Carga inicial de géneros al cargar la página.
+     * Carga inicial de géneros al cargar la página, una vez listos los datos.
+     */
+    await DataService.inicializar();
+    await cargarGenerosFormulario();
+    await cargarPersonasFormulario();
+
+    // Sin permiso de edición el formulario queda deshabilitado
+    if (!(await DataService.puede('editar'))) {
+        btnSubmit.disabled = true;
+        btnSubmit.title = "Necesitas una cuenta de editor o administrador.";
+    }
+
+    /**
+     * Tras deshacer, rehacer o un cambio en otra pestaña se recargan los géneros
+     * conservando los marcados, y las personas de los créditos.
+     * Si la película en edición ha dejado de existir se sale del modo edición.
      */
-    cargarGenerosFormulario();
+    document.addEventListener('datoscambiados', async () => {
+        const marcados = Array.from(contenedorGeneros.querySelectorAll('input[type="checkbox"]:checked')).map(cb => cb.value);
+        await cargarGenerosFormulario();
+        marcados.forEach(valor => {
+            const cb = contenedorGeneros.querySelector(`input[value="${valor}"]`);
+            if (cb) cb.checked = true;
+        });
+        await cargarPersonasFormulario();
+        if (peliculaEditando !== null && !(await DataService.getPelicula(peliculaEditando))) {
+            cancelarEdicion();
+        }
+    });
 
     /**
-     * Si hay una película para editar (desde localStorage), la carga.
-     * Usamos localStorage en lugar de sessionStorage (explicado en PDF Unidad 4).
+     * Si la URL indica una película para editar (peliculas.html?edit=N), la carga.
+     * Así el enlace se puede guardar o abrir en otra pestaña sin compartir estado.
      */
-    const peliculaIdEditar = localStorage.getItem('editarPeliculaId');
-    if (peliculaIdEditar) {
-        editarPelicula(parseInt(peliculaIdEditar));
-        localStorage.removeItem('editarPeliculaId');
+    const peliculaIdEditar = parseInt(new URLSearchParams(window.location.search).get('edit'));
+    if (!isNaN(peliculaIdEditar)) {
+        if (await DataService.getPelicula(peliculaIdEditar)) {
+            await editarPelicula(peliculaIdEditar);
+        } else {
+            history.replaceState(null, '', window.location.pathname);
+            alert("La película que se quería modificar ya no existe.");
+        }
     }
 });
\ No newline at end of file
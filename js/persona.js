@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Controlador para la filmografía de una persona (persona.html?id=N).
+ * Muestra las películas en las que figura, agrupadas por rol y enlazadas a su ficha.
+ * @module persona
+ */
+
+/**
+ * Controlador para la filmografía de una persona.
+ * Se ejecuta cuando el DOM está completamente cargado.
+ * @event DOMContentLoaded
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+
+    /**
+     * Referencias a elementos del DOM.
+     * @type {HTMLElement}
+     */
+    const titulo = document.getElementById('tituloPersona');
+    /**
+     * @type {HTMLElement}
+     */
+    const mensaje = document.getElementById('mensajePersona');
+    /**
+     * @type {HTMLElement}
+     */
+    const filmografia = document.getElementById('filmografia');
+
+    /**
+     * ID de la persona, leído de la URL (NaN si no es un número).
+     * @type {number}
+     */
+    const id = parseInt(new URLSearchParams(window.location.search).get('id'));
+
+    /**
+     * Carga la persona y pinta su filmografía, o un aviso si no existe.
+     * @returns {Promise<void>}
+     */
+    async function pintarPersona() {
+        const persona = isNaN(id) ? null : await DataService.getPersona(id);
+        filmografia.innerHTML = '';
+        if (!persona) {
+            titulo.textContent = 'PERSONA NO ENCONTRADA';
+            mensaje.innerHTML = 'No existe ninguna persona con ese ID. Puede que esté en la <a href="papelera.html">papelera</a>.';
+            return;
+        }
+
+        document.title = persona.nombre;
+        titulo.textContent = persona.nombre.toUpperCase();
+        const grupos = await DataService.getFilmografia(id);
+        mensaje.textContent = grupos.length === 0 ? 'No figura en ninguna película.' : '';
+
+        grupos.forEach(grupo => {
+            const encabezado = document.createElement('h4');
+            encabezado.textContent = ROLES_CREDITO[grupo.rol];
+            filmografia.appendChild(encabezado);
+
+            const lista = document.createElement('ul');
+            grupo.peliculas.forEach(({ pelicula, personaje }) => {
+                const li = document.createElement('li');
+                const enlace = document.createElement('a');
+                enlace.href = 'pelicula.html?id=' + pelicula.id;
+                enlace.textContent = pelicula.titulo;
+                li.appendChild(enlace);
+                li.appendChild(document.createTextNode(` (${pelicula.fecha.substring(0, 4)})` +
+                    (personaje ? ` — ${personaje}` : '')));
+                lista.appendChild(li);
+            });
+            filmografia.appendChild(lista);
+        });
+    }
+
+    // --- INICIALIZACIÓN ---
+
+    await DataService.inicializar();
+    await pintarPersona();
+
+    document.addEventListener('datoscambiados', pintarPersona);
+});
@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Controlador para la gestión de personas (directores, actores, guionistas...).
+ * Maneja el listado, alta, modificación y baja de personas interactuando con el DOM y DataService.
+ * Los créditos de cada persona se asignan desde el formulario de películas.
+ * @module personas
+ */
+
+/**
+ * Controlador para la gestión de personas.
+ * Se ejecuta cuando el DOM está completamente cargado.
+ * @event DOMContentLoaded
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+
+    /**
+     * Referencias a elementos del DOM.
+     * @type {HTMLFormElement}
+     */
+    const form = document.getElementById('formPersonas');
+    /**
+     * @type {HTMLInputElement}
+     */
+    const inputNombre = document.getElementById('nombrePersona');
+    /**
+     * @type {HTMLInputElement}
+     */
+    const inputId = document.getElementById('idPersona');
+    /**
+     * @type {HTMLElement}
+     */
+    const listaPersonas = document.getElementById('listaPersonas');
+    /**
+     * @type {HTMLButtonElement}
+     */
+    const btnSubmit = document.getElementById('btnSubmitPersona');
+    /**
+     * @type {HTMLButtonElement}
+     */
+    const btnCancelar = document.getElementById('btnCancelarPersona');
+
+    /**
+     * ID de la persona que se está editando (null si no se está editando).
+     * @type {number|null}
+     */
+    let personaEditando = null;
+    /**
+     * Persona en edición tal y como estaba guardada al empezar; su revisión
+     * permite detectar si otra pestaña la ha modificado entretanto.
+     * @type {Persona|null}
+     */
+    let personaOriginal = null;
+    /**
+     * Permisos de la sesión, para mostrar solo los botones que se pueden usar.
+     * @type {{editar: boolean, eliminar: boolean}}
+     */
+    let permisos = { editar: false, eliminar: false };
+
+    /**
+     * Crea un botón pequeño de la lista.
+     * @param {string} texto - Texto del botón.
+     * @param {function(): void} accion - Función a ejecutar al pulsarlo.
+     * @returns {HTMLButtonElement}
+     */
+    function crearBoton(texto, accion) {
+        const boton = document.createElement('button');
+        boton.type = 'button';
+        boton.textContent = texto;
+        boton.className = 'button-33';
+        boton.style.marginLeft = "10px";
+        boton.style.fontSize = "12px";
+        boton.style.padding = "2px 10px";
+        boton.addEventListener('click', accion);
+        return boton;
+    }
+
+    /**
+     * Renderiza la lista de personas, con el nombre enlazado a su filmografía
+     * y el número de películas en las que figura.
+     * @returns {Promise<void>}
+     */
+    async function pintarPersonas() {
+        const personas = await DataService.getPersonas();
+        const peliculas = await DataService.getPeliculas();
+
+        listaPersonas.innerHTML = '';
+        if (personas.length === 0) {
+            listaPersonas.textContent = 'No hay personas.';
+            return;
+        }
+
+        personas.forEach(persona => {
+            const li = document.createElement('li');
+            li.style.marginBottom = "10px";
+
+            li.appendChild(document.createTextNode(`ID: ${persona.id} - `));
+            const enlace = document.createElement('a');
+            enlace.href = 'persona.html?id=' + persona.id;
+            enlace.textContent = persona.nombre;
+            li.appendChild(enlace);
+            const numero = peliculas.filter(p => p.creditos.some(c => c.persona === persona.id)).length;
+            li.appendChild(document.createTextNode(` (${numero} ${numero === 1 ? 'película' : 'películas'}) `));
+
+            if (permisos.editar) li.appendChild(crearBoton("Modificar", () => editarPersona(persona.id)));
+            if (permisos.eliminar) li.appendChild(crearBoton("Eliminar", () => borrarPersona(persona.id)));
+            listaPersonas.appendChild(li);
+        });
+    }
+
+    /**
+     * Maneja el evento de agregar o modificar una persona.
+     * @param {Event} e - Evento del formulario.
+     * @returns {Promise<void>}
+     */
+    async function guardarPersona(e) {
+        e.preventDefault();
+        if (!(await Interfaz.permitido('editar'))) return;
+
+        const nombre = inputNombre.value.trim();
+        try {
+            if (personaEditando !== null) {
+                const persona = Persona.fromJSON(personaOriginal.toJSON());
+                persona.nombre = nombre;
+                try {
+                    await DataService.guardarPersona(persona);
+                } catch (error) {
+                    if (error instanceof ErrorConflicto) {
+                        await resolverConflicto(error, persona);
+                        return;
+                    }
+                    throw error;
+                }
+                cancelarEdicion();
+                await pintarPersonas();
+                alert("Persona modificada correctamente.");
+                return;
+            }
+
+            const personas = await DataService.getPersonas();
+            await DataService.guardarPersona(new Persona(DataService.siguienteId(personas), nombre));
+        } catch (error) {
+            if (error instanceof ErrorValidacion) {
+                Interfaz.mostrarErrores(form, error.errores);
+                return;
+            }
+            if (error instanceof ErrorConflicto) {
+                // Otra pestaña ha guardado una persona nueva con el mismo ID
+                alert("Otra pestaña acaba de añadir una persona. Vuelve a pulsar Agregar.");
+                return;
+            }
+            throw error;
+        }
+
+        cancelarEdicion();
+        await pintarPersonas();
+    }
+
+    /**
+     * Inicia la edición de una persona.
+     * @param {number} id - ID de la persona a editar.
+     * @returns {Promise<void>}
+     */
+    async function editarPersona(id) {
+        if (!(await Interfaz.permitido('editar'))) return;
+        const persona = await DataService.getPersona(id);
+        if (!persona) return;
+
+        personaEditando = id;
+        personaOriginal = persona;
+        inputId.value = persona.id;
+        inputNombre.value = persona.nombre;
+        btnSubmit.value = "Modificar";
+        btnCancelar.style.display = "inline-block";
+        inputNombre.focus();
+    }
+
+    /**
+     * Ofrece combinar el nombre del formulario con los cambios que otra pestaña
+     * ha guardado entretanto (ver Interfaz.resolverConflicto). Si se acepta se
+     * vuelve a enviar el formulario; si no, se carga la versión actual.
+     * @param {ErrorConflicto} error - Error devuelto al guardar.
+     * @param {Persona} persona - Persona que se intentaba guardar.
+     * @returns {Promise<void>}
+     */
+    async function resolverConflicto(error, persona) {
+        const combinada = Interfaz.resolverConflicto(error, personaOriginal.toJSON(), persona.toJSON());
+        if (error.actual === null) {
+            cancelarEdicion();
+            await pintarPersonas();
+            return;
+        }
+        personaOriginal = error.actual;
+        inputNombre.value = combinada === null ? error.actual.nombre : combinada.nombre;
+        await pintarPersonas();
+        if (combinada !== null) form.requestSubmit();
+    }
+
+    /**
+     * Cancela la edición y restaura el formulario al modo agregar.
+     */
+    function cancelarEdicion() {
+        personaEditando = null;
+        personaOriginal = null;
+        inputId.value = '';
+        inputNombre.value = '';
+        btnSubmit.value = "Agregar";
+        btnCancelar.style.display = "none";
+        Interfaz.limpiarErrores(form);
+    }
+
+    /**
+     * Mueve una persona a la papelera si no figura en ninguna película.
+     * La comprobación de integridad referencial la hace DataService.eliminarPersona.
+     * @param {number} id - ID de la persona a eliminar.
+     * @returns {Promise<void>}
+     */
+    async function borrarPersona(id) {
+        if (!(await Interfaz.permitido('eliminar'))) return;
+        // Avisamos antes de pedir confirmación si la persona tiene créditos
+        const enUso = await DataService.peliculasConPersona(id);
+        if (enUso.length > 0) {
+            alert("No se puede eliminar la persona: figura en los créditos de " +
+                enUso.map(p => `"${p.titulo}"`).join(', ') + ". Quítela primero de esos créditos.");
+            return;
+        }
+
+        if (!confirm("¿Mover la persona a la papelera?")) return;
+        try {
+            await DataService.eliminarPersona(id);
+        } catch (error) {
+            if (error instanceof ErrorIntegridad) {
+                alert(error.message);
+                return;
+            }
+            throw error;
+        }
+        if (personaEditando === id) cancelarEdicion();
+        await pintarPersonas();
+    }
+
+    // --- INICIALIZACIÓN ---
+
+    form.addEventListener('submit', guardarPersona);
+    btnCancelar.addEventListener('click', cancelarEdicion);
+
+    await DataService.inicializar();
+    permisos = { editar: await DataService.puede('editar'), eliminar: await DataService.puede('eliminar') };
+    if (!permisos.editar) {
+        btnSubmit.disabled = true;
+        btnSubmit.title = "Necesitas una cuenta de editor o administrador.";
+    }
+    await pintarPersonas();
+
+    document.addEventListener('datoscambiados', pintarPersonas);
+});
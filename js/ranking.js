@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Controlador para la página Top películas.
+ * Ordena el catálogo por puntuación ponderada (ver Pelicula#puntuacionPonderada)
+ * con filtros opcionales por género y década, que se reflejan en la URL
+ * (?genero=ID&decada=1990).
+ * @module ranking
+ */
+
+/**
+ * Controlador para la página Top películas.
+ * Se ejecuta cuando el DOM está completamente cargado.
+ * @event DOMContentLoaded
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+
+    /**
+     * Referencias a elementos del DOM.
+     * @type {HTMLSelectElement}
+     */
+    const selectGenero = document.getElementById('filtroGenero');
+    /**
+     * @type {HTMLSelectElement}
+     */
+    const selectDecada = document.getElementById('filtroDecada');
+    /**
+     * @type {HTMLFormElement}
+     */
+    const formVotosMinimos = document.getElementById('formVotosMinimos');
+    /**
+     * @type {HTMLInputElement}
+     */
+    const inputVotosMinimos = document.getElementById('votosMinimos');
+    /**
+     * @type {HTMLElement}
+     */
+    const explicacion = document.getElementById('explicacionRanking');
+    /**
+     * @type {HTMLTableElement}
+     */
+    const tablaRanking = document.getElementById('tablaRanking');
+
+    /**
+     * Nombres de los géneros por ID.
+     * @type {Map<number, string>}
+     */
+    let mapaGeneros = new Map();
+
+    /**
+     * Década de una fecha AAAA-MM-DD (1994-05-01 → 1990).
+     * @param {string} fecha - Fecha de estreno.
+     * @returns {number}
+     */
+    function decadaDe(fecha) {
+        return Math.floor(parseInt(fecha.substring(0, 4)) / 10) * 10;
+    }
+
+    /**
+     * Rellena los desplegables de género (con los subgéneros sangrados bajo su
+     * género) y década con los valores del catálogo, conservando la selección
+     * actual o, al cargar, la de la URL.
+     * @param {Pelicula[]} peliculas - Películas del catálogo.
+     * @param {Genero[]} generos - Géneros del catálogo.
+     * @param {{genero: string, decada: string}} seleccion - Valores a seleccionar.
+     */
+    function cargarFiltros(peliculas, generos, seleccion) {
+        selectGenero.innerHTML = '<option value="">Todos</option>';
+        generosEnArbol(generos).forEach(({ genero, nivel }) => {
+            const opcion = document.createElement('option');
+            opcion.value = genero.id;
+            opcion.textContent = '— '.repeat(nivel) + genero.nombre;
+            selectGenero.appendChild(opcion);
+        });
+
+        selectDecada.innerHTML = '<option value="">Todas</option>';
+        [...new Set(peliculas.map(p => decadaDe(p.fecha)))].sort((a, b) => a - b).forEach(decada => {
+            const opcion = document.createElement('option');
+            opcion.value = decada;
+            opcion.textContent = decada + 's';
+            selectDecada.appendChild(opcion);
+        });
+
+        // Si el valor ya no existe, el desplegable se queda en "Todos"
+        selectGenero.value = seleccion.genero;
+        if (selectGenero.value !== seleccion.genero) selectGenero.value = '';
+        selectDecada.value = seleccion.decada;
+        if (selectDecada.value !== seleccion.decada) selectDecada.value = '';
+    }
+
+    /**
+     * Escribe los filtros en la URL sin recargar la página.
+     */
+    function guardarFiltrosEnUrl() {
+        const params = new URLSearchParams();
+        if (selectGenero.value) params.set('genero', selectGenero.value);
+        if (selectDecada.value) params.set('decada', selectDecada.value);
+        const query = params.toString();
+        history.replaceState(null, '', query ? '?' + query : window.location.pathname);
+    }
+
+    /**
+     * Pinta la tabla del ranking con los filtros seleccionados.
+     * @returns {Promise<void>}
+     */
+    async function pintarRanking() {
+        guardarFiltrosEnUrl();
+        const ranking = await DataService.getRanking({
+            genero: selectGenero.value ? parseInt(selectGenero.value) : null,
+            decada: selectDecada.value ? parseInt(selectDecada.value) : null
+        });
+
+        inputVotosMinimos.value = ranking.votosMinimos;
+        explicacion.textContent = `Puntuación ponderada = (v × media + m × C) / (v + m), ` +
+            `donde v son los votos de la película, m = ${ranking.votosMinimos} votos mínimos ` +
+            `y C = ${ranking.mediaGlobal.toFixed(2)} la media de todos los votos del catálogo.`;
+
+        if (ranking.filas.length === 0) {
+            tablaRanking.innerHTML = '<tr><td>No hay películas que cumplan los filtros.</td></tr>';
+            return;
+        }
+
+        tablaRanking.innerHTML = `
+            <thead>
+                <tr>
+                    <th>#</th>
+                    <th>Título</th>
+                    <th>Año</th>
+                    <th>Géneros</th>
+                    <th>Puntuación ponderada</th>
+                    <th>Media</th>
+                    <th>Votos</th>
+                </tr>
+            </thead>
+        `;
+        const tbody = document.createElement('tbody');
+
+        ranking.filas.forEach((fila, i) => {
+            const peli = fila.pelicula;
+            const tr = document.createElement('tr');
+            const tdPosicion = document.createElement('td');
+            tdPosicion.textContent = i + 1;
+            tr.appendChild(tdPosicion);
+
+            const tdTitulo = document.createElement('td');
+            const enlace = document.createElement('a');
+            enlace.href = 'pelicula.html?id=' + peli.id;
+            enlace.textContent = peli.titulo;
+            tdTitulo.appendChild(enlace);
+            tr.appendChild(tdTitulo);
+
+            [
+                peli.fecha.substring(0, 4),
+                peli.generos.map(id => mapaGeneros.get(id)).filter(n => n !== undefined).join(', '),
+                fila.ponderada.toFixed(2),
+                peli.numeroVotos > 0 ? `${peli.puntuacionMedia} (${peli.puntuacionMediaExacta.toFixed(2)})` : '—',
+                peli.numeroVotos
+            ].forEach(texto => {
+                const td = document.createElement('td');
+                td.textContent = texto;
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+
+        tablaRanking.appendChild(tbody);
+    }
+
+    /**
+     * Recarga géneros y décadas y vuelve a pintar el ranking.
+     * @param {{genero: string, decada: string}} seleccion - Filtros a aplicar.
+     * @returns {Promise<void>}
+     */
+    async function recargar(seleccion) {
+        const peliculas = await DataService.getPeliculas();
+        const generos = await DataService.getGeneros();
+        mapaGeneros = new Map(generos.map(g => [g.id, g.nombre]));
+        cargarFiltros(peliculas, generos, seleccion);
+        await pintarRanking();
+    }
+
+    /**
+     * Guarda los votos mínimos y repinta el ranking.
+     * @param {Event} e - Evento del formulario.
+     * @returns {Promise<void>}
+     */
+    async function guardarVotosMinimos(e) {
+        e.preventDefault();
+        if (!(await Interfaz.permitido('administrar'))) return;
+        try {
+            await DataService.setVotosMinimos(parseInt(inputVotosMinimos.value));
+        } catch (error) {
+            if (error instanceof ErrorValidacion) {
+                Interfaz.mostrarErrores(formVotosMinimos, error.errores);
+                return;
+            }
+            throw error;
+        }
+        Interfaz.limpiarErrores(formVotosMinimos);
+        await pintarRanking();
+    }
+
+    // --- INICIALIZACIÓN ---
+
+    selectGenero.addEventListener('change', pintarRanking);
+    selectDecada.addEventListener('change', pintarRanking);
+    formVotosMinimos.addEventListener('submit', guardarVotosMinimos);
+
+    await DataService.inicializar();
+    const params = new URLSearchParams(window.location.search);
+    await recargar({ genero: params.get('genero') || '', decada: params.get('decada') || '' });
+
+    document.addEventListener('datoscambiados', () => recargar({ genero: selectGenero.value, decada: selectDecada.value }));
+});
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Controlador para la página de Recomendaciones.
+ * Muestra las recomendaciones para el usuario actual según sus votos y las
+ * películas parecidas a la que se elija (?id=N para llegar con una elegida).
+ * @module recomendaciones
+ */
+
+/**
+ * Controlador para la página de Recomendaciones.
+ * Se ejecuta cuando el DOM está completamente cargado.
+ * @event DOMContentLoaded
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+
+    /**
+     * Referencias a elementos del DOM.
+     * @type {HTMLElement}
+     */
+    const explicacion = document.getElementById('explicacionRecomendaciones');
+    /**
+     * @type {HTMLOListElement}
+     */
+    const listaRecomendaciones = document.getElementById('listaRecomendaciones');
+    /**
+     * @type {HTMLSelectElement}
+     */
+    const selectReferencia = document.getElementById('peliculaReferencia');
+    /**
+     * @type {HTMLOListElement}
+     */
+    const listaSimilares = document.getElementById('listaSimilares');
+
+    /**
+     * Crea un elemento de lista con el título enlazado a su ficha y un texto detrás.
+     * @param {Pelicula} pelicula - Película a mostrar.
+     * @param {string} detalle - Texto que sigue al título.
+     * @returns {HTMLLIElement}
+     */
+    function crearElemento(pelicula, detalle) {
+        const li = document.createElement('li');
+        const enlace = document.createElement('a');
+        enlace.href = 'pelicula.html?id=' + pelicula.id;
+        enlace.textContent = pelicula.titulo;
+        li.appendChild(enlace);
+        li.appendChild(document.createTextNode(` (${pelicula.fecha.substring(0, 4)}) — ${detalle}`));
+        return li;
+    }
+
+    /**
+     * Pinta las recomendaciones del usuario actual.
+     * @returns {Promise<void>}
+     */
+    async function pintarRecomendaciones() {
+        const recomendaciones = await DataService.getRecomendaciones(10);
+        const sesion = await DataService.getSesion();
+        explicacion.textContent = (sesion ? `Según los votos de ${sesion.nombre}` : 'Según los votos de este navegador') +
+            ': géneros en común, años de estreno cercanos y popularidad.';
+
+        listaRecomendaciones.innerHTML = '';
+        if (recomendaciones.length === 0) {
+            listaRecomendaciones.textContent = 'Ya has votado todas las películas del catálogo.';
+            return;
+        }
+        recomendaciones.forEach(r => listaRecomendaciones.appendChild(crearElemento(r.pelicula, r.motivo)));
+    }
+
+    /**
+     * Pinta las películas parecidas a la seleccionada y guarda la selección en la URL.
+     * @returns {Promise<void>}
+     */
+    async function pintarSimilares() {
+        listaSimilares.innerHTML = '';
+        if (!selectReferencia.value) return;
+        history.replaceState(null, '', '?id=' + selectReferencia.value);
+
+        const similares = await DataService.getSimilares(parseInt(selectReferencia.value), 5);
+        if (similares.length === 0) {
+            listaSimilares.textContent = 'No hay películas que compartan género con esta.';
+            return;
+        }
+        similares.forEach(s => listaSimilares.appendChild(
+            crearElemento(s.pelicula, `similitud ${Math.round(s.similitud * 100)} %`)));
+    }
+
+    /**
+     * Rellena el desplegable de películas, conservando la elegida si sigue existiendo.
+     * @param {string} seleccionada - ID de la película a seleccionar.
+     * @returns {Promise<void>}
+     */
+    async function cargarPeliculas(seleccionada) {
+        const peliculas = (await DataService.getPeliculas()).sort((a, b) => a.titulo.localeCompare(b.titulo));
+        selectReferencia.innerHTML = '';
+        peliculas.forEach(p => {
+            const opcion = document.createElement('option');
+            opcion.value = p.id;
+            opcion.textContent = `${p.titulo} (${p.fecha.substring(0, 4)})`;
+            selectReferencia.appendChild(opcion);
+        });
+        selectReferencia.value = seleccionada;
+        if (selectReferencia.value !== seleccionada && peliculas.length > 0) {
+            selectReferencia.value = String(peliculas[0].id);
+        }
+    }
+
+    /**
+     * Recarga el catálogo y vuelve a pintar las dos listas.
+     * @param {string} seleccionada - ID de la película de referencia.
+     * @returns {Promise<void>}
+     */
+    async function recargar(seleccionada) {
+        await cargarPeliculas(seleccionada);
+        await pintarRecomendaciones();
+        await pintarSimilares();
+    }
+
+    // --- INICIALIZACIÓN ---
+
+    document.getElementById('formSimilares').addEventListener('submit', e => e.preventDefault());
+    selectReferencia.addEventListener('change', pintarSimilares);
+
+    await DataService.inicializar();
+    await recargar(new URLSearchParams(window.location.search).get('id') || '');
+
+    document.addEventListener('datoscambiados', () => recargar(selectReferencia.value));
+    document.addEventListener('sesioncambiada', pintarRecomendaciones);
+});
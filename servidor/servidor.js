@@ -0,0 +1,810 @@
+/**
+ * @fileoverview Servidor de prueba para usar CMDB con un catálogo compartido.
+ * Sirve la aplicación y una API JSON que guarda los datos en un archivo, de
+ * modo que todo el equipo puede apuntar sus navegadores al mismo catálogo y
+ * probar el modo servidor sin conexión. Solo usa módulos de Node.
+ *
+ * Uso: node servidor/servidor.js [puerto] [archivo]
+ * Por defecto escucha en el puerto 8080 y guarda en ~/.cmdb/datos.json, fuera
+ * de la carpeta de la aplicación: el archivo guarda el hash de las contraseñas
+ * y los tokens de sesión. De la aplicación solo se sirven sus páginas, estilos,
+ * scripts e imágenes (ver esArchivoServido).
+ * En el navegador, la dirección del servidor se indica en Importar / Exportar
+ * (ver AlmacenamientoRemoto en js/almacenamiento.js).
+ *
+ * CONTRATO DE LA API
+ *
+ * Todas las peticiones y respuestas con cuerpo son JSON. Los registros tienen
+ * la forma persistida de cada clase (Pelicula#toJSON, Genero#toJSON...) y se
+ * identifican por su colección ('peliculas', 'generos', 'personas', 'papelera',
+ * 'auditoria' o 'listas'; otro nombre responde 404) y su clave (el ID).
+ *
+ *   GET    /api                           200 {colecciones: {coleccion: {clave: registro}}, meta: {clave: valor}}
+ *                                        (todo el catálogo, para la copia sin conexión del navegador)
+ *   GET    /api/{coleccion}               200 [registro, ...] (vacío si la colección aún no tiene registros)
+ *   PUT    /api/{coleccion}               Cuerpo [{clave, valor}, ...]. Sustituye la colección. 204
+ *   GET    /api/{coleccion}/{clave}       200 registro | 404
+ *   PUT    /api/{coleccion}/{clave}       Cuerpo: registro. Lo crea (201) o lo sustituye (200); devuelve el registro
+ *   DELETE /api/{coleccion}/{clave}       204 | 404
+ *   POST   /api/lote                      Cuerpo [{tipo: 'escribir'|'borrar', coleccion, clave, valor}, ...].
+ *                                        Se aplica entero o no se aplica. 204
+ *   GET    /api/meta/{clave}              200 {valor} | 404
+ *   PUT    /api/meta/{clave}              Cuerpo {valor}. Solo con el token de un administrador. 204
+ *   POST   /api/peliculas/{id}/votos      Cuerpo {valor, resena}. Aplica el voto de la cuenta del token
+ *                                        con Pelicula#votar sobre la versión guardada. 200 película | 404
+ *   DELETE /api/peliculas/{id}/votos      Retira el voto de la cuenta del token. 200 película | 404 | 409
+ *   POST   /api/peliculas/{id}/votos/{autor}/util
+ *                                        Marca o desmarca como útil la reseña de {autor} en nombre
+ *                                        de la cuenta del token. 200 película | 404
+ *
+ * Leer no necesita sesión, pero cualquier cambio necesita el token de una
+ * cuenta (401 sin él) cuyo rol tenga el permiso de js/Logica.js (PERMISOS_ROL)
+ * que corresponde (403 si no): 'votar' para los votos, las listas propias y
+ * las entradas nuevas de la auditoría, 'editar' para crear, modificar y
+ * restaurar, 'eliminar' para borrar y 'administrar' para los metadatos, las
+ * listas de otras cuentas y los roles (ver Catalogo#permisoDeOperacion).
+ * Al arrancar, un archivo nuevo queda inicializado con la versión actual del
+ * esquema y uno de una versión anterior se migra (ver Catalogo#preparar).
+ *
+ * Las cuentas ('usuarios') no pasan por las rutas anteriores: la sal y el hash
+ * de la contraseña nunca salen del servidor y el rol solo lo cambia un
+ * administrador. Iniciar sesión devuelve un token que se envía en la cabecera
+ * 'Authorization: Bearer {token}'.
+ *
+ *   GET    /api/usuarios                  200 [{id, nombre, rol, creado}, ...]
+ *   GET    /api/usuarios/{id}             200 {id, nombre, rol, creado} | 404
+ *   POST   /api/usuarios                  Cuerpo {nombre, clave}. Crea la cuenta (la primera es de
+ *                                        administrador) e inicia sesión. 201 {usuario, token}
+ *   POST   /api/sesiones                  Cuerpo {nombre, clave}. 200 {usuario, token} | 400
+ *   DELETE /api/sesiones                  Cierra la sesión del token. 204
+ *   PUT    /api/usuarios/{id}/rol         Cuerpo {rol}. Solo con el token de un administrador.
+ *                                        200 usuario | 401 | 403 | 404 | 409 (quedaría sin administradores)
+ *
+ * Las películas, géneros y personas se validan con las reglas de js/Logica.js
+ * antes de guardarlos, y se rechazan los géneros cuyo padre no existe o los
+ * cuelga de uno de sus subgéneros y las películas con géneros o personas que no
+ * existen (contando con el resto del lote). Los errores responden con
+ * {error: string} y, si son de validación (400), con
+ * {error, errores: [{campo, mensaje}, ...]}.
+ * Todas las respuestas permiten CORS, para poder abrir la aplicación desde
+ * otro origen o desde el disco.
+ * @module servidor
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const vm = require('vm');
+const crypto = require('crypto');
+
+/**
+ * Carpeta raíz de la aplicación, que se sirve como archivos estáticos.
+ * @type {string}
+ */
+const RAIZ = path.join(__dirname, '..');
+
+/**
+ * Archivos de la raíz que se sirven además de las páginas (.html).
+ * @type {string[]}
+ */
+const ARCHIVOS_SERVIDOS = ['manifest.webmanifest', 'sw.js'];
+
+/**
+ * Carpetas de la raíz que se sirven, con las extensiones admitidas en cada una.
+ * @type {Object<string, string[]>}
+ */
+const CARPETAS_SERVIDAS = {
+    css: ['.css'],
+    js: ['.js'],
+    img: ['.png', '.jpg', '.svg', '.ico']
+};
+
+/**
+ * Tipo MIME de cada extensión servida.
+ * @type {Object<string, string>}
+ */
+const TIPOS_MIME = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2'
+};
+
+/**
+ * Error con el código HTTP que hay que responder.
+ * @class
+ * @extends Error
+ */
+class ErrorHttp extends Error {
+    /**
+     * Crea un error HTTP.
+     * @param {number} estado - Código de estado.
+     * @param {string} mensaje - Explicación para el cliente.
+     * @param {ErrorCampo[]} [errores] - Errores de validación por campo.
+     */
+    constructor(estado, mensaje, errores) {
+        super(mensaje);
+        this.name = 'ErrorHttp';
+        this.estado = estado;
+        this.errores = errores;
+    }
+}
+
+/**
+ * Carga las clases y validaciones de js/Logica.js, las mismas que usa el navegador.
+ * @returns {Object} Clases, roles y permisos, migraciones del esquema, validaciones de
+ *   cuentas y de jerarquía de géneros, y hashClave.
+ */
+function cargarModelo() {
+    const contexto = vm.createContext({
+        console: console,
+        crypto: crypto.webcrypto,
+        TextEncoder: TextEncoder,
+        document: { addEventListener() {}, dispatchEvent() {} }
+    });
+    vm.runInContext(fs.readFileSync(path.join(RAIZ, 'js', 'Logica.js'), 'utf8'), contexto, { filename: 'Logica.js' });
+    return vm.runInContext('({ Pelicula, Genero, Persona, ROLES, PERMISOS_ROL, MIGRACIONES, VERSION_ESQUEMA, validarCuenta, validarJerarquiaGenero, hashClave, aHexadecimal })', contexto);
+}
+
+/**
+ * Clases y funciones del modelo.
+ * @type {Object}
+ */
+const modelo = cargarModelo();
+
+/**
+ * Colección con las cuentas, que solo se atiende con las rutas de cuentas
+ * (ver atenderCuentas) porque sus registros llevan los datos de la contraseña.
+ * @type {string}
+ */
+const COLECCION_USUARIOS = 'usuarios';
+
+/**
+ * Colecciones que guarda el servidor: las que usa DataService. Las rutas con
+ * otro nombre responden 404 y los lotes que las usan, 400.
+ * @type {string[]}
+ */
+const COLECCIONES = ['peliculas', 'generos', 'personas', 'papelera', 'auditoria', 'listas', COLECCION_USUARIOS];
+
+/**
+ * Copia unos datos en un objeto sin prototipo, de modo que las claves que
+ * llegan en las peticiones ('__proto__', 'constructor'...) son claves normales
+ * y no alcanzan Object.prototype.
+ * @param {Object} [datos] - Datos a copiar.
+ * @returns {Object}
+ */
+function sinPrototipo(datos) {
+    return Object.assign(Object.create(null), datos);
+}
+
+/**
+ * Datos públicos de una cuenta, sin la sal ni el hash de la contraseña.
+ * @param {Usuario} usuario - Cuenta guardada.
+ * @returns {{id: string, nombre: string, rol: string, creado: number}}
+ */
+function sinCredenciales(usuario) {
+    return { id: usuario.id, nombre: usuario.nombre, rol: usuario.rol, creado: usuario.creado };
+}
+
+/**
+ * Comprueba que una cuenta puede hacer una acción, con los permisos de cada
+ * rol de js/Logica.js (PERMISOS_ROL). Sin sesión no se permite ningún cambio:
+ * el servidor no sabría a quién atribuirlo.
+ * @param {Usuario|null} usuario - Cuenta de la sesión (ver Catalogo#usuarioDeToken).
+ * @param {string} permiso - 'votar', 'editar', 'eliminar' o 'administrar'.
+ * @throws {ErrorHttp} 401 sin sesión y 403 si el rol de la cuenta no lo permite.
+ */
+function comprobarPermiso(usuario, permiso) {
+    if (usuario && (modelo.PERMISOS_ROL[usuario.rol] || []).indexOf(permiso) !== -1) return;
+    const roles = Object.keys(modelo.PERMISOS_ROL)
+        .filter(rol => modelo.PERMISOS_ROL[rol].indexOf(permiso) !== -1)
+        .map(rol => modelo.ROLES[rol].toLowerCase());
+    throw new ErrorHttp(usuario ? 403 : 401, `No tienes permiso para hacer esto. Inicia sesión como ${roles.join(' o ')}.`);
+}
+
+/**
+ * Clase del modelo con la que se valida cada colección.
+ * @type {Object<string, Function>}
+ */
+const CLASES = { peliculas: modelo.Pelicula, generos: modelo.Genero, personas: modelo.Persona };
+
+/**
+ * Datos en memoria: colecciones (clave → registro) y metadatos. Se guardan en
+ * el archivo tras cada cambio.
+ * @class
+ */
+class Catalogo {
+    /**
+     * Carga el archivo de datos, o empieza vacío si no existe.
+     * @param {string} archivo - Ruta del archivo JSON.
+     */
+    constructor(archivo) {
+        this.archivo = archivo;
+        const datos = fs.existsSync(archivo) ? JSON.parse(fs.readFileSync(archivo, 'utf8')) : {};
+        this.colecciones = sinPrototipo();
+        COLECCIONES.forEach(nombre => {
+            if (datos.colecciones && datos.colecciones[nombre]) this.colecciones[nombre] = sinPrototipo(datos.colecciones[nombre]);
+        });
+        this.meta = sinPrototipo(datos.meta);
+        /**
+         * Sesiones abiertas: token → ID del usuario. No se sirven por la API.
+         * @type {Object<string, string>}
+         */
+        this.sesiones = sinPrototipo(datos.sesiones);
+    }
+
+    /**
+     * Devuelve (creándola si hace falta) una colección.
+     * @param {string} nombre - Nombre de la colección.
+     * @returns {Object<string, Object>}
+     * @throws {ErrorHttp} 404 si no es una de COLECCIONES.
+     */
+    coleccion(nombre) {
+        if (COLECCIONES.indexOf(nombre) === -1) throw new ErrorHttp(404, `La colección "${nombre}" no existe.`);
+        if (!this.colecciones[nombre]) this.colecciones[nombre] = sinPrototipo();
+        return this.colecciones[nombre];
+    }
+
+    /**
+     * Guarda los datos en el archivo. Se escribe en uno temporal y se renombra
+     * para no dejar el archivo a medias si el proceso se corta.
+     */
+    guardar() {
+        const temporal = this.archivo + '.tmp';
+        fs.writeFileSync(temporal, JSON.stringify({ colecciones: this.colecciones, meta: this.meta, sesiones: this.sesiones }, null, 2));
+        fs.renameSync(temporal, this.archivo);
+    }
+
+    /**
+     * Deja los datos listos para servirlos, como hace DataService al abrir el
+     * almacenamiento en el navegador: un catálogo nuevo queda inicializado,
+     * vacío y con la versión actual del esquema, y uno guardado con una versión
+     * anterior se migra con las MIGRACIONES de js/Logica.js. Los navegadores ya
+     * no pueden hacerlo, porque escribir necesita una sesión con permiso.
+     * @returns {Promise<void>}
+     * @throws {Error} Si los datos son de una versión más reciente del esquema.
+     */
+    async preparar() {
+        let cambiado = false;
+        if (!this.meta.cmdb_inicializado) {
+            // Lo que se haya guardado por la API ya se validó con el modelo actual
+            if (!('cmdb_schema_version' in this.meta)) this.meta.cmdb_schema_version = modelo.VERSION_ESQUEMA;
+            this.meta.cmdb_inicializado = true;
+            cambiado = true;
+        }
+        let version = this.meta.cmdb_schema_version || 0;
+        if (version > modelo.VERSION_ESQUEMA) {
+            throw new Error(`Los datos de ${this.archivo} (esquema v${version}) son de una versión más reciente de la aplicación (v${modelo.VERSION_ESQUEMA}).`);
+        }
+        const almacenamiento = this._adaptador();
+        while (version < modelo.VERSION_ESQUEMA) {
+            await modelo.MIGRACIONES[version](almacenamiento);
+            version++;
+            this.meta.cmdb_schema_version = version;
+            cambiado = true;
+        }
+        if (cambiado) this.guardar();
+    }
+
+    /**
+     * Adaptador de almacenamiento (ver AdaptadorAlmacenamiento en
+     * js/almacenamiento.js) sobre los datos en memoria, para las migraciones.
+     * Los registros entran y salen copiados, como en los adaptadores del navegador.
+     * @returns {AdaptadorAlmacenamiento}
+     */
+    _adaptador() {
+        const copiar = valor => (valor === undefined ? null : JSON.parse(JSON.stringify(valor)));
+        return {
+            leerTodos: async coleccion => Object.values(this.coleccion(coleccion)).map(copiar),
+            leer: async (coleccion, clave) => copiar(this.coleccion(coleccion)[clave]),
+            reemplazar: async (coleccion, entradas) => {
+                const registros = this.coleccion(coleccion);
+                Object.keys(registros).forEach(clave => delete registros[clave]);
+                entradas.forEach(e => { registros[e.clave] = copiar(e.valor); });
+            },
+            lote: async operaciones => operaciones.forEach(op => {
+                if (op.tipo === 'escribir') this.coleccion(op.coleccion)[op.clave] = copiar(op.valor);
+                else delete this.coleccion(op.coleccion)[op.clave];
+            }),
+            leerMeta: async clave => copiar(this.meta[clave]),
+            escribirMeta: async (clave, valor) => { this.meta[clave] = copiar(valor); }
+        };
+    }
+
+    /**
+     * Aplica un lote de escrituras y borrados. El lote se aplica primero sobre
+     * una copia de las colecciones que toca y cada registro escrito se valida
+     * contra ese resultado, de modo que un lote puede crear un género junto con
+     * las películas que lo usan. Si algo no es válido o la cuenta no tiene
+     * permiso para alguna operación (ver permisoDeOperacion) no se aplica nada.
+     * @param {OperacionLote[]} operaciones - Operaciones a aplicar.
+     * @param {Usuario|null} usuario - Cuenta de la sesión que hace los cambios.
+     * @throws {ErrorHttp} Si alguna operación no es válida o no está permitida.
+     */
+    aplicarLote(operaciones, usuario) {
+        if (!Array.isArray(operaciones)) throw new ErrorHttp(400, 'El lote debe ser una lista de operaciones.');
+        operaciones.forEach(op => {
+            if (!op || typeof op.coleccion !== 'string' || op.clave === undefined || (op.tipo !== 'escribir' && op.tipo !== 'borrar')) {
+                throw new ErrorHttp(400, 'Operación de lote no válida.');
+            }
+            if (COLECCIONES.indexOf(op.coleccion) === -1) throw new ErrorHttp(400, `La colección "${op.coleccion}" no existe.`);
+            if (op.coleccion === COLECCION_USUARIOS) throw new ErrorHttp(403, 'Las cuentas no se pueden modificar en un lote.');
+        });
+        operaciones.forEach(op => comprobarPermiso(usuario, this.permisoDeOperacion(op, operaciones, usuario)));
+        const copias = sinPrototipo();
+        const resultado = nombre => copias[nombre] || (copias[nombre] = sinPrototipo(this.coleccion(nombre)));
+        operaciones.forEach(op => {
+            if (op.tipo === 'escribir') {
+                resultado(op.coleccion)[op.clave] = op.valor;
+            } else {
+                delete resultado(op.coleccion)[op.clave];
+            }
+        });
+        operaciones.forEach(op => {
+            if (op.tipo === 'escribir') validarRegistro(op.coleccion, op.valor, resultado, this.coleccion(op.coleccion)[op.clave]);
+        });
+        Object.assign(this.colecciones, copias);
+        this.guardar();
+    }
+
+    /**
+     * Permiso (ver PERMISOS_ROL) que necesita una operación de un lote, con
+     * las mismas reglas que aplica DataService en el navegador:
+     * - Las listas de la propia cuenta se gestionan con 'votar'; las de otras, solo con 'administrar'.
+     * - Las entradas nuevas de la auditoría se apuntan con cualquier cambio ('votar');
+     *   modificarlas o borrarlas necesita 'administrar'.
+     * - El resto de escrituras necesita 'editar', igual que borrar un registro
+     *   que el mismo lote vuelve a escribir (p. ej. al sustituir una colección)
+     *   o una entrada de la papelera cuyo registro vuelve a su colección con el
+     *   mismo título o nombre (al restaurarla o al deshacer su eliminación).
+     * - El resto de borrados necesita 'eliminar'.
+     * @param {OperacionLote} op - Operación a comprobar.
+     * @param {OperacionLote[]} operaciones - Lote completo.
+     * @param {Usuario|null} usuario - Cuenta de la sesión.
+     * @returns {string}
+     */
+    permisoDeOperacion(op, operaciones, usuario) {
+        const guardado = this.coleccion(op.coleccion)[op.clave];
+        const escritos = coleccion => operaciones.filter(o => o.tipo === 'escribir' && o.coleccion === coleccion && o.valor);
+
+        if (op.coleccion === 'listas') {
+            const propia = lista => Boolean(usuario) && lista.usuario === usuario.id;
+            return (!guardado || propia(guardado)) && (op.tipo === 'borrar' || propia(op.valor || {})) ? 'votar' : 'administrar';
+        }
+        if (op.coleccion === 'auditoria') return op.tipo === 'escribir' && !guardado ? 'votar' : 'administrar';
+        if (op.tipo === 'escribir') return 'editar';
+        if (escritos(op.coleccion).some(o => String(o.clave) === String(op.clave))) return 'editar';
+        if (op.coleccion === 'papelera' && guardado && guardado.datos) {
+            const nombre = guardado.datos.titulo || guardado.datos.nombre;
+            const coleccion = { pelicula: 'peliculas', genero: 'generos', persona: 'personas' }[guardado.tipo];
+            if (nombre && escritos(coleccion).some(o => (o.valor.titulo || o.valor.nombre) === nombre)) return 'editar';
+        }
+        return 'eliminar';
+    }
+
+    /**
+     * Abre una sesión para una cuenta con un token nuevo.
+     * @param {Usuario} usuario - Cuenta que inicia sesión.
+     * @returns {{usuario: Object, token: string}} Datos públicos de la cuenta y token.
+     */
+    abrirSesion(usuario) {
+        const token = crypto.randomBytes(24).toString('hex');
+        this.sesiones[token] = usuario.id;
+        this.guardar();
+        return { usuario: sinCredenciales(usuario), token: token };
+    }
+
+    /**
+     * Cuenta a la que pertenece un token.
+     * @param {string|null} token - Token recibido en la petición.
+     * @returns {Usuario|null} null si no hay token o no es de una sesión abierta.
+     */
+    usuarioDeToken(token) {
+        if (!token || !Object.prototype.hasOwnProperty.call(this.sesiones, token)) return null;
+        return this.coleccion(COLECCION_USUARIOS)[this.sesiones[token]] || null;
+    }
+}
+
+/**
+ * Comprueba un registro de película, género o persona con las reglas del modelo
+ * y las mismas comprobaciones de integridad que hace DataService: el nombre del
+ * género no se repite, su padre existe y no es uno de sus subgéneros, y los
+ * géneros y personas de una película existen. Las referencias que el registro
+ * ya tenía guardadas no se comprueban, para no bloquear datos anteriores a
+ * estas comprobaciones. Los registros de otras colecciones se aceptan tal cual.
+ * @param {string} coleccion - Colección del registro.
+ * @param {Object} valor - Registro a comprobar.
+ * @param {function(string): Object<string, Object>} leer - Devuelve una colección
+ *   tal y como quedará al guardar el registro.
+ * @param {Object} [anterior] - Versión guardada del registro, si la hay.
+ * @throws {ErrorHttp} 400 si no es válido.
+ */
+function validarRegistro(coleccion, valor, leer, anterior) {
+    if (!valor || typeof valor !== 'object') throw new ErrorHttp(400, 'El registro debe ser un objeto JSON.');
+    const clase = CLASES[coleccion];
+    if (!clase) return;
+    const registro = clase.fromJSON(valor);
+    const generos = Object.values(leer('generos')).map(g => modelo.Genero.fromJSON(g));
+    let errores;
+    if (coleccion === 'generos') {
+        errores = registro.validar(generos).concat(modelo.validarJerarquiaGenero(registro, generos));
+    } else {
+        errores = registro.validar();
+    }
+    if (coleccion === 'peliculas' && errores.length === 0) {
+        const previa = anterior ? clase.fromJSON(anterior) : null;
+        const personas = leer('personas');
+        const generoNuevo = id => !previa || previa.generos.indexOf(id) === -1;
+        const personaNueva = id => !previa || !previa.creditos.some(c => c.persona === id);
+        if (registro.generos.some(id => generoNuevo(id) && !generos.some(g => g.id === id))) {
+            errores.push({ campo: 'generos', mensaje: "Alguno de los géneros no existe." });
+        }
+        if (registro.creditos.some(c => personaNueva(c.persona) && !Object.prototype.hasOwnProperty.call(personas, c.persona))) {
+            errores.push({ campo: 'creditos', mensaje: "Alguna de las personas de los créditos no existe." });
+        }
+    }
+    if (errores.length > 0) throw new ErrorHttp(400, errores.map(e => e.mensaje).join(' '), errores);
+}
+
+/**
+ * Decodifica una ruta o un segmento de ruta de la URL.
+ * @param {string} texto - Texto con codificación de URL (%XX).
+ * @returns {string}
+ * @throws {ErrorHttp} 400 si la codificación no es válida.
+ */
+function decodificarRuta(texto) {
+    try {
+        return decodeURIComponent(texto);
+    } catch (error) {
+        throw new ErrorHttp(400, 'La ruta de la petición no está bien codificada.');
+    }
+}
+
+/**
+ * Lee el cuerpo JSON de una petición.
+ * @param {http.IncomingMessage} peticion - Petición recibida.
+ * @returns {Promise<*>} Cuerpo interpretado (undefined si viene vacío).
+ * @throws {ErrorHttp} 400 si no es JSON.
+ */
+function leerCuerpo(peticion) {
+    return new Promise((resolve, reject) => {
+        const trozos = [];
+        peticion.on('data', trozo => trozos.push(trozo));
+        peticion.on('error', reject);
+        peticion.on('end', () => {
+            const texto = Buffer.concat(trozos).toString('utf8');
+            if (!texto) {
+                resolve(undefined);
+                return;
+            }
+            try {
+                resolve(JSON.parse(texto));
+            } catch (error) {
+                reject(new ErrorHttp(400, 'El cuerpo de la petición no es JSON válido.'));
+            }
+        });
+    });
+}
+
+/**
+ * Envía una respuesta JSON (o vacía si no hay cuerpo) con las cabeceras CORS.
+ * @param {http.ServerResponse} respuesta - Respuesta a enviar.
+ * @param {number} estado - Código de estado.
+ * @param {*} [cuerpo] - Cuerpo a enviar como JSON.
+ */
+function responder(respuesta, estado, cuerpo) {
+    const cabeceras = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, PUT, POST, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    };
+    if (cuerpo === undefined) {
+        respuesta.writeHead(estado, cabeceras);
+        respuesta.end();
+        return;
+    }
+    cabeceras['Content-Type'] = TIPOS_MIME['.json'];
+    respuesta.writeHead(estado, cabeceras);
+    respuesta.end(JSON.stringify(cuerpo));
+}
+
+/**
+ * Aplica un cambio en los votos de una película sobre la versión guardada,
+ * para no perder los votos que otros usuarios hayan hecho entretanto, le sube
+ * la revisión y la guarda.
+ * @param {Catalogo} catalogo - Datos del servidor.
+ * @param {string} id - ID de la película.
+ * @param {function(Pelicula): void} cambiar - Aplica el cambio con los métodos de Pelicula.
+ * @returns {{estado: number, cuerpo: *}} 200 con la película guardada, o 404 si no existe.
+ * @throws {ErrorHttp} 400 si Pelicula rechaza el cambio (p. ej. un voto fuera de rango).
+ */
+function cambiarVotos(catalogo, id, cambiar) {
+    const guardada = catalogo.coleccion('peliculas')[id];
+    if (!guardada) return { estado: 404, cuerpo: { error: 'Película no encontrada.' } };
+    const pelicula = modelo.Pelicula.fromJSON(guardada);
+    try {
+        cambiar(pelicula);
+    } catch (error) {
+        if (error instanceof ErrorHttp) throw error;
+        // Los errores de Pelicula (ErrorValidacion o Error) son para el usuario
+        throw new ErrorHttp(400, error.message, error.errores);
+    }
+    pelicula.revision = (guardada.revision || 0) + 1;
+    const registro = JSON.parse(JSON.stringify(pelicula));
+    catalogo.coleccion('peliculas')[id] = registro;
+    catalogo.guardar();
+    return { estado: 200, cuerpo: registro };
+}
+
+/**
+ * Atiende las rutas de cuentas y sesiones (ver el contrato al principio).
+ * Cualquier otra petición sobre la colección de usuarios se rechaza.
+ * @param {Catalogo} catalogo - Datos del servidor.
+ * @param {string} metodo - Método HTTP.
+ * @param {string[]} partes - Segmentos de la ruta tras /api, ya decodificados.
+ * @param {*} cuerpo - Cuerpo de la petición.
+ * @param {string|null} token - Token de la cabecera Authorization.
+ * @returns {Promise<{estado: number, cuerpo: *}|null>} Respuesta, o null si la ruta no es de cuentas.
+ * @throws {ErrorHttp}
+ */
+async function atenderCuentas(catalogo, metodo, partes, cuerpo, token) {
+    const [primera, segunda, tercera] = partes;
+    const usuarios = catalogo.coleccion(COLECCION_USUARIOS);
+    const existe = id => Object.prototype.hasOwnProperty.call(usuarios, id);
+    const nombre = cuerpo && typeof cuerpo.nombre === 'string' ? cuerpo.nombre.trim() : '';
+    const clave = cuerpo && typeof cuerpo.clave === 'string' ? cuerpo.clave : '';
+    const buscar = () => Object.values(usuarios).find(u => u.nombre.toLowerCase() === nombre.toLowerCase());
+
+    if (primera === 'sesiones' && partes.length === 1) {
+        if (metodo === 'POST') {
+            const usuario = buscar();
+            // El mismo mensaje en ambos casos para no revelar qué usuarios existen
+            if (!usuario || (await modelo.hashClave(clave, usuario.sal)) !== usuario.hash) {
+                const mensaje = 'Usuario o contraseña incorrectos.';
+                throw new ErrorHttp(400, mensaje, [{ campo: 'clave', mensaje: mensaje }]);
+            }
+            return { estado: 200, cuerpo: catalogo.abrirSesion(usuario) };
+        }
+        if (metodo === 'DELETE') {
+            if (catalogo.usuarioDeToken(token)) {
+                delete catalogo.sesiones[token];
+                catalogo.guardar();
+            }
+            return { estado: 204 };
+        }
+    }
+    if (primera !== COLECCION_USUARIOS) return null;
+
+    if (partes.length === 1 && metodo === 'GET') {
+        return { estado: 200, cuerpo: Object.values(usuarios).map(sinCredenciales) };
+    }
+    if (partes.length === 2 && metodo === 'GET') {
+        return existe(segunda) ? { estado: 200, cuerpo: sinCredenciales(usuarios[segunda]) } : { estado: 404, cuerpo: { error: 'Usuario no encontrado.' } };
+    }
+
+    if (partes.length === 1 && metodo === 'POST') {
+        const errores = modelo.validarCuenta(nombre, clave);
+        if (errores.length > 0) throw new ErrorHttp(400, errores.map(e => e.mensaje).join(' '), errores);
+        const sal = modelo.aHexadecimal(crypto.randomBytes(16));
+        const hash = await modelo.hashClave(clave, sal);
+        // Se comprueba después del hash, que es asíncrono, por si otra petición ha creado la cuenta entretanto
+        if (buscar()) {
+            throw new ErrorHttp(400, 'Ese nombre de usuario ya existe.', [{ campo: 'usuario', mensaje: 'Ese nombre de usuario ya existe.' }]);
+        }
+        const usuario = {
+            id: 'u-' + Date.now().toString(36) + crypto.randomBytes(3).toString('hex'),
+            nombre: nombre,
+            rol: Object.keys(usuarios).length === 0 ? 'administrador' : 'espectador',
+            sal: sal,
+            hash: hash,
+            creado: Date.now()
+        };
+        usuarios[usuario.id] = usuario;
+        return { estado: 201, cuerpo: catalogo.abrirSesion(usuario) };
+    }
+
+    if (partes.length === 3 && tercera === 'rol' && metodo === 'PUT') {
+        comprobarPermiso(catalogo.usuarioDeToken(token), 'administrar');
+        if (!existe(segunda)) return { estado: 404, cuerpo: { error: 'Usuario no encontrado.' } };
+        const rol = cuerpo ? cuerpo.rol : undefined;
+        if (!Object.prototype.hasOwnProperty.call(modelo.ROLES, rol)) throw new ErrorHttp(400, `Rol desconocido: ${rol}.`);
+        const usuario = usuarios[segunda];
+        const administradores = Object.values(usuarios).filter(u => u.rol === 'administrador');
+        if (usuario.rol === 'administrador' && rol !== 'administrador' && administradores.length === 1) {
+            throw new ErrorHttp(409, 'Debe quedar al menos un administrador.');
+        }
+        usuario.rol = rol;
+        catalogo.guardar();
+        return { estado: 200, cuerpo: sinCredenciales(usuario) };
+    }
+
+    throw new ErrorHttp(403, 'Las cuentas solo se gestionan con las rutas /api/usuarios y /api/sesiones.');
+}
+
+/**
+ * Atiende una petición a la API.
+ * @param {Catalogo} catalogo - Datos del servidor.
+ * @param {string} metodo - Método HTTP.
+ * @param {string[]} partes - Segmentos de la ruta tras /api, ya decodificados.
+ * @param {*} cuerpo - Cuerpo de la petición.
+ * @param {string|null} [token=null] - Token de la cabecera Authorization.
+ * @returns {Promise<{estado: number, cuerpo: *}>} Respuesta a enviar.
+ * @throws {ErrorHttp}
+ */
+async function atenderApi(catalogo, metodo, partes, cuerpo, token = null) {
+    const [primera, segunda, tercera] = partes;
+
+    if (partes.length === 0 && metodo === 'GET') {
+        const colecciones = Object.assign({}, catalogo.colecciones);
+        if (colecciones[COLECCION_USUARIOS]) {
+            colecciones[COLECCION_USUARIOS] = {};
+            Object.values(catalogo.colecciones[COLECCION_USUARIOS]).forEach(u => {
+                colecciones[COLECCION_USUARIOS][u.id] = sinCredenciales(u);
+            });
+        }
+        return { estado: 200, cuerpo: { colecciones: colecciones, meta: catalogo.meta } };
+    }
+
+    const cuentas = await atenderCuentas(catalogo, metodo, partes, cuerpo, token);
+    if (cuentas) return cuentas;
+
+    const usuario = catalogo.usuarioDeToken(token);
+
+    if (primera === 'lote' && partes.length === 1 && metodo === 'POST') {
+        catalogo.aplicarLote(cuerpo, usuario);
+        return { estado: 204 };
+    }
+
+    if (primera === 'meta' && partes.length === 2) {
+        if (metodo === 'GET') {
+            return segunda in catalogo.meta ? { estado: 200, cuerpo: { valor: catalogo.meta[segunda] } } : { estado: 404, cuerpo: { error: 'Metadato no encontrado.' } };
+        }
+        if (metodo === 'PUT') {
+            comprobarPermiso(usuario, 'administrar');
+            if (!cuerpo || !('valor' in cuerpo)) throw new ErrorHttp(400, 'Falta el valor del metadato.');
+            catalogo.meta[segunda] = cuerpo.valor;
+            catalogo.guardar();
+            return { estado: 204 };
+        }
+    }
+
+    if (primera === 'peliculas' && tercera === 'votos') {
+        if (partes.length === 3 && metodo === 'POST') {
+            comprobarPermiso(usuario, 'votar');
+            if (!cuerpo || typeof cuerpo !== 'object') throw new ErrorHttp(400, 'Falta el voto.');
+            return cambiarVotos(catalogo, segunda, pelicula => pelicula.votar(cuerpo.valor, usuario.id, cuerpo.resena));
+        }
+        if (partes.length === 3 && metodo === 'DELETE') {
+            comprobarPermiso(usuario, 'votar');
+            return cambiarVotos(catalogo, segunda, pelicula => {
+                if (!pelicula.retirarVoto(usuario.id)) throw new ErrorHttp(409, 'No has votado esta película.');
+            });
+        }
+        if (partes.length === 5 && partes[4] === 'util' && metodo === 'POST') {
+            comprobarPermiso(usuario, 'votar');
+            return cambiarVotos(catalogo, segunda, pelicula => pelicula.marcarUtil(partes[3], usuario.id));
+        }
+    }
+
+    if (partes.length === 1 && primera) {
+        if (metodo === 'GET') return { estado: 200, cuerpo: Object.values(catalogo.coleccion(primera)) };
+        if (metodo === 'PUT') {
+            if (!Array.isArray(cuerpo)) throw new ErrorHttp(400, 'Se esperaba una lista de {clave, valor}.');
+            // Se sustituye como un lote: borrar todo lo que había y escribir lo recibido
+            catalogo.aplicarLote(Object.keys(catalogo.coleccion(primera))
+                .map(clave => ({ tipo: 'borrar', coleccion: primera, clave: clave }))
+                .concat(cuerpo.map(e => ({ tipo: 'escribir', coleccion: primera, clave: e && e.clave, valor: e && e.valor }))), usuario);
+            return { estado: 204 };
+        }
+    }
+
+    if (partes.length === 2) {
+        const coleccion = catalogo.coleccion(primera);
+        if (metodo === 'GET') {
+            return segunda in coleccion ? { estado: 200, cuerpo: coleccion[segunda] } : { estado: 404, cuerpo: { error: 'Registro no encontrado.' } };
+        }
+        if (metodo === 'PUT') {
+            const existia = segunda in coleccion;
+            catalogo.aplicarLote([{ tipo: 'escribir', coleccion: primera, clave: segunda, valor: cuerpo }], usuario);
+            return { estado: existia ? 200 : 201, cuerpo: cuerpo };
+        }
+        if (metodo === 'DELETE') {
+            if (!(segunda in coleccion)) return { estado: 404, cuerpo: { error: 'Registro no encontrado.' } };
+            catalogo.aplicarLote([{ tipo: 'borrar', coleccion: primera, clave: segunda }], usuario);
+            return { estado: 204 };
+        }
+    }
+
+    throw new ErrorHttp(405, `${metodo} no está permitido en /api/${partes.join('/')}.`);
+}
+
+/**
+ * Indica si un archivo es de la aplicación y se puede servir: una página o uno
+ * de ARCHIVOS_SERVIDOS en la raíz, o un archivo de CARPETAS_SERVIDAS con una
+ * extensión admitida. Nada más sale del servidor (ni servidor/, ni las pruebas,
+ * ni la documentación).
+ * @param {string} relativa - Ruta normalizada relativa a RAIZ, con '/' como separador.
+ * @returns {boolean}
+ */
+function esArchivoServido(relativa) {
+    const partes = relativa.split('/');
+    if (partes.length === 1) return path.extname(relativa) === '.html' || ARCHIVOS_SERVIDOS.includes(relativa);
+    return partes.length === 2 && Object.prototype.hasOwnProperty.call(CARPETAS_SERVIDAS, partes[0]) &&
+        CARPETAS_SERVIDAS[partes[0]].includes(path.extname(partes[1]));
+}
+
+/**
+ * Sirve un archivo de la aplicación (ver esArchivoServido).
+ * @param {string} ruta - Ruta pedida (sin la query).
+ * @param {http.ServerResponse} respuesta - Respuesta a enviar.
+ */
+function servirArchivo(ruta, respuesta) {
+    const archivo = path.normalize(path.join(RAIZ, ruta === '/' ? 'index.html' : ruta));
+    const relativa = path.relative(RAIZ, archivo).split(path.sep).join('/');
+    if (!esArchivoServido(relativa) || !fs.existsSync(archivo) || !fs.statSync(archivo).isFile()) {
+        responder(respuesta, 404, { error: 'Archivo no encontrado.' });
+        return;
+    }
+    respuesta.writeHead(200, { 'Content-Type': TIPOS_MIME[path.extname(archivo)] || 'application/octet-stream' });
+    fs.createReadStream(archivo).pipe(respuesta);
+}
+
+/**
+ * Crea el servidor HTTP sobre un archivo de datos.
+ * @param {string} archivo - Ruta del archivo JSON.
+ * @returns {http.Server} Servidor sin arrancar.
+ */
+function crearServidor(archivo) {
+    const catalogo = new Catalogo(archivo);
+    // Las peticiones a la API esperan a que los datos estén migrados; si no se puede, responden 500
+    const preparado = catalogo.preparar();
+    preparado.catch(error => console.error(error));
+    return http.createServer(async (peticion, respuesta) => {
+        const url = new URL(peticion.url, 'http://localhost');
+        try {
+            if (peticion.method === 'OPTIONS') {
+                responder(respuesta, 204);
+                return;
+            }
+            if (url.pathname !== '/api' && !url.pathname.startsWith('/api/')) {
+                if (peticion.method !== 'GET') throw new ErrorHttp(405, 'Solo se pueden leer los archivos de la aplicación.');
+                servirArchivo(decodificarRuta(url.pathname), respuesta);
+                return;
+            }
+            await preparado;
+            const partes = url.pathname.slice('/api'.length).split('/').filter(p => p !== '').map(decodificarRuta);
+            const cuerpo = await leerCuerpo(peticion);
+            const autorizacion = /^Bearer (\S+)$/.exec(peticion.headers.authorization || '');
+            const resultado = await atenderApi(catalogo, peticion.method, partes, cuerpo, autorizacion ? autorizacion[1] : null);
+            responder(respuesta, resultado.estado, resultado.cuerpo);
+        } catch (error) {
+            if (error instanceof ErrorHttp) {
+                responder(respuesta, error.estado, error.errores ? { error: error.message, errores: error.errores } : { error: error.message });
+                return;
+            }
+            console.error(error);
+            responder(respuesta, 500, { error: 'Error interno del servidor.' });
+        }
+    });
+}
+
+// --- INICIALIZACIÓN ---
+
+if (require.main === module) {
+    const puerto = parseInt(process.argv[2]) || 8080;
+    const archivo = path.resolve(process.argv[3] || path.join(os.homedir(), '.cmdb', 'datos.json'));
+    fs.mkdirSync(path.dirname(archivo), { recursive: true });
+    crearServidor(archivo).listen(puerto, () => {
+        console.log(`CMDB: http://localhost:${puerto}/ (datos en ${archivo})`);
+    });
+}
+
+module.exports = { crearServidor };
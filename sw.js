@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Service worker de CMDB. Al instalarse guarda en caché las
+ * páginas, estilos y scripts de la aplicación para que se pueda abrir sin
+ * conexión. Los datos no pasan por aquí: viven en el navegador o, con un
+ * servidor compartido, en la copia de AlmacenamientoRemoto, así que las
+ * peticiones a /api van siempre a la red.
+ * Se registra desde js/interfaz.js.
+ * @module sw
+ */
+
+/**
+ * Nombre de la caché. Al cambiar la lista de archivos hay que subir la
+ * versión para que los navegadores descarten la caché anterior.
+ * @type {string}
+ */
+const VERSION_CACHE = 'cmdb-v1';
+
+/**
+ * Archivos que se guardan al instalar (rutas relativas a la raíz de la aplicación).
+ * @type {string[]}
+ */
+const ARCHIVOS = [
+    './',
+    'index.html',
+    'listado.html',
+    'listas.html',
+    'peliculas.html',
+    'pelicula.html',
+    'generos.html',
+    'personas.html',
+    'persona.html',
+    'estadisticas.html',
+    'ranking.html',
+    'recomendaciones.html',
+    'datos.html',
+    'fusionar.html',
+    'papelera.html',
+    'auditoria.html',
+    'cuenta.html',
+    'css/styles.css',
+    'css/stylesPeliculas.css',
+    'js/almacenamiento.js',
+    'js/Logica.js',
+    'js/interfaz.js',
+    'js/intercambio.js',
+    'js/metricas.js',
+    'js/graficos.js',
+    'js/listado.js',
+    'js/listas.js',
+    'js/peliculas.js',
+    'js/pelicula.js',
+    'js/generos.js',
+    'js/personas.js',
+    'js/persona.js',
+    'js/estadisticas.js',
+    'js/ranking.js',
+    'js/recomendaciones.js',
+    'js/datos.js',
+    'js/fusionar.js',
+    'js/papelera.js',
+    'js/auditoria.js',
+    'js/cuenta.js',
+    'manifest.webmanifest',
+    'img/icono.svg'
+];
+
+/**
+ * Guarda todos los archivos de la aplicación. Si falta alguno la instalación
+ * falla y se mantiene el service worker anterior.
+ * @event install
+ */
+self.addEventListener('install', e => {
+    e.waitUntil(caches.open(VERSION_CACHE)
+        .then(cache => cache.addAll(ARCHIVOS))
+        .then(() => self.skipWaiting()));
+});
+
+/**
+ * Borra las cachés de versiones anteriores y toma el control de las páginas abiertas.
+ * @event activate
+ */
+self.addEventListener('activate', e => {
+    e.waitUntil(caches.keys()
+        .then(nombres => Promise.all(nombres
+            .filter(nombre => nombre.startsWith('cmdb-') && nombre !== VERSION_CACHE)
+            .map(nombre => caches.delete(nombre))))
+        .then(() => self.clients.claim()));
+});
+
+/**
+ * Responde a los archivos de la aplicación desde la caché y a la vez los pide
+ * a la red para tener la versión nueva la próxima vez. Las páginas con query
+ * (p. ej. pelicula.html?id=3) comparten la entrada de la página.
+ * @event fetch
+ */
+self.addEventListener('fetch', e => {
+    const url = new URL(e.request.url);
+    if (e.request.method !== 'GET' || url.origin !== self.location.origin) return;
+    if (url.pathname === '/api' || url.pathname.startsWith('/api/')) return;
+
+    const clave = url.origin + url.pathname;
+    const red = fetch(e.request).then(respuesta => {
+        if (respuesta.ok) {
+            const copia = respuesta.clone();
+            caches.open(VERSION_CACHE).then(cache => cache.put(clave, copia));
+        }
+        return respuesta;
+    });
+    e.respondWith(caches.match(clave).then(guardada => guardada || red));
+    // Sin conexión la petición falla, pero ya se ha respondido con la caché
+    e.waitUntil(red.catch(() => {}));
+});
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Pruebas de los adaptadores de almacenamiento (js/almacenamiento.js)
+ * y de DataService sobre AlmacenamientoMemoria.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { cargarAplicacion, aplicacionConDatos, comoAdministrador, storageFalso, plano } = require('./entorno');
+
+/**
+ * Adaptadores que se prueban con el mismo contrato. IndexedDB necesita un navegador.
+ * @type {Object<string, function(Object): AdaptadorAlmacenamiento>}
+ */
+const ADAPTADORES = {
+    AlmacenamientoMemoria: app => new app.AlmacenamientoMemoria(),
+    AlmacenamientoLocal: app => new app.AlmacenamientoLocal(storageFalso())
+};
+
+Object.keys(ADAPTADORES).forEach(nombre => {
+    test.describe(nombre, () => {
+        let almacenamiento;
+        test.beforeEach(async () => {
+            almacenamiento = ADAPTADORES[nombre](cargarAplicacion());
+            await almacenamiento.abrir();
+        });
+
+        test.it('escribe, lee y borra registros', async () => {
+            await almacenamiento.escribir('generos', 1, { id: 1, nombre: 'Drama' });
+            await almacenamiento.escribir('generos', 2, { id: 2, nombre: 'Terror' });
+            assert.deepStrictEqual(plano(await almacenamiento.leer('generos', 1)), { id: 1, nombre: 'Drama' });
+            assert.strictEqual((await almacenamiento.leerTodos('generos')).length, 2);
+
+            await almacenamiento.borrar('generos', 1);
+            assert.strictEqual(await almacenamiento.leer('generos', 1), null);
+            assert.deepStrictEqual(plano(await almacenamiento.leerTodos('generos')), [{ id: 2, nombre: 'Terror' }]);
+        });
+
+        test.it('reemplazar sustituye la colección completa', async () => {
+            await almacenamiento.escribir('generos', 1, { id: 1, nombre: 'Drama' });
+            await almacenamiento.reemplazar('generos', [{ clave: 3, valor: { id: 3, nombre: 'Comedia' } }]);
+            assert.deepStrictEqual(plano(await almacenamiento.leerTodos('generos')), [{ id: 3, nombre: 'Comedia' }]);
+        });
+
+        test.it('los registros leídos no comparten referencias con lo guardado', async () => {
+            const genero = { id: 1, nombre: 'Drama' };
+            await almacenamiento.escribir('generos', 1, genero);
+            genero.nombre = 'Cambiado';
+            const leido = await almacenamiento.leer('generos', 1);
+            leido.nombre = 'Otro';
+            assert.strictEqual((await almacenamiento.leer('generos', 1)).nombre, 'Drama');
+        });
+
+        test.it('guarda metadatos y devuelve null si no existen', async () => {
+            assert.strictEqual(await almacenamiento.leerMeta('cmdb_inicializado'), null);
+            await almacenamiento.escribirMeta('cmdb_inicializado', true);
+            assert.strictEqual(await almacenamiento.leerMeta('cmdb_inicializado'), true);
+        });
+    });
+});
+
+test.it('sin IndexedDB se usa LocalStorage y, sin ninguno, memoria', () => {
+    const conLocal = cargarAplicacion({ localStorage: storageFalso() });
+    assert.ok(conLocal.crearAlmacenamientoPorDefecto() instanceof conLocal.AlmacenamientoLocal);
+    const sinNada = cargarAplicacion();
+    assert.ok(sinNada.crearAlmacenamientoPorDefecto() instanceof sinNada.AlmacenamientoMemoria);
+});
+
+test.describe('DataService', () => {
+    test.it('crea los datos de ejemplo la primera vez', async () => {
+        const { DataService } = await aplicacionConDatos();
+        assert.strictEqual((await DataService.getGeneros()).length, 2);
+        assert.strictEqual((await DataService.getPeliculas()).length, 5);
+    });
+
+    test.it('no vuelve a crear los datos de ejemplo si ya se inicializó', async () => {
+        const app = cargarAplicacion();
+        const almacenamiento = new app.AlmacenamientoMemoria();
+        await almacenamiento.escribirMeta('cmdb_inicializado', true);
+        app.DataService.usarAlmacenamiento(almacenamiento);
+        assert.deepStrictEqual(plano(await app.DataService.getPeliculas()), []);
+    });
+
+    test.it('devuelve instancias de las clases del modelo', async () => {
+        const { DataService, Pelicula } = await aplicacionConDatos();
+        const pelicula = await DataService.getPelicula(3);
+        assert.ok(pelicula instanceof Pelicula);
+        assert.strictEqual(pelicula.titulo, 'The Matrix');
+        assert.strictEqual(pelicula.numeroVotos, 4);
+        assert.strictEqual(await DataService.getPelicula(99), null);
+    });
+
+    test.it('guarda y elimina registros sueltos', async () => {
+        const { DataService, Genero } = await comoAdministrador();
+        await DataService.guardarGenero(new Genero(3, 'Terror'));
+        assert.strictEqual((await DataService.getGeneros()).length, 3);
+        await DataService.eliminarPelicula(5);
+        assert.strictEqual(await DataService.getPelicula(5), null);
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Entorno para probar los scripts del navegador con Node.
+ * Carga los scripts de js/ en un contexto aislado con lo mínimo del navegador
+ * que usan. Cada llamada crea un contexto nuevo, así que cada prueba parte de
+ * un DataService limpio.
+ * @module test/entorno
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+
+/**
+ * Scripts de la aplicación que se cargan, en el orden de las páginas.
+ * @type {string[]}
+ */
+const SCRIPTS = ['almacenamiento.js', 'Logica.js'];
+
+/**
+ * Carga la aplicación en un contexto nuevo. Sin localStorage ni indexedDB,
+ * DataService hay que usarlo con un AlmacenamientoMemoria.
+ * @param {Object} [extra={}] - Globales adicionales (p. ej. un localStorage falso).
+ * @returns {Object} Objeto cuyas propiedades son los nombres globales de los
+ *   scripts (DataService, Pelicula...), o undefined si no existen.
+ */
+function cargarAplicacion(extra = {}) {
+    const objetivo = { addEventListener() {}, dispatchEvent() {} };
+    const contexto = vm.createContext(Object.assign({
+        console: console,
+        crypto: crypto.webcrypto,
+        TextEncoder: TextEncoder,
+        CustomEvent: class CustomEvent {
+            constructor(tipo, opciones) {
+                this.type = tipo;
+                this.detail = opciones ? opciones.detail : undefined;
+            }
+        },
+        // Los avisos entre pestañas no tienen a nadie a quien llegar
+        BroadcastChannel: class BroadcastChannel {
+            addEventListener() {}
+            postMessage() {}
+        },
+        document: objetivo,
+        window: objetivo
+    }, extra));
+    SCRIPTS.forEach(nombre => {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'js', nombre), 'utf8'), contexto, { filename: nombre });
+    });
+    // Las clases y constantes de los scripts no son propiedades del contexto: se leen por su nombre
+    return new Proxy({}, {
+        get: (objetivo, nombre) => (typeof nombre === 'string' && /^[A-Za-z_$][\w$]*$/.test(nombre)
+            ? vm.runInContext(`typeof ${nombre} === 'undefined' ? undefined : ${nombre}`, contexto)
+            : undefined)
+    });
+}
+
+/**
+ * Carga la aplicación y prepara DataService sobre un almacenamiento en memoria
+ * con los datos de ejemplo.
+ * @returns {Promise<Object>} Lo mismo que cargarAplicacion.
+ */
+async function aplicacionConDatos() {
+    const app = cargarAplicacion();
+    app.DataService.usarAlmacenamiento(new app.AlmacenamientoMemoria());
+    await app.DataService.inicializar();
+    return app;
+}
+
+/**
+ * Como aplicacionConDatos, pero con la sesión iniciada en la primera cuenta,
+ * que es de administrador y puede hacer cualquier cambio.
+ * @returns {Promise<Object>} Lo mismo que cargarAplicacion.
+ */
+async function comoAdministrador() {
+    const app = await aplicacionConDatos();
+    await app.DataService.registrarUsuario('ana', 'clave1234');
+    return app;
+}
+
+/**
+ * Storage falso (la interfaz de localStorage) sobre un Map.
+ * @param {Object<string, *>} [datos={}] - Claves y valores iniciales (se guardan como JSON).
+ * @returns {Object} Objeto con getItem, setItem y removeItem.
+ */
+function storageFalso(datos = {}) {
+    const valores = new Map(Object.keys(datos).map(clave => [clave, JSON.stringify(datos[clave])]));
+    return {
+        getItem: clave => (valores.has(clave) ? valores.get(clave) : null),
+        setItem: (clave, valor) => valores.set(clave, String(valor)),
+        removeItem: clave => valores.delete(clave)
+    };
+}
+
+/**
+ * Copia un valor como JSON. Los objetos del contexto de la aplicación tienen
+ * otros prototipos y assert.deepStrictEqual no los daría por iguales.
+ * @param {*} valor - Valor a copiar.
+ * @returns {*}
+ */
+function plano(valor) {
+    return JSON.parse(JSON.stringify(valor));
+}
+
+module.exports = { cargarAplicacion, aplicacionConDatos, comoAdministrador, storageFalso, plano };
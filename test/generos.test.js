@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Pruebas de los géneros anidados: jerarquía, fusión, ranking
+ * por género con sus subgéneros e importación del árbol.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { comoAdministrador, plano } = require('./entorno');
+
+/**
+ * Lee un género guardado.
+ * @param {Object} app - Aplicación cargada.
+ * @param {number} id - ID del género.
+ * @returns {Promise<Genero|undefined>}
+ */
+async function genero(app, id) {
+    return (await app.DataService.getGeneros()).find(g => g.id === id);
+}
+
+test.it('un género no puede colgar de uno que no existe ni de sus subgéneros', async () => {
+    const { DataService, Genero, ErrorValidacion } = await comoAdministrador();
+    await assert.rejects(DataService.guardarGenero(new Genero(3, 'Cyberpunk', 99)), ErrorValidacion);
+    await DataService.guardarGenero(new Genero(3, 'Cyberpunk', 1));
+    const revision = async id => (await DataService.getGeneros()).find(g => g.id === id).revision;
+    await assert.rejects(DataService.moverGenero(1, 3, await revision(1)), ErrorValidacion);
+    await DataService.moverGenero(3, 2, await revision(3));
+    assert.deepStrictEqual(plano((await DataService.subgenerosDe(2)).map(g => g.id)), [3]);
+});
+
+test.it('no mueve un género que otra pestaña ha cambiado desde que se pintó el árbol', async () => {
+    const app = await comoAdministrador();
+    const pintado = await genero(app, 2);
+    const otraPestana = await genero(app, 2);
+    otraPestana.nombre = 'Dramas';
+    await app.DataService.guardarGenero(otraPestana);
+
+    await assert.rejects(app.DataService.moverGenero(2, 1, pintado.revision), error => {
+        assert.ok(error instanceof app.ErrorConflicto);
+        assert.strictEqual(error.actual.nombre, 'Dramas');
+        return true;
+    });
+    assert.strictEqual((await genero(app, 2)).padre, null);
+    await app.DataService.moverGenero(2, 1, (await genero(app, 2)).revision);
+    assert.strictEqual((await genero(app, 2)).padre, 1);
+});
+
+test.it('al fusionar, los subgéneros del absorbido pasan al que se conserva', async () => {
+    const app = await comoAdministrador();
+    await app.DataService.guardarGenero(new app.Genero(3, 'Thriller', 2));
+    await assert.rejects(app.DataService.fusionarGeneros(3, 2), /subgéneros/);
+
+    const reasignadas = await app.DataService.fusionarGeneros(1, 2);
+    assert.strictEqual(reasignadas, 3);
+    assert.strictEqual(await genero(app, 2), undefined);
+    assert.strictEqual((await genero(app, 3)).padre, 1);
+    assert.deepStrictEqual(plano((await app.DataService.getPelicula(4)).generos), [1]);
+});
+
+test.it('el ranking de un género incluye sus subgéneros', async () => {
+    const app = await comoAdministrador();
+    await app.DataService.guardarGenero(new app.Genero(3, 'Cyberpunk', 1));
+    const padrino = await app.DataService.getPelicula(4);
+    padrino.generos = [3];
+    await app.DataService.guardarPelicula(padrino);
+
+    const ranking = await app.DataService.getRanking({ genero: 1 });
+    const ids = ranking.filas.map(f => f.pelicula.id).sort();
+    assert.deepStrictEqual(plano(ids), [1, 2, 3, 4, 5]);
+});
+
+test.it('al importar una copia se conserva el árbol de géneros', async () => {
+    const app = await comoAdministrador();
+    const resumen = await app.DataService.importarPeliculas(
+        [{ titulo: 'Blade Runner', fecha: '1982-06-25', popularidad: 70, generos: ['Cyberpunk'], votos: [], creditos: [] }],
+        [{ id: 10, nombre: 'Ciencia ficción', padre: null }, { id: 11, nombre: 'Cyberpunk', padre: 10 }, { id: 12, nombre: 'Noir', padre: 11 }]
+    );
+    assert.deepStrictEqual(plano(resumen.generosCreados), ['Cyberpunk', 'Noir']);
+    const generos = await app.DataService.getGeneros();
+    const cyberpunk = generos.find(g => g.nombre === 'Cyberpunk');
+    assert.strictEqual(cyberpunk.padre, 1);
+    assert.strictEqual(generos.find(g => g.nombre === 'Noir').padre, cyberpunk.id);
+});
+
+test.describe('eliminar un género con películas', () => {
+    test.it('hay que indicar qué hacer con sus películas y no puede tener subgéneros', async () => {
+        const app = await comoAdministrador();
+        await assert.rejects(app.DataService.eliminarGenero(2), app.ErrorIntegridad);
+        await app.DataService.guardarGenero(new app.Genero(3, 'Thriller', 2));
+        await assert.rejects(app.DataService.eliminarGenero(2, { modo: 'quitar' }), /subgéneros/);
+        assert.ok(await genero(app, 2));
+    });
+
+    test.it('al reasignar, las películas pasan al otro género sin repetirlo', async () => {
+        const app = await comoAdministrador();
+        await assert.rejects(app.DataService.eliminarGenero(2, { modo: 'reasignar', destino: 99 }), app.ErrorValidacion);
+        await assert.rejects(app.DataService.eliminarGenero(2, { modo: 'reasignar', destino: 2 }), app.ErrorValidacion);
+
+        await app.DataService.eliminarGenero(2, { modo: 'reasignar', destino: 1 });
+        assert.strictEqual(await genero(app, 2), undefined);
+        for (const id of [1, 2, 4]) {
+            assert.deepStrictEqual(plano((await app.DataService.getPelicula(id)).generos), [1]);
+        }
+        assert.deepStrictEqual(plano((await app.DataService.getHistorial()).deshacer), ['Eliminar género "Drama" y pasar 3 películas a "Ciencia Ficción"']);
+
+        await app.DataService.deshacer();
+        assert.ok(await genero(app, 2));
+        assert.deepStrictEqual(plano((await app.DataService.getPelicula(1)).generos), [1, 2]);
+        assert.deepStrictEqual(plano((await app.DataService.getPelicula(4)).generos), [2]);
+    });
+
+    test.it('al quitarlo, ninguna película puede quedarse sin géneros', async () => {
+        const app = await comoAdministrador();
+        await assert.rejects(app.DataService.eliminarGenero(2, { modo: 'quitar' }), error => {
+            assert.ok(error instanceof app.ErrorIntegridad);
+            assert.match(error.message, /"El Padrino" se quedaría sin ningún género/);
+            return true;
+        });
+        assert.deepStrictEqual(plano((await app.DataService.getPelicula(1)).generos), [1, 2]);
+
+        await app.DataService.guardarGenero(new app.Genero(3, 'Clásico'));
+        for (const id of [1, 4]) {
+            const pelicula = await app.DataService.getPelicula(id);
+            pelicula.generos.push(3);
+            await app.DataService.guardarPelicula(pelicula);
+        }
+        await app.DataService.eliminarGenero(3, { modo: 'quitar' });
+        assert.strictEqual(await genero(app, 3), undefined);
+        assert.deepStrictEqual(plano((await app.DataService.getPelicula(1)).generos), [1, 2]);
+        assert.deepStrictEqual(plano((await app.DataService.getPelicula(4)).generos), [2]);
+        assert.strictEqual((await app.DataService.getPapelera()).length, 1);
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Pruebas del historial de deshacer/rehacer de DataService.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { comoAdministrador, plano } = require('./entorno');
+
+/**
+ * Renombra un género guardado.
+ * @param {Object} app - Aplicación cargada.
+ * @param {number} id - ID del género.
+ * @param {string} nombre - Nombre nuevo.
+ * @returns {Promise<void>}
+ */
+async function renombrarGenero(app, id, nombre) {
+    const genero = (await app.DataService.getGeneros()).find(g => g.id === id);
+    genero.nombre = nombre;
+    await app.DataService.guardarGenero(genero);
+}
+
+/**
+ * Nombres de los géneros guardados, por ID.
+ * @param {Object} app - Aplicación cargada.
+ * @returns {Promise<string[]>}
+ */
+async function nombresGeneros(app) {
+    return plano((await app.DataService.getGeneros()).sort((a, b) => a.id - b.id).map(g => g.nombre));
+}
+
+test.it('deshace y rehace un cambio', async () => {
+    const app = await comoAdministrador();
+    await renombrarGenero(app, 1, 'Sci-Fi');
+    assert.deepStrictEqual(plano(await app.DataService.getHistorial()), { deshacer: ['Editar género "Sci-Fi"'], rehacer: [] });
+
+    assert.strictEqual(await app.DataService.deshacer(), 'Editar género "Sci-Fi"');
+    assert.deepStrictEqual(await nombresGeneros(app), ['Ciencia Ficción', 'Drama']);
+    assert.deepStrictEqual(plano(await app.DataService.getHistorial()), { deshacer: [], rehacer: ['Editar género "Sci-Fi"'] });
+
+    await app.DataService.rehacer();
+    assert.deepStrictEqual(await nombresGeneros(app), ['Sci-Fi', 'Drama']);
+});
+
+test.it('deshacer una eliminación recupera el registro y lo saca de la papelera', async () => {
+    const app = await comoAdministrador();
+    await app.DataService.eliminarPelicula(3);
+    assert.strictEqual((await app.DataService.getPapelera()).length, 1);
+
+    await app.DataService.deshacer();
+    assert.strictEqual((await app.DataService.getPelicula(3)).titulo, 'The Matrix');
+    assert.deepStrictEqual(plano(await app.DataService.getPapelera()), []);
+});
+
+test.it('sin nada que deshacer devuelve null', async () => {
+    const { DataService } = await comoAdministrador();
+    assert.strictEqual(await DataService.deshacer(), null);
+    assert.strictEqual(await DataService.rehacer(), null);
+});
+
+test.it('una operación nueva vacía la lista de rehacer', async () => {
+    const app = await comoAdministrador();
+    await renombrarGenero(app, 1, 'Sci-Fi');
+    await app.DataService.deshacer();
+    await renombrarGenero(app, 2, 'Dramas');
+    assert.deepStrictEqual(plano((await app.DataService.getHistorial()).rehacer), []);
+});
+
+test.it('solo guarda las últimas operaciones', async () => {
+    const app = await comoAdministrador();
+    app.DataService.limiteHistorial = 2;
+    for (const nombre of ['A', 'B', 'C']) {
+        await renombrarGenero(app, 1, nombre);
+    }
+    assert.deepStrictEqual(plano((await app.DataService.getHistorial()).deshacer), ['Editar género "B"', 'Editar género "C"']);
+});
+
+test.it('no deshace si los datos han cambiado por otra vía y descarta la operación', async () => {
+    const app = await comoAdministrador();
+    await renombrarGenero(app, 1, 'Sci-Fi');
+    await app.DataService.almacenamiento.escribir('generos', 1, { id: 1, nombre: 'Otro' });
+
+    await assert.rejects(app.DataService.deshacer(), app.ErrorIntegridad);
+    assert.deepStrictEqual(await nombresGeneros(app), ['Otro', 'Drama']);
+    assert.deepStrictEqual(plano((await app.DataService.getHistorial()).deshacer), []);
+});
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Pruebas de las migraciones del esquema (MIGRACIONES en
+ * js/Logica.js). Cada paso se prueba por separado, con los datos tal y como
+ * los dejaba la versión anterior, y DataService de principio a fin.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { cargarAplicacion, storageFalso, plano } = require('./entorno');
+
+/**
+ * Aplica un paso de migración sobre un almacenamiento en memoria.
+ * @param {number} version - Versión de partida (índice en MIGRACIONES).
+ * @param {Object<string, Object[]>} colecciones - Registros de cada colección.
+ * @param {Object<string, *>} [meta={}] - Metadatos iniciales.
+ * @returns {Promise<AlmacenamientoMemoria>} El almacenamiento migrado.
+ */
+async function migrarDesde(version, colecciones, meta = {}) {
+    const app = cargarAplicacion();
+    const almacenamiento = new app.AlmacenamientoMemoria();
+    for (const nombre of Object.keys(colecciones)) {
+        await almacenamiento.reemplazar(nombre, colecciones[nombre].map(valor => ({ clave: valor.clave || valor.id || valor._id, valor })));
+    }
+    for (const clave of Object.keys(meta)) {
+        await almacenamiento.escribirMeta(clave, meta[clave]);
+    }
+    await app.MIGRACIONES[version](almacenamiento);
+    return almacenamiento;
+}
+
+test.describe('pasos de migración', () => {
+    test.it('v0 → v1: los registros usan id en lugar de _id', async () => {
+        const almacenamiento = await migrarDesde(0, {
+            generos: [{ _id: 1, nombre: 'Drama' }],
+            peliculas: [{ _id: 4, titulo: 'El Padrino', fecha: '1972-03-14', popularidad: 98, generos: [1] }]
+        });
+        assert.deepStrictEqual(plano(await almacenamiento.leer('generos', 1)), { id: 1, nombre: 'Drama' });
+        assert.deepStrictEqual(plano(await almacenamiento.leer('peliculas', 4)), {
+            id: 4, titulo: 'El Padrino', fecha: '1972-03-14', popularidad: 98, generos: [1], puntuaciones: []
+        });
+    });
+
+    test.it('v1 → v2: las puntuaciones pasan a votos legados, también en la papelera, y se vacía el historial', async () => {
+        const pelicula = { id: 4, titulo: 'El Padrino', fecha: '1972-03-14', popularidad: 98, generos: [1], puntuaciones: [8, 10] };
+        const almacenamiento = await migrarDesde(1, {
+            peliculas: [pelicula],
+            papelera: [{ clave: 'pelicula:5:1', tipo: 'pelicula', eliminado: 1, datos: Object.assign({}, pelicula, { id: 5, puntuaciones: [7] }) }]
+        }, { cmdb_historial: { deshacer: [{ descripcion: 'x', instante: 1, cambios: [] }], rehacer: [] } });
+
+        const migrada = await almacenamiento.leer('peliculas', 4);
+        assert.strictEqual(migrada.puntuaciones, undefined);
+        assert.deepStrictEqual(plano(migrada.votos), [
+            { usuario: null, valor: 8, instante: null, activo: true },
+            { usuario: null, valor: 10, instante: null, activo: true }
+        ]);
+        assert.deepStrictEqual(plano((await almacenamiento.leer('papelera', 'pelicula:5:1')).datos.votos.map(v => v.valor)), [7]);
+        assert.strictEqual(await almacenamiento.leerMeta('cmdb_historial'), null);
+    });
+
+    test.it('v2 → v3: las películas, también las de la papelera, reciben la ficha vacía', async () => {
+        const pelicula = { id: 4, titulo: 'El Padrino', fecha: '1972-03-14', popularidad: 98, generos: [1], votos: [] };
+        const almacenamiento = await migrarDesde(2, {
+            peliculas: [pelicula],
+            papelera: [{ clave: 'pelicula:5:1', tipo: 'pelicula', eliminado: 1, datos: Object.assign({}, pelicula, { id: 5 }) }]
+        }, { cmdb_historial: { deshacer: [{ descripcion: 'x', instante: 1, cambios: [] }], rehacer: [] } });
+
+        const ficha = { tituloOriginal: '', sinopsis: '', duracion: null, pais: '', idioma: '', clasificacion: '', poster: null };
+        assert.deepStrictEqual(plano(await almacenamiento.leer('peliculas', 4)), Object.assign({}, ficha, pelicula));
+        assert.deepStrictEqual(plano((await almacenamiento.leer('papelera', 'pelicula:5:1')).datos), Object.assign({}, ficha, pelicula, { id: 5 }));
+        assert.strictEqual(await almacenamiento.leerMeta('cmdb_historial'), null);
+    });
+
+    test.it('v3 → v4: las películas, también las de la papelera, empiezan sin créditos', async () => {
+        const pelicula = { id: 4, titulo: 'El Padrino', fecha: '1972-03-14', popularidad: 98, generos: [1], votos: [] };
+        const almacenamiento = await migrarDesde(3, {
+            peliculas: [pelicula],
+            papelera: [{ clave: 'pelicula:5:1', tipo: 'pelicula', eliminado: 1, datos: Object.assign({}, pelicula, { id: 5 }) }]
+        });
+
+        assert.deepStrictEqual(plano((await almacenamiento.leer('peliculas', 4)).creditos), []);
+        assert.deepStrictEqual(plano((await almacenamiento.leer('papelera', 'pelicula:5:1')).datos.creditos), []);
+    });
+
+    test.it('v4 → v5: los registros reciben revisión, los géneros quedan como principales y el historial se conserva', async () => {
+        const historial = { deshacer: [{ descripcion: 'x', instante: 1, cambios: [] }], rehacer: [] };
+        const almacenamiento = await migrarDesde(4, {
+            generos: [{ id: 1, nombre: 'Drama' }],
+            personas: [{ id: 2, nombre: 'Ridley Scott' }],
+            peliculas: [{ id: 3, titulo: 'Alien', fecha: '1979-05-25', popularidad: 80, generos: [1], votos: [], creditos: [] }],
+            papelera: [{ clave: 'genero:4:1', tipo: 'genero', eliminado: 1, datos: { id: 4, nombre: 'Terror' } }]
+        }, { cmdb_historial: historial });
+
+        assert.deepStrictEqual(plano(await almacenamiento.leer('generos', 1)), { id: 1, nombre: 'Drama', padre: null, revision: 0 });
+        assert.strictEqual((await almacenamiento.leer('personas', 2)).revision, 0);
+        assert.strictEqual((await almacenamiento.leer('peliculas', 3)).revision, 0);
+        assert.deepStrictEqual(plano((await almacenamiento.leer('papelera', 'genero:4:1')).datos), { id: 4, nombre: 'Terror', padre: null, revision: 0 });
+        assert.deepStrictEqual(plano(await almacenamiento.leerMeta('cmdb_historial')), historial);
+    });
+});
+
+test.describe('DataService', () => {
+    test.it('los datos de LocalStorage sin versión llegan a la versión actual', async () => {
+        const localStorage = storageFalso({
+            cmdb_generos: [{ _id: 1, nombre: 'Drama' }],
+            cmdb_peliculas: [{ _id: 1, titulo: 'El Padrino', fecha: '1972-03-14', popularidad: 98, generos: [1], puntuaciones: [8, 10] }]
+        });
+        const { DataService, AlmacenamientoMemoria, VERSION_ESQUEMA } = cargarAplicacion({ localStorage });
+        const almacenamiento = new AlmacenamientoMemoria();
+        DataService.usarAlmacenamiento(almacenamiento);
+
+        const peliculas = await DataService.getPeliculas();
+        assert.strictEqual(await almacenamiento.leerMeta('cmdb_schema_version'), VERSION_ESQUEMA);
+        assert.strictEqual(localStorage.getItem('cmdb_peliculas'), null);
+        assert.deepStrictEqual(plano(peliculas.map(p => [p.id, p.titulo, p.numeroVotos])), [[1, 'El Padrino', 2]]);
+        assert.deepStrictEqual(plano((await DataService.getGeneros()).map(g => [g.id, g.nombre])), [[1, 'Drama']]);
+    });
+
+    test.it('los datos de ejemplo se crean ya en la versión actual', async () => {
+        const { DataService, AlmacenamientoMemoria, VERSION_ESQUEMA } = cargarAplicacion();
+        const almacenamiento = new AlmacenamientoMemoria();
+        DataService.usarAlmacenamiento(almacenamiento);
+        await DataService.inicializar();
+        assert.strictEqual(await almacenamiento.leerMeta('cmdb_schema_version'), VERSION_ESQUEMA);
+        assert.strictEqual((await DataService.getPelicula(3)).titulo, 'The Matrix');
+    });
+
+    test.it('no se abren datos de una versión más reciente', async () => {
+        const { DataService, AlmacenamientoMemoria, VERSION_ESQUEMA } = cargarAplicacion();
+        const almacenamiento = new AlmacenamientoMemoria();
+        await almacenamiento.escribirMeta('cmdb_inicializado', true);
+        await almacenamiento.escribirMeta('cmdb_schema_version', VERSION_ESQUEMA + 1);
+        DataService.usarAlmacenamiento(almacenamiento);
+        await assert.rejects(DataService.inicializar(), /versión más reciente/);
+    });
+});
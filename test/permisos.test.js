@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Pruebas de las cuentas locales y de los permisos por rol que
+ * DataService comprueba al modificar el catálogo.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { cargarAplicacion, aplicacionConDatos, comoAdministrador } = require('./entorno');
+
+test.it('sin sesión no se puede editar ni eliminar pero sí votar', async () => {
+    const { DataService, Genero, ErrorPermiso } = await aplicacionConDatos();
+    await assert.rejects(DataService.guardarGenero(new Genero(3, 'Terror')), ErrorPermiso);
+    await assert.rejects(DataService.eliminarPelicula(1), ErrorPermiso);
+    const pelicula = await DataService.votarPelicula(5, 7);
+    assert.strictEqual(pelicula.numeroVotos, 1);
+});
+
+test.it('la primera cuenta es de administrador y las siguientes de espectador', async () => {
+    const { DataService, Genero, ErrorPermiso } = await comoAdministrador();
+    assert.strictEqual((await DataService.getSesion()).rol, 'administrador');
+    await DataService.guardarGenero(new Genero(3, 'Terror'));
+    await DataService.cerrarSesion();
+
+    const bea = await DataService.registrarUsuario('bea', 'clave1234');
+    assert.strictEqual(bea.rol, 'espectador');
+    await assert.rejects(DataService.guardarGenero(new Genero(4, 'Comedia')), ErrorPermiso);
+    await assert.rejects(DataService.deshacer(), ErrorPermiso);
+});
+
+test.it('inicia sesión solo con la contraseña correcta y no repite nombres', async () => {
+    const { DataService, ErrorValidacion } = await comoAdministrador();
+    await DataService.cerrarSesion();
+    await assert.rejects(DataService.iniciarSesion('ana', 'otra-clave'), ErrorValidacion);
+    await assert.rejects(DataService.registrarUsuario('ANA', 'clave1234'), ErrorValidacion);
+    assert.strictEqual((await DataService.iniciarSesion('ANA', 'clave1234')).nombre, 'ana');
+});
+
+test.it('un editor no cambia los ajustes ni deshace la creación de un registro', async () => {
+    const { DataService, Genero, ErrorPermiso } = await comoAdministrador();
+    await DataService.cerrarSesion();
+    const eva = await DataService.registrarUsuario('eva', 'clave1234');
+    await DataService.iniciarSesion('ana', 'clave1234');
+    await DataService.cambiarRol(eva.id, 'editor');
+    await DataService.iniciarSesion('eva', 'clave1234');
+
+    await assert.rejects(DataService.setVotosMinimos(0), ErrorPermiso);
+    await assert.rejects(DataService.setDiasRetencion(10), ErrorPermiso);
+    await DataService.guardarGenero(new Genero(3, 'Terror'));
+    await assert.rejects(DataService.deshacer(), ErrorPermiso);
+    // La operación sigue en el historial para quien sí pueda deshacerla
+    const historial = await DataService.getHistorial();
+    assert.strictEqual(historial.deshacer[historial.deshacer.length - 1], 'Añadir género "Terror"');
+});
+
+test.it('con servidor, sin sesión no se permite ningún cambio', async () => {
+    const { DataService, AlmacenamientoMemoria, ErrorPermiso } = cargarAplicacion();
+    const almacenamiento = new AlmacenamientoMemoria();
+    // Como AlmacenamientoRemoto, gestiona las cuentas por su cuenta
+    almacenamiento.registrarUsuario = async () => null;
+    DataService.usarAlmacenamiento(almacenamiento);
+    assert.strictEqual(await DataService.puede('votar'), false);
+    await assert.rejects(DataService.votarPelicula(5, 7), ErrorPermiso);
+    await assert.rejects(DataService.crearLista('Favoritas'), ErrorPermiso);
+    // Pendientes y Vistas se muestran, pero no se guardan
+    assert.strictEqual((await DataService.getListas()).length, 2);
+    assert.strictEqual((await almacenamiento.leerTodos('listas')).length, 0);
+});
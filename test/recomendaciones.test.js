@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Pruebas de las películas similares y las recomendaciones.
+ * Las funciones de puntuación se prueban sobre un catálogo pequeño en memoria
+ * cuyos resultados se pueden calcular a mano.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { cargarAplicacion, aplicacionConDatos, plano } = require('./entorno');
+
+/**
+ * Catálogo de prueba. Con PESOS_SIMILITUD {generos: 0.6, anio: 0.25, popularidad: 0.15}
+ * y ANIOS_SIMILITUD 20, respecto a la 1:
+ * - la 2 comparte 1 de 2 géneros, mismo año, popularidad 100: 0.3 + 0.25 + 0.15 = 0.7;
+ * - la 3 comparte sus 2 géneros, 10 años después, popularidad 50: 0.6 + 0.125 + 0.075 = 0.8;
+ * - la 4 no comparte géneros: 0.
+ * @param {Object} app - Aplicación cargada.
+ * @returns {Pelicula[]}
+ */
+function catalogo(app) {
+    return [
+        new app.Pelicula(1, 'Uno', '2000-01-01', 50, [1, 2]),
+        new app.Pelicula(2, 'Dos', '2000-06-01', 100, [1]),
+        new app.Pelicula(3, 'Tres', '2010-01-01', 50, [1, 2]),
+        new app.Pelicula(4, 'Cuatro', '1950-01-01', 20, [3])
+    ];
+}
+
+/**
+ * Comprueba que un número es el esperado salvo errores de redondeo.
+ * @param {number} real - Valor obtenido.
+ * @param {number} esperado - Valor calculado a mano.
+ */
+function casiIgual(real, esperado) {
+    assert.ok(Math.abs(real - esperado) < 1e-9, `${real} no es ${esperado}`);
+}
+
+test.describe('similitudPeliculas y peliculasSimilares', () => {
+    test.it('combina géneros en común, cercanía de año y popularidad', () => {
+        const app = cargarAplicacion();
+        const [uno, dos, tres, cuatro] = catalogo(app);
+        casiIgual(app.similitudPeliculas(uno, dos), 0.7);
+        casiIgual(app.similitudPeliculas(uno, tres), 0.8);
+        assert.strictEqual(app.similitudPeliculas(uno, cuatro), 0);
+    });
+
+    test.it('más de ANIOS_SIMILITUD años de diferencia no suman por el año', () => {
+        const app = cargarAplicacion();
+        const antigua = new app.Pelicula(5, 'Cinco', '1970-01-01', 0, [1, 2]);
+        casiIgual(app.similitudPeliculas(catalogo(app)[0], antigua), 0.6);
+    });
+
+    test.it('ordena de más a menos parecida, sin la propia ni las que no se parecen', () => {
+        const app = cargarAplicacion();
+        const peliculas = catalogo(app);
+        const similares = app.peliculasSimilares(peliculas[0], peliculas);
+        assert.deepStrictEqual(plano(similares.map(s => s.pelicula.id)), [3, 2]);
+        assert.deepStrictEqual(plano(app.peliculasSimilares(peliculas[0], peliculas, 1).map(s => s.pelicula.id)), [3]);
+    });
+
+    test.it('a igual similitud desempata por ID', () => {
+        const app = cargarAplicacion();
+        const peliculas = catalogo(app).concat([new app.Pelicula(6, 'Seis', '2000-06-01', 100, [1])]);
+        const similares = app.peliculasSimilares(peliculas[0], peliculas);
+        assert.deepStrictEqual(plano(similares.map(s => s.pelicula.id)), [3, 2, 6]);
+    });
+});
+
+test.describe('recomendarPara', () => {
+    test.it('sin votos recomienda por popularidad', () => {
+        const app = cargarAplicacion();
+        const recomendaciones = app.recomendarPara('u-1', catalogo(app));
+        assert.deepStrictEqual(plano(recomendaciones.map(r => r.pelicula.id)), [2, 1, 3, 4]);
+        assert.ok(recomendaciones.every(r => r.motivo === 'Popular en el catálogo'));
+        casiIgual(recomendaciones[0].puntuacion, 1);
+    });
+
+    test.it('un voto alto sube las parecidas y explica por qué', () => {
+        const app = cargarAplicacion();
+        const peliculas = catalogo(app);
+        peliculas[0].votar(10, 'u-1');
+        const recomendaciones = app.recomendarPara('u-1', peliculas);
+        assert.deepStrictEqual(plano(recomendaciones.map(r => r.pelicula.id)), [3, 2, 4]);
+        casiIgual(recomendaciones[0].puntuacion, 0.8);
+        casiIgual(recomendaciones[1].puntuacion, 0.7);
+        assert.strictEqual(recomendaciones[0].motivo, 'Porque votaste 10 a "Uno"');
+        assert.strictEqual(recomendaciones[2].motivo, 'Popular en el catálogo');
+        casiIgual(recomendaciones[2].puntuacion, 0.2);
+    });
+
+    test.it('un voto bajo hunde las parecidas por debajo de las populares', () => {
+        const app = cargarAplicacion();
+        const peliculas = catalogo(app);
+        peliculas[0].votar(1, 'u-1');
+        const recomendaciones = app.recomendarPara('u-1', peliculas);
+        // 2: 1 - 0.7; 4: 0.2 - 0; 3: 0.5 - 0.8
+        assert.deepStrictEqual(plano(recomendaciones.map(r => r.pelicula.id)), [2, 4, 3]);
+        casiIgual(recomendaciones[0].puntuacion, 0.3);
+        casiIgual(recomendaciones[2].puntuacion, -0.3);
+    });
+
+    test.it('la afinidad es la media de lo que aporta cada voto y solo cuentan los votos del usuario', () => {
+        const app = cargarAplicacion();
+        const peliculas = catalogo(app);
+        peliculas[0].votar(10, 'u-1');
+        peliculas[3].votar(10, 'u-1');
+        peliculas[1].votar(1, 'u-2');
+        const recomendaciones = app.recomendarPara('u-1', peliculas);
+        assert.deepStrictEqual(plano(recomendaciones.map(r => r.pelicula.id)), [3, 2]);
+        casiIgual(recomendaciones[0].puntuacion, 0.4);
+        casiIgual(recomendaciones[1].puntuacion, 0.35);
+    });
+});
+
+test.describe('DataService', () => {
+    test.it('sin votos se recomiendan las más populares', async () => {
+        const { DataService } = await aplicacionConDatos();
+        const recomendaciones = await DataService.getRecomendaciones();
+        assert.deepStrictEqual(plano(recomendaciones.map(r => r.pelicula.id)), [3, 4, 2, 1, 5]);
+        assert.ok(recomendaciones.every(r => r.motivo === 'Popular en el catálogo'));
+    });
+
+    test.it('con votos se recomiendan las parecidas a las que gustaron y nunca las votadas', async () => {
+        const { DataService } = await aplicacionConDatos();
+        await DataService.votarPelicula(3, 10);
+        const recomendaciones = await DataService.getRecomendaciones();
+        const ids = recomendaciones.map(r => r.pelicula.id);
+        assert.ok(!ids.includes(3));
+        assert.strictEqual(ids[ids.length - 1], 4);
+        assert.strictEqual(recomendaciones[0].motivo, 'Porque votaste 10 a "The Matrix"');
+    });
+
+    test.it('las similares comparten algún género', async () => {
+        const { DataService } = await aplicacionConDatos();
+        const similares = await DataService.getSimilares(4);
+        assert.deepStrictEqual(plano(similares.map(s => s.pelicula.id).sort()), [1, 2]);
+    });
+});
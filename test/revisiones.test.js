@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Pruebas del control de concurrencia optimista: cada registro
+ * lleva una revisión y no se guarda una copia que ya no es la última.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { comoAdministrador } = require('./entorno');
+
+/**
+ * Lee un género guardado.
+ * @param {Object} app - Aplicación cargada.
+ * @param {number} id - ID del género.
+ * @returns {Promise<Genero>}
+ */
+async function genero(app, id) {
+    return (await app.DataService.getGeneros()).find(g => g.id === id);
+}
+
+test.it('cada guardado sube la revisión y una copia antigua no lo pisa', async () => {
+    const app = await comoAdministrador();
+    const copia = await genero(app, 1);
+    const editado = await genero(app, 1);
+    editado.nombre = 'Sci-Fi';
+    await app.DataService.guardarGenero(editado);
+    assert.strictEqual((await genero(app, 1)).revision, copia.revision + 1);
+
+    copia.nombre = 'Ciencia ficción';
+    await assert.rejects(app.DataService.guardarGenero(copia), app.ErrorConflicto);
+    assert.strictEqual((await genero(app, 1)).nombre, 'Sci-Fi');
+});
+
+test.it('una película editada en otra pestaña tampoco se pisa', async () => {
+    const app = await comoAdministrador();
+    const copia = await app.DataService.getPelicula(3);
+    const editada = await app.DataService.getPelicula(3);
+    editada.popularidad = 10;
+    await app.DataService.guardarPelicula(editada);
+
+    copia.titulo = 'Matrix';
+    await assert.rejects(app.DataService.guardarPelicula(copia), app.ErrorConflicto);
+});
+
+test.it('deshacer y rehacer escriben una revisión nueva', async () => {
+    const app = await comoAdministrador();
+    const editado = await genero(app, 1);
+    editado.nombre = 'Sci-Fi';
+    await app.DataService.guardarGenero(editado);
+    const antesDeDeshacer = await genero(app, 1);
+
+    await app.DataService.deshacer();
+    const deshecho = await genero(app, 1);
+    assert.strictEqual(deshecho.nombre, 'Ciencia Ficción');
+    assert.ok(deshecho.revision > antesDeDeshacer.revision);
+
+    antesDeDeshacer.nombre = 'Otra';
+    await assert.rejects(app.DataService.guardarGenero(antesDeDeshacer), app.ErrorConflicto);
+
+    await app.DataService.rehacer();
+    const rehecho = await genero(app, 1);
+    assert.strictEqual(rehecho.nombre, 'Sci-Fi');
+    assert.ok(rehecho.revision > deshecho.revision);
+});
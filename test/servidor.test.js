@@ -0,0 +1,429 @@
+/**
+ * @fileoverview Pruebas del contrato de la API de servidor/servidor.js. Cada
+ * grupo arranca un servidor en un puerto libre sobre un archivo temporal.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { crearServidor } = require('../servidor/servidor');
+const { cargarAplicacion } = require('./entorno');
+
+/**
+ * Película válida con los géneros y créditos indicados.
+ * @param {number} id - ID de la película.
+ * @param {Object} [cambios={}] - Campos que se sustituyen.
+ * @returns {Object} Registro en la forma persistida.
+ */
+function pelicula(id, cambios = {}) {
+    return Object.assign({ id: id, titulo: 'Alien', fecha: '1979-05-25', popularidad: 80, generos: [1], votos: [], creditos: [] }, cambios);
+}
+
+/**
+ * Arranca un servidor para las pruebas de un grupo y lo cierra al terminar.
+ * @returns {function(string, string, *=, string=): Promise<{estado: number, cuerpo: *}>}
+ *   Función que hace una petición (método, ruta, cuerpo JSON y token opcionales).
+ *   El cuerpo de las respuestas que no son JSON se devuelve como texto. Una vez
+ *   arrancado el servidor, su dirección está en la propiedad 'base' de la función.
+ */
+function servidorDePrueba() {
+    let carpeta, servidor;
+    const pedir = async (metodo, ruta, cuerpo, token) => {
+        const cabeceras = {};
+        if (cuerpo !== undefined) cabeceras['Content-Type'] = 'application/json';
+        if (token) cabeceras.Authorization = 'Bearer ' + token;
+        const respuesta = await fetch(pedir.base + ruta, {
+            method: metodo,
+            headers: cabeceras,
+            body: cuerpo === undefined ? undefined : (typeof cuerpo === 'string' ? cuerpo : JSON.stringify(cuerpo))
+        });
+        const texto = await respuesta.text();
+        const json = (respuesta.headers.get('Content-Type') || '').startsWith('application/json');
+        return { estado: respuesta.status, cuerpo: texto && json ? JSON.parse(texto) : (texto || null) };
+    };
+    test.before(async () => {
+        carpeta = fs.mkdtempSync(path.join(os.tmpdir(), 'cmdb-'));
+        servidor = crearServidor(path.join(carpeta, 'datos.json'));
+        await new Promise(resolve => servidor.listen(0, '127.0.0.1', resolve));
+        pedir.base = `http://127.0.0.1:${servidor.address().port}`;
+    });
+    test.after(async () => {
+        await new Promise(resolve => servidor.close(resolve));
+        fs.rmSync(carpeta, { recursive: true, force: true });
+    });
+    return pedir;
+}
+
+/**
+ * Crea una cuenta en el servidor de prueba e inicia sesión con ella. La
+ * primera cuenta de cada servidor es de administrador.
+ * @param {function} pedir - Función de servidorDePrueba.
+ * @param {string} nombre - Nombre de usuario.
+ * @returns {Promise<{usuario: Object, token: string}>}
+ */
+async function registrar(pedir, nombre) {
+    return (await pedir('POST', '/api/usuarios', { nombre: nombre, clave: 'clave1234' })).cuerpo;
+}
+
+test.describe('registros', () => {
+    const pedir = servidorDePrueba();
+    let token;
+
+    test.before(async () => {
+        token = (await registrar(pedir, 'ana')).token;
+    });
+
+    test.it('crea, sustituye, lee y borra un registro', async () => {
+        assert.strictEqual((await pedir('GET', '/api/generos/1')).estado, 404);
+        assert.strictEqual((await pedir('PUT', '/api/generos/1', { id: 1, nombre: 'Drama' }, token)).estado, 201);
+        assert.strictEqual((await pedir('PUT', '/api/generos/1', { id: 1, nombre: 'Drama clásico' }, token)).estado, 200);
+        assert.strictEqual((await pedir('GET', '/api/generos/1')).cuerpo.nombre, 'Drama clásico');
+        assert.deepStrictEqual((await pedir('GET', '/api/generos')).cuerpo.map(g => g.id), [1]);
+        assert.strictEqual((await pedir('DELETE', '/api/generos/1', undefined, token)).estado, 204);
+        assert.strictEqual((await pedir('DELETE', '/api/generos/1', undefined, token)).estado, 404);
+        assert.deepStrictEqual((await pedir('GET', '/api/personas')).cuerpo, []);
+    });
+
+    test.it('guarda y lee metadatos', async () => {
+        assert.strictEqual((await pedir('GET', '/api/meta/cmdb_version')).estado, 404);
+        assert.strictEqual((await pedir('PUT', '/api/meta/cmdb_version', { valor: 5 }, token)).estado, 204);
+        assert.deepStrictEqual((await pedir('GET', '/api/meta/cmdb_version')).cuerpo, { valor: 5 });
+        assert.strictEqual((await pedir('PUT', '/api/meta/cmdb_version', {}, token)).estado, 400);
+    });
+});
+
+test.describe('nombres de colecciones y claves', () => {
+    const pedir = servidorDePrueba();
+    let token;
+
+    test.before(async () => {
+        token = (await registrar(pedir, 'ana')).token;
+    });
+
+    test.it('solo atiende las colecciones conocidas', async () => {
+        assert.strictEqual((await pedir('GET', '/api/coleccion-nueva')).estado, 404);
+        assert.strictEqual((await pedir('PUT', '/api/__proto__/x', { contaminado: true }, token)).estado, 404);
+        assert.strictEqual((await pedir('PUT', '/api/constructor', [], token)).estado, 404);
+        assert.strictEqual((await pedir('POST', '/api/lote', [{ tipo: 'escribir', coleccion: '__proto__', clave: 'x', valor: { contaminado: true } }], token)).estado, 400);
+        assert.strictEqual({}.contaminado, undefined);
+    });
+
+    test.it('las claves heredadas de Object son claves normales', async () => {
+        assert.strictEqual((await pedir('GET', '/api/listas/constructor')).estado, 404);
+        assert.strictEqual((await pedir('PUT', '/api/listas/__proto__', { contaminado: true }, token)).estado, 201);
+        assert.deepStrictEqual((await pedir('GET', '/api/listas/__proto__')).cuerpo, { contaminado: true });
+        assert.strictEqual((await pedir('GET', '/api/meta/toString')).estado, 404);
+        assert.strictEqual((await pedir('PUT', '/api/meta/__proto__', { valor: { contaminado: true } }, token)).estado, 204);
+        assert.deepStrictEqual((await pedir('GET', '/api/meta/__proto__')).cuerpo, { valor: { contaminado: true } });
+        assert.strictEqual({}.contaminado, undefined);
+    });
+});
+
+test.describe('validación de registros', () => {
+    const pedir = servidorDePrueba();
+    let token;
+
+    test.before(async () => {
+        token = (await registrar(pedir, 'ana')).token;
+    });
+
+    test.it('rechaza un registro que no cumple las reglas del modelo', async () => {
+        const respuesta = await pedir('PUT', '/api/generos/1', { id: 1, nombre: '' }, token);
+        assert.strictEqual(respuesta.estado, 400);
+        assert.deepStrictEqual(respuesta.cuerpo.errores.map(e => e.campo), ['nombre']);
+        assert.strictEqual((await pedir('PUT', '/api/peliculas/1', 'no es JSON', token)).estado, 400);
+        assert.strictEqual((await pedir('PUT', '/api/peliculas/1', pelicula(1, { popularidad: 101 }), token)).estado, 400);
+        assert.strictEqual((await pedir('GET', '/api/peliculas/1')).estado, 404);
+    });
+
+    test.it('rechaza un padre que no existe y los ciclos', async () => {
+        assert.strictEqual((await pedir('PUT', '/api/generos/1', { id: 1, nombre: 'Drama', padre: 99 }, token)).estado, 400);
+        assert.strictEqual((await pedir('PUT', '/api/generos/1', { id: 1, nombre: 'Drama', padre: null }, token)).estado, 201);
+        assert.strictEqual((await pedir('PUT', '/api/generos/2', { id: 2, nombre: 'drama', padre: null }, token)).estado, 400);
+        assert.strictEqual((await pedir('PUT', '/api/generos/2', { id: 2, nombre: 'Thriller', padre: 1 }, token)).estado, 201);
+        const ciclo = await pedir('PUT', '/api/generos/1', { id: 1, nombre: 'Drama', padre: 2 }, token);
+        assert.strictEqual(ciclo.estado, 400);
+        assert.deepStrictEqual(ciclo.cuerpo.errores.map(e => e.campo), ['padre']);
+    });
+
+    test.it('rechaza películas con géneros o personas que no existen', async () => {
+        const genero = await pedir('PUT', '/api/peliculas/1', pelicula(1, { generos: [42] }), token);
+        assert.strictEqual(genero.estado, 400);
+        assert.deepStrictEqual(genero.cuerpo.errores.map(e => e.campo), ['generos']);
+        const persona = await pedir('PUT', '/api/peliculas/1', pelicula(1, { creditos: [{ persona: 7, rol: 'director', personaje: '' }] }), token);
+        assert.strictEqual(persona.estado, 400);
+        assert.deepStrictEqual(persona.cuerpo.errores.map(e => e.campo), ['creditos']);
+    });
+
+    test.it('un lote se valida con el resto del lote', async () => {
+        const valido = await pedir('POST', '/api/lote', [
+            { tipo: 'escribir', coleccion: 'personas', clave: 7, valor: { id: 7, nombre: 'Ridley Scott' } },
+            { tipo: 'escribir', coleccion: 'peliculas', clave: 1, valor: pelicula(1, { creditos: [{ persona: 7, rol: 'director', personaje: '' }] }) }
+        ], token);
+        assert.strictEqual(valido.estado, 204);
+    });
+
+    test.it('un lote con una operación no válida no se aplica', async () => {
+        const invalido = await pedir('POST', '/api/lote', [
+            { tipo: 'escribir', coleccion: 'generos', clave: 3, valor: { id: 3, nombre: 'Terror' } },
+            { tipo: 'escribir', coleccion: 'peliculas', clave: 2, valor: pelicula(2, { titulo: '' }) }
+        ], token);
+        assert.strictEqual(invalido.estado, 400);
+        assert.strictEqual((await pedir('GET', '/api/generos/3')).estado, 404);
+        assert.strictEqual((await pedir('POST', '/api/lote', [{ tipo: 'otro', coleccion: 'generos', clave: 3 }], token)).estado, 400);
+
+        const valido = await pedir('POST', '/api/lote', [
+            { tipo: 'escribir', coleccion: 'generos', clave: 3, valor: { id: 3, nombre: 'Terror' } },
+            { tipo: 'borrar', coleccion: 'generos', clave: 4 }
+        ], token);
+        assert.strictEqual(valido.estado, 204);
+        assert.strictEqual((await pedir('GET', '/api/generos/3')).estado, 200);
+    });
+});
+
+test.describe('rutas', () => {
+    const pedir = servidorDePrueba();
+
+    test.it('responde 400 a una ruta mal codificada', async () => {
+        assert.strictEqual((await pedir('GET', '/api/peliculas/%E0%A4%A')).estado, 400);
+        assert.strictEqual((await pedir('GET', '/%E0%A4%A.html')).estado, 400);
+    });
+
+    test.it('solo sirve los archivos de la aplicación', async () => {
+        for (const ruta of ['/', '/listado.html', '/css/styles.css', '/js/Logica.js', '/img/icono.svg', '/sw.js', '/manifest.webmanifest']) {
+            assert.strictEqual((await pedir('GET', ruta)).estado, 200, ruta);
+        }
+        for (const ruta of ['/servidor/servidor.js', '/servidor/datos.json', '/package.json', '/test/entorno.js', '/.gitignore', '/js/../package.json', '/%2e%2e/package.json']) {
+            assert.strictEqual((await pedir('GET', ruta)).estado, 404, ruta);
+        }
+    });
+});
+
+test.describe('votos', () => {
+    const pedir = servidorDePrueba();
+    let token;
+    let usuario;
+
+    test.before(async () => {
+        ({ token, usuario } = await registrar(pedir, 'ana'));
+    });
+
+    test.it('aplica el voto sobre la versión guardada', async () => {
+        assert.strictEqual((await pedir('POST', '/api/peliculas/5/votos', { valor: 8 }, token)).estado, 404);
+        await pedir('PUT', '/api/generos/1', { id: 1, nombre: 'Drama', padre: null }, token);
+        await pedir('PUT', '/api/peliculas/5', pelicula(5, { revision: 1 }), token);
+        const voto = await pedir('POST', '/api/peliculas/5/votos', { valor: 8 }, token);
+        assert.strictEqual(voto.estado, 200);
+        assert.deepStrictEqual(voto.cuerpo.votos.map(v => [v.usuario, v.valor]), [[usuario.id, 8]]);
+        assert.strictEqual(voto.cuerpo.revision, 2);
+        assert.strictEqual((await pedir('POST', '/api/peliculas/5/votos', { valor: 11 }, token)).estado, 400);
+    });
+
+    test.it('vota en nombre de la cuenta del token aunque el cuerpo diga otra', async () => {
+        const voto = await pedir('POST', '/api/peliculas/5/votos', { usuario: 'u-1', valor: 6 }, token);
+        assert.strictEqual(voto.estado, 200);
+        assert.deepStrictEqual(voto.cuerpo.votos.filter(v => v.activo).map(v => [v.usuario, v.valor]), [[usuario.id, 6]]);
+    });
+
+    test.it('vota una película guardada sin votos y rechaza listas de votos mal formadas', async () => {
+        const sinVotos = pelicula(6);
+        delete sinVotos.votos;
+        assert.strictEqual((await pedir('PUT', '/api/peliculas/6', sinVotos, token)).estado, 201);
+        const voto = await pedir('POST', '/api/peliculas/6/votos', { valor: 8 }, token);
+        assert.strictEqual(voto.estado, 200);
+        assert.deepStrictEqual(voto.cuerpo.votos.map(v => v.valor), [8]);
+        assert.strictEqual((await pedir('PUT', '/api/peliculas/7', pelicula(7, { votos: 'x' }), token)).estado, 400);
+    });
+
+    test.it('retira el voto y marca reseñas útiles en nombre de la cuenta del token', async () => {
+        const ana = (await pedir('GET', '/api/usuarios')).cuerpo[0];
+        const bea = await registrar(pedir, 'bea');
+        const resena = { titulo: 'Obra maestra', texto: 'Imprescindible.', spoiler: false };
+        await pedir('POST', '/api/peliculas/5/votos', { valor: 9, resena: resena }, token);
+        const util = `/api/peliculas/5/votos/${ana.id}/util`;
+
+        assert.strictEqual((await pedir('POST', util)).estado, 401);
+        const marcada = await pedir('POST', util, undefined, bea.token);
+        assert.strictEqual(marcada.estado, 200);
+        assert.deepStrictEqual(marcada.cuerpo.votos.find(v => v.activo && v.usuario === ana.id).resena.utiles, [bea.usuario.id]);
+        assert.strictEqual((await pedir('POST', util, undefined, token)).estado, 400);
+
+        assert.strictEqual((await pedir('DELETE', '/api/peliculas/5/votos', undefined, bea.token)).estado, 409);
+        const retirado = await pedir('DELETE', '/api/peliculas/5/votos', undefined, token);
+        assert.strictEqual(retirado.estado, 200);
+        assert.ok(!retirado.cuerpo.votos.some(v => v.activo && v.usuario === ana.id));
+        assert.strictEqual((await pedir('DELETE', '/api/peliculas/99/votos', undefined, token)).estado, 404);
+    });
+});
+
+test.describe('permisos', () => {
+    const pedir = servidorDePrueba();
+    let ana, eva, bea;
+
+    test.before(async () => {
+        ana = await registrar(pedir, 'ana');
+        eva = await registrar(pedir, 'eva');
+        bea = await registrar(pedir, 'bea');
+        await pedir('PUT', `/api/usuarios/${eva.usuario.id}/rol`, { rol: 'editor' }, ana.token);
+        await pedir('PUT', '/api/generos/1', { id: 1, nombre: 'Drama', padre: null }, ana.token);
+        await pedir('PUT', '/api/peliculas/5', pelicula(5), ana.token);
+    });
+
+    test.it('sin sesión se puede leer pero no cambiar nada', async () => {
+        assert.strictEqual((await pedir('GET', '/api/generos/1')).estado, 200);
+        assert.strictEqual((await pedir('PUT', '/api/generos/2', { id: 2, nombre: 'Terror', padre: null })).estado, 401);
+        assert.strictEqual((await pedir('PUT', '/api/generos/2', { id: 2, nombre: 'Terror', padre: null }, 'token-inventado')).estado, 401);
+        assert.strictEqual((await pedir('POST', '/api/lote', [{ tipo: 'borrar', coleccion: 'generos', clave: 1 }])).estado, 401);
+        assert.strictEqual((await pedir('PUT', '/api/meta/cmdb_votos_minimos', { valor: 0 })).estado, 401);
+        assert.strictEqual((await pedir('POST', '/api/peliculas/5/votos', { valor: 8 })).estado, 401);
+        assert.strictEqual((await pedir('GET', '/api/generos/2')).estado, 404);
+    });
+
+    test.it('cada rol solo hace los cambios que permite', async () => {
+        assert.strictEqual((await pedir('PUT', '/api/generos/2', { id: 2, nombre: 'Terror', padre: null }, bea.token)).estado, 403);
+        assert.strictEqual((await pedir('POST', '/api/peliculas/5/votos', { valor: 8 }, bea.token)).estado, 200);
+        assert.strictEqual((await pedir('PUT', '/api/generos/2', { id: 2, nombre: 'Terror', padre: null }, eva.token)).estado, 201);
+        assert.strictEqual((await pedir('PUT', '/api/generos', [{ clave: 1, valor: { id: 1, nombre: 'Drama', padre: null } }], eva.token)).estado, 403);
+        assert.strictEqual((await pedir('DELETE', '/api/generos/2', undefined, eva.token)).estado, 403);
+        assert.strictEqual((await pedir('PUT', '/api/meta/cmdb_votos_minimos', { valor: 0 }, eva.token)).estado, 403);
+        assert.strictEqual((await pedir('DELETE', '/api/generos/2', undefined, ana.token)).estado, 204);
+        assert.strictEqual((await pedir('PUT', '/api/meta/cmdb_votos_minimos', { valor: 0 }, ana.token)).estado, 204);
+    });
+
+    test.it('las listas propias y las entradas nuevas de auditoría solo necesitan poder votar', async () => {
+        const lista = usuario => ({ id: 1, usuario: usuario, tipo: 'personal', nombre: 'Favoritas', peliculas: [] });
+        assert.strictEqual((await pedir('PUT', '/api/listas/1', lista(bea.usuario.id), bea.token)).estado, 201);
+        assert.strictEqual((await pedir('PUT', '/api/listas/1', lista(eva.usuario.id), bea.token)).estado, 403);
+        assert.strictEqual((await pedir('PUT', '/api/listas/1', lista(eva.usuario.id), eva.token)).estado, 403);
+        assert.strictEqual((await pedir('DELETE', '/api/listas/1', undefined, eva.token)).estado, 403);
+        assert.strictEqual((await pedir('DELETE', '/api/listas/1', undefined, bea.token)).estado, 204);
+
+        const entrada = { clave: 'a1', instante: 1, editor: 'bea', entidad: 'pelicula', id: 5, nombre: 'Alien', accion: 'votar', cambios: {} };
+        assert.strictEqual((await pedir('PUT', '/api/auditoria/a1', entrada, bea.token)).estado, 201);
+        assert.strictEqual((await pedir('PUT', '/api/auditoria/a1', Object.assign({}, entrada, { editor: 'otro' }), eva.token)).estado, 403);
+        assert.strictEqual((await pedir('DELETE', '/api/auditoria/a1', undefined, eva.token)).estado, 403);
+    });
+
+    test.it('un editor restaura de la papelera, pero no la purga', async () => {
+        const entrada = { clave: 'genero:3:1', tipo: 'genero', eliminado: 1, datos: { id: 3, nombre: 'Comedia', padre: null, revision: 1 } };
+        assert.strictEqual((await pedir('PUT', '/api/papelera/genero:3:1', entrada, eva.token)).estado, 201);
+        assert.strictEqual((await pedir('DELETE', '/api/papelera/genero:3:1', undefined, eva.token)).estado, 403);
+        assert.strictEqual((await pedir('POST', '/api/lote', [
+            { tipo: 'escribir', coleccion: 'generos', clave: 4, valor: { id: 4, nombre: 'Musical', padre: null } },
+            { tipo: 'borrar', coleccion: 'papelera', clave: 'genero:3:1' }
+        ], eva.token)).estado, 403);
+        assert.strictEqual((await pedir('POST', '/api/lote', [
+            { tipo: 'escribir', coleccion: 'generos', clave: 3, valor: { id: 3, nombre: 'Comedia', padre: null, revision: 2 } },
+            { tipo: 'borrar', coleccion: 'papelera', clave: 'genero:3:1' }
+        ], eva.token)).estado, 204);
+        assert.strictEqual((await pedir('GET', '/api/papelera/genero:3:1')).estado, 404);
+    });
+});
+
+test.describe('la aplicación con servidor', () => {
+    const pedir = servidorDePrueba();
+
+    test.it('un espectador vota, retira su voto y marca reseñas útiles', async () => {
+        const ana = await registrar(pedir, 'ana');
+        await pedir('PUT', '/api/generos/1', { id: 1, nombre: 'Drama', padre: null }, ana.token);
+        await pedir('PUT', '/api/peliculas/5', pelicula(5), ana.token);
+        const resena = { titulo: 'Obra maestra', texto: 'Imprescindible.', spoiler: false };
+        await pedir('POST', '/api/peliculas/5/votos', { valor: 9, resena: resena }, ana.token);
+
+        const { DataService, AlmacenamientoRemoto, AlmacenamientoMemoria, Genero, ErrorPermiso } = cargarAplicacion({ fetch: fetch });
+        DataService.usarAlmacenamiento(new AlmacenamientoRemoto(pedir.base, new AlmacenamientoMemoria(), new AlmacenamientoMemoria()));
+        assert.strictEqual(await DataService.puede('votar'), false);
+        await assert.rejects(DataService.votarPelicula(5, 7), ErrorPermiso);
+        const bea = await DataService.registrarUsuario('bea', 'clave1234');
+        await assert.rejects(DataService.guardarGenero(new Genero(2, 'Terror')), ErrorPermiso);
+
+        await DataService.votarPelicula(5, 7);
+        assert.strictEqual(await DataService.marcarResenaUtil(5, ana.usuario.id), true);
+        await DataService.retirarVoto(5);
+        const guardada = (await pedir('GET', '/api/peliculas/5')).cuerpo;
+        assert.deepStrictEqual(guardada.votos.filter(v => v.activo).map(v => v.usuario), [ana.usuario.id]);
+        assert.deepStrictEqual(guardada.votos.find(v => v.activo).resena.utiles, [bea.id]);
+        assert.deepStrictEqual((await pedir('GET', '/api/auditoria')).cuerpo.map(e => e.accion).sort(), ['marcarUtil', 'retirarVoto', 'votar']);
+    });
+});
+
+test.describe('preparación del catálogo', () => {
+    test.it('inicializa un catálogo nuevo y migra uno de una versión anterior', async () => {
+        const carpeta = fs.mkdtempSync(path.join(os.tmpdir(), 'cmdb-'));
+        const archivo = path.join(carpeta, 'datos.json');
+        // Datos de la versión 3: películas sin créditos ni revisión y géneros sin padre
+        fs.writeFileSync(archivo, JSON.stringify({
+            colecciones: {
+                generos: { 1: { id: 1, nombre: 'Drama' } },
+                peliculas: { 5: pelicula(5, { creditos: undefined }) }
+            },
+            meta: { cmdb_inicializado: true, cmdb_schema_version: 3 }
+        }));
+        const servidores = [crearServidor(archivo), crearServidor(path.join(carpeta, 'nuevo.json'))];
+        try {
+            const [migrado, nuevo] = await Promise.all(servidores.map(async servidor => {
+                await new Promise(resolve => servidor.listen(0, '127.0.0.1', resolve));
+                const base = `http://127.0.0.1:${servidor.address().port}/api`;
+                return (await fetch(base)).json();
+            }));
+            assert.strictEqual(migrado.meta.cmdb_schema_version, nuevo.meta.cmdb_schema_version);
+            assert.ok(migrado.meta.cmdb_schema_version > 3);
+            assert.deepStrictEqual(migrado.colecciones.generos[1], { id: 1, nombre: 'Drama', padre: null, revision: 0 });
+            assert.deepStrictEqual(migrado.colecciones.peliculas[5].creditos, []);
+            assert.strictEqual(nuevo.meta.cmdb_inicializado, true);
+            assert.deepStrictEqual(Object.keys(nuevo.colecciones), []);
+            assert.strictEqual(JSON.parse(fs.readFileSync(archivo, 'utf8')).meta.cmdb_schema_version, migrado.meta.cmdb_schema_version);
+        } finally {
+            await Promise.all(servidores.map(servidor => new Promise(resolve => servidor.close(resolve))));
+            fs.rmSync(carpeta, { recursive: true, force: true });
+        }
+    });
+});
+
+test.describe('cuentas', () => {
+    const pedir = servidorDePrueba();
+    let admin, espectador;
+
+    test.before(async () => {
+        admin = (await pedir('POST', '/api/usuarios', { nombre: 'ana', clave: 'clave1234' })).cuerpo;
+        espectador = (await pedir('POST', '/api/usuarios', { nombre: 'bea', clave: 'clave1234' })).cuerpo;
+    });
+
+    test.it('la primera cuenta es de administrador y nunca se sirven las credenciales', async () => {
+        assert.strictEqual(admin.usuario.rol, 'administrador');
+        assert.strictEqual(espectador.usuario.rol, 'espectador');
+        const todo = await pedir('GET', '/api');
+        const usuarios = Object.values(todo.cuerpo.colecciones.usuarios).concat((await pedir('GET', '/api/usuarios')).cuerpo);
+        usuarios.forEach(u => {
+            assert.strictEqual(u.sal, undefined);
+            assert.strictEqual(u.hash, undefined);
+        });
+    });
+
+    test.it('inicia sesión solo con la contraseña correcta', async () => {
+        assert.strictEqual((await pedir('POST', '/api/sesiones', { nombre: 'ana', clave: 'otra-clave' })).estado, 400);
+        const sesion = await pedir('POST', '/api/sesiones', { nombre: 'ANA', clave: 'clave1234' });
+        assert.strictEqual(sesion.estado, 200);
+        assert.strictEqual(sesion.cuerpo.usuario.id, admin.usuario.id);
+    });
+
+    test.it('las cuentas no se modifican por las rutas genéricas', async () => {
+        const id = espectador.usuario.id;
+        const cuenta = { id: id, nombre: 'bea', rol: 'administrador' };
+        assert.strictEqual((await pedir('PUT', `/api/usuarios/${id}`, cuenta, admin.token)).estado, 403);
+        assert.strictEqual((await pedir('POST', '/api/lote', [{ tipo: 'escribir', coleccion: 'usuarios', clave: id, valor: cuenta }])).estado, 403);
+    });
+
+    test.it('solo un administrador cambia roles', async () => {
+        const ruta = `/api/usuarios/${espectador.usuario.id}/rol`;
+        assert.strictEqual((await pedir('PUT', ruta, { rol: 'editor' })).estado, 401);
+        assert.strictEqual((await pedir('PUT', ruta, { rol: 'editor' }, espectador.token)).estado, 403);
+        assert.strictEqual((await pedir('PUT', ruta, { rol: 'jefe' }, admin.token)).estado, 400);
+        const cambio = await pedir('PUT', ruta, { rol: 'editor' }, admin.token);
+        assert.strictEqual(cambio.estado, 200);
+        assert.strictEqual(cambio.cuerpo.rol, 'editor');
+        assert.strictEqual((await pedir('PUT', `/api/usuarios/${admin.usuario.id}/rol`, { rol: 'editor' }, admin.token)).estado, 409);
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Pruebas de las reglas de validación compartidas del modelo y
+ * de cómo DataService las hace cumplir al guardar.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { cargarAplicacion, comoAdministrador, plano } = require('./entorno');
+
+/**
+ * Datos de una película válida, con los campos indicados cambiados.
+ * @param {Object} [cambios={}] - Campos que se sustituyen.
+ * @returns {Object}
+ */
+function datosPelicula(cambios = {}) {
+    return Object.assign({ titulo: 'Alien', fecha: '1979-05-25', popularidad: 80, generos: [1] }, cambios);
+}
+
+/**
+ * Campos con error, en orden.
+ * @param {ErrorCampo[]} errores - Errores devueltos por una validación.
+ * @returns {string[]}
+ */
+function campos(errores) {
+    return plano(errores.map(e => e.campo));
+}
+
+test.describe('validarPelicula', () => {
+    const { validarPelicula } = cargarAplicacion();
+
+    test.it('acepta una película correcta', () => {
+        assert.deepStrictEqual(campos(validarPelicula(datosPelicula())), []);
+    });
+
+    test.it('exige un título de 1 a 100 caracteres', () => {
+        assert.deepStrictEqual(campos(validarPelicula(datosPelicula({ titulo: '   ' }))), ['titulo']);
+        assert.deepStrictEqual(campos(validarPelicula(datosPelicula({ titulo: 'x'.repeat(101) }))), ['titulo']);
+    });
+
+    test.it('exige una fecha AAAA-MM-DD entre 1900 y hoy', () => {
+        for (const fecha of ['25/05/1979', '1979-13-45', '1899-12-31', '2999-01-01']) {
+            assert.deepStrictEqual(campos(validarPelicula(datosPelicula({ fecha }))), ['fecha'], fecha);
+        }
+    });
+
+    test.it('exige una popularidad entera entre 0 y 100 y al menos un género', () => {
+        for (const popularidad of [-1, 101, 50.5, '50']) {
+            assert.deepStrictEqual(campos(validarPelicula(datosPelicula({ popularidad }))), ['popularidad'], String(popularidad));
+        }
+        assert.deepStrictEqual(campos(validarPelicula(datosPelicula({ generos: [] }))), ['generos']);
+    });
+
+    test.it('solo acepta como póster una imagen en base64, sin nada detrás', () => {
+        assert.deepStrictEqual(campos(validarPelicula(datosPelicula({ poster: 'data:image/png;base64,iVBORw0KGgo=' }))), []);
+        for (const poster of ['data:image/png;base64,x" onerror="alert(1)', 'data:image/svg+xml;base64,PHN2Zz4=<script>', 'javascript:alert(1)']) {
+            assert.deepStrictEqual(campos(validarPelicula(datosPelicula({ poster }))), ['poster'], poster);
+        }
+    });
+});
+
+test.describe('validarGenero', () => {
+    const { validarGenero } = cargarAplicacion();
+    const existentes = [{ id: 1, nombre: 'Drama' }];
+
+    test.it('exige un nombre de 1 a 100 caracteres que no se repita', () => {
+        assert.deepStrictEqual(campos(validarGenero({ id: 2, nombre: 'Terror' }, existentes)), []);
+        assert.deepStrictEqual(campos(validarGenero({ id: 2, nombre: ' ' }, existentes)), ['nombre']);
+        assert.deepStrictEqual(campos(validarGenero({ id: 2, nombre: 'x'.repeat(101) }, existentes)), ['nombre']);
+        assert.deepStrictEqual(campos(validarGenero({ id: 2, nombre: 'Drama' }, existentes)), ['nombre']);
+    });
+
+    test.it('un género no choca con su propio nombre', () => {
+        assert.deepStrictEqual(campos(validarGenero({ id: 1, nombre: 'Drama' }, existentes)), []);
+    });
+});
+
+test.describe('votos de Pelicula', () => {
+    const { Pelicula } = cargarAplicacion();
+
+    test.it('una película sin votos guardados empieza con la lista vacía', () => {
+        const pelicula = Pelicula.fromJSON(Object.assign({ id: 9 }, datosPelicula()));
+        assert.deepStrictEqual(plano(pelicula.votos), []);
+        assert.deepStrictEqual(campos(pelicula.validar()), []);
+    });
+
+    test.it('una lista de votos mal formada no es válida', () => {
+        for (const votos of ['x', [null]]) {
+            const pelicula = Pelicula.fromJSON(Object.assign({ id: 9 }, datosPelicula({ votos })));
+            assert.deepStrictEqual(campos(pelicula.validar()), ['votos']);
+        }
+    });
+});
+
+test.describe('DataService', () => {
+    test.it('no guarda una película que no es válida', async () => {
+        const { DataService, Pelicula, ErrorValidacion } = await comoAdministrador();
+        const pelicula = new Pelicula(6, '', '1979-05-25', 80, [1]);
+        await assert.rejects(DataService.guardarPelicula(pelicula), error => {
+            assert.ok(error instanceof ErrorValidacion);
+            assert.deepStrictEqual(campos(error.errores), ['titulo']);
+            return true;
+        });
+        assert.strictEqual(await DataService.getPelicula(6), null);
+    });
+
+    test.it('no guarda un género con un nombre que ya existe', async () => {
+        const { DataService, Genero, ErrorValidacion } = await comoAdministrador();
+        await assert.rejects(DataService.guardarGenero(new Genero(3, 'Drama')), ErrorValidacion);
+        assert.strictEqual((await DataService.getGeneros()).length, 2);
+    });
+
+    test.it('al guardar varios, el error indica a qué registro se refiere', async () => {
+        const { DataService, Genero } = await comoAdministrador();
+        const generos = await DataService.getGeneros();
+        generos.push(new Genero(3, 'x'.repeat(101)));
+        await assert.rejects(DataService.guardarGeneros(generos), error => {
+            assert.strictEqual(error.errores[0].mensaje, 'x'.repeat(101) + ': El nombre no puede superar los 100 caracteres.');
+            return true;
+        });
+    });
+});